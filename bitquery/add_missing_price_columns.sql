@@ -8,7 +8,8 @@
 ALTER TABLE prices 
 ADD COLUMN IF NOT EXISTS token_id INTEGER REFERENCES tokens(id) ON DELETE CASCADE,
 ADD COLUMN IF NOT EXISTS timestamp TIMESTAMP WITH TIME ZONE,
-ADD COLUMN IF NOT EXISTS is_latest BOOLEAN DEFAULT false;
+ADD COLUMN IF NOT EXISTS is_latest BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS organic_volume_24h DECIMAL(20,2);
 
 -- Add indexes for the new columns
 CREATE INDEX IF NOT EXISTS idx_prices_token_id ON prices(token_id);
@@ -23,6 +24,7 @@ ON prices(token_uri, timestamp);
 COMMENT ON COLUMN prices.token_id IS 'Reference to tokens table ID';
 COMMENT ON COLUMN prices.timestamp IS 'Block timestamp from blockchain';
 COMMENT ON COLUMN prices.is_latest IS 'Flag to mark the latest price for each token';
+COMMENT ON COLUMN prices.organic_volume_24h IS '24h volume less detected wash trading';
 
 -- Create a function to update is_latest flags
 CREATE OR REPLACE FUNCTION update_latest_prices()
@@ -7,19 +7,24 @@
 -- Add missing columns to tokens table
 ALTER TABLE tokens 
 ADD COLUMN IF NOT EXISTS address TEXT,
-ADD COLUMN IF NOT EXISTS create_tx TEXT;
+ADD COLUMN IF NOT EXISTS create_tx TEXT,
+ADD COLUMN IF NOT EXISTS deployer TEXT,
+ADD COLUMN IF NOT EXISTS created_slot BIGINT;
 
 -- Add indexes for the new columns
 CREATE INDEX IF NOT EXISTS idx_tokens_address ON tokens(address);
 CREATE INDEX IF NOT EXISTS idx_tokens_create_tx ON tokens(create_tx);
+CREATE INDEX IF NOT EXISTS idx_tokens_deployer ON tokens(deployer);
 
 -- Add comments for documentation
 COMMENT ON COLUMN tokens.address IS 'Solana token address';
 COMMENT ON COLUMN tokens.create_tx IS 'Transaction signature that created the token';
+COMMENT ON COLUMN tokens.deployer IS 'Wallet that sent the pump.fun create instruction';
+COMMENT ON COLUMN tokens.created_slot IS 'Slot of the create instruction';
 
 -- Verify the changes
 SELECT column_name, data_type, is_nullable 
 FROM information_schema.columns 
 WHERE table_name = 'tokens' 
-AND column_name IN ('address', 'create_tx')
+AND column_name IN ('address', 'create_tx', 'deployer', 'created_slot')
 ORDER BY column_name;
@@ -1,6 +1,12 @@
 import { fetchAndPushMemecoins } from "./scripts/memecoins.mjs";
-import { fetchAndPushPrices } from "./scripts/prices.mjs";
+import { fetchAndPushCandles } from "./scripts/prices.mjs";
 import { fetchMarketData, updateTokenMarketData } from "./scripts/market-data.mjs";
+import { BitqueryAuthError, BitqueryQuotaError } from "./scripts/bitquery-client.mjs";
+import { createTokenSafetyScanner } from "./scripts/token-safety.mjs";
+import { syncStream } from "./scripts/sync.mjs";
+import { LifecycleTracker } from "./scripts/lifecycle.mjs";
+import { WashTradeDetector } from "./scripts/wash-trading.mjs";
+import { SniperDetector } from "./scripts/snipers.mjs";
 
 async function main() {
   try {
@@ -10,14 +16,33 @@ async function main() {
     console.log("\n📈 Step 1: Fetching and pushing memecoins...");
     await fetchAndPushMemecoins();
     
-    // Step 2: Fetch and push prices
-    console.log("\n💰 Step 2: Fetching and pushing prices...");
-    await fetchAndPushPrices();
+    // Step 2: Fetch trades and push OHLCV candles
+    console.log("\n💰 Step 2: Fetching trades and pushing candles...");
+    await fetchAndPushCandles();
     
     // Step 3: Fetch and push market data (market cap & total supply)
     console.log("\n📊 Step 3: Fetching and pushing market data...");
     await fetchAndPushMarketData();
     
+    // Step 4: Check mint/freeze authority and extensions of newly discovered tokens
+    console.log("\n🛡️ Step 4: Scanning new tokens for safety red flags...");
+    await createTokenSafetyScanner().scanNewTokens();
+    
+    // Step 5: Graduate tokens whose curve migrated, then abandon the ones nobody trades
+    console.log("\n🔄 Step 5: Updating token lifecycles...");
+    await syncStream("migrations");
+    await new LifecycleTracker().sweepAbandoned();
+    
+    // Step 6: Re-score the last 24h of trades for wash trading and drop old trades
+    console.log("\n🧼 Step 6: Checking volume for wash trading...");
+    const washTradeDetector = new WashTradeDetector();
+    await washTradeDetector.analyze(await washTradeDetector.recentTokenIds());
+    await washTradeDetector.prune();
+    
+    // Step 7: Look for snipers and bundled buys in the first slots of recent launches
+    console.log("\n🎯 Step 7: Checking recent launches for snipers...");
+    await new SniperDetector().analyzeNewTokens();
+    
     console.log("\n✅ All data collection completed successfully!");
   } catch (e) {
     console.error("❌ Error during data collection:", e);
@@ -67,10 +92,9 @@ async function fetchAndPushMarketData() {
             console.log(`  ⚠️ No market data available for ${token.symbol || token.uri}`);
           }
           
-          // Add delay between API calls to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
         } catch (error) {
+          // Bad credentials or an exhausted plan fail every remaining token the same way
+          if (error instanceof BitqueryAuthError || error instanceof BitqueryQuotaError) throw error;
           console.error(`  ❌ Error processing token ${token.symbol || token.uri}:`, error.message);
         }
       });
@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import * as fs from "fs/promises";
+import path from "path";
+
+/**
+ * Shared Bitquery GraphQL client
+ *
+ * Every script talks to the streaming API through here: queries take GraphQL
+ * variables (never interpolated strings), requests share a token bucket so
+ * parallel callers stay under the plan's rate limit, 429/5xx/network failures
+ * are retried with jittered backoff, and failures surface as typed errors.
+ *
+ * BITQUERY_MODE=record saves each response under BITQUERY_CASSETTES
+ * (default results/cassettes); BITQUERY_MODE=replay answers from those files
+ * without touching the network.
+ *
+ * The frontend's API routes import this file too (frontend/lib/bitquery-client.ts),
+ * so it sticks to Node built-ins; callers load their own .env before the
+ * first query.
+ */
+
+export const BITQUERY_URL = "https://streaming.bitquery.io/eap";
+
+export class BitqueryError extends Error {
+  constructor(message, { status = null, errors = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "BitqueryError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/** Missing, invalid or expired API key / access token (401/403) */
+export class BitqueryAuthError extends BitqueryError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "BitqueryAuthError";
+  }
+}
+
+/** Rate limit still hit after retries, or the plan's points are used up */
+export class BitqueryQuotaError extends BitqueryError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "BitqueryQuotaError";
+  }
+}
+
+/** The query was rejected or the response does not have the expected shape */
+export class BitquerySchemaError extends BitqueryError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "BitquerySchemaError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `capacity` requests may burst, then one token is added every
+ * 60s / requestsPerMinute.
+ */
+export class TokenBucket {
+  constructor({ capacity = 5, requestsPerMinute = 60, now = () => Date.now(), wait = sleep } = {}) {
+    this.capacity = capacity;
+    this.refillMs = 60000 / requestsPerMinute;
+    this.tokens = capacity;
+    this.updatedAt = now();
+    this.now = now;
+    this.wait = wait;
+    // Callers are served in arrival order
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / this.refillMs);
+    this.updatedAt = now;
+  }
+
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        await this.wait(Math.ceil((1 - this.tokens) * this.refillMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+// GraphQL messages Bitquery returns with HTTP 200 instead of a status code
+const AUTH_MESSAGE = /unauthori[sz]ed|invalid (api )?key|invalid.*token|token.*expired|authenticat/i;
+const QUOTA_MESSAGE = /points|quota|limit exceeded|too many requests|balance/i;
+
+/**
+ * Turn a response into data or a typed error. `retryable` marks failures worth another attempt.
+ */
+export function classifyResponse(status, body, headers = {}) {
+  if (status === 401 || status === 403) {
+    return { error: new BitqueryAuthError(`Bitquery rejected the credentials (HTTP ${status}); check BITQUERY_API_KEY and ACCESS_TOKEN`, { status }) };
+  }
+  if (status === 402) {
+    return { error: new BitqueryQuotaError("Bitquery points for this plan are used up", { status }) };
+  }
+  if (status === 429) {
+    return {
+      error: new BitqueryQuotaError("Bitquery rate limit exceeded", { status }),
+      retryable: true,
+      retryAfterMs: retryAfterMs(headers["retry-after"]),
+    };
+  }
+  if (status >= 500) {
+    return { error: new BitqueryError(`Bitquery server error (HTTP ${status})`, { status }), retryable: true };
+  }
+  if (status >= 400) {
+    return { error: new BitquerySchemaError(`Bitquery rejected the request (HTTP ${status}): ${JSON.stringify(body)}`, { status }) };
+  }
+
+  if (body?.errors?.length) {
+    const message = body.errors.map((error) => error.message || JSON.stringify(error)).join("; ");
+    const ErrorType = AUTH_MESSAGE.test(message)
+      ? BitqueryAuthError
+      : QUOTA_MESSAGE.test(message)
+        ? BitqueryQuotaError
+        : BitquerySchemaError;
+    return { error: new ErrorType(`Bitquery API returned errors: ${message}`, { status, errors: body.errors }) };
+  }
+  if (!body || typeof body.data !== "object" || body.data === null) {
+    return { error: new BitquerySchemaError("Bitquery API response missing 'data' field", { status }) };
+  }
+  return { data: body.data };
+}
+
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Cassette file name for a request: same query text (whitespace-insensitive)
+ * and variables always map to the same recording.
+ */
+export function cassetteKey(query, variables = {}) {
+  const normalized = query.replace(/\s+/g, " ").trim();
+  const sorted = Object.fromEntries(Object.entries(variables).sort(([a], [b]) => a.localeCompare(b)));
+  return crypto.createHash("sha256").update(JSON.stringify([normalized, sorted])).digest("hex").slice(0, 16);
+}
+
+async function fetchTransport({ url, headers, body, timeoutMs }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Non-JSON bodies (gateway pages) are classified by status alone
+  }
+  return { status: response.status, headers: Object.fromEntries(response.headers), body: parsed };
+}
+
+export class BitqueryClient {
+  constructor({
+    apiKey = process.env.BITQUERY_API_KEY,
+    accessToken = process.env.ACCESS_TOKEN,
+    url = BITQUERY_URL,
+    mode = process.env.BITQUERY_MODE || "live",
+    cassetteDir = process.env.BITQUERY_CASSETTES || path.join(process.cwd(), "results", "cassettes"),
+    bucket = new TokenBucket({ requestsPerMinute: Number(process.env.BITQUERY_REQUESTS_PER_MINUTE) || 60 }),
+    retries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 15000,
+    timeoutMs = 60000,
+    transport = fetchTransport,
+    wait = sleep,
+    random = Math.random,
+  } = {}) {
+    if (!["live", "record", "replay"].includes(mode)) {
+      throw new Error(`Unknown BITQUERY_MODE '${mode}'; use live, record or replay`);
+    }
+    Object.assign(this, { apiKey, accessToken, url, mode, cassetteDir, bucket, retries, baseDelayMs, maxDelayMs, timeoutMs, transport, wait, random });
+  }
+
+  /**
+   * Run a query and return its `data`. Throws a BitqueryError subclass on failure.
+   */
+  async query(query, variables = {}) {
+    if (this.mode === "replay") return this.replay(query, variables);
+
+    if (!this.apiKey || !this.accessToken) {
+      throw new BitqueryAuthError("BITQUERY_API_KEY and ACCESS_TOKEN environment variables must be set");
+    }
+
+    const data = await this.send(query, variables);
+    if (this.mode === "record") await this.record(query, variables, data);
+    return data;
+  }
+
+  async send(query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take();
+
+      let outcome;
+      try {
+        const response = await this.transport({
+          url: this.url,
+          headers: {
+            "Content-Type": "application/json",
+            "X-API-KEY": this.apiKey,
+            Authorization: "Bearer " + this.accessToken,
+          },
+          body: { query, variables },
+          timeoutMs: this.timeoutMs,
+        });
+        outcome = classifyResponse(response.status, response.body, response.headers);
+      } catch (error) {
+        // Connection resets and timeouts are worth retrying like a 5xx
+        outcome = { error: new BitqueryError(`Bitquery request failed: ${error.message}`, { cause: error }), retryable: true };
+      }
+
+      if (!outcome.error) return outcome.data;
+      if (!outcome.retryable || attempt >= this.retries) throw outcome.error;
+
+      // Full jitter keeps parallel callers from retrying in lockstep
+      const backoff = this.random() * Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+      const delay = Math.max(backoff, outcome.retryAfterMs ?? 0);
+      console.warn(`⚠️ ${outcome.error.message}; retry ${attempt + 1}/${this.retries} in ${Math.round(delay)}ms`);
+      await this.wait(delay);
+    }
+  }
+
+  async record(query, variables, data) {
+    await fs.mkdir(this.cassetteDir, { recursive: true });
+    const file = path.join(this.cassetteDir, `${cassetteKey(query, variables)}.json`);
+    await fs.writeFile(file, JSON.stringify({ request: { query, variables }, response: { data } }, null, 2), "utf-8");
+  }
+
+  async replay(query, variables) {
+    const file = path.join(this.cassetteDir, `${cassetteKey(query, variables)}.json`);
+    let cassette;
+    try {
+      cassette = JSON.parse(await fs.readFile(file, "utf-8"));
+    } catch (error) {
+      throw new BitqueryError(`No recorded Bitquery response for these variables (${file}); run once with BITQUERY_MODE=record`, { cause: error });
+    }
+    const { data, error } = classifyResponse(200, cassette.response);
+    if (error) throw error;
+    return data;
+  }
+}
+
+let defaultClient = null;
+
+/**
+ * Process-wide client, so every caller draws from the same rate limit
+ */
+export function getBitqueryClient() {
+  if (!defaultClient) defaultClient = new BitqueryClient();
+  return defaultClient;
+}
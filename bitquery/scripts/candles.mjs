@@ -0,0 +1,206 @@
+/**
+ * OHLCV candle builder
+ *
+ * Turns individual pump.fun trades (DEXTradeByTokens rows) into
+ * open/high/low/close/volume candles at fixed resolutions. Volumes are the
+ * real traded amounts: base = tokens, quote = SOL, plus the USD value.
+ */
+
+export const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+export const DEFAULT_RESOLUTIONS = Object.keys(RESOLUTIONS);
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Start of the UTC bucket containing `time` (epoch buckets line up with UTC days)
+ */
+export function bucketStart(time, resolution) {
+  const size = RESOLUTIONS[resolution];
+  if (!size) throw new Error(`Unknown candle resolution: ${resolution}`);
+  const ms = typeof time === 'number' ? time : Date.parse(time);
+  return new Date(Math.floor(ms / size) * size).toISOString();
+}
+
+/**
+ * Flatten a DEXTradeByTokens row into a trade, or null if it has no usable price
+ */
+export function normalizeTrade(row) {
+  const trade = row?.Trade;
+  const mint = trade?.Currency?.MintAddress;
+  const time = row?.Block?.Time;
+  const priceUsd = toNumber(trade?.PriceInUSD);
+  const priceSol = toNumber(trade?.Price);
+
+  if (!mint || !time || priceUsd === null || priceUsd <= 0) return null;
+
+  const baseAmount = toNumber(trade.Amount) ?? 0;
+  const quoteAmount = toNumber(trade.Side?.Amount) ?? 0;
+  // AmountInUSD is the token side; fall back to the SOL side, then price * amount
+  const volumeUsd = toNumber(trade.AmountInUSD) || toNumber(trade.Side?.AmountInUSD) || priceUsd * baseAmount;
+
+  return {
+    mint,
+    uri: trade.Currency.Uri || null,
+    name: trade.Currency.Name || null,
+    symbol: trade.Currency.Symbol || null,
+    time: new Date(time).toISOString(),
+    slot: toNumber(row.Block.Slot),
+    signature: row.Transaction?.Signature || null,
+    trader: row.Transaction?.Signer || null,
+    side: trade.Side?.Type === 'sell' ? 'sell' : 'buy',
+    priceUsd,
+    priceSol: priceSol ?? 0,
+    baseAmount,
+    quoteAmount,
+    volumeUsd
+  };
+}
+
+/**
+ * Identity of a normalized trade, the same as the trades stream's rowKey.
+ * Trades without a signature fall back to their time.
+ */
+export const tradeKey = (trade) => [trade.signature || trade.time, trade.mint, trade.side, trade.baseAmount].join(':');
+
+function emptyCandle(trade, resolution) {
+  return {
+    mint: trade.mint,
+    uri: trade.uri,
+    resolution,
+    bucket_start: bucketStart(trade.time, resolution),
+    open_usd: trade.priceUsd,
+    high_usd: trade.priceUsd,
+    low_usd: trade.priceUsd,
+    close_usd: trade.priceUsd,
+    open_sol: trade.priceSol,
+    high_sol: trade.priceSol,
+    low_sol: trade.priceSol,
+    close_sol: trade.priceSol,
+    volume_base: 0,
+    volume_quote: 0,
+    volume_usd: 0,
+    buy_volume_usd: 0,
+    sell_volume_usd: 0,
+    trade_count: 0,
+    buy_count: 0,
+    sell_count: 0,
+    first_trade_at: trade.time,
+    last_trade_at: trade.time
+  };
+}
+
+function applyTrade(candle, trade) {
+  if (trade.time < candle.first_trade_at) {
+    candle.first_trade_at = trade.time;
+    candle.open_usd = trade.priceUsd;
+    candle.open_sol = trade.priceSol;
+  }
+  // Ties keep the later-seen trade as close, matching ascending ingestion order
+  if (trade.time >= candle.last_trade_at) {
+    candle.last_trade_at = trade.time;
+    candle.close_usd = trade.priceUsd;
+    candle.close_sol = trade.priceSol;
+  }
+  candle.high_usd = Math.max(candle.high_usd, trade.priceUsd);
+  candle.low_usd = Math.min(candle.low_usd, trade.priceUsd);
+  candle.high_sol = Math.max(candle.high_sol, trade.priceSol);
+  candle.low_sol = Math.min(candle.low_sol, trade.priceSol);
+
+  candle.volume_base += trade.baseAmount;
+  candle.volume_quote += trade.quoteAmount;
+  candle.volume_usd += trade.volumeUsd;
+  candle.trade_count += 1;
+  if (trade.side === 'sell') {
+    candle.sell_count += 1;
+    candle.sell_volume_usd += trade.volumeUsd;
+  } else {
+    candle.buy_count += 1;
+    candle.buy_volume_usd += trade.volumeUsd;
+  }
+  return candle;
+}
+
+export const candleKey = (candle) => `${candle.mint}|${candle.resolution}|${candle.bucket_start}`;
+
+/**
+ * Build candles for every trade at each resolution. Trades may arrive in any order.
+ */
+export function buildCandles(trades, resolutions = DEFAULT_RESOLUTIONS) {
+  const candles = new Map();
+
+  for (const trade of trades) {
+    for (const resolution of resolutions) {
+      const key = `${trade.mint}|${resolution}|${bucketStart(trade.time, resolution)}`;
+      if (!candles.has(key)) candles.set(key, emptyCandle(trade, resolution));
+      applyTrade(candles.get(key), trade);
+    }
+  }
+
+  return [...candles.values()].sort((a, b) =>
+    a.bucket_start.localeCompare(b.bucket_start) || a.mint.localeCompare(b.mint) || a.resolution.localeCompare(b.resolution)
+  );
+}
+
+/**
+ * Combine a stored candle with one built from newer trades for the same bucket.
+ * Both must cover disjoint trades; open/close come from whichever side traded first/last.
+ */
+export function mergeCandles(stored, incoming) {
+  if (!stored) return { ...incoming };
+  const merged = { ...stored };
+  const storedFirst = new Date(stored.first_trade_at).toISOString();
+  const storedLast = new Date(stored.last_trade_at).toISOString();
+
+  if (incoming.first_trade_at < storedFirst) {
+    merged.first_trade_at = incoming.first_trade_at;
+    merged.open_usd = incoming.open_usd;
+    merged.open_sol = incoming.open_sol;
+  }
+  if (incoming.last_trade_at >= storedLast) {
+    merged.last_trade_at = incoming.last_trade_at;
+    merged.close_usd = incoming.close_usd;
+    merged.close_sol = incoming.close_sol;
+  }
+  for (const field of ['high_usd', 'high_sol']) {
+    merged[field] = Math.max(Number(stored[field]), incoming[field]);
+  }
+  for (const field of ['low_usd', 'low_sol']) {
+    merged[field] = Math.min(Number(stored[field]), incoming[field]);
+  }
+  for (const field of ['volume_base', 'volume_quote', 'volume_usd', 'buy_volume_usd', 'sell_volume_usd', 'trade_count', 'buy_count', 'sell_count']) {
+    merged[field] = Number(stored[field] || 0) + incoming[field];
+  }
+  return merged;
+}
+
+/**
+ * Most recent 1m candle per mint; its close is the token's latest price
+ */
+export function latestCandles(candles) {
+  const latest = new Map();
+  for (const candle of candles) {
+    if (candle.resolution !== '1m') continue;
+    const current = latest.get(candle.mint);
+    if (!current || candle.last_trade_at > current.last_trade_at) latest.set(candle.mint, candle);
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Trailing 24h USD volume from hourly candles (the current hour counts in full)
+ */
+export function rollingVolume(hourlyCandles, now = Date.now()) {
+  const since = bucketStart(now - RESOLUTIONS['1d'] + RESOLUTIONS['1h'], '1h');
+  return hourlyCandles
+    .filter(candle => new Date(candle.bucket_start).toISOString() >= since)
+    .reduce((total, candle) => total + Number(candle.volume_usd || 0), 0);
+}
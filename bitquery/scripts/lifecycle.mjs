@@ -0,0 +1,307 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { parseArgs } from "util";
+import { resolveTokens } from "./supabase/candles.mjs";
+
+dotenv.config();
+
+/**
+ * pump.fun token lifecycle
+ *
+ * Every token moves through launched → bonding → graduated, or stalls and is
+ * marked abandoned. Transitions are driven by the data we already ingest:
+ * `create` instructions launch a token, curve trades move it to bonding (with
+ * progress read off the trade price), `migrate` instructions graduate it to a
+ * PumpSwap pool, and a sweep abandons tokens nobody has traded for a day.
+ * One row per token lives in `token_lifecycle`, with the time each state was
+ * last entered and the full transition history.
+ */
+
+export const LIFECYCLE_STATES = ["launched", "bonding", "graduated", "abandoned"];
+
+// pump.fun's constant-product curve: 30 virtual SOL against 1,073,000,191
+// virtual tokens, of which 793,100,000 are sold before the curve completes
+export const BONDING_CURVE = {
+  virtualSolReserves: 30,
+  virtualTokenReserves: 1073000191,
+  tokensForSale: 793100000,
+};
+
+export const DEFAULT_ABANDON_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Account positions in the pump program's `migrate` instruction
+const MIGRATE_MINT_ACCOUNT = 2;
+const MIGRATE_POOL_ACCOUNT = 9;
+
+const batchSize = 100;
+
+function createSupabase() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Share of the curve's tokens sold (0–1) at a price in SOL per token.
+ * Virtual reserves keep x·y = k, so the price alone fixes the token reserve.
+ */
+export function bondingProgress(priceSol) {
+  if (!Number.isFinite(priceSol) || priceSol <= 0) return null;
+  const { virtualSolReserves, virtualTokenReserves, tokensForSale } = BONDING_CURVE;
+  const tokenReserves = Math.sqrt((virtualSolReserves * virtualTokenReserves) / priceSol);
+  const progress = (virtualTokenReserves - tokenReserves) / tokensForSale;
+  return Math.round(Math.min(1, Math.max(0, progress)) * 10000) / 10000;
+}
+
+// Stored timestamps come back as "+00:00" strings, so compare instants rather than text
+const isBefore = (a, b) => Date.parse(a) < Date.parse(b);
+
+function transition(record, to, at) {
+  if (record.state === to) return record;
+  return {
+    ...record,
+    state: to,
+    [`${to}_at`]: at,
+    transitions: [...(record.transitions || []), { from: record.state || null, to, at }],
+  };
+}
+
+/**
+ * Apply one event to a lifecycle row (null for a token we have not seen).
+ * Returns the updated row; unchanged events return the same object.
+ *
+ * Events: { type: "launch" | "trade" | "migrate" | "abandon", time, priceSol?, poolAddress? }
+ */
+export function applyLifecycleEvent(record, event) {
+  const current = record || {
+    state: null,
+    bonding_progress: null,
+    pool_address: null,
+    last_trade_at: null,
+    launched_at: null,
+    bonding_at: null,
+    graduated_at: null,
+    abandoned_at: null,
+    transitions: [],
+  };
+  const { time } = event;
+
+  switch (event.type) {
+    case "launch":
+      if (!current.state) return transition({ ...current, bonding_progress: 0 }, "launched", time);
+      // Trades arrived first; keep their state but remember when the token was created
+      if (!current.launched_at || isBefore(time, current.launched_at)) return { ...current, launched_at: time };
+      return current;
+
+    case "trade": {
+      if (current.last_trade_at && !isBefore(current.last_trade_at, time)) return current;
+      let next = { ...current, last_trade_at: time };
+      if (current.state === "graduated") return next;
+
+      const progress = bondingProgress(event.priceSol);
+      if (progress !== null) next.bonding_progress = progress;
+      // A trade after the sweep gave up on the token revives it
+      if (next.state === "abandoned" && !isBefore(next.abandoned_at, time)) return next;
+      if (next.state !== "bonding") next = transition(next, "bonding", time);
+      return next;
+    }
+
+    case "migrate":
+      if (current.state === "graduated") return current;
+      return transition({ ...current, bonding_progress: 1, pool_address: event.poolAddress || null }, "graduated", time);
+
+    case "abandon":
+      if (current.state !== "launched" && current.state !== "bonding") return current;
+      return transition(current, "abandoned", time);
+
+    default:
+      throw new Error(`Unknown lifecycle event: ${event.type}`);
+  }
+}
+
+/**
+ * Whether a launched or bonding token has gone quiet for longer than `abandonAfterMs`
+ */
+export function isAbandoned(record, now, abandonAfterMs = DEFAULT_ABANDON_AFTER_MS) {
+  if (record.state !== "launched" && record.state !== "bonding") return false;
+  const lastActivity = record.last_trade_at || record.launched_at || record.bonding_at;
+  return Boolean(lastActivity) && now - Date.parse(lastActivity) > abandonAfterMs;
+}
+
+const toIso = (time) => new Date(time).toISOString();
+
+/**
+ * `create` instruction row → launch event. The mint is the instruction's first account.
+ */
+export function launchEvent(row) {
+  const mint = row?.Instruction?.Accounts?.[0]?.Address;
+  const uri = row?.Instruction?.Program?.Arguments?.[2]?.Value?.string;
+  if (!mint || !row?.Block?.Time) return null;
+  return { type: "launch", mint, uri: uri || null, time: toIso(row.Block.Time) };
+}
+
+/**
+ * Normalized trade (see candles.mjs) → trade event
+ */
+export function tradeEvent(trade) {
+  return { type: "trade", mint: trade.mint, uri: trade.uri, time: trade.time, priceSol: trade.priceSol };
+}
+
+/**
+ * `migrate` instruction row → migrate event with the new pool
+ */
+export function migrateEvent(row) {
+  const accounts = row?.Instruction?.Accounts || [];
+  const mint = accounts[MIGRATE_MINT_ACCOUNT]?.Address;
+  if (!mint || !row?.Block?.Time) return null;
+  return {
+    type: "migrate",
+    mint,
+    uri: null,
+    time: toIso(row.Block.Time),
+    poolAddress: accounts[MIGRATE_POOL_ACCOUNT]?.Address || null,
+  };
+}
+
+export class LifecycleTracker {
+  constructor({ supabase, now = () => Date.now(), abandonAfterMs = DEFAULT_ABANDON_AFTER_MS } = {}) {
+    this.supabase = supabase || createSupabase();
+    this.now = now;
+    this.abandonAfterMs = abandonAfterMs;
+  }
+
+  async fetchLifecycles(column, values) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += batchSize) {
+      const { data, error } = await this.supabase
+        .from("token_lifecycle")
+        .select("*")
+        .in(column, values.slice(i, i + batchSize));
+      if (error) throw error;
+      rows.push(...data);
+    }
+    return rows;
+  }
+
+  /**
+   * Apply events in time order and upsert the rows they changed
+   */
+  async record(events) {
+    events = events.filter(Boolean);
+    if (events.length === 0) return { updated: 0, transitions: 0, skipped: 0 };
+
+    // Tokens we already track are matched by mint; the rest go through the tokens table
+    const byMint = new Map();
+    for (const row of await this.fetchLifecycles("mint", [...new Set(events.map((event) => event.mint))])) {
+      byMint.set(row.mint, { tokenId: row.token_id, record: row });
+    }
+    const untracked = events.filter((event) => !byMint.has(event.mint));
+    if (untracked.length > 0) {
+      const tokens = await resolveTokens(this.supabase, untracked);
+      const stored = new Map(
+        (await this.fetchLifecycles("token_id", [...new Set([...tokens.values()].map((token) => token.id))]))
+          .map((row) => [row.token_id, row])
+      );
+      tokens.forEach((token, mint) => {
+        if (!byMint.has(mint)) byMint.set(mint, { tokenId: token.id, record: stored.get(token.id) || null });
+      });
+    }
+
+    const records = new Map();
+    let skipped = 0;
+    for (const event of [...events].sort((a, b) => a.time.localeCompare(b.time))) {
+      const match = byMint.get(event.mint);
+      if (!match) {
+        skipped++;
+        continue;
+      }
+      const before = records.get(match.tokenId)?.record ?? match.record;
+      const after = applyLifecycleEvent(before, event);
+      if (after !== before) records.set(match.tokenId, { record: after, mint: event.mint, original: match.record });
+    }
+    if (skipped > 0) console.warn(`⚠️ Skipping ${skipped} lifecycle events for mints not in the tokens table`);
+
+    return this.save([...records.entries()], skipped);
+  }
+
+  async save(entries, skipped = 0) {
+    const updatedAt = toIso(this.now());
+    const rows = entries.map(([tokenId, { record, mint }]) => ({
+      ...record,
+      token_id: tokenId,
+      mint: record.mint || mint,
+      updated_at: updatedAt,
+    }));
+    const transitions = entries.reduce(
+      (sum, [, { record, original }]) => sum + record.transitions.length - (original?.transitions?.length || 0),
+      0
+    );
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const { error } = await this.supabase
+        .from("token_lifecycle")
+        .upsert(rows.slice(i, i + batchSize), { onConflict: "token_id" });
+      if (error) {
+        console.error(`❌ Error upserting lifecycle rows starting at index ${i}:`, error);
+        throw error;
+      }
+    }
+    if (rows.length > 0) console.log(`🔄 Lifecycle: ${rows.length} tokens updated, ${transitions} transitions`);
+    return { updated: rows.length, transitions, skipped };
+  }
+
+  recordLaunches(rows) {
+    return this.record(rows.map(launchEvent));
+  }
+
+  recordTrades(trades) {
+    return this.record(trades.map(tradeEvent));
+  }
+
+  recordMigrations(rows) {
+    return this.record(rows.map(migrateEvent));
+  }
+
+  /**
+   * Mark launched/bonding tokens without a trade for `abandonAfterMs` as abandoned
+   */
+  async sweepAbandoned() {
+    const now = this.now();
+    const cutoff = toIso(now - this.abandonAfterMs);
+    const { data, error } = await this.supabase
+      .from("token_lifecycle")
+      .select("*")
+      .in("state", ["launched", "bonding"])
+      .or(`last_trade_at.lt.${cutoff},and(last_trade_at.is.null,launched_at.lt.${cutoff})`);
+    if (error) throw error;
+
+    const entries = (data || [])
+      .filter((row) => isAbandoned(row, now, this.abandonAfterMs))
+      .map((row) => [row.token_id, { record: applyLifecycleEvent(row, { type: "abandon", time: toIso(now) }), mint: row.mint, original: row }]);
+    console.log(`🪦 ${entries.length} tokens abandoned (no trades since ${cutoff})`);
+    return this.save(entries);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "abandon-after-hours": { type: "string", default: "24" },
+    },
+  });
+
+  const tracker = new LifecycleTracker({ abandonAfterMs: parseFloat(values["abandon-after-hours"]) * 60 * 60 * 1000 });
+  const { updated } = await tracker.sweepAbandoned();
+  console.log(`✅ Lifecycle sweep done, ${updated} tokens updated`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Lifecycle sweep failed:", error);
+    process.exit(1);
+  });
+}
@@ -1,6 +1,6 @@
-import axios from "axios";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
+import { getBitqueryClient } from "./bitquery-client.mjs";
 
 // Polyfill for Node.js compatibility
 import fetch from 'node-fetch';
@@ -12,112 +12,56 @@ global.Headers = Headers;
 
 dotenv.config();
 
-export async function fetchMarketData(tokenMintAddress) {
-  // Validate environment variables
-  if (!process.env.BITQUERY_API_KEY) {
-    throw new Error("BITQUERY_API_KEY environment variable is not set");
-  }
-  
-  if (!process.env.ACCESS_TOKEN) {
-    throw new Error("ACCESS_TOKEN environment variable is not set");
-  }
-
-  const query = {
-    query: `{
-      Solana {
-        TokenSupplyUpdates(
-          where: {
-            TokenSupplyUpdate: {
-              Currency: { MintAddress: { is: "${tokenMintAddress}" } }
-            }
-          }
-          limit: { count: 1 }
-          orderBy: { descending: Block_Time }
-        ) {
-          TokenSupplyUpdate {
-            Currency {
-              Name
-              Symbol
-              MintAddress
-              Decimals
-            }
-            PostBalance          # Total supply
-            PostBalanceInUSD     # Market cap (if available)
-          }
+const MARKET_DATA_QUERY = `query MarketData($mint: String) {
+  Solana {
+    TokenSupplyUpdates(
+      where: {
+        TokenSupplyUpdate: {
+          Currency: { MintAddress: { is: $mint } }
         }
       }
-      Trading {
-        Tokens(
-          limit: { count: 1 }
-          where: {
-            Price: { IsQuotedInUsd: true }
-            Interval: { Time: { Duration: { eq: 1 } } }
-            Token: { Address: { is: "${tokenMintAddress}" } }
-          }
-        ) {
-          Block {
-            Time(maximum: Block_Time)
-          }
-          Price {
-            Average {
-              Mean             # Current price
-            }
-          }
+      limit: { count: 1 }
+      orderBy: { descending: Block_Time }
+    ) {
+      TokenSupplyUpdate {
+        Currency {
+          Name
+          Symbol
+          MintAddress
+          Decimals
         }
+        PostBalance          # Total supply
+        PostBalanceInUSD     # Market cap (if available)
       }
-    }`,
-    variables: "{}"
-  };
-
-  const config = {
-    method: "post",
-    maxBodyLength: Infinity,
-    url: "https://streaming.bitquery.io/eap",
-    headers: {
-      "Content-Type": "application/json",
-      "X-API-KEY": process.env.BITQUERY_API_KEY,
-      "Authorization": "Bearer " + process.env.ACCESS_TOKEN,
-    },
-    data: JSON.stringify(query),
-  };
+    }
+  }
+  Trading {
+    Tokens(
+      limit: { count: 1 }
+      where: {
+        Price: { IsQuotedInUsd: true }
+        Interval: { Time: { Duration: { eq: 1 } } }
+        Token: { Address: { is: $mint } }
+      }
+    ) {
+      Block {
+        Time(maximum: Block_Time)
+      }
+      Price {
+        Average {
+          Mean             # Current price
+        }
+      }
+    }
+  }
+}`;
 
+export async function fetchMarketData(tokenMintAddress, { client = getBitqueryClient() } = {}) {
   try {
     console.log(`🔍 Fetching market data for token: ${tokenMintAddress}`);
     
-    const response = await axios.request(config);
-    
-    // Debug: Log the response structure
-    console.log("🔍 API Response Status:", response.status);
-    console.log("🔍 Response Data Keys:", Object.keys(response.data || {}));
-    
-    // Validate response structure
-    if (!response.data) {
-      throw new Error("No response data received from Bitquery API");
-    }
-    
-    // Check for API errors
-    if (response.data.errors) {
-      console.error("❌ Bitquery API Errors:", response.data.errors);
-      throw new Error(`Bitquery API returned errors: ${JSON.stringify(response.data.errors)}`);
-    }
-    
-    // Check for rate limiting or authentication issues
-    if (response.status === 401) {
-      throw new Error("Bitquery API authentication failed - check API key and access token");
-    }
-    
-    if (response.status === 403) {
-      throw new Error("Bitquery API access denied - check API permissions");
-    }
-    
-    if (response.status === 429) {
-      throw new Error("Bitquery API rate limit exceeded - try again later");
-    }
-    
-    // Validate the expected data structure
-    if (!response.data.data) {
-      throw new Error("Bitquery API response missing 'data' field");
-    }
+    // Auth, quota and malformed responses arrive as typed errors from the client
+    const data = await client.query(MARKET_DATA_QUERY, { mint: tokenMintAddress });
     
     const marketData = {
       tokenMintAddress,
@@ -130,8 +74,8 @@ export async function fetchMarketData(tokenMintAddress) {
     };
     
     // Extract supply and market cap data
-    if (response.data.data.Solana && response.data.data.Solana.TokenSupplyUpdates) {
-      const supplyUpdate = response.data.data.Solana.TokenSupplyUpdates[0];
+    if (data.Solana && data.Solana.TokenSupplyUpdates) {
+      const supplyUpdate = data.Solana.TokenSupplyUpdates[0];
       if (supplyUpdate && supplyUpdate.TokenSupplyUpdate) {
         const update = supplyUpdate.TokenSupplyUpdate;
         marketData.supply = update.PostBalance;
@@ -146,8 +90,8 @@ export async function fetchMarketData(tokenMintAddress) {
     }
     
     // Extract current price data
-    if (response.data.data.Trading && response.data.data.Trading.Tokens) {
-      const tokenData = response.data.data.Trading.Tokens[0];
+    if (data.Trading && data.Trading.Tokens) {
+      const tokenData = data.Trading.Tokens[0];
       if (tokenData && tokenData.Price && tokenData.Price.Average) {
         marketData.currentPrice = tokenData.Price.Average.Mean;
       }
@@ -157,21 +101,7 @@ export async function fetchMarketData(tokenMintAddress) {
     return marketData;
     
   } catch (error) {
-    console.error("❌ Error fetching market data:", error);
-    
-    // Enhanced error logging
-    if (error.response) {
-      console.error("❌ HTTP Response Error:");
-      console.error("  Status:", error.response.status);
-      console.error("  Status Text:", error.response.statusText);
-      console.error("  Data:", error.response.data);
-    } else if (error.request) {
-      console.error("❌ Network Request Error:");
-      console.error("  Request:", error.request);
-    } else {
-      console.error("❌ Other Error:", error.message);
-    }
-    
+    console.error(`❌ Error fetching market data (${error.name}${error.status ? `, HTTP ${error.status}` : ""}):`, error.message);
     throw error;
   }
 }
@@ -0,0 +1,319 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { clusterApiUrl, Connection, PublicKey } from "@solana/web3.js";
+import { parseArgs } from "util";
+
+dotenv.config();
+
+/**
+ * Launch sniper and bundled-buy detection
+ *
+ * Looks at the buys in the first few slots after a token's create
+ * instruction (from `token_trades`, which the trades stream fills) and asks
+ * how many wallets got in, how much of the supply they took in the very first
+ * block, whether those wallets were funded from the same place, and whether
+ * that place was the deployer. The answer is a 0-1 `sniper_score` in
+ * `token_snipers`, which RiskAssessmentTool reads as its sniper risk factor.
+ */
+
+export const DEFAULT_OPTIONS = {
+  earlySlots: 5, // the create slot and the four after it
+  totalSupply: 1000000000, // every pump.fun mint starts with 1B tokens
+  // Wallets with more history than this are not fresh snipers; their funder is left unknown
+  maxSignaturePages: 2,
+  minClusterWallets: 2,
+  // Launches younger than this may still be missing early trades
+  settleAfterMs: 2 * 60 * 1000,
+  lookbackMs: 6 * 60 * 60 * 1000,
+  // A first block taking this share of supply scores the full supply component
+  heavyFirstBlockShare: 0.3,
+  // This many distinct early buyers scores the full crowding component
+  crowdedEarlyBuyers: 20,
+  weights: { firstBlock: 0.35, bundled: 0.25, deployerFunded: 0.25, crowding: 0.15 },
+};
+
+const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+const batchSize = 100;
+const pageSize = 1000;
+const signaturePageSize = 1000;
+
+function createSupabase() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+const toIso = (time) => new Date(time).toISOString();
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * The wallet that sent `wallet` its first SOL, read from the oldest transaction
+ * in its history. Null when the history is longer than `maxPages` pages (an
+ * established wallet, not a fresh one) or the first transaction has no
+ * system transfer into it.
+ */
+export async function findFunder(connection, wallet, { maxPages = DEFAULT_OPTIONS.maxSignaturePages } = {}) {
+  const address = new PublicKey(wallet);
+
+  let oldest = null;
+  let before;
+  for (let page = 0; ; page++) {
+    if (page >= maxPages) return null;
+    const signatures = await connection.getSignaturesForAddress(address, { before, limit: signaturePageSize });
+    if (signatures.length === 0) break;
+    oldest = signatures[signatures.length - 1];
+    if (signatures.length < signaturePageSize) break;
+    before = oldest.signature;
+  }
+  if (!oldest) return null;
+
+  const transaction = await connection.getParsedTransaction(oldest.signature, { maxSupportedTransactionVersion: 0 });
+  if (!transaction) return null;
+
+  const instructions = [
+    ...transaction.transaction.message.instructions,
+    ...(transaction.meta?.innerInstructions || []).flatMap((inner) => inner.instructions),
+  ];
+  const funding = instructions.find((instruction) =>
+    instruction.programId?.toBase58?.() === SYSTEM_PROGRAM_ID &&
+    ["transfer", "transferWithSeed", "createAccount"].includes(instruction.parsed?.type) &&
+    (instruction.parsed.info.destination || instruction.parsed.info.newAccount) === wallet
+  );
+  if (!funding) return null;
+  return {
+    funder: funding.parsed.info.source,
+    fundedAt: oldest.blockTime ? toIso(oldest.blockTime * 1000) : null,
+  };
+}
+
+/**
+ * Score the early buys of one launch.
+ *
+ * `trades` are the token's `token_trades` rows, `funders` maps wallet →
+ * funding wallet (missing when unknown). Buys in `launchSlot` make up the
+ * first block; buys up to `launchSlot + earlySlots - 1` are early.
+ */
+export function scoreSnipers({ trades, launchSlot, deployer = null, funders = new Map(), totalSupply }, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const supply = Number(totalSupply) || settings.totalSupply;
+
+  const early = trades.filter((trade) =>
+    trade.side === "buy" && trade.trader && trade.slot !== null && trade.slot !== undefined &&
+    Number(trade.slot) >= launchSlot && Number(trade.slot) < launchSlot + settings.earlySlots
+  );
+  const firstBlock = early.filter((trade) => Number(trade.slot) === launchSlot);
+  const amount = (rows) => rows.reduce((sum, trade) => sum + (Number(trade.base_amount) || 0), 0);
+
+  // The deployer's own dev buy is public; the question is who else got in with it
+  const buyers = [...new Set(early.map((trade) => trade.trader))].filter((wallet) => wallet !== deployer);
+  const firstBlockBuyers = new Set(firstBlock.map((trade) => trade.trader).filter((wallet) => wallet !== deployer));
+
+  const byFunder = new Map();
+  for (const wallet of buyers) {
+    const funder = funders.get(wallet);
+    if (!funder) continue;
+    if (!byFunder.has(funder)) byFunder.set(funder, []);
+    byFunder.get(funder).push(wallet);
+  }
+  const clusters = [...byFunder.entries()]
+    .filter(([funder, wallets]) => wallets.length >= settings.minClusterWallets || (deployer && funder === deployer))
+    .map(([funder, wallets]) => ({ funder, wallets: wallets.sort(), deployer: Boolean(deployer) && funder === deployer }))
+    .sort((a, b) => b.wallets.length - a.wallets.length);
+
+  const bundledWallets = new Set(clusters.filter((cluster) => cluster.wallets.length >= settings.minClusterWallets).flatMap((cluster) => cluster.wallets));
+  const deployerFunded = clusters.filter((cluster) => cluster.deployer).flatMap((cluster) => cluster.wallets);
+
+  const firstBlockShare = amount(firstBlock) / supply;
+  const components = {
+    firstBlock: Math.min(1, firstBlockShare / settings.heavyFirstBlockShare),
+    bundled: buyers.length > 0 ? bundledWallets.size / buyers.length : 0,
+    deployerFunded: deployerFunded.length > 0 ? 1 : 0,
+    crowding: Math.min(1, buyers.length / settings.crowdedEarlyBuyers),
+  };
+  const score = Object.entries(settings.weights).reduce((sum, [key, weight]) => sum + components[key] * weight, 0);
+
+  const flags = [];
+  if (firstBlockShare >= settings.heavyFirstBlockShare) flags.push("heavy_first_block");
+  if (bundledWallets.size > 0) flags.push("bundled_buys");
+  if (deployerFunded.length > 0) flags.push("deployer_funded_snipers");
+
+  return {
+    launch_slot: launchSlot,
+    early_slots: settings.earlySlots,
+    early_buyers: buyers.length,
+    first_block_buyers: firstBlockBuyers.size,
+    first_block_supply_share: round(firstBlockShare),
+    early_supply_share: round(amount(early) / supply),
+    funded_wallets: buyers.filter((wallet) => funders.has(wallet)).length,
+    bundled_wallets: bundledWallets.size,
+    deployer_funded_wallets: deployerFunded.length,
+    funding_clusters: clusters,
+    sniper_score: round(Math.min(1, score)),
+    flags,
+  };
+}
+
+export class SniperDetector {
+  constructor({
+    connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl("mainnet-beta"), "confirmed"),
+    supabase,
+    now = () => Date.now(),
+    ...options
+  } = {}) {
+    this.connection = connection;
+    this.supabase = supabase || createSupabase();
+    this.now = now;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.funders = new Map();
+  }
+
+  /**
+   * Analyze launches from the last `lookbackMs` that are old enough to have
+   * all their early trades and have no `token_snipers` row yet
+   */
+  async analyzeNewTokens({ limit = 100 } = {}) {
+    const now = this.now();
+    const { data: tokens, error } = await this.supabase
+      .from("tokens")
+      .select("id, address, deployer, created_at, created_slot, total_supply")
+      .gte("created_at", toIso(now - this.options.lookbackMs))
+      .lte("created_at", toIso(now - this.options.settleAfterMs))
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    if (!tokens || tokens.length === 0) return { analyzed: 0, flagged: 0 };
+
+    const { data: existing, error: existingError } = await this.supabase
+      .from("token_snipers")
+      .select("token_id")
+      .in("token_id", tokens.map((token) => token.id));
+    if (existingError) throw existingError;
+    const done = new Set((existing || []).map((row) => row.token_id));
+
+    return this.analyze(tokens.filter((token) => !done.has(token.id)));
+  }
+
+  /**
+   * Score the given token rows and upsert their `token_snipers` rows
+   */
+  async analyze(tokens) {
+    const trades = await this.fetchTrades(tokens.map((token) => token.id));
+    const rows = [];
+
+    for (const token of tokens) {
+      const tokenTrades = trades.filter((trade) => trade.token_id === token.id);
+      // Without the create slot, the first trade we saw stands in for it
+      const slots = tokenTrades.map((trade) => Number(trade.slot)).filter(Number.isFinite);
+      const launchSlot = token.created_slot != null
+        ? Number(token.created_slot)
+        : slots.length > 0 ? Math.min(...slots) : null;
+      if (launchSlot === null) {
+        console.log(`  ⏭️ ${token.address}: no trades with slots yet`);
+        continue;
+      }
+
+      const earlyWallets = [...new Set(tokenTrades
+        .filter((trade) => trade.side === "buy" && trade.trader && Number(trade.slot) < launchSlot + this.options.earlySlots)
+        .map((trade) => trade.trader))]
+        .filter((wallet) => wallet !== token.deployer);
+      const funders = await this.lookupFunders(earlyWallets);
+
+      const result = scoreSnipers({
+        trades: tokenTrades,
+        launchSlot,
+        deployer: token.deployer,
+        funders,
+        totalSupply: token.total_supply,
+      }, this.options);
+      rows.push({ token_id: token.id, ...result, analyzed_at: toIso(this.now()) });
+
+      const flags = result.flags.join(", ") || "clean launch";
+      console.log(`  ${result.flags.length ? "🎯" : "✅"} ${token.address}: sniper score ${result.sniper_score} (${flags})`);
+    }
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const { error } = await this.supabase
+        .from("token_snipers")
+        .upsert(rows.slice(i, i + batchSize), { onConflict: "token_id" });
+      if (error) {
+        console.error(`❌ Error upserting sniper rows starting at index ${i}:`, error);
+        throw error;
+      }
+    }
+    const flagged = rows.filter((row) => row.flags.length > 0).length;
+    console.log(`🎯 Snipers: ${rows.length} launches analyzed, ${flagged} flagged`);
+    return { analyzed: rows.length, flagged };
+  }
+
+  // Every buy, paged: a launch missing its earliest buys would get the wrong
+  // launch slot, early-wallet set and score
+  async fetchTrades(tokenIds) {
+    const trades = [];
+    for (let i = 0; i < tokenIds.length; i += batchSize) {
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from("token_trades")
+          .select("token_id, trader, side, base_amount, slot, traded_at")
+          .in("token_id", tokenIds.slice(i, i + batchSize))
+          .eq("side", "buy")
+          .not("slot", "is", null)
+          .order("traded_at", { ascending: true })
+          .order("trade_key", { ascending: true })
+          .range(offset, offset + pageSize - 1);
+        if (error) throw error;
+        trades.push(...data);
+        if (data.length < pageSize) break;
+      }
+    }
+    return trades;
+  }
+
+  /**
+   * wallet → funder for the wallets whose funder could be found. Lookups are
+   * cached for the life of the detector, since snipers reuse wallets across launches.
+   */
+  async lookupFunders(wallets) {
+    const funders = new Map();
+    for (const wallet of wallets) {
+      if (!this.funders.has(wallet)) {
+        try {
+          const found = await findFunder(this.connection, wallet, { maxPages: this.options.maxSignaturePages });
+          this.funders.set(wallet, found?.funder || null);
+        } catch (error) {
+          console.error(`  ❌ Funding lookup failed for ${wallet}: ${error.message}`);
+          continue;
+        }
+      }
+      if (this.funders.get(wallet)) funders.set(wallet, this.funders.get(wallet));
+    }
+    return funders;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      limit: { type: "string", default: "100" },
+      "early-slots": { type: "string", default: String(DEFAULT_OPTIONS.earlySlots) },
+      rpc: { type: "string" },
+    },
+  });
+
+  const detector = new SniperDetector({
+    connection: new Connection(values.rpc || process.env.SOLANA_RPC_URL || clusterApiUrl("mainnet-beta"), "confirmed"),
+    earlySlots: parseInt(values["early-slots"], 10),
+  });
+  const { analyzed, flagged } = await detector.analyzeNewTokens({ limit: parseInt(values.limit, 10) });
+  console.log(`✅ Sniper check done, ${analyzed} analyzed, ${flagged} flagged`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Sniper check failed:", error);
+    process.exit(1);
+  });
+}
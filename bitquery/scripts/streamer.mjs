@@ -0,0 +1,347 @@
+import dotenv from "dotenv";
+import * as fs from "fs";
+import { parseArgs } from "util";
+import WebSocket from "ws";
+import { BitqueryAuthError } from "./bitquery-client.mjs";
+import { LAUNCH_FIELDS, STREAMS, TRADE_FIELDS } from "./streams.mjs";
+import { SyncEngine, createCheckpointStore } from "./sync.mjs";
+
+dotenv.config();
+
+/**
+ * Live pump.fun trades and launches over Bitquery GraphQL subscriptions
+ *
+ * Speaks the `graphql-ws` protocol Bitquery's streaming endpoint uses. Rows are
+ * de-duplicated, buffered for `flushMs` and written through the same push
+ * functions as the polling sync (launches first, so new mints exist before
+ * their trades become candles). After a dropped connection the streamer
+ * reconnects with jittered backoff and back-fills from the last flushed row
+ * to the moment it resubscribed.
+ */
+
+export const BITQUERY_WS_URL = "wss://streaming.bitquery.io/eap";
+
+// Cursor in sync_checkpoints: the newest row the streamer has written
+export const LIVE_CHECKPOINT = "live";
+
+const LAUNCHES_SUBSCRIPTION = `subscription PumpLaunches {
+  Solana {
+    Instructions(
+      where: {
+        Instruction: { Program: { Method: { is: "create" }, Name: { is: "pump" } } }
+        Transaction: { Result: { Success: true } }
+      }
+    ) {
+      ${LAUNCH_FIELDS}
+    }
+  }
+}`;
+
+const TRADES_SUBSCRIPTION = `subscription PumpTrades {
+  Solana {
+    DEXTradeByTokens(
+      where: {
+        Trade: {
+          Dex: { ProtocolName: { is: "pump" } }
+          Currency: { MintAddress: { notIn: ["11111111111111111111111111111111"] } }
+          Side: { Currency: { MintAddress: { is: "11111111111111111111111111111111" } } }
+        }
+        Transaction: { Result: { Success: true } }
+      }
+    ) {
+      ${TRADE_FIELDS}
+    }
+  }
+}`;
+
+// Flush order matters: launches create the token rows trades are matched against
+export const LIVE_SUBSCRIPTIONS = {
+  launches: { stream: STREAMS.memecoins, query: LAUNCHES_SUBSCRIPTION },
+  trades: { stream: STREAMS.trades, query: TRADES_SUBSCRIPTION },
+};
+
+// Close codes a server uses to refuse the credentials; reconnecting won't help
+const AUTH_CLOSE_CODES = new Set([4401, 4403]);
+const SEEN_LIMIT = 20000;
+
+export class BitqueryStreamer {
+  constructor({
+    url = BITQUERY_WS_URL,
+    apiKey = process.env.BITQUERY_API_KEY,
+    accessToken = process.env.ACCESS_TOKEN,
+    WebSocketImpl = WebSocket,
+    subscriptions = Object.keys(LIVE_SUBSCRIPTIONS),
+    push = {},
+    catchUp = null,
+    checkpoints = null,
+    flushMs = 1000,
+    keepAliveMs = 30000,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    random = Math.random,
+    now = () => Date.now(),
+    recordFile = null,
+  } = {}) {
+    Object.assign(this, {
+      url, apiKey, accessToken, WebSocketImpl, push, catchUp, checkpoints,
+      flushMs, keepAliveMs, baseDelayMs, maxDelayMs, random, now,
+    });
+    this.subscriptions = subscriptions.map((name) => {
+      if (!LIVE_SUBSCRIPTIONS[name]) throw new Error(`Unknown subscription: ${name}`);
+      return { name, ...LIVE_SUBSCRIPTIONS[name] };
+    });
+    this.recorder = recordFile ? fs.createWriteStream(recordFile, { flags: "a" }) : null;
+
+    this.buffers = new Map(this.subscriptions.map(({ name }) => [name, []]));
+    this.seen = new Set();
+    this.lastSeenAt = null;
+    this.attempt = 0;
+    this.running = false;
+    // Catch-ups and flushes run one at a time, in the order they were queued
+    this.writes = Promise.resolve();
+    this.stats = { connections: 0, rows: 0, duplicates: 0, catchUps: 0 };
+  }
+
+  /**
+   * Stream until stop(). Rejects only when the credentials are refused.
+   */
+  async start() {
+    if (!this.accessToken) {
+      throw new BitqueryAuthError("ACCESS_TOKEN environment variable must be set for streaming");
+    }
+    this.lastSeenAt = this.checkpoints ? await this.checkpoints.get(LIVE_CHECKPOINT) : null;
+    this.running = true;
+    this.flushTimer = setInterval(() => this.enqueue(() => this.flush()), this.flushMs);
+
+    return new Promise((resolve, reject) => {
+      this.finished = { resolve, reject };
+      this.connect();
+    });
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.flushTimer);
+    clearTimeout(this.reconnectTimer);
+    if (this.socket && this.socket.readyState === this.WebSocketImpl.OPEN) {
+      this.subscriptions.forEach(({ name }) => this.send({ id: name, type: "stop" }));
+      this.send({ type: "connection_terminate" });
+      this.socket.close(1000);
+    }
+    await this.enqueue(() => this.flush());
+    this.recorder?.end();
+    this.finished?.resolve(this.stats);
+  }
+
+  connect() {
+    const url = `${this.url}?token=${encodeURIComponent(this.accessToken)}`;
+    const socket = new this.WebSocketImpl(url, "graphql-ws", {
+      headers: this.apiKey ? { "X-API-KEY": this.apiKey } : {},
+    });
+    this.socket = socket;
+
+    socket.on("open", () => this.send({ type: "connection_init", payload: {} }));
+    socket.on("message", (raw) => this.onMessage(raw.toString()));
+    socket.on("error", (error) => console.error("❌ Stream socket error:", error.message));
+    socket.on("close", (code, reason) => this.onClose(socket, code, reason?.toString()));
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  onMessage(text) {
+    this.armKeepAlive();
+    this.recorder?.write(text + "\n");
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      console.warn("⚠️ Ignoring non-JSON stream frame");
+      return;
+    }
+
+    switch (message.type) {
+      case "connection_ack":
+        this.onAck();
+        break;
+      case "connection_error":
+        this.fail(new BitqueryAuthError(`Bitquery refused the stream: ${JSON.stringify(message.payload)}`));
+        break;
+      case "data":
+        this.onData(message.id, message.payload);
+        break;
+      case "error":
+        console.error(`❌ Subscription ${message.id} error:`, JSON.stringify(message.payload));
+        break;
+      case "complete":
+        // The server ended a subscription; reconnecting resubscribes everything
+        console.warn(`⚠️ Subscription ${message.id} completed by the server`);
+        this.socket.terminate();
+        break;
+      default:
+        // "ka" keep-alives only need to reset the timer
+        break;
+    }
+  }
+
+  onAck() {
+    this.attempt = 0;
+    this.stats.connections++;
+    const resumeFrom = this.lastSeenAt;
+    const resubscribedAt = new Date(this.now()).toISOString();
+    console.log(`🔌 Streaming ${this.subscriptions.map(({ name }) => name).join(", ")}`);
+
+    this.subscriptions.forEach(({ name, query }) => {
+      this.send({ id: name, type: "start", payload: { query, variables: {} } });
+    });
+
+    // Everything between the last write and the new subscriptions came in while we were away
+    if (resumeFrom && this.catchUp) {
+      this.enqueue(async () => {
+        this.stats.catchUps++;
+        console.log(`⏪ Catching up ${resumeFrom} → ${resubscribedAt}`);
+        try {
+          await this.catchUp(resumeFrom, resubscribedAt);
+        } catch (error) {
+          console.error("❌ Catch-up failed; leaving it to the sync job:", error.message);
+          await this.checkpoints?.addGap?.(STREAMS.trades.name, resumeFrom, resubscribedAt, "live stream disconnected");
+        }
+      });
+    }
+  }
+
+  onData(id, payload) {
+    const subscription = this.subscriptions.find(({ name }) => name === id);
+    if (!subscription) return;
+    if (payload?.errors?.length) {
+      console.error(`❌ Subscription ${id} returned errors:`, JSON.stringify(payload.errors));
+    }
+
+    const { stream } = subscription;
+    for (const row of payload?.data?.Solana?.[stream.field] || []) {
+      const key = `${stream.name}|${stream.rowKey(row)}`;
+      if (this.seen.has(key)) {
+        this.stats.duplicates++;
+        continue;
+      }
+      this.seen.add(key);
+      if (this.seen.size > SEEN_LIMIT) this.seen.delete(this.seen.values().next().value);
+      this.buffers.get(id).push(row);
+      this.stats.rows++;
+    }
+  }
+
+  onClose(socket, code, reason) {
+    if (socket !== this.socket) return;
+    clearTimeout(this.keepAliveTimer);
+    if (!this.running) return;
+
+    if (AUTH_CLOSE_CODES.has(code)) {
+      this.fail(new BitqueryAuthError(`Bitquery closed the stream (${code}${reason ? `: ${reason}` : ""}); check ACCESS_TOKEN`));
+      return;
+    }
+
+    const delay = this.random() * Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, this.attempt));
+    this.attempt++;
+    console.warn(`⚠️ Stream closed (${code}); reconnecting in ${Math.round(delay)}ms`);
+    this.reconnectTimer = setTimeout(() => this.running && this.connect(), delay);
+  }
+
+  armKeepAlive() {
+    clearTimeout(this.keepAliveTimer);
+    this.keepAliveTimer = setTimeout(() => {
+      console.warn(`⚠️ No frames for ${this.keepAliveMs}ms; dropping the connection`);
+      this.socket.terminate();
+    }, this.keepAliveMs);
+  }
+
+  fail(error) {
+    this.running = false;
+    clearInterval(this.flushTimer);
+    clearTimeout(this.keepAliveTimer);
+    clearTimeout(this.reconnectTimer);
+    this.socket?.terminate();
+    this.recorder?.end();
+    this.finished?.reject(error);
+  }
+
+  enqueue(task) {
+    const run = this.writes.then(task);
+    this.writes = run.catch((error) => console.error("❌ Stream write failed:", error));
+    return this.writes;
+  }
+
+  /**
+   * Write buffered rows. Rows whose push fails go back to the buffer for the next flush.
+   */
+  async flush() {
+    let newest = null;
+    for (const { name, stream } of this.subscriptions) {
+      const rows = this.buffers.get(name);
+      if (rows.length === 0) continue;
+      this.buffers.set(name, []);
+
+      try {
+        await (this.push[stream.name] || stream.push)(rows);
+      } catch (error) {
+        this.buffers.set(name, rows.concat(this.buffers.get(name)));
+        throw error;
+      }
+      rows.forEach((row) => {
+        const time = new Date(stream.rowTime(row)).toISOString();
+        if (!newest || time > newest) newest = time;
+      });
+    }
+
+    if (newest && (!this.lastSeenAt || newest > this.lastSeenAt)) {
+      this.lastSeenAt = newest;
+      await this.checkpoints?.set(LIVE_CHECKPOINT, newest);
+    }
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      only: { type: "string" },
+      record: { type: "string" },
+      url: { type: "string", default: BITQUERY_WS_URL },
+    },
+  });
+
+  const checkpoints = createCheckpointStore();
+  const engine = new SyncEngine({ checkpoints });
+  const streamer = new BitqueryStreamer({
+    url: values.url,
+    subscriptions: values.only ? values.only.split(",") : undefined,
+    checkpoints,
+    recordFile: values.record,
+    // Back-fill a disconnect through the polling queries, without moving their checkpoints
+    catchUp: async (from, to) => {
+      const start = Math.floor(Date.parse(from) / 60000) * 60000;
+      for (const stream of [STREAMS.memecoins, STREAMS.trades]) {
+        await engine.syncRange(stream, start, Date.parse(to), { advanceCheckpoint: false });
+      }
+    },
+  });
+
+  const shutdown = async () => {
+    console.log("\n🛑 Stopping stream...");
+    await streamer.stop();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  const stats = await streamer.start();
+  console.log("📊 Stream stats:", stats);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Streamer failed:", error);
+    process.exit(1);
+  });
+}
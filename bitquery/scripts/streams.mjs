@@ -0,0 +1,210 @@
+import { normalizeTrade } from "./candles.mjs";
+import { LifecycleTracker } from "./lifecycle.mjs";
+import { pushCandles } from "./supabase/candles.mjs";
+import { pushMemecoins } from "./supabase/memecoins.mjs";
+import { WashTradeDetector } from "./wash-trading.mjs";
+
+/**
+ * Bitquery streams kept in sync by scripts/sync.mjs.
+ *
+ * Each stream is queried over half-open [since, before) windows in ascending
+ * block time and paged with limit/offset. `field` names the array under
+ * data.Solana, `resultsDir`/`filePrefix` where raw pages are saved for replay.
+ */
+
+// Selections shared with the live subscriptions in streamer.mjs
+export const LAUNCH_FIELDS = `Instruction {
+    Accounts {
+      Address
+    }
+    Program {
+      Address
+      Arguments {
+        Value {
+          ... on Solana_ABI_Json_Value_Arg {
+            json
+          }
+          ... on Solana_ABI_Float_Value_Arg {
+            float
+          }
+          ... on Solana_ABI_Boolean_Value_Arg {
+            bool
+          }
+          ... on Solana_ABI_Bytes_Value_Arg {
+            hex
+          }
+          ... on Solana_ABI_BigInt_Value_Arg {
+            bigInteger
+          }
+          ... on Solana_ABI_Address_Value_Arg {
+            address
+          }
+          ... on Solana_ABI_String_Value_Arg {
+            string
+          }
+          ... on Solana_ABI_Integer_Value_Arg {
+            integer
+          }
+        }
+      }
+    }
+  }
+  Transaction {
+    Signature
+  }
+  Block {
+    Time
+    Slot
+  }`;
+
+export const TRADE_FIELDS = `Block {
+    Time
+    Slot
+  }
+  Transaction {
+    Signature
+    Signer
+  }
+  Trade {
+    Amount
+    AmountInUSD
+    Price
+    PriceInUSD
+    Currency {
+      Uri
+      MintAddress
+      Name
+      Symbol
+    }
+    Side {
+      Type
+      Amount
+      AmountInUSD
+      Currency {
+        MintAddress
+      }
+    }
+  }`;
+
+const MEMECOINS_QUERY = `query PumpCreations($since: DateTime, $before: DateTime, $limit: Int, $offset: Int) {
+  Solana {
+    Instructions(
+      limit: { count: $limit, offset: $offset }
+      orderBy: { ascending: Block_Time }
+      where: {
+        Instruction: { Program: { Method: { is: "create" }, Name: { is: "pump" } } }
+        Block: { Time: { since: $since, before: $before } }
+      }
+    ) {
+      ${LAUNCH_FIELDS}
+    }
+  }
+}`;
+
+const TRADES_QUERY = `query PumpTrades($since: DateTime, $before: DateTime, $limit: Int, $offset: Int) {
+  Solana {
+    DEXTradeByTokens(
+      limit: { count: $limit, offset: $offset }
+      orderBy: { ascending: Block_Time }
+      where: {
+        Trade: {
+          Dex: { ProtocolName: { is: "pump" } }
+          Currency: { MintAddress: { notIn: ["11111111111111111111111111111111"] } }
+          Side: { Currency: { MintAddress: { is: "11111111111111111111111111111111" } } }
+        }
+        Transaction: { Result: { Success: true } }
+        Block: { Time: { since: $since, before: $before } }
+      }
+    ) {
+      ${TRADE_FIELDS}
+    }
+  }
+}`;
+
+// Curve graduations: the pump program hands the reserves to a PumpSwap pool
+const MIGRATIONS_QUERY = `query PumpMigrations($since: DateTime, $before: DateTime, $limit: Int, $offset: Int) {
+  Solana {
+    Instructions(
+      limit: { count: $limit, offset: $offset }
+      orderBy: { ascending: Block_Time }
+      where: {
+        Instruction: { Program: { Method: { is: "migrate" }, Name: { is: "pump" } } }
+        Transaction: { Result: { Success: true } }
+        Block: { Time: { since: $since, before: $before } }
+      }
+    ) {
+      Instruction {
+        Accounts {
+          Address
+        }
+      }
+      Transaction {
+        Signature
+      }
+      Block {
+        Time
+      }
+    }
+  }
+}`;
+
+const MINUTE_MS = 60 * 1000;
+
+export const STREAMS = {
+  memecoins: {
+    name: "memecoins",
+    query: MEMECOINS_QUERY,
+    field: "Instructions",
+    resultsDir: "memecoins",
+    filePrefix: "next-memecoins",
+    pageSize: 1000,
+    windowMs: 60 * MINUTE_MS,
+    // Quiet hours without launches happen; an empty window is not a gap
+    expectRows: false,
+    defaultStart: "2024-12-20T03:46:24Z",
+    rowTime: (row) => row.Block?.Time,
+    rowKey: (row) => row.Transaction?.Signature,
+    push: async (rows) => {
+      await pushMemecoins("", { data: { Solana: { Instructions: rows } } });
+      await new LifecycleTracker().recordLaunches(rows);
+    },
+  },
+  trades: {
+    name: "trades",
+    query: TRADES_QUERY,
+    field: "DEXTradeByTokens",
+    resultsDir: "prices",
+    filePrefix: "trades",
+    pageSize: 5000,
+    windowMs: 10 * MINUTE_MS,
+    // pump.fun trades every few seconds; ten silent minutes means Bitquery had not indexed yet
+    expectRows: true,
+    defaultStart: "2024-12-20T03:46:24Z",
+    rowTime: (row) => row.Block?.Time,
+    rowKey: (row) =>
+      [row.Transaction?.Signature, row.Trade?.Currency?.MintAddress, row.Trade?.Side?.Type, row.Trade?.Amount].join(":"),
+    push: async (rows) => {
+      const trades = rows.map(normalizeTrade).filter(Boolean);
+      const organicShares = await new WashTradeDetector().record(trades);
+      await pushCandles(trades, { organicShares });
+      await new LifecycleTracker().recordTrades(trades);
+    },
+  },
+  migrations: {
+    name: "migrations",
+    query: MIGRATIONS_QUERY,
+    field: "Instructions",
+    resultsDir: "migrations",
+    filePrefix: "migrations",
+    pageSize: 1000,
+    windowMs: 60 * MINUTE_MS,
+    // Only a handful of curves complete each hour
+    expectRows: false,
+    defaultStart: "2024-12-20T03:46:24Z",
+    rowTime: (row) => row.Block?.Time,
+    rowKey: (row) => row.Transaction?.Signature,
+    push: (rows) => new LifecycleTracker().recordMigrations(rows),
+  },
+};
+
+export const streamRows = (stream, json) => json?.data?.Solana?.[stream.field] || [];
@@ -0,0 +1,279 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import {
+  buildCandles,
+  candleKey,
+  latestCandles,
+  mergeCandles,
+  rollingVolume,
+  RESOLUTIONS,
+  tradeKey,
+} from "../candles.mjs";
+
+// Polyfill for Node.js compatibility
+import fetch from 'node-fetch';
+import { Headers } from 'node-fetch';
+
+// Set global fetch and Headers for Supabase compatibility
+global.fetch = fetch;
+global.Headers = Headers;
+
+dotenv.config();
+
+const CANDLE_COLUMNS =
+  "token_id, mint, resolution, bucket_start, open_usd, high_usd, low_usd, close_usd, open_sol, high_sol, low_sol, close_sol, volume_base, volume_quote, volume_usd, buy_volume_usd, sell_volume_usd, trade_count, buy_count, sell_count, first_trade_at, last_trade_at";
+
+const batchSize = 100;
+// PostgREST returns at most this many rows per request
+const pageSize = 1000;
+
+function createSupabase() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+/**
+ * Map mint addresses to token rows, falling back to the metadata URI
+ */
+export async function resolveTokens(supabase, trades) {
+  const mints = [...new Set(trades.map((trade) => trade.mint))];
+  const byMint = new Map();
+
+  for (let i = 0; i < mints.length; i += batchSize) {
+    const { data, error } = await supabase
+      .from("tokens")
+      .select("id, uri, address")
+      .in("address", mints.slice(i, i + batchSize));
+    if (error) throw error;
+    data.forEach((token) => byMint.set(token.address, token));
+  }
+
+  const missingUris = [
+    ...new Set(trades.filter((trade) => trade.uri && !byMint.has(trade.mint)).map((trade) => trade.uri)),
+  ];
+  for (let i = 0; i < missingUris.length; i += batchSize) {
+    const { data, error } = await supabase
+      .from("tokens")
+      .select("id, uri, address")
+      .in("uri", missingUris.slice(i, i + batchSize));
+    if (error) throw error;
+    data.forEach((token) => {
+      trades
+        .filter((trade) => trade.uri === token.uri)
+        .forEach((trade) => byMint.set(trade.mint, token));
+    });
+  }
+
+  return byMint;
+}
+
+/**
+ * Every stored candle of one resolution since `since`, paged so a busy batch is
+ * never cut off at the row cap (a missing row would be rebuilt from the new
+ * trades alone and overwrite the stored one)
+ */
+async function fetchStoredCandles(supabase, tokenIds, resolution, since) {
+  const stored = [];
+  for (let i = 0; i < tokenIds.length; i += batchSize) {
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from("price_candles")
+        .select(CANDLE_COLUMNS)
+        .in("token_id", tokenIds.slice(i, i + batchSize))
+        .eq("resolution", resolution)
+        .gte("bucket_start", since)
+        .order("token_id", { ascending: true })
+        .order("bucket_start", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+      if (error) throw error;
+      stored.push(...data);
+      if (data.length < pageSize) break;
+    }
+  }
+  return stored;
+}
+
+/**
+ * Claim trade keys in `candle_trades`. The upsert ignores keys that are already
+ * there and returns only the rows it inserted, so each trade is claimed once
+ * even when windows overlap or two runs race.
+ */
+async function claimTrades(supabase, trades) {
+  const claimed = new Set();
+  for (let i = 0; i < trades.length; i += batchSize) {
+    const { data, error } = await supabase
+      .from("candle_trades")
+      .upsert(
+        trades.slice(i, i + batchSize).map((trade) => ({ trade_key: tradeKey(trade), mint: trade.mint, traded_at: trade.time })),
+        { onConflict: "trade_key", ignoreDuplicates: true }
+      )
+      .select("trade_key");
+    if (error) throw error;
+    data.forEach((row) => claimed.add(row.trade_key));
+  }
+  return claimed;
+}
+
+async function releaseTrades(supabase, keys) {
+  for (let i = 0; i < keys.length; i += batchSize) {
+    const { error } = await supabase.from("candle_trades").delete().in("trade_key", keys.slice(i, i + batchSize));
+    if (error) console.error("❌ Error releasing claimed trades:", error);
+  }
+}
+
+/**
+ * Merge trades into their stored candles and upsert them. Returns the written
+ * rows and each mint's newest stored 1m trade time.
+ */
+async function writeCandles(supabase, fresh, tokensByMint, tokenIds, now) {
+  const earliest = fresh.reduce((min, trade) => (trade.time < min ? trade.time : min), fresh[0].time);
+  // Day buckets are the widest, so this covers every bucket the batch touches
+  const since = new Date(Math.floor(Date.parse(earliest) / RESOLUTIONS["1d"]) * RESOLUTIONS["1d"]).toISOString();
+
+  const stored = new Map();
+  for (const resolution of Object.keys(RESOLUTIONS)) {
+    for (const row of await fetchStoredCandles(supabase, tokenIds, resolution, since)) {
+      stored.set(`${row.mint}|${row.resolution}|${new Date(row.bucket_start).toISOString()}`, row);
+    }
+  }
+
+  const newest = new Map();
+  stored.forEach((row) => {
+    if (row.resolution !== "1m") return;
+    const last = new Date(row.last_trade_at).toISOString();
+    if (!newest.has(row.mint) || last > newest.get(row.mint)) newest.set(row.mint, last);
+  });
+
+  const rows = buildCandles(fresh).map((candle) => {
+    const merged = mergeCandles(stored.get(candleKey(candle)), candle);
+    return {
+      token_id: tokensByMint.get(candle.mint).id,
+      mint: candle.mint,
+      resolution: candle.resolution,
+      bucket_start: candle.bucket_start,
+      open_usd: merged.open_usd,
+      high_usd: merged.high_usd,
+      low_usd: merged.low_usd,
+      close_usd: merged.close_usd,
+      open_sol: merged.open_sol,
+      high_sol: merged.high_sol,
+      low_sol: merged.low_sol,
+      close_sol: merged.close_sol,
+      volume_base: merged.volume_base,
+      volume_quote: merged.volume_quote,
+      volume_usd: merged.volume_usd,
+      buy_volume_usd: merged.buy_volume_usd,
+      sell_volume_usd: merged.sell_volume_usd,
+      trade_count: merged.trade_count,
+      buy_count: merged.buy_count,
+      sell_count: merged.sell_count,
+      first_trade_at: merged.first_trade_at,
+      last_trade_at: merged.last_trade_at,
+      updated_at: new Date(now).toISOString(),
+    };
+  });
+
+  console.log(`🕯️ Upserting ${rows.length} candles for ${tokenIds.length} tokens...`);
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const { error } = await supabase
+      .from("price_candles")
+      .upsert(rows.slice(i, i + batchSize), { onConflict: "token_id,resolution,bucket_start" });
+    if (error) {
+      console.error(`❌ Error upserting candles starting at index ${i}:`, error);
+      throw error;
+    }
+  }
+  return { rows, newest };
+}
+
+/**
+ * Store normalized trades as OHLCV candles and refresh each token's latest
+ * `prices` row (close of the newest 1m candle, true trailing 24h volume).
+ *
+ * Each trade is folded in once, by its key in `candle_trades`, so re-running a
+ * window never double counts volume and trades that share a timestamp across
+ * pages are all kept.
+ */
+export async function pushCandles(trades, { supabase = createSupabase(), now = Date.now(), organicShares = new Map() } = {}) {
+  if (trades.length === 0) {
+    console.log("ℹ️ No trades to turn into candles");
+    return { candles: 0, tokens: 0, skippedTrades: 0 };
+  }
+
+  const tokensByMint = await resolveTokens(supabase, trades);
+  const known = trades.filter((trade) => tokensByMint.has(trade.mint));
+  const unknownMints = new Set(trades.filter((trade) => !tokensByMint.has(trade.mint)).map((trade) => trade.mint));
+  if (unknownMints.size > 0) {
+    console.warn(`⚠️ Skipping trades for ${unknownMints.size} mints not in the tokens table`);
+  }
+
+  const unique = [...new Map(known.map((trade) => [tradeKey(trade), trade])).values()];
+  const claimed = await claimTrades(supabase, unique);
+  const fresh = unique.filter((trade) => claimed.has(tradeKey(trade)));
+  const skippedTrades = known.length - fresh.length;
+  if (skippedTrades > 0) console.log(`⏭️ ${skippedTrades} trades were already ingested`);
+
+  const tokenIds = [...new Set(known.map((trade) => tokensByMint.get(trade.mint).id))];
+  if (fresh.length === 0) return { candles: 0, tokens: tokenIds.length, skippedTrades };
+
+  // Unclaim the batch if its candles could not be written, so a retry folds it in
+  const { rows, newest } = await writeCandles(supabase, fresh, tokensByMint, tokenIds, now).catch(async (error) => {
+    await releaseTrades(supabase, [...claimed]);
+    throw error;
+  });
+
+  // A backfilled window must not replace a newer latest price
+  const latest = latestCandles(rows).filter((candle) => !newest.has(candle.mint) || candle.last_trade_at >= newest.get(candle.mint));
+  await pushLatestPrices(supabase, latest, tokensByMint, now, organicShares);
+
+  console.log(`✅ Stored ${rows.length} candles from ${fresh.length} trades`);
+  return { candles: rows.length, tokens: tokenIds.length, skippedTrades };
+}
+
+/**
+ * Keep `prices` (read by the dashboard and volume detectors) in step with the candles.
+ * `organicShares` (token id → share of volume that is not wash trading, from
+ * wash-trading.mjs) sets `organic_volume_24h`; tokens without one get null.
+ */
+async function pushLatestPrices(supabase, latest, tokensByMint, now, organicShares) {
+  if (latest.length === 0) return;
+
+  const tokenIds = latest.map((candle) => candle.token_id);
+  const hourly = await fetchStoredCandles(
+    supabase,
+    tokenIds,
+    "1h",
+    new Date(now - RESOLUTIONS["1d"]).toISOString()
+  );
+
+  const updates = latest.map((candle) => {
+    const token = tokensByMint.get(candle.mint);
+    const volume24h = rollingVolume(hourly.filter((row) => row.token_id === token.id), now);
+    const organicShare = organicShares.get(token.id);
+    return {
+      token_id: token.id,
+      token_uri: token.uri,
+      price_usd: candle.close_usd,
+      price_sol: candle.close_sol,
+      trade_at: candle.last_trade_at,
+      timestamp: candle.last_trade_at,
+      is_latest: true,
+      volume_24h: volume24h,
+      organic_volume_24h: organicShare == null ? null : Math.round(volume24h * organicShare * 100) / 100,
+    };
+  });
+
+  const { error } = await supabase
+    .from("prices")
+    .upsert(updates, { onConflict: "token_uri,timestamp", ignoreDuplicates: false });
+  if (error) {
+    console.error("❌ Error updating latest prices:", error);
+    throw error;
+  }
+  console.log(`💰 Updated latest price for ${updates.length} tokens`);
+}
@@ -91,43 +91,36 @@ export async function pushMemecoins(filePath, dataJson) {
           created_at: sanitize(tokenData.Block.Time),
           address: sanitize(tokenData.Instruction.Program.Address),
           create_tx: sanitize(tokenData.Transaction.Signature),
+          created_slot: tokenData.Block.Slot ?? null,
+          // Account 7 of pump's create instruction is the creator wallet
+          deployer: sanitize(tokenData.Instruction.Accounts?.[7]?.Address) || null,
         });
         totalCount++;
-        console.log(totalCount);
-
-        if (
-          totalCount % 3000 == 0 ||
-          totalCount == tokens.data.Solana.Instructions.length
-        ) {
-          console.log(
-            "Pushing from range ",
-            totalCount < 3000
-              ? 0
-              : totalCount % 3000 == 0
-              ? totalCount - 3000
-              : totalCount - (totalCount % 3000),
-            " to ",
-            totalCount
-          );
-          const uniquePushData = [
-            ...new Map(pushData.map((item) => [item.uri, item])).values(),
-          ];
-          const { error } = await supabase
-            .from("tokens")
-            .upsert(uniquePushData, {
-              onConflict: "uri",
-            });
-          if (error) {
-            console.error(`Failed to import tokens`, error);
-          }
-          pushData.length = 0;
-        }
       } catch (e) {
         console.log("SKIPPING DATA");
         console.log("Error", e);
       }
     }
 
+    // Batches are cut from the valid rows, so skipped rows can't strand the last partial batch
+    for (let i = 0; i < pushData.length; i += 3000) {
+      console.log("Pushing from range ", i, " to ", Math.min(i + 3000, pushData.length));
+      const uniquePushData = [
+        ...new Map(pushData.slice(i, i + 3000).map((item) => [item.uri, item])).values(),
+      ];
+      const { error } = await supabase
+        .from("tokens")
+        .upsert(uniquePushData, {
+          onConflict: "uri",
+        });
+      if (error) {
+        console.error(`Failed to import tokens`, error);
+        // Callers only advance their sync checkpoint once the push succeeded
+        throw error;
+      }
+    }
+    console.log(`Pushed ${totalCount} tokens`);
+
     // try {
     //   const { error } = await supabase.from("tokens").insert(pushData);
     //   if (error) {
@@ -139,8 +132,10 @@ export async function pushMemecoins(filePath, dataJson) {
   } catch (error) {
     if (error.code === "ENOENT") {
       console.error("File not found:", filePath);
-    } else {
+    } else if (error instanceof SyntaxError) {
       console.error("Error reading or parsing file:", error);
+    } else {
+      throw error;
     }
   }
 }
@@ -0,0 +1,438 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import * as fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { BitquerySchemaError, getBitqueryClient } from "./bitquery-client.mjs";
+import { STREAMS, streamRows } from "./streams.mjs";
+
+// Polyfill for Node.js compatibility
+import fetch from 'node-fetch';
+import { Headers } from 'node-fetch';
+
+// Set global fetch and Headers for Supabase compatibility
+global.fetch = fetch;
+global.Headers = Headers;
+
+dotenv.config();
+
+/**
+ * Resumable, gap-aware Bitquery sync
+ *
+ * Each stream is synced in fixed time windows. A window is paged until a short
+ * page comes back, pushed, and only then is the stream's checkpoint in
+ * `sync_checkpoints` moved to the window end, so a crash resumes where it
+ * stopped and any machine can pick up the work. A window with more rows than
+ * maxPages can page through is split in half until each part fits. Windows that
+ * still could not be fully read, or that came back empty when the stream always
+ * has data, are recorded in `sync_gaps` and re-synced at the start of later runs.
+ */
+
+const MINUTE_MS = 60 * 1000;
+// Bitquery indexes a little behind the chain; newer windows are left for the next run
+const DEFAULT_SETTLE_MS = 2 * MINUTE_MS;
+const DEFAULT_MAX_PAGES = 50;
+const MAX_GAP_ATTEMPTS = 3;
+// Block times are whole seconds, so a busier window cannot be split any further
+const MIN_WINDOW_MS = 1000;
+
+const alignToMinute = (ms) => Math.floor(ms / MINUTE_MS) * MINUTE_MS;
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Live pages from the Bitquery streaming API
+ */
+export class BitquerySource {
+  constructor({ client = getBitqueryClient(), resultsRoot = path.join(process.cwd(), "results"), saveResponses = true } = {}) {
+    this.client = client;
+    this.resultsRoot = resultsRoot;
+    this.saveResponses = saveResponses;
+  }
+
+  async fetchPage(stream, variables) {
+    const data = await this.client.query(stream.query, variables);
+    if (!Array.isArray(data?.Solana?.[stream.field])) {
+      throw new BitquerySchemaError(`Bitquery API response missing '${stream.field}' array`);
+    }
+
+    const json = { data };
+    if (this.saveResponses && data.Solana[stream.field].length > 0) {
+      const dir = path.join(this.resultsRoot, stream.resultsDir);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${stream.filePrefix}-${Date.parse(variables.since)}-${variables.offset}.json`);
+      await fs.writeFile(file, JSON.stringify(json, null, 2), "utf-8");
+    }
+    return json;
+  }
+}
+
+/**
+ * Answers page requests from saved responses, so a sync can be replayed offline
+ */
+export class ReplaySource {
+  constructor(resultsRoot) {
+    this.resultsRoot = resultsRoot;
+    this.rows = new Map();
+  }
+
+  async loadRows(stream) {
+    if (this.rows.has(stream.name)) return this.rows.get(stream.name);
+
+    const dir = path.join(this.resultsRoot, stream.resultsDir);
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).filter((file) => file.startsWith(stream.filePrefix) && file.endsWith(".json"));
+    } catch (error) {
+      console.warn(`⚠️ No saved ${stream.name} responses in ${dir}`);
+    }
+
+    const byKey = new Map();
+    for (const file of files.sort()) {
+      const json = JSON.parse(await fs.readFile(path.join(dir, file), "utf-8"));
+      streamRows(stream, json).forEach((row) => byKey.set(stream.rowKey(row), row));
+    }
+    const rows = [...byKey.values()].sort((a, b) => Date.parse(stream.rowTime(a)) - Date.parse(stream.rowTime(b)));
+    this.rows.set(stream.name, rows);
+    return rows;
+  }
+
+  async fetchPage(stream, { since, before, limit, offset }) {
+    const from = Date.parse(since);
+    const to = Date.parse(before);
+    const inWindow = (await this.loadRows(stream)).filter((row) => {
+      const time = Date.parse(stream.rowTime(row));
+      return time >= from && time < to;
+    });
+    return { data: { Solana: { [stream.field]: inWindow.slice(offset, offset + limit) } } };
+  }
+}
+
+/**
+ * Stream cursors and gaps in Supabase
+ */
+export class CheckpointStore {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async get(streamName) {
+    const { data, error } = await this.supabase
+      .from("sync_checkpoints")
+      .select("cursor_at")
+      .eq("stream", streamName)
+      .limit(1);
+    if (error) throw new Error(`Could not read sync_checkpoints (${error.message}); run supabase_schema.sql`);
+    return data.length > 0 ? data[0].cursor_at : null;
+  }
+
+  async set(streamName, cursorAt, stats = {}) {
+    const { error } = await this.supabase.from("sync_checkpoints").upsert(
+      { stream: streamName, cursor_at: cursorAt, updated_at: new Date().toISOString(), metadata: stats },
+      { onConflict: "stream" }
+    );
+    if (error) throw error;
+  }
+
+  async openGaps(streamName) {
+    const { data, error } = await this.supabase
+      .from("sync_gaps")
+      .select("id, gap_start, gap_end, attempts")
+      .eq("stream", streamName)
+      .eq("status", "open")
+      .order("gap_start", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  async addGap(streamName, gapStart, gapEnd, reason) {
+    const { error } = await this.supabase.from("sync_gaps").upsert(
+      { stream: streamName, gap_start: gapStart, gap_end: gapEnd, reason, status: "open", attempts: 0 },
+      { onConflict: "stream,gap_start,gap_end" }
+    );
+    if (error) throw error;
+  }
+
+  async updateGap(id, fields) {
+    const { error } = await this.supabase.from("sync_gaps").update(fields).eq("id", id);
+    if (error) throw error;
+  }
+}
+
+/**
+ * In-memory checkpoints for dry runs and tests
+ */
+export class MemoryCheckpointStore {
+  constructor({ cursors = {}, gaps = [] } = {}) {
+    this.cursors = new Map(Object.entries(cursors));
+    this.gaps = gaps.map((gap, index) => ({ id: index + 1, attempts: 0, status: "open", ...gap }));
+  }
+
+  async get(streamName) {
+    return this.cursors.get(streamName) ?? null;
+  }
+
+  async set(streamName, cursorAt) {
+    this.cursors.set(streamName, cursorAt);
+  }
+
+  async openGaps(streamName) {
+    return this.gaps.filter((gap) => gap.stream === streamName && gap.status === "open");
+  }
+
+  async addGap(streamName, gapStart, gapEnd, reason) {
+    const existing = this.gaps.find((gap) => gap.stream === streamName && gap.gap_start === gapStart && gap.gap_end === gapEnd);
+    if (existing) return Object.assign(existing, { status: "open", reason });
+    this.gaps.push({ id: this.gaps.length + 1, stream: streamName, gap_start: gapStart, gap_end: gapEnd, reason, status: "open", attempts: 0 });
+  }
+
+  async updateGap(id, fields) {
+    Object.assign(this.gaps.find((gap) => gap.id === id), fields);
+  }
+}
+
+export class SyncEngine {
+  constructor({
+    source = new BitquerySource(),
+    checkpoints,
+    push = {},
+    now = () => Date.now(),
+    settleMs = DEFAULT_SETTLE_MS,
+    maxPages = DEFAULT_MAX_PAGES,
+    resultsRoot = path.join(process.cwd(), "results"),
+  } = {}) {
+    if (!checkpoints) throw new Error("SyncEngine needs a checkpoint store");
+    this.source = source;
+    this.checkpoints = checkpoints;
+    // Per-stream push overrides (tests, dry runs); defaults to the stream's own
+    this.push = push;
+    this.now = now;
+    this.settleMs = settleMs;
+    this.maxPages = maxPages;
+    this.resultsRoot = resultsRoot;
+  }
+
+  /**
+   * Where the old file-based cursor (results/<dir>/metadata.json) left off,
+   * so the first database-backed run neither restarts from scratch nor skips ahead
+   */
+  async legacyCursor(stream) {
+    try {
+      const metadata = JSON.parse(await fs.readFile(path.join(this.resultsRoot, stream.resultsDir, "metadata.json"), "utf-8"));
+      // The old scripts recorded the newest row of the last page, which may not have been the newest row overall
+      return metadata.sinceTimestamp || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read one window completely. `complete` is false when paging hit maxPages.
+   */
+  async readWindow(stream, start, end) {
+    const byKey = new Map();
+    let complete = false;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const json = await this.source.fetchPage(stream, {
+        since: iso(start),
+        before: iso(end),
+        limit: stream.pageSize,
+        offset: page * stream.pageSize,
+      });
+      const rows = streamRows(stream, json);
+      // Rows indexed mid-paging can shift offsets; keys drop the repeats
+      rows.forEach((row) => byKey.set(stream.rowKey(row), row));
+      if (rows.length < stream.pageSize) {
+        complete = true;
+        break;
+      }
+    }
+    return { rows: [...byKey.values()], complete };
+  }
+
+  /**
+   * Read and push one window, halving it while it has more rows than maxPages
+   * can reach. `truncated` is set when a one-second part was still too big;
+   * its rows are pushed anyway.
+   */
+  async pushWindow(stream, start, end) {
+    const { rows, complete } = await this.readWindow(stream, start, end);
+    if (!complete && end - start > MIN_WINDOW_MS) {
+      const middle = start + Math.max(MIN_WINDOW_MS, Math.floor((end - start) / 2 / MIN_WINDOW_MS) * MIN_WINDOW_MS);
+      const first = await this.pushWindow(stream, start, middle);
+      const second = await this.pushWindow(stream, middle, end);
+      return { rows: first.rows + second.rows, truncated: first.truncated || second.truncated };
+    }
+
+    if (rows.length > 0) {
+      const push = this.push[stream.name] || stream.push;
+      await push(rows);
+    }
+    return { rows: rows.length, truncated: !complete };
+  }
+
+  async syncWindow(stream, start, end) {
+    const { rows, truncated } = await this.pushWindow(stream, start, end);
+
+    let gap = null;
+    if (truncated) gap = `more than ${this.maxPages} pages in one second`;
+    else if (rows === 0 && stream.expectRows) gap = "no rows returned";
+    return { rows, gap, truncated };
+  }
+
+  /**
+   * Sync [start, end) window by window. With `advanceCheckpoint`, the cursor
+   * moves after each window so an interrupted run resumes from there.
+   */
+  async syncRange(stream, start, end, { advanceCheckpoint }) {
+    const stats = { windows: 0, rows: 0, gaps: 0 };
+
+    for (let windowStart = start; windowStart < end; windowStart += stream.windowMs) {
+      const windowEnd = Math.min(windowStart + stream.windowMs, end);
+      const { rows, gap } = await this.syncWindow(stream, windowStart, windowEnd);
+      stats.windows++;
+      stats.rows += rows;
+
+      if (gap) {
+        stats.gaps++;
+        console.warn(`⚠️ ${stream.name}: gap ${iso(windowStart)} → ${iso(windowEnd)} (${gap})`);
+        await this.checkpoints.addGap(stream.name, iso(windowStart), iso(windowEnd), gap);
+      }
+      if (advanceCheckpoint) await this.checkpoints.set(stream.name, iso(windowEnd), { rows });
+      console.log(`🔁 ${stream.name}: ${iso(windowStart)} → ${iso(windowEnd)}, ${rows} rows`);
+    }
+    return stats;
+  }
+
+  /**
+   * Re-sync recorded gaps. A gap closes once it returns complete data, or
+   * after MAX_GAP_ATTEMPTS retries: as "empty" when the window really was
+   * quiet, as "truncated" when it kept returning more rows than could be read.
+   */
+  async backfillGaps(stream, { from = -Infinity, to = Infinity } = {}) {
+    let filled = 0;
+    for (const gap of await this.checkpoints.openGaps(stream.name)) {
+      const start = Date.parse(gap.gap_start);
+      const end = Date.parse(gap.gap_end);
+      if (end <= from || start >= to) continue;
+
+      const attempts = (gap.attempts || 0) + 1;
+      try {
+        const { rows, gap: stillMissing, truncated } = await this.syncWindow(stream, start, end);
+        if (!stillMissing) {
+          await this.checkpoints.updateGap(gap.id, { status: "filled", attempts, filled_at: new Date(this.now()).toISOString() });
+          console.log(`🩹 ${stream.name}: filled gap ${gap.gap_start} → ${gap.gap_end} (${rows} rows)`);
+          filled++;
+        } else {
+          const closed = truncated ? "truncated" : "empty";
+          await this.checkpoints.updateGap(gap.id, {
+            attempts,
+            reason: stillMissing,
+            status: attempts >= MAX_GAP_ATTEMPTS ? closed : "open",
+          });
+        }
+      } catch (error) {
+        await this.checkpoints.updateGap(gap.id, { attempts, last_error: error.message });
+        throw error;
+      }
+    }
+    return filled;
+  }
+
+  /**
+   * Incremental sync from the checkpoint to (now - settle time), or an explicit
+   * `from`/`to` backfill that leaves the checkpoint alone.
+   */
+  async syncStream(stream, { from, to } = {}) {
+    const settledEnd = alignToMinute(this.now() - this.settleMs);
+
+    if (from || to) {
+      const start = alignToMinute(Date.parse(from || stream.defaultStart));
+      const end = to ? Math.min(Date.parse(to), settledEnd) : settledEnd;
+      console.log(`⏪ ${stream.name}: backfilling ${iso(start)} → ${iso(end)}`);
+      const filled = await this.backfillGaps(stream, { from: start, to: end });
+      const stats = await this.syncRange(stream, start, end, { advanceCheckpoint: false });
+      return { ...stats, filled, start: iso(start), end: iso(end) };
+    }
+
+    const filled = await this.backfillGaps(stream);
+    const cursor = (await this.checkpoints.get(stream.name)) || (await this.legacyCursor(stream));
+    const start = alignToMinute(Date.parse(cursor || stream.defaultStart));
+    if (start >= settledEnd) {
+      console.log(`✅ ${stream.name}: already caught up at ${iso(start)}`);
+      return { windows: 0, rows: 0, gaps: 0, filled, start: iso(start), end: iso(start) };
+    }
+
+    console.log(`▶️ ${stream.name}: syncing ${iso(start)} → ${iso(settledEnd)}`);
+    const stats = await this.syncRange(stream, start, settledEnd, { advanceCheckpoint: true });
+    return { ...stats, filled, start: iso(start), end: iso(settledEnd) };
+  }
+}
+
+export function createCheckpointStore() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return new CheckpointStore(createClient(supabaseUrl, supabaseKey));
+}
+
+/**
+ * Sync one stream against Bitquery with database checkpoints
+ */
+export async function syncStream(streamName, options = {}) {
+  const engine = new SyncEngine({ checkpoints: createCheckpointStore() });
+  return engine.syncStream(STREAMS[streamName], options);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      replay: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+
+  const names = positionals.length === 0 || positionals.includes("all") ? Object.keys(STREAMS) : positionals;
+  const unknown = names.filter((name) => !STREAMS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stream(s): ${unknown.join(", ")}. Use ${Object.keys(STREAMS).join(", ")} or all`);
+  }
+  for (const option of ["from", "to"]) {
+    if (values[option] && Number.isNaN(Date.parse(values[option]))) {
+      throw new Error(`--${option} must be an ISO timestamp`);
+    }
+  }
+
+  const dryRun = values["dry-run"];
+  const push = {};
+  if (dryRun) {
+    names.forEach((name) => {
+      push[name] = async (rows) => console.log(`🧪 ${name}: would push ${rows.length} rows`);
+    });
+  }
+
+  const engine = new SyncEngine({
+    source: values.replay ? new ReplaySource(path.resolve(values.replay)) : new BitquerySource(),
+    checkpoints: dryRun ? new MemoryCheckpointStore() : createCheckpointStore(),
+    push,
+    // Saved responses are complete; nothing is still being indexed
+    settleMs: values.replay ? 0 : DEFAULT_SETTLE_MS,
+  });
+
+  for (const name of names) {
+    const stats = await engine.syncStream(STREAMS[name], { from: values.from, to: values.to });
+    console.log(`📊 ${name}:`, stats);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Sync failed:", error);
+    process.exit(1);
+  });
+}
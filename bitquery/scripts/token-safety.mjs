@@ -0,0 +1,270 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { clusterApiUrl, Connection, PublicKey } from "@solana/web3.js";
+import {
+  AccountState,
+  ExtensionType,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  getDefaultAccountState,
+  getExtensionTypes,
+  getMintCloseAuthority,
+  getPermanentDelegate,
+  getTokenMetadata,
+  getTransferFeeConfig,
+  getTransferHook,
+  unpackMint,
+} from "@solana/spl-token";
+import { parseArgs } from "util";
+
+dotenv.config();
+
+/**
+ * Token safety scanner
+ *
+ * Reads each discovered mint on-chain and records what its creator can still
+ * do to holders: mint more supply, freeze accounts, rewrite metadata, or use
+ * Token-2022 extensions such as transfer fees, hooks and a permanent delegate.
+ * Results go to `token_safety`. RiskAssessmentTool reads them as red flags and
+ * the hero table shows them as badges.
+ */
+
+export const METADATA_PROGRAM_ID = new PublicKey("metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s");
+
+// Critical flags mark the token high risk whatever its other scores are
+export const RED_FLAGS = {
+  mint_authority_active: { severity: "critical", label: "Mint authority active" },
+  freeze_authority: { severity: "critical", label: "Freeze authority" },
+  permanent_delegate: { severity: "critical", label: "Permanent delegate" },
+  non_transferable: { severity: "critical", label: "Non-transferable" },
+  default_frozen: { severity: "critical", label: "Accounts start frozen" },
+  pausable: { severity: "critical", label: "Transfers pausable" },
+  transfer_hook: { severity: "warning", label: "Transfer hook" },
+  transfer_fee: { severity: "warning", label: "Transfer fee" },
+  mint_close_authority: { severity: "warning", label: "Mint can be closed" },
+  mutable_metadata: { severity: "warning", label: "Mutable metadata" },
+};
+
+/**
+ * Metaplex token metadata PDA for a mint
+ */
+export function metadataAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from("metadata"), METADATA_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+    METADATA_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Decode the fields of a Metaplex metadata account we need. Layout: key,
+ * update authority, mint, name/symbol/uri (borsh strings), seller fee,
+ * optional creators, primary sale flag, then is_mutable.
+ */
+export function parseMetaplexMetadata(data) {
+  const buffer = Buffer.from(data);
+  let offset = 1;
+  const updateAuthority = new PublicKey(buffer.subarray(offset, offset + 32)).toBase58();
+  offset += 64; // update authority + mint
+
+  const readString = () => {
+    const length = buffer.readUInt32LE(offset);
+    const value = buffer.subarray(offset + 4, offset + 4 + length).toString("utf8").replace(/\0+$/, "");
+    offset += 4 + length;
+    return value;
+  };
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+
+  offset += 2; // seller_fee_basis_points
+  if (buffer[offset] === 1) {
+    const creators = buffer.readUInt32LE(offset + 1);
+    offset += 4 + creators * 34; // address + verified + share
+  }
+  offset += 1; // creators option tag
+  offset += 1; // primary_sale_happened
+
+  return { updateAuthority, name, symbol, uri, isMutable: buffer[offset] === 1 };
+}
+
+function flag(code, detail = null) {
+  return { code, ...RED_FLAGS[code], ...(detail ? { detail } : {}) };
+}
+
+/**
+ * Inspect one mint. Returns the `token_safety` columns (without token_id).
+ */
+export async function scanMint(connection, mintAddress) {
+  const mintKey = new PublicKey(mintAddress);
+  const account = await connection.getAccountInfo(mintKey);
+  if (!account) throw new Error(`Mint ${mintAddress} not found`);
+
+  const programId = account.owner;
+  if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error(`${mintAddress} is not a token mint (owner ${programId.toBase58()})`);
+  }
+  const mint = unpackMint(mintKey, account, programId);
+  const redFlags = [];
+
+  if (mint.mintAuthority) redFlags.push(flag("mint_authority_active"));
+  if (mint.freezeAuthority) redFlags.push(flag("freeze_authority"));
+
+  const extensions = programId.equals(TOKEN_2022_PROGRAM_ID)
+    ? getExtensionTypes(mint.tlvData).map((type) => ExtensionType[type])
+    : [];
+
+  let transferFeeBps = null;
+  const transferFee = getTransferFeeConfig(mint);
+  if (transferFee) {
+    transferFeeBps = transferFee.newerTransferFee.transferFeeBasisPoints;
+    if (transferFeeBps > 0 || !transferFee.transferFeeConfigAuthority.equals(PublicKey.default)) {
+      redFlags.push(flag("transfer_fee", `${transferFeeBps} bps`));
+    }
+  }
+
+  const permanentDelegate = getPermanentDelegate(mint)?.delegate;
+  if (permanentDelegate && !permanentDelegate.equals(PublicKey.default)) {
+    redFlags.push(flag("permanent_delegate", permanentDelegate.toBase58()));
+  }
+
+  const transferHook = getTransferHook(mint)?.programId;
+  if (transferHook && !transferHook.equals(PublicKey.default)) {
+    redFlags.push(flag("transfer_hook", transferHook.toBase58()));
+  }
+
+  const closeAuthority = getMintCloseAuthority(mint)?.closeAuthority;
+  if (closeAuthority && !closeAuthority.equals(PublicKey.default)) redFlags.push(flag("mint_close_authority"));
+  if (getDefaultAccountState(mint)?.state === AccountState.Frozen) redFlags.push(flag("default_frozen"));
+  if (extensions.includes("NonTransferable")) redFlags.push(flag("non_transferable"));
+  if (extensions.includes("PausableConfig")) redFlags.push(flag("pausable"));
+
+  // Token-2022 metadata lives on the mint; classic mints use a Metaplex account
+  let metadataMutable = null;
+  let updateAuthority = null;
+  if (extensions.includes("TokenMetadata")) {
+    const metadata = await getTokenMetadata(connection, mintKey, "confirmed", programId);
+    updateAuthority = metadata?.updateAuthority && !metadata.updateAuthority.equals(PublicKey.default)
+      ? metadata.updateAuthority.toBase58()
+      : null;
+    metadataMutable = updateAuthority !== null;
+  } else {
+    const metadataAccount = await connection.getAccountInfo(metadataAddress(mintKey));
+    if (metadataAccount) {
+      const metadata = parseMetaplexMetadata(metadataAccount.data);
+      updateAuthority = metadata.updateAuthority;
+      metadataMutable = metadata.isMutable;
+    }
+  }
+  if (metadataMutable) redFlags.push(flag("mutable_metadata"));
+
+  return {
+    mint: mintKey.toBase58(),
+    token_program: programId.equals(TOKEN_2022_PROGRAM_ID) ? "token-2022" : "spl-token",
+    mint_authority: mint.mintAuthority?.toBase58() || null,
+    freeze_authority: mint.freezeAuthority?.toBase58() || null,
+    mint_authority_revoked: mint.mintAuthority === null,
+    has_freeze_authority: mint.freezeAuthority !== null,
+    metadata_mutable: metadataMutable,
+    update_authority: updateAuthority,
+    extensions,
+    transfer_fee_bps: transferFeeBps,
+    permanent_delegate: permanentDelegate && !permanentDelegate.equals(PublicKey.default) ? permanentDelegate.toBase58() : null,
+    red_flags: redFlags,
+  };
+}
+
+export class TokenSafetyScanner {
+  constructor({
+    connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl("mainnet-beta"), "confirmed"),
+    supabase,
+    now = () => Date.now(),
+  } = {}) {
+    this.connection = connection;
+    this.supabase = supabase;
+    this.now = now;
+  }
+
+  /**
+   * Scan the newest tokens that have no `token_safety` row yet (all of them with `rescan`)
+   */
+  async scanNewTokens({ limit = 100, rescan = false } = {}) {
+    const { data: tokens, error } = await this.supabase
+      .from("tokens")
+      .select("id, address")
+      .not("address", "is", null)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    if (!tokens || tokens.length === 0) return { scanned: 0, failed: 0 };
+
+    let pending = tokens;
+    if (!rescan) {
+      const { data: existing, error: existingError } = await this.supabase
+        .from("token_safety")
+        .select("token_id")
+        .in("token_id", tokens.map((token) => token.id));
+      if (existingError) throw existingError;
+      const scanned = new Set((existing || []).map((row) => row.token_id));
+      pending = tokens.filter((token) => !scanned.has(token.id));
+    }
+
+    console.log(`🛡️ Scanning ${pending.length} token(s) for mint/freeze authority and extensions`);
+    const rows = [];
+    let failed = 0;
+    for (const token of pending) {
+      try {
+        const result = await scanMint(this.connection, token.address);
+        rows.push({ token_id: token.id, ...result, checked_at: new Date(this.now()).toISOString() });
+        const flags = result.red_flags.map((redFlag) => redFlag.code).join(", ") || "no red flags";
+        console.log(`  ${result.red_flags.length ? "🚩" : "✅"} ${token.address}: ${flags}`);
+      } catch (scanError) {
+        failed++;
+        console.error(`  ❌ ${token.address}: ${scanError.message}`);
+      }
+    }
+
+    if (rows.length > 0) {
+      const { error: upsertError } = await this.supabase.from("token_safety").upsert(rows, { onConflict: "token_id" });
+      if (upsertError) throw upsertError;
+    }
+    return { scanned: rows.length, failed };
+  }
+}
+
+export function createTokenSafetyScanner(options = {}) {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return new TokenSafetyScanner({ ...options, supabase: createClient(supabaseUrl, supabaseKey) });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      mint: { type: "string" },
+      limit: { type: "string", default: "100" },
+      rescan: { type: "boolean", default: false },
+      rpc: { type: "string" },
+    },
+  });
+
+  const connection = new Connection(values.rpc || process.env.SOLANA_RPC_URL || clusterApiUrl("mainnet-beta"), "confirmed");
+
+  if (values.mint) {
+    console.log(JSON.stringify(await scanMint(connection, values.mint), null, 2));
+    return;
+  }
+
+  const scanner = createTokenSafetyScanner({ connection });
+  const { scanned, failed } = await scanner.scanNewTokens({ limit: parseInt(values.limit, 10), rescan: values.rescan });
+  console.log(`✅ Token safety: ${scanned} scanned, ${failed} failed`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Token safety scan failed:", error);
+    process.exit(1);
+  });
+}
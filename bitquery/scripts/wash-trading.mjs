@@ -0,0 +1,357 @@
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { parseArgs } from "util";
+import { tradeKey } from "./candles.mjs";
+import { resolveTokens } from "./supabase/candles.mjs";
+
+dotenv.config();
+
+/**
+ * Wash-trade detection
+ *
+ * Ingested trades are kept for two days in `token_trades` (with the signing
+ * wallet) and each token's trailing 24h is checked for three patterns:
+ * same-size buy/sell pairs a few seconds apart, wallet clusters that keep
+ * passing the same tokens back and forth, and too few distinct traders for
+ * the volume. What is left is the token's organic volume, stored in
+ * `volume_quality` and carried onto the latest `prices` row as
+ * `organic_volume_24h` for the ranking and scoring code to use in place of
+ * raw volume.
+ */
+
+export const DEFAULT_OPTIONS = {
+  windowMs: 24 * 60 * 60 * 1000,
+  retentionMs: 48 * 60 * 60 * 1000,
+  // A buy and sell this close together whose sizes differ by at most sizeTolerance
+  pairWindowMs: 10 * 1000,
+  sizeTolerance: 0.02,
+  // Wallets matched against each other this often are treated as one cluster
+  clusterMinPairs: 2,
+  clusterMinTrades: 4,
+  // A cluster whose bought and sold amounts are this close ended where it started
+  clusterMaxNetShare: 0.1,
+  // Fewer distinct traders per $1k of volume than this scales organic volume down
+  minTradersPer1kUsd: 0.5,
+};
+
+const batchSize = 100;
+const pageSize = 1000;
+
+function createSupabase() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_SECRET;
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_ANON_SECRET in environment variables");
+  }
+  return createClient(supabaseUrl, supabaseKey);
+}
+
+const toIso = (time) => new Date(time).toISOString();
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Trades are sized in tokens; USD is the fallback for rows without an amount
+const tradeSize = (trade) => Number(trade.base_amount) || Number(trade.volume_usd) || 0;
+
+/**
+ * Pair each trade with the first later opposite-side trade of nearly the same
+ * size inside `pairWindowMs`. Trades are `token_trades` rows; each is used once.
+ */
+export function matchSameSizePairs(trades, options = {}) {
+  const { pairWindowMs, sizeTolerance } = { ...DEFAULT_OPTIONS, ...options };
+  const sorted = [...trades].sort((a, b) => Date.parse(a.traded_at) - Date.parse(b.traded_at));
+  const matched = new Set();
+  const pairs = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (matched.has(i)) continue;
+    const first = sorted[i];
+    const firstSize = tradeSize(first);
+    if (firstSize <= 0) continue;
+
+    for (let j = i + 1; j < sorted.length; j++) {
+      const second = sorted[j];
+      if (Date.parse(second.traded_at) - Date.parse(first.traded_at) > pairWindowMs) break;
+      if (matched.has(j) || second.side === first.side) continue;
+      const secondSize = tradeSize(second);
+      if (Math.abs(firstSize - secondSize) / Math.max(firstSize, secondSize) > sizeTolerance) continue;
+
+      matched.add(i);
+      matched.add(j);
+      pairs.push(first.side === "buy" ? { buy: first, sell: second } : { buy: second, sell: first });
+      break;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Wallet clusters that trade with each other repeatedly and end up flat.
+ * Wallets are joined when `clusterMinPairs` same-size pairs link them (a
+ * wallet pairing with itself counts); a cluster is circular once it has
+ * `clusterMinTrades` trades and its net position is within `clusterMaxNetShare`.
+ */
+export function findCircularClusters(trades, pairs, options = {}) {
+  const { clusterMinPairs, clusterMinTrades, clusterMaxNetShare } = { ...DEFAULT_OPTIONS, ...options };
+
+  const edges = new Map();
+  for (const { buy, sell } of pairs) {
+    if (!buy.trader || !sell.trader) continue;
+    const key = [buy.trader, sell.trader].sort().join("|");
+    edges.set(key, (edges.get(key) || 0) + 1);
+  }
+
+  const parent = new Map();
+  const find = (wallet) => {
+    while (parent.get(wallet) !== wallet) {
+      parent.set(wallet, parent.get(parent.get(wallet)));
+      wallet = parent.get(wallet);
+    }
+    return wallet;
+  };
+  edges.forEach((count, key) => {
+    if (count < clusterMinPairs) return;
+    const [a, b] = key.split("|");
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  });
+
+  const clusters = new Map();
+  for (const trade of trades) {
+    if (!trade.trader || !parent.has(trade.trader)) continue;
+    const root = find(trade.trader);
+    if (!clusters.has(root)) clusters.set(root, { wallets: new Set(), trades: [], bought: 0, sold: 0 });
+    const cluster = clusters.get(root);
+    cluster.wallets.add(trade.trader);
+    cluster.trades.push(trade);
+    cluster[trade.side === "sell" ? "sold" : "bought"] += tradeSize(trade);
+  }
+
+  return [...clusters.values()]
+    .filter((cluster) => {
+      const total = cluster.bought + cluster.sold;
+      return cluster.trades.length >= clusterMinTrades && total > 0 &&
+        Math.abs(cluster.bought - cluster.sold) / total <= clusterMaxNetShare;
+    })
+    .map((cluster) => ({
+      wallets: [...cluster.wallets].sort(),
+      trades: cluster.trades,
+      volumeUsd: cluster.trades.reduce((sum, trade) => sum + Number(trade.volume_usd || 0), 0),
+    }));
+}
+
+/**
+ * Split one token's trades into wash and organic volume.
+ *
+ * Volume from same-size pairs and circular clusters is removed; what remains
+ * is scaled down when too few distinct wallets account for it. The trader
+ * check only applies once at least half the trades carry a wallet, so rows
+ * ingested before signers were recorded are not mistaken for one trader.
+ */
+export function analyzeVolume(trades, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const totalVolume = trades.reduce((sum, trade) => sum + Number(trade.volume_usd || 0), 0);
+
+  const pairs = matchSameSizePairs(trades, settings);
+  const clusters = findCircularClusters(trades, pairs, settings);
+
+  const paired = new Set(pairs.flatMap(({ buy, sell }) => [buy, sell]));
+  const circular = new Set(clusters.flatMap((cluster) => cluster.trades));
+  const wash = new Set([...paired, ...circular]);
+  const volumeOf = (set) => [...set].reduce((sum, trade) => sum + Number(trade.volume_usd || 0), 0);
+  const washVolume = volumeOf(wash);
+
+  const traders = new Set(trades.map((trade) => trade.trader).filter(Boolean));
+  const withTrader = trades.filter((trade) => trade.trader).length;
+  const tradersPer1kUsd = totalVolume > 0 ? traders.size / (totalVolume / 1000) : null;
+  const checkTraders = trades.length > 0 && withTrader >= trades.length / 2 && tradersPer1kUsd !== null;
+  const diversity = checkTraders ? Math.min(1, tradersPer1kUsd / settings.minTradersPer1kUsd) : 1;
+
+  const organicVolume = Math.max(0, totalVolume - washVolume) * diversity;
+  const organicShare = totalVolume > 0 ? organicVolume / totalVolume : null;
+
+  const flags = [];
+  if (pairs.length > 0) flags.push("same_size_pairs");
+  if (clusters.length > 0) flags.push("circular_trading");
+  if (diversity < 1) flags.push("few_traders");
+
+  return {
+    total_volume_usd: round(totalVolume),
+    organic_volume_usd: round(organicVolume),
+    wash_volume_usd: round(totalVolume - organicVolume),
+    matched_pair_volume_usd: round(volumeOf(paired)),
+    circular_volume_usd: round(volumeOf(circular)),
+    matched_pairs: pairs.length,
+    unique_traders: traders.size,
+    trade_count: trades.length,
+    traders_per_1k_usd: tradersPer1kUsd === null ? null : round(tradersPer1kUsd, 4),
+    organic_share: organicShare === null ? null : round(organicShare, 4),
+    wash_score: organicShare === null ? 0 : round(1 - organicShare, 4),
+    flags,
+    clusters: clusters.map((cluster) => ({
+      wallets: cluster.wallets,
+      trade_count: cluster.trades.length,
+      volume_usd: round(cluster.volumeUsd),
+    })),
+  };
+}
+
+/**
+ * Normalized trade (see candles.mjs) → `token_trades` row, keyed like the trades stream's rowKey
+ */
+export function tradeRow(trade, tokenId) {
+  return {
+    trade_key: tradeKey(trade),
+    token_id: tokenId,
+    mint: trade.mint,
+    signature: trade.signature,
+    trader: trade.trader || null,
+    side: trade.side,
+    base_amount: trade.baseAmount,
+    volume_usd: trade.volumeUsd,
+    price_usd: trade.priceUsd,
+    traded_at: trade.time,
+    slot: trade.slot ?? null,
+  };
+}
+
+export class WashTradeDetector {
+  constructor({ supabase, now = () => Date.now(), ...options } = {}) {
+    this.supabase = supabase || createSupabase();
+    this.now = now;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Store a batch of normalized trades and re-analyze the tokens they touch.
+   * Returns token id → organic share of volume, for pushCandles.
+   */
+  async record(trades) {
+    const withSignature = trades.filter((trade) => trade.signature);
+    if (withSignature.length === 0) return new Map();
+
+    const tokens = await resolveTokens(this.supabase, withSignature);
+    const rows = withSignature
+      .filter((trade) => tokens.has(trade.mint))
+      .map((trade) => tradeRow(trade, tokens.get(trade.mint).id));
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const { error } = await this.supabase
+        .from("token_trades")
+        .upsert(rows.slice(i, i + batchSize), { onConflict: "trade_key", ignoreDuplicates: true });
+      if (error) {
+        console.error(`❌ Error storing trades starting at index ${i}:`, error);
+        throw error;
+      }
+    }
+
+    const results = await this.analyze([...new Set(rows.map((row) => row.token_id))]);
+    return new Map(results.map((row) => [row.token_id, row.organic_share]));
+  }
+
+  async fetchTrades(tokenIds, since) {
+    const trades = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await this.supabase
+        .from("token_trades")
+        .select("token_id, trader, side, base_amount, volume_usd, traded_at")
+        .in("token_id", tokenIds)
+        .gte("traded_at", since)
+        .order("traded_at", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+      if (error) throw error;
+      trades.push(...data);
+      if (data.length < pageSize) return trades;
+    }
+  }
+
+  /**
+   * Analyze each token's trailing window and upsert its `volume_quality` row
+   */
+  async analyze(tokenIds) {
+    const now = this.now();
+    const since = toIso(now - this.options.windowMs);
+    const results = [];
+
+    for (let i = 0; i < tokenIds.length; i += batchSize) {
+      const batch = tokenIds.slice(i, i + batchSize);
+      const byToken = new Map(batch.map((id) => [id, []]));
+      (await this.fetchTrades(batch, since)).forEach((trade) => byToken.get(trade.token_id)?.push(trade));
+
+      const rows = [...byToken.entries()]
+        .filter(([, trades]) => trades.length > 0)
+        .map(([tokenId, trades]) => ({
+          token_id: tokenId,
+          ...analyzeVolume(trades, this.options),
+          window_start: since,
+          updated_at: toIso(now),
+        }));
+      if (rows.length === 0) continue;
+
+      const { error } = await this.supabase.from("volume_quality").upsert(rows, { onConflict: "token_id" });
+      if (error) {
+        console.error(`❌ Error upserting volume quality starting at index ${i}:`, error);
+        throw error;
+      }
+      results.push(...rows);
+    }
+
+    const flagged = results.filter((row) => row.flags.length > 0).length;
+    if (results.length > 0) console.log(`🧼 Volume quality: ${results.length} tokens analyzed, ${flagged} flagged`);
+    return results;
+  }
+
+  /**
+   * Token ids with trades inside the analysis window
+   */
+  async recentTokenIds() {
+    const since = toIso(this.now() - this.options.windowMs);
+    const ids = new Set();
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await this.supabase
+        .from("token_trades")
+        .select("token_id")
+        .gte("traded_at", since)
+        .order("traded_at", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+      if (error) throw error;
+      data.forEach((row) => ids.add(row.token_id));
+      if (data.length < pageSize) return [...ids];
+    }
+  }
+
+  /**
+   * Drop stored trades older than `retentionMs`
+   */
+  async prune() {
+    const cutoff = toIso(this.now() - this.options.retentionMs);
+    const { error } = await this.supabase.from("token_trades").delete().lt("traded_at", cutoff);
+    if (error) throw error;
+    console.log(`🧹 Removed stored trades before ${cutoff}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "window-hours": { type: "string", default: "24" },
+      "retention-hours": { type: "string", default: "48" },
+    },
+  });
+
+  const detector = new WashTradeDetector({
+    windowMs: parseFloat(values["window-hours"]) * 60 * 60 * 1000,
+    retentionMs: parseFloat(values["retention-hours"]) * 60 * 60 * 1000,
+  });
+  const results = await detector.analyze(await detector.recentTokenIds());
+  await detector.prune();
+  console.log(`✅ Wash-trade check done, ${results.length} tokens analyzed`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Wash-trade check failed:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shared Bitquery GraphQL client
+ * Runs offline: HTTP is a scripted transport and replay reads captured results
+ */
+
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  BitqueryAuthError,
+  BitqueryClient,
+  BitqueryError,
+  BitqueryQuotaError,
+  BitquerySchemaError,
+  TokenBucket
+} from './scripts/bitquery-client.mjs';
+import { STREAMS } from './scripts/streams.mjs';
+
+const OK = { status: 200, headers: {}, body: { data: { Solana: { Instructions: [] } } } };
+
+/**
+ * Transport that answers with `responses` in order (an Error is thrown instead)
+ */
+function scripted(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    const next = responses[Math.min(requests.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { requests, transport };
+}
+
+function client(transport, options = {}) {
+  const waits = [];
+  const instance = new BitqueryClient({
+    apiKey: 'key',
+    accessToken: 'token',
+    mode: 'live',
+    transport,
+    bucket: new TokenBucket({ capacity: 100, requestsPerMinute: 6000 }),
+    wait: async (ms) => { waits.push(ms); },
+    random: () => 0.5,
+    ...options
+  });
+  return { instance, waits };
+}
+
+async function testBitqueryClient() {
+  console.log('🧪 Testing shared Bitquery client...');
+
+  console.log('\n🧾 Variables travel separately from the query text');
+  const mint = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+  const plain = scripted([OK]);
+  await client(plain.transport).instance.query('query ($mint: String) { Solana { Instructions { Block { Time } } } }', { mint });
+  assert.deepEqual(plain.requests[0].body.variables, { mint });
+  assert.ok(!plain.requests[0].body.query.includes(mint));
+  assert.equal(plain.requests[0].headers['X-API-KEY'], 'key');
+
+  console.log('🪣 Token bucket spaces out requests after the burst');
+  let clock = 0;
+  const slept = [];
+  const bucket = new TokenBucket({
+    capacity: 2,
+    requestsPerMinute: 60,
+    now: () => clock,
+    wait: async (ms) => { slept.push(ms); clock += ms; }
+  });
+  await Promise.all([bucket.take(), bucket.take(), bucket.take(), bucket.take()]);
+  assert.deepEqual(slept, [1000, 1000], 'two burst requests, then one per second');
+
+  console.log('🔁 429 and 5xx are retried with jittered backoff');
+  const flaky = scripted([
+    { status: 429, headers: { 'retry-after': '2' }, body: 'slow down' },
+    { status: 502, headers: {}, body: 'bad gateway' },
+    new Error('socket hang up'),
+    OK
+  ]);
+  const retried = client(flaky.transport);
+  const data = await retried.instance.query('{ Solana { Instructions { Block { Time } } } }');
+  assert.deepEqual(data, OK.body.data);
+  assert.equal(flaky.requests.length, 4);
+  assert.equal(retried.waits[0], 2000, 'Retry-After wins over a shorter backoff');
+  assert.deepEqual(retried.waits.slice(1), [0.5 * 1000, 0.5 * 2000], 'jittered exponential backoff');
+
+  console.log('🛑 Retries are bounded');
+  const down = scripted([{ status: 503, headers: {}, body: '' }]);
+  await assert.rejects(client(down.transport, { retries: 2 }).instance.query('{ x }'), (error) => {
+    assert.ok(error instanceof BitqueryError);
+    assert.equal(error.status, 503);
+    return true;
+  });
+  assert.equal(down.requests.length, 3);
+
+  const throttled = scripted([{ status: 429, headers: {}, body: '' }]);
+  await assert.rejects(client(throttled.transport, { retries: 1 }).instance.query('{ x }'), BitqueryQuotaError);
+
+  console.log('🏷️ Typed errors');
+  const denied = scripted([{ status: 401, headers: {}, body: 'unauthorized' }]);
+  await assert.rejects(client(denied.transport).instance.query('{ x }'), BitqueryAuthError);
+  assert.equal(denied.requests.length, 1, 'bad credentials are not retried');
+
+  await assert.rejects(
+    client(scripted([{ status: 200, headers: {}, body: { errors: [{ message: 'Cannot query field "Foo" on type "Solana"' }] } }]).transport).instance.query('{ x }'),
+    BitquerySchemaError
+  );
+  await assert.rejects(
+    client(scripted([{ status: 200, headers: {}, body: { errors: [{ message: 'Not enough points to run the query' }] } }]).transport).instance.query('{ x }'),
+    BitqueryQuotaError
+  );
+  await assert.rejects(client(scripted([OK]).transport, { apiKey: '' }).instance.query('{ x }'), BitqueryAuthError);
+
+  console.log('🌐 Default transport classifies the raw fetch response');
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('<html>rate limited</html>', { status: 429, headers: { 'Retry-After': '3' } });
+  try {
+    // An undefined transport falls back to the built-in fetch one
+    const fetched = client(undefined, { retries: 1 });
+    await assert.rejects(fetched.instance.query('{ x }'), BitqueryQuotaError);
+    assert.deepEqual(fetched.waits, [3000], 'Retry-After is read from a non-JSON 429');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  console.log('📼 Record once, replay offline from captured results');
+  const cassetteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bitquery-cassettes-'));
+  try {
+    const files = (await fs.readdir('results/memecoins')).filter(f => f.startsWith('next-memecoins'));
+    const captured = JSON.parse(await fs.readFile(path.join('results/memecoins', files[0]), 'utf-8'));
+    const variables = { since: '2025-10-06T23:00:00Z', before: '2025-10-07T00:00:00Z', limit: 1000, offset: 0 };
+
+    const live = scripted([{ status: 200, headers: {}, body: captured }]);
+    await client(live.transport, { mode: 'record', cassetteDir }).instance.query(STREAMS.memecoins.query, variables);
+
+    const offline = scripted([new Error('network is not allowed in replay')]);
+    const replayed = await client(offline.transport, { mode: 'replay', cassetteDir }).instance
+      .query(STREAMS.memecoins.query.replace(/\n/g, '\n  '), { ...variables });
+    assert.equal(offline.requests.length, 0);
+    assert.deepEqual(replayed, captured.data);
+
+    await assert.rejects(
+      client(offline.transport, { mode: 'replay', cassetteDir }).instance.query(STREAMS.memecoins.query, { ...variables, offset: 1000 }),
+      /No recorded Bitquery response/
+    );
+  } finally {
+    await fs.rm(cassetteDir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 Bitquery client test completed successfully!');
+}
+
+testBitqueryClient().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the OHLCV candle builder
+ * Runs offline: trades are inline and Supabase is an in-memory stand-in
+ */
+
+import assert from 'node:assert/strict';
+import {
+  bucketStart,
+  buildCandles,
+  mergeCandles,
+  normalizeTrade,
+  rollingVolume,
+  tradeKey
+} from './scripts/candles.mjs';
+import { pushCandles } from './scripts/supabase/candles.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+
+function row(time, { priceUsd, priceSol = priceUsd / 200, amount, side = 'buy' }) {
+  return {
+    Block: { Time: time },
+    Transaction: { Signature: `sig-${time}-${amount}` },
+    Trade: {
+      Amount: String(amount),
+      AmountInUSD: String(priceUsd * amount),
+      Price: priceSol,
+      PriceInUSD: priceUsd,
+      Currency: { MintAddress: MINT, Uri: 'https://ipfs.io/ipfs/wif', Name: 'dogwifhat', Symbol: 'WIF' },
+      Side: { Type: side, Amount: String(priceSol * amount), AmountInUSD: String(priceUsd * amount), Currency: { MintAddress: '11111111111111111111111111111111' } }
+    }
+  };
+}
+
+const TRADES = [
+  row('2025-01-01T10:00:05Z', { priceUsd: 1.0, amount: 100 }),
+  row('2025-01-01T10:00:40Z', { priceUsd: 1.5, amount: 10, side: 'sell' }),
+  row('2025-01-01T10:00:20Z', { priceUsd: 0.8, amount: 50 }),
+  row('2025-01-01T10:03:00Z', { priceUsd: 1.2, amount: 20 })
+].map(normalizeTrade);
+
+async function testCandles() {
+  console.log('🧪 Testing OHLCV candle builder...');
+
+  console.log('\n🪣 Buckets');
+  assert.equal(bucketStart('2025-01-01T10:04:59Z', '5m'), '2025-01-01T10:00:00.000Z');
+  assert.equal(bucketStart('2025-01-01T23:59:59Z', '1d'), '2025-01-01T00:00:00.000Z');
+  assert.throws(() => bucketStart('2025-01-01T00:00:00Z', '2m'));
+
+  console.log('🔄 Trade normalization');
+  assert.equal(TRADES[1].side, 'sell');
+  assert.equal(TRADES[0].baseAmount, 100);
+  assert.equal(TRADES[0].volumeUsd, 100, 'volume is amount times price, not the unit price');
+  assert.equal(normalizeTrade({ Block: { Time: '2025-01-01T00:00:00Z' }, Trade: { PriceInUSD: 0, Currency: { MintAddress: MINT } } }), null);
+
+  console.log('🕯️ OHLCV from out-of-order trades');
+  const candles = buildCandles(TRADES);
+  const oneMinute = candles.filter(c => c.resolution === '1m');
+  assert.equal(oneMinute.length, 2);
+  const first = oneMinute[0];
+  assert.equal(first.open_usd, 1.0, 'open is the earliest trade, not the first seen');
+  assert.equal(first.close_usd, 1.5);
+  assert.equal(first.high_usd, 1.5);
+  assert.equal(first.low_usd, 0.8);
+  assert.equal(first.volume_base, 160);
+  assert.equal(first.volume_usd, 100 + 15 + 40);
+  assert.equal(first.trade_count, 3);
+  assert.equal(first.buy_count, 2);
+  assert.equal(first.sell_volume_usd, 15);
+
+  const fiveMinute = candles.find(c => c.resolution === '5m');
+  assert.equal(fiveMinute.trade_count, 4);
+  assert.equal(fiveMinute.close_usd, 1.2);
+  assert.equal(candles.filter(c => c.resolution === '1d').length, 1);
+
+  console.log('🧩 Merging with a stored candle');
+  const later = buildCandles([normalizeTrade(row('2025-01-01T10:04:00Z', { priceUsd: 2, amount: 5 }))])
+    .find(c => c.resolution === '5m');
+  const merged = mergeCandles({ ...fiveMinute, last_trade_at: '2025-01-01T10:03:00+00:00', high_usd: '1.5' }, later);
+  assert.equal(merged.open_usd, 1.0);
+  assert.equal(merged.close_usd, 2);
+  assert.equal(merged.high_usd, 2);
+  assert.equal(merged.trade_count, 5);
+
+  console.log('📊 Rolling 24h volume');
+  const now = Date.parse('2025-01-02T10:30:00Z');
+  assert.equal(rollingVolume([
+    { bucket_start: '2025-01-01T10:00:00Z', volume_usd: 1000 },
+    { bucket_start: '2025-01-01T11:00:00Z', volume_usd: 7 },
+    { bucket_start: '2025-01-02T10:00:00Z', volume_usd: '3' }
+  ], now), 10);
+
+  console.log('🗄️ Pushing candles skips trades that were already ingested');
+  const tables = {
+    tokens: [{ id: 1, uri: 'https://ipfs.io/ipfs/wif', address: MINT }],
+    price_candles: [{
+      ...first,
+      token_id: 1,
+      bucket_start: '2025-01-01T10:00:00+00:00',
+      last_trade_at: '2025-01-01T10:00:40+00:00'
+    }],
+    candle_trades: TRADES.slice(0, 3).map(trade => ({ trade_key: tradeKey(trade) }))
+  };
+  const supabase = mockSupabase(tables);
+  const result = await pushCandles(TRADES, { supabase, now: Date.parse('2025-01-01T10:05:00Z') });
+  assert.equal(result.skippedTrades, 3);
+  assert.equal(tables.candle_trades.length, 4, 'the new trade is claimed');
+  assert.equal((await pushCandles(TRADES, { supabase, now: Date.parse('2025-01-01T10:05:00Z') })).skippedTrades, 4, 'a re-run adds nothing');
+  const candleRows = supabase.upserts.find(u => u.table === 'price_candles').rows;
+  assert.ok(candleRows.every(r => r.token_id === 1));
+  assert.equal(candleRows.find(r => r.resolution === '1m').bucket_start, '2025-01-01T10:03:00.000Z');
+  const priceRow = supabase.upserts.find(u => u.table === 'prices').rows[0];
+  assert.equal(priceRow.price_usd, 1.2);
+  assert.equal(priceRow.token_uri, 'https://ipfs.io/ipfs/wif');
+
+  console.log('🩹 Backfilled trades older than the newest candle are kept');
+  const backfill = mockSupabase({
+    tokens: [{ id: 1, uri: 'https://ipfs.io/ipfs/wif', address: MINT }],
+    price_candles: [{ ...first, token_id: 1, bucket_start: '2025-01-01T10:00:00+00:00' }]
+  });
+  const older = await pushCandles([normalizeTrade(row('2025-01-01T09:58:00Z', { priceUsd: 0.5, amount: 10 }))], {
+    supabase: backfill,
+    now: Date.parse('2025-01-01T10:05:00Z')
+  });
+  assert.equal(older.skippedTrades, 0);
+  assert.ok(!backfill.upserts.some(u => u.table === 'prices'), 'an old window does not overwrite the latest price');
+
+  console.log('⏱️ Trades sharing the last stored timestamp are not dropped');
+  const boundary = mockSupabase({
+    tokens: [{ id: 1, uri: 'https://ipfs.io/ipfs/wif', address: MINT }],
+    price_candles: [{ ...first, token_id: 1, bucket_start: '2025-01-01T10:00:00+00:00', last_trade_at: '2025-01-01T10:00:40+00:00' }],
+    candle_trades: TRADES.slice(0, 3).map(trade => ({ trade_key: tradeKey(trade) }))
+  });
+  const sameSecond = normalizeTrade(row('2025-01-01T10:00:40Z', { priceUsd: 1.5, amount: 7, side: 'sell' }));
+  assert.equal((await pushCandles([TRADES[1], sameSecond], { supabase: boundary, now: Date.parse('2025-01-01T10:05:00Z') })).skippedTrades, 1);
+  const boundaryMinute = boundary.upserts.find(u => u.table === 'price_candles').rows.find(r => r.resolution === '1m');
+  assert.equal(boundaryMinute.trade_count, 4);
+  assert.equal(boundaryMinute.volume_usd, 155 + 10.5);
+
+  console.log('📚 Stored candles past the first page are merged, not overwritten');
+  const filler = Array.from({ length: 1000 }, (_, i) => ({
+    ...first,
+    token_id: 1,
+    bucket_start: new Date(Date.parse('2025-01-01T00:00:00Z') + i * 1000).toISOString()
+  }));
+  const paged = mockSupabase({
+    tokens: [{ id: 1, uri: 'https://ipfs.io/ipfs/wif', address: MINT }],
+    price_candles: [...filler, { ...first, token_id: 1, bucket_start: '2025-01-01T10:00:00+00:00', last_trade_at: '2025-01-01T10:00:40+00:00' }]
+  });
+  await pushCandles([normalizeTrade(row('2025-01-01T10:00:50Z', { priceUsd: 0.9, amount: 10 }))], { supabase: paged, now: Date.parse('2025-01-01T10:05:00Z') });
+  const pagedMinute = paged.upserts.find(u => u.table === 'price_candles').rows.find(r => r.resolution === '1m');
+  assert.deepEqual([pagedMinute.trade_count, pagedMinute.open_usd, pagedMinute.close_usd], [4, 1.0, 0.9], 'the 1001st stored candle was read');
+  assert.ok(paged.calls.some(call => call.table === 'price_candles' && call.range[0] === 1000));
+
+  console.log('↩️ A failed candle write gives its trades back');
+  const failing = mockSupabase({ tokens: [{ id: 1, uri: 'https://ipfs.io/ipfs/wif', address: MINT }] });
+  const broken = {
+    from: table => table === 'price_candles'
+      ? { ...failing.from(table), upsert: async () => ({ error: new Error('candles down') }) }
+      : failing.from(table)
+  };
+  await assert.rejects(pushCandles(TRADES, { supabase: broken, now: Date.parse('2025-01-01T10:05:00Z') }), /candles down/);
+  const retry = await pushCandles(TRADES, { supabase: failing, now: Date.parse('2025-01-01T10:05:00Z') });
+  assert.equal(retry.skippedTrades, 0, 'nothing stays claimed after the failure');
+
+  console.log('\n🎉 Candle builder test completed successfully!');
+}
+
+testCandles().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
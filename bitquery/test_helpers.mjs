@@ -0,0 +1,84 @@
+/**
+ * Shared fixtures for the bitquery test scripts
+ */
+
+// Like PostgREST's default max-rows, no response holds more than this
+const MAX_ROWS = 1000;
+
+const compare = (a, b) => (typeof a === 'string' && typeof b === 'string' ? a.localeCompare(b) : (a > b) - (a < b));
+
+/**
+ * In-memory stand-in for the Supabase query builder, backed by `tables`
+ * Filters, order, range and limit apply when the query is awaited, and at
+ * most MAX_ROWS rows come back, so unpaged reads lose rows here too. Upserts
+ * are recorded in `upserts` and written back to `tables`, replacing rows
+ * that share the onConflict columns (or keeping them with ignoreDuplicates).
+ * Every executed query is recorded in `calls`.
+ */
+export function mockSupabase(tables) {
+  const upserts = [];
+  const calls = [];
+  const from = (table) => {
+    const filters = [];
+    let orderBy = null;
+    let range = null;
+    let limit = null;
+    let deleting = false;
+    const rows = () => tables[table] || [];
+    const query = {
+      select: () => query,
+      in: (column, values) => { filters.push(r => values.includes(r[column])); return query; },
+      eq: (column, value) => { filters.push(r => r[column] === value); return query; },
+      gte: (column, value) => { filters.push(r => r[column] >= value); return query; },
+      gt: (column, value) => { filters.push(r => r[column] > value); return query; },
+      lte: (column, value) => { filters.push(r => r[column] <= value); return query; },
+      lt: (column, value) => { filters.push(r => r[column] < value); return query; },
+      not: (column) => { filters.push(r => r[column] !== null && r[column] !== undefined); return query; },
+      // Callers re-check or() conditions themselves
+      or: () => query,
+      order: (column, { ascending = true } = {}) => { orderBy = { column, ascending }; return query; },
+      range: (start, end) => { range = [start, end]; return query; },
+      limit: (count) => { limit = count; return query; },
+      delete: () => { deleting = true; return query; },
+      upsert: (incoming, options = {}) => {
+        upserts.push({ table, rows: incoming, options });
+        const keys = options.onConflict ? options.onConflict.split(',').map(c => c.trim()) : null;
+        const same = (a, b) => keys && keys.every(key => a[key] === b[key]);
+        let stored = rows();
+        const written = [];
+        for (const row of [].concat(incoming)) {
+          if (stored.some(r => same(r, row))) {
+            if (options.ignoreDuplicates) continue;
+            stored = stored.filter(r => !same(r, row));
+          }
+          stored = stored.concat(row);
+          written.push(row);
+        }
+        tables[table] = stored;
+        // Like PostgREST, .select() returns only the rows that were written
+        return {
+          select: async () => ({ data: written, error: null }),
+          then: (resolve, reject) => Promise.resolve({ error: null }).then(resolve, reject)
+        };
+      },
+      then: (resolve, reject) => {
+        calls.push({ table, range, limit, deleting });
+        const matching = rows().filter(r => filters.every(f => f(r)));
+        if (deleting) {
+          tables[table] = rows().filter(r => !matching.includes(r));
+          return Promise.resolve({ error: null }).then(resolve, reject);
+        }
+        if (orderBy) {
+          const direction = orderBy.ascending ? 1 : -1;
+          matching.sort((a, b) => direction * compare(a[orderBy.column], b[orderBy.column]));
+        }
+        let data = range ? matching.slice(range[0], range[1] + 1) : matching;
+        if (limit !== null) data = data.slice(0, limit);
+        data = data.slice(0, MAX_ROWS);
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  };
+  return { from, upserts, calls };
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the pump.fun lifecycle tracker
+ * Runs offline: events are inline and Supabase is an in-memory stand-in
+ */
+
+import assert from 'node:assert/strict';
+import {
+  BONDING_CURVE,
+  LifecycleTracker,
+  applyLifecycleEvent,
+  bondingProgress,
+  isAbandoned,
+  launchEvent,
+  migrateEvent
+} from './scripts/lifecycle.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2025-01-03T12:00:00Z');
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const OTHER_MINT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+const POOL = 'PoolAddress111111111111111111111111111111111';
+
+// SOL per token once `sold` tokens have left the curve
+function priceAfter(sold) {
+  const tokens = BONDING_CURVE.virtualTokenReserves - sold;
+  return (BONDING_CURVE.virtualSolReserves * BONDING_CURVE.virtualTokenReserves) / (tokens * tokens);
+}
+
+async function testLifecycle() {
+  console.log('🧪 Testing pump.fun lifecycle tracker...');
+
+  console.log('\n📈 Bonding progress from price');
+  assert.equal(bondingProgress(priceAfter(0)), 0);
+  assert.equal(bondingProgress(priceAfter(BONDING_CURVE.tokensForSale / 2)), 0.5);
+  assert.equal(bondingProgress(priceAfter(BONDING_CURVE.tokensForSale)), 1);
+  assert.equal(bondingProgress(1), 1, 'clamped past the end of the curve');
+  assert.equal(bondingProgress(0), null);
+
+  console.log('🔀 State machine');
+  let record = applyLifecycleEvent(null, { type: 'launch', time: '2025-01-01T10:00:00.000Z' });
+  assert.equal(record.state, 'launched');
+  record = applyLifecycleEvent(record, { type: 'trade', time: '2025-01-01T10:01:00.000Z', priceSol: priceAfter(BONDING_CURVE.tokensForSale / 4) });
+  assert.equal(record.state, 'bonding');
+  assert.equal(record.bonding_progress, 0.25);
+  assert.equal(record.bonding_at, '2025-01-01T10:01:00.000Z');
+
+  const stale = applyLifecycleEvent(record, { type: 'trade', time: '2025-01-01T10:00:30.000Z', priceSol: priceAfter(0) });
+  assert.equal(stale, record, 'an older backfilled trade does not move progress back');
+
+  const abandoned = applyLifecycleEvent(record, { type: 'abandon', time: '2025-01-02T11:00:00.000Z' });
+  assert.equal(abandoned.state, 'abandoned');
+  const revived = applyLifecycleEvent(abandoned, { type: 'trade', time: '2025-01-02T12:00:00.000Z', priceSol: priceAfter(0) });
+  assert.equal(revived.state, 'bonding', 'a new trade revives an abandoned token');
+
+  const graduated = applyLifecycleEvent(revived, { type: 'migrate', time: '2025-01-02T13:00:00.000Z', poolAddress: POOL });
+  assert.equal(graduated.state, 'graduated');
+  assert.equal(graduated.pool_address, POOL);
+  assert.equal(graduated.bonding_progress, 1);
+  assert.deepEqual(graduated.transitions.map(t => t.to), ['launched', 'bonding', 'abandoned', 'bonding', 'graduated']);
+  assert.equal(applyLifecycleEvent(graduated, { type: 'abandon', time: '2025-01-05T00:00:00.000Z' }), graduated, 'graduated tokens are never abandoned');
+  assert.equal(applyLifecycleEvent(graduated, { type: 'trade', time: '2025-01-02T14:00:00.000Z', priceSol: priceAfter(0) }).state, 'graduated');
+
+  const tradeFirst = applyLifecycleEvent(null, { type: 'trade', time: '2025-01-01T10:05:00.000Z', priceSol: priceAfter(0) });
+  const launchedLate = applyLifecycleEvent(tradeFirst, { type: 'launch', time: '2025-01-01T10:00:00.000Z' });
+  assert.equal(launchedLate.state, 'bonding', 'a late launch only fills in launched_at');
+  assert.equal(launchedLate.launched_at, '2025-01-01T10:00:00.000Z');
+
+  assert.equal(isAbandoned({ state: 'bonding', last_trade_at: '2025-01-02T11:00:00+00:00' }, NOW), true);
+  assert.equal(isAbandoned({ state: 'bonding', last_trade_at: '2025-01-03T11:00:00+00:00' }, NOW), false);
+
+  console.log('🧾 Instruction rows');
+  const accounts = Array.from({ length: 12 }, (_, i) => ({ Address: `Account${i}` }));
+  accounts[2] = { Address: MINT };
+  accounts[9] = { Address: POOL };
+  assert.deepEqual(migrateEvent({ Instruction: { Accounts: accounts }, Block: { Time: '2025-01-02T13:00:00Z' } }), {
+    type: 'migrate', mint: MINT, uri: null, time: '2025-01-02T13:00:00.000Z', poolAddress: POOL
+  });
+  assert.equal(launchEvent({ Instruction: { Accounts: [] }, Block: { Time: '2025-01-01T10:00:00Z' } }), null);
+
+  console.log('💾 Tracker resolves tokens and stores transitions');
+  const tables = {
+    tokens: [
+      { id: 1, uri: 'https://ipfs.io/ipfs/wif', address: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P' },
+      { id: 2, uri: 'https://ipfs.io/ipfs/bonk', address: OTHER_MINT }
+    ],
+    token_lifecycle: []
+  };
+  const supabase = mockSupabase(tables);
+  const tracker = new LifecycleTracker({ supabase, now: () => NOW });
+
+  const launch = (mint, uri, time) => ({
+    Instruction: { Accounts: [{ Address: mint }], Program: { Arguments: [{ Value: { string: 'Name' } }, { Value: { string: 'SYM' } }, { Value: { string: uri } }] } },
+    Block: { Time: time }
+  });
+  const launched = await tracker.recordLaunches([
+    launch(MINT, 'https://ipfs.io/ipfs/wif', '2025-01-01T10:00:00Z'),
+    launch(OTHER_MINT, 'https://ipfs.io/ipfs/bonk', '2025-01-01T11:00:00Z'),
+    launch('UnknownMint', 'https://ipfs.io/ipfs/none', '2025-01-01T12:00:00Z')
+  ]);
+  assert.deepEqual(launched, { updated: 2, transitions: 2, skipped: 1 });
+  assert.equal(tables.token_lifecycle.find(r => r.token_id === 1).mint, MINT, 'matched by URI, stored with the real mint');
+
+  await tracker.recordTrades([
+    { mint: MINT, uri: null, time: '2025-01-03T11:00:00.000Z', priceSol: priceAfter(BONDING_CURVE.tokensForSale * 0.9) },
+    { mint: OTHER_MINT, uri: null, time: '2025-01-01T11:30:00.000Z', priceSol: priceAfter(1000000) }
+  ]);
+  const wif = tables.token_lifecycle.find(r => r.token_id === 1);
+  assert.equal(wif.state, 'bonding');
+  assert.equal(wif.bonding_progress, 0.9);
+
+  console.log('🪦 Sweep abandons quiet tokens');
+  const swept = await tracker.sweepAbandoned();
+  assert.equal(swept.updated, 1);
+  assert.equal(tables.token_lifecycle.find(r => r.token_id === 2).state, 'abandoned');
+  assert.ok(tables.token_lifecycle.find(r => r.token_id === 2).abandoned_at);
+
+  console.log('🎓 Migration graduates by mint');
+  await tracker.recordMigrations([{ Instruction: { Accounts: accounts }, Block: { Time: '2025-01-03T11:30:00Z' } }]);
+  const graduatedRow = tables.token_lifecycle.find(r => r.token_id === 1);
+  assert.equal(graduatedRow.state, 'graduated');
+  assert.equal(graduatedRow.pool_address, POOL);
+  assert.deepEqual(graduatedRow.transitions.map(t => t.to), ['launched', 'bonding', 'graduated']);
+  assert.equal(graduatedRow.updated_at, new Date(NOW).toISOString());
+
+  const again = await tracker.sweepAbandoned();
+  assert.equal(again.updated, 0, 'nothing left to abandon');
+  assert.ok(NOW - Date.parse(tables.token_lifecycle.find(r => r.token_id === 2).abandoned_at) < HOUR_MS);
+
+  console.log('\n🎉 Lifecycle test completed successfully!');
+}
+
+testLifecycle().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
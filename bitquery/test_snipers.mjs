@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for launch sniper detection
+ * Runs offline: the RPC connection and Supabase are in-memory stand-ins
+ */
+
+import assert from 'node:assert/strict';
+import { PublicKey } from '@solana/web3.js';
+import { SniperDetector, findFunder, scoreSnipers } from './scripts/snipers.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const NOW = Date.parse('2025-01-03T12:00:00Z');
+const LAUNCH_SLOT = 310000000;
+const SYSTEM = new PublicKey('11111111111111111111111111111111');
+
+// Valid base58 addresses so PublicKey accepts them
+const wallet = (n) => new PublicKey(Buffer.alloc(32, n)).toBase58();
+const DEPLOYER = wallet(1);
+const BUNDLER = wallet(2);
+const SNIPERS = [wallet(10), wallet(11), wallet(12)];
+const RETAIL = wallet(20);
+const VETERAN = wallet(21);
+
+const buy = (trader, slotOffset, amount) => ({ token_id: 1, trader, side: 'buy', base_amount: amount, slot: LAUNCH_SLOT + slotOffset });
+
+// Each wallet's history: how many signatures it has and who funded it first
+function mockConnection(histories) {
+  const calls = { signatures: 0, transactions: 0 };
+  return {
+    calls,
+    getSignaturesForAddress: async (address, { before, limit }) => {
+      calls.signatures++;
+      const history = histories[address.toBase58()] || { count: 0 };
+      const all = Array.from({ length: history.count }, (_, i) => ({ signature: `${address.toBase58()}-${history.count - 1 - i}`, blockTime: 1735800000 + history.count - i }));
+      const start = before ? all.findIndex(s => s.signature === before) + 1 : 0;
+      return all.slice(start, start + limit);
+    },
+    getParsedTransaction: async (signature) => {
+      calls.transactions++;
+      const [address] = signature.split('-');
+      const history = histories[address];
+      return {
+        transaction: {
+          message: {
+            instructions: [
+              { programId: SYSTEM, parsed: { type: 'transfer', info: { source: history.funder, destination: address, lamports: 1e8 } } }
+            ]
+          }
+        },
+        meta: { innerInstructions: [] }
+      };
+    }
+  };
+}
+
+async function testSnipers() {
+  console.log('🧪 Testing sniper detection...');
+
+  console.log('\n🎯 Scoring early buys');
+  const trades = [
+    buy(DEPLOYER, 0, 50000000),
+    ...SNIPERS.map(sniper => buy(sniper, 0, 60000000)),
+    buy(RETAIL, 3, 1000000),
+    buy(VETERAN, 4, 2000000),
+    buy(wallet(30), 5, 9000000), // one slot too late
+    { ...buy(wallet(31), 0, 9000000), side: 'sell' }
+  ];
+  const funders = new Map([[SNIPERS[0], BUNDLER], [SNIPERS[1], BUNDLER], [SNIPERS[2], DEPLOYER], [RETAIL, wallet(40)]]);
+  const result = scoreSnipers({ trades, launchSlot: LAUNCH_SLOT, deployer: DEPLOYER, funders });
+
+  assert.equal(result.early_buyers, 5, 'the deployer, late buyers and sells are left out');
+  assert.equal(result.first_block_buyers, 3);
+  assert.equal(result.first_block_supply_share, 0.23, 'dev buy plus three snipers: 230M of 1B');
+  assert.equal(result.early_supply_share, 0.233);
+  assert.equal(result.bundled_wallets, 2);
+  assert.equal(result.deployer_funded_wallets, 1);
+  assert.deepEqual(result.funding_clusters.map(c => [c.funder, c.wallets.length, c.deployer]), [[BUNDLER, 2, false], [DEPLOYER, 1, true]]);
+  assert.deepEqual(result.flags, ['bundled_buys', 'deployer_funded_snipers']);
+  // 0.35 * 0.23/0.3 + 0.25 * 2/5 + 0.25 + 0.15 * 5/20
+  assert.equal(result.sniper_score, 0.6558);
+
+  const clean = scoreSnipers({ trades: [buy(RETAIL, 2, 1000000), buy(VETERAN, 4, 3000000)], launchSlot: LAUNCH_SLOT, deployer: DEPLOYER });
+  assert.deepEqual(clean.flags, []);
+  assert.ok(clean.sniper_score < 0.05);
+
+  console.log('💸 Funding lookups');
+  const histories = {
+    [SNIPERS[0]]: { count: 3, funder: BUNDLER },
+    [SNIPERS[1]]: { count: 1000, funder: BUNDLER },
+    [SNIPERS[2]]: { count: 2, funder: DEPLOYER },
+    [RETAIL]: { count: 5, funder: wallet(40) },
+    [VETERAN]: { count: 5000, funder: wallet(41) }
+  };
+  const connection = mockConnection(histories);
+  assert.deepEqual(await findFunder(connection, SNIPERS[0]), { funder: BUNDLER, fundedAt: '2025-01-02T06:40:01.000Z' });
+  assert.equal((await findFunder(connection, SNIPERS[1])).funder, BUNDLER, 'exactly one full page still reaches the start');
+  assert.equal(await findFunder(connection, VETERAN), null, 'a wallet with years of history is not fresh');
+
+  console.log('💾 Detector stores a score per launch');
+  const tables = {
+    tokens: [
+      { id: 1, address: 'MintA', deployer: DEPLOYER, created_at: '2025-01-03T11:00:00.000Z', created_slot: LAUNCH_SLOT, total_supply: null },
+      { id: 2, address: 'MintB', deployer: wallet(3), created_at: '2025-01-03T11:30:00.000Z', created_slot: null, total_supply: null },
+      { id: 3, address: 'MintC', deployer: wallet(4), created_at: '2025-01-03T11:59:30.000Z', created_slot: 1 }
+    ],
+    token_trades: [
+      ...trades.filter(trade => trade.side === 'buy'),
+      // A busy launch: its earliest buys sit past the first 1000 rows
+      ...Array.from({ length: 1000 }, () => ({ token_id: 2, trader: RETAIL, side: 'buy', base_amount: 10, slot: 320001000 })),
+      { token_id: 2, trader: RETAIL, side: 'buy', base_amount: 5000000, slot: 320000002 },
+      { token_id: 2, trader: VETERAN, side: 'buy', base_amount: 5000000, slot: 320000009 }
+    ],
+    token_snipers: []
+  };
+  const supabase = mockSupabase(tables);
+  const rpc = mockConnection(histories);
+  const detector = new SniperDetector({ connection: rpc, supabase, now: () => NOW });
+
+  const first = await detector.analyzeNewTokens();
+  assert.deepEqual(first, { analyzed: 2, flagged: 1 }, 'MintC launched 30s ago and is left for the next run');
+  const stored = tables.token_snipers.find(row => row.token_id === 1);
+  assert.equal(stored.sniper_score, 0.6558);
+  assert.equal(stored.analyzed_at, new Date(NOW).toISOString());
+  const noSlot = tables.token_snipers.find(row => row.token_id === 2);
+  assert.equal(noSlot.launch_slot, 320000002, 'the first trade stands in for a missing create slot, even past the first page');
+  assert.equal(noSlot.early_buyers, 1);
+
+  const lookups = rpc.calls.signatures;
+  assert.deepEqual(await detector.analyzeNewTokens(), { analyzed: 0, flagged: 0 }, 'analyzed launches are skipped');
+  await detector.analyze([tables.tokens[0]]);
+  assert.equal(rpc.calls.signatures, lookups, 'funders are cached between launches');
+
+  console.log('\n🎉 Sniper detection test completed successfully!');
+}
+
+testSnipers().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the live Bitquery streamer
+ * Runs offline: a local WebSocket server replays recorded graphql-ws frames
+ */
+
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WebSocketServer } from 'ws';
+import { BitqueryAuthError } from './scripts/bitquery-client.mjs';
+import { BitqueryStreamer, LIVE_CHECKPOINT } from './scripts/streamer.mjs';
+import { MemoryCheckpointStore } from './scripts/sync.mjs';
+
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+
+function tradeRow(time, n) {
+  return {
+    Block: { Time: time },
+    Transaction: { Signature: `sig-${n}` },
+    Trade: {
+      Amount: String(n * 100),
+      AmountInUSD: '1',
+      Price: 0.00001,
+      PriceInUSD: 0.002,
+      Currency: { MintAddress: MINT, Uri: 'https://ipfs.io/ipfs/wif', Name: 'dogwifhat', Symbol: 'WIF' },
+      Side: { Type: 'buy', Amount: '0.01', AmountInUSD: '1', Currency: { MintAddress: '11111111111111111111111111111111' } }
+    }
+  };
+}
+
+const frame = (id, field, rows) => JSON.stringify({ id, type: 'data', payload: { data: { Solana: { [field]: rows } } } });
+
+/**
+ * Stand-in for Bitquery's streaming endpoint. Each connection replays the next
+ * recording (NDJSON of server frames) once both subscriptions have started.
+ */
+async function standIn(recordings, { closeWith = null, dropAfterMs = null } = {}) {
+  const server = new WebSocketServer({ port: 0, handleProtocols: (protocols) => protocols.has('graphql-ws') ? 'graphql-ws' : false });
+  const connections = [];
+
+  server.on('connection', (socket, request) => {
+    const session = connections.length;
+    connections.push({ url: request.url, apiKey: request.headers['x-api-key'], started: [] });
+    if (closeWith) return socket.close(closeWith, 'invalid token');
+
+    socket.on('message', async (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'connection_init') socket.send(JSON.stringify({ type: 'connection_ack' }));
+      if (message.type !== 'start') return;
+      connections[session].started.push(message.id);
+      if (connections[session].started.length < 2 || !recordings[session]) return;
+
+      for (const line of (await fs.readFile(recordings[session], 'utf-8')).split('\n').filter(Boolean)) {
+        socket.send(line);
+      }
+      if (session < recordings.length - 1 && dropAfterMs !== null) {
+        setTimeout(() => socket.terminate(), dropAfterMs);
+      }
+    });
+  });
+
+  await new Promise(resolve => server.on('listening', resolve));
+  return { server, connections, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+async function until(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the streamer');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function streamer(url, overrides = {}) {
+  const pushes = [];
+  const catchUps = [];
+  const instance = new BitqueryStreamer({
+    url,
+    apiKey: 'key',
+    accessToken: 'token',
+    flushMs: 20,
+    baseDelayMs: 10,
+    keepAliveMs: 2000,
+    random: () => 1,
+    push: {
+      memecoins: async (rows) => { pushes.push({ stream: 'memecoins', rows }); },
+      trades: async (rows) => { pushes.push({ stream: 'trades', rows }); }
+    },
+    catchUp: async (from, to) => { catchUps.push({ from, to }); },
+    ...overrides
+  });
+  return { instance, pushes, catchUps };
+}
+
+async function testStreamer() {
+  console.log('🧪 Testing live Bitquery streamer...');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bitquery-stream-'));
+
+  try {
+    const saved = (await fs.readdir('results/memecoins')).filter(f => f.startsWith('next-memecoins'));
+    const launches = JSON.parse(await fs.readFile(path.join('results/memecoins', saved[0]), 'utf-8')).data.Solana.Instructions.slice(0, 3);
+
+    const first = path.join(dir, 'session-1.ndjson');
+    const second = path.join(dir, 'session-2.ndjson');
+    await fs.writeFile(first, [
+      frame('trades', 'DEXTradeByTokens', [tradeRow('2025-01-01T10:00:01Z', 1)]),
+      JSON.stringify({ type: 'ka' }),
+      frame('trades', 'DEXTradeByTokens', [tradeRow('2025-01-01T10:00:02Z', 2)])
+    ].join('\n'));
+    await fs.writeFile(second, [
+      frame('trades', 'DEXTradeByTokens', [tradeRow('2025-01-01T10:00:02Z', 2), tradeRow('2025-01-01T10:00:09Z', 3)]),
+      frame('launches', 'Instructions', launches)
+    ].join('\n'));
+
+    console.log('\n📡 Subscribing, de-duplicating and reconnecting with resume');
+    const stand = await standIn([first, second], { dropAfterMs: 150 });
+    const checkpoints = new MemoryCheckpointStore();
+    let failOnce = true;
+    const live = streamer(stand.url, { checkpoints });
+    const trades = live.instance.push.trades;
+    live.instance.push.trades = async (rows) => {
+      if (rows.some(row => row.Transaction.Signature === 'sig-3') && failOnce) {
+        failOnce = false;
+        throw new Error('supabase is down');
+      }
+      await trades(rows);
+    };
+    const running = live.instance.start();
+    await until(() => live.pushes.some(p => p.rows.some(row => row.Transaction?.Signature === 'sig-3')));
+    await live.instance.stop();
+    const stats = await running;
+
+    assert.equal(stand.connections.length, 2, 'reconnected after the drop');
+    assert.match(stand.connections[0].url, /token=token/);
+    assert.equal(stand.connections[0].apiKey, 'key');
+    assert.deepEqual(stand.connections[0].started.sort(), ['launches', 'trades']);
+
+    const traded = live.pushes.filter(p => p.stream === 'trades').flatMap(p => p.rows.map(row => row.Transaction.Signature));
+    assert.deepEqual(traded, ['sig-1', 'sig-2', 'sig-3'], 'the replayed duplicate is dropped');
+    assert.equal(stats.duplicates, 1);
+
+    const lastFlush = live.pushes.slice(-2).map(p => p.stream);
+    assert.deepEqual(lastFlush, ['memecoins', 'trades'], 'launches are written before trades, and a failed batch is retried');
+    assert.equal(live.pushes.find(p => p.stream === 'memecoins').rows.length, launches.length);
+
+    assert.equal(live.catchUps.length, 1, 'one catch-up after the reconnect');
+    assert.equal(live.catchUps[0].from, '2025-01-01T10:00:02.000Z', 'catch-up starts at the last written row');
+    assert.equal(await checkpoints.get(LIVE_CHECKPOINT) >= '2025-01-01T10:00:09.000Z', true);
+    await new Promise(resolve => stand.server.close(resolve));
+
+    console.log('⏪ A restarted streamer resumes from its checkpoint');
+    const restart = await standIn([]);
+    const resumed = streamer(restart.url, { checkpoints: new MemoryCheckpointStore({ cursors: { [LIVE_CHECKPOINT]: '2025-01-01T09:00:00.000Z' } }) });
+    const resumedRun = resumed.instance.start();
+    await until(() => resumed.catchUps.length === 1);
+    await resumed.instance.stop();
+    await resumedRun;
+    assert.equal(resumed.catchUps[0].from, '2025-01-01T09:00:00.000Z');
+    await new Promise(resolve => restart.server.close(resolve));
+
+    console.log('💤 A silent connection is dropped and reopened');
+    const silent = await standIn([]);
+    const quiet = streamer(silent.url, { keepAliveMs: 100 });
+    const quietRun = quiet.instance.start();
+    await until(() => silent.connections.length >= 2);
+    await quiet.instance.stop();
+    await quietRun;
+    await new Promise(resolve => silent.server.close(resolve));
+
+    console.log('🔒 Refused credentials stop the streamer instead of reconnecting');
+    const refusing = await standIn([], { closeWith: 4401 });
+    await assert.rejects(streamer(refusing.url).instance.start(), BitqueryAuthError);
+    assert.equal(refusing.connections.length, 1);
+    await new Promise(resolve => refusing.server.close(resolve));
+
+    console.log('📼 Frames can be recorded for later replay');
+    const recordFile = path.join(dir, 'recorded.ndjson');
+    const recordStand = await standIn([first]);
+    const recording = streamer(recordStand.url, { recordFile });
+    const recordingRun = recording.instance.start();
+    await until(() => recording.pushes.length > 0);
+    await recording.instance.stop();
+    await recordingRun;
+    const recorded = (await fs.readFile(recordFile, 'utf-8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.deepEqual(recorded.map(message => message.type), ['connection_ack', 'data', 'ka', 'data']);
+    await new Promise(resolve => recordStand.server.close(resolve));
+
+    console.log('\n🎉 Streamer test completed successfully!');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+testStreamer().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the resumable Bitquery sync
+ * Runs offline: pages are replayed from saved JSON and checkpoints live in memory
+ */
+
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryCheckpointStore, ReplaySource, SyncEngine } from './scripts/sync.mjs';
+import { STREAMS, streamRows } from './scripts/streams.mjs';
+
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+// Small pages so a handful of fixture trades exercises paging
+const TRADES = { ...STREAMS.trades, pageSize: 2 };
+
+function tradeRow(time, n) {
+  return {
+    Block: { Time: time },
+    Transaction: { Signature: `sig-${n}` },
+    Trade: {
+      Amount: String(n),
+      AmountInUSD: '1',
+      Price: 0.00001,
+      PriceInUSD: 0.002,
+      Currency: { MintAddress: MINT, Uri: 'https://ipfs.io/ipfs/wif', Name: 'dogwifhat', Symbol: 'WIF' },
+      Side: { Type: 'buy', Amount: '0.01', AmountInUSD: '1', Currency: { MintAddress: '11111111111111111111111111111111' } }
+    }
+  };
+}
+
+async function saveTrades(root, name, rows) {
+  const dir = path.join(root, 'prices');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `trades-${name}.json`), JSON.stringify({ data: { Solana: { DEXTradeByTokens: rows } } }));
+}
+
+function recorder() {
+  const pushed = [];
+  const push = async (rows) => { pushed.push(...rows); };
+  return { pushed, push };
+}
+
+const clock = (iso) => () => Date.parse(iso);
+
+async function testSync() {
+  console.log('🧪 Testing resumable Bitquery sync...');
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'bitquery-sync-'));
+
+  try {
+    console.log('\n🪙 Replaying saved memecoin pages');
+    const saved = new Set();
+    for (const file of (await fs.readdir('results/memecoins')).filter(f => f.startsWith('next-memecoins'))) {
+      const json = JSON.parse(await fs.readFile(path.join('results/memecoins', file), 'utf-8'));
+      streamRows(STREAMS.memecoins, json).forEach(row => saved.add(row.Transaction.Signature));
+    }
+    const memecoins = recorder();
+    const memecoinCheckpoints = new MemoryCheckpointStore({ cursors: { memecoins: '2025-10-06T22:00:00Z' } });
+    const memecoinStats = await new SyncEngine({
+      source: new ReplaySource('results'),
+      checkpoints: memecoinCheckpoints,
+      push: { memecoins: memecoins.push },
+      now: clock('2025-10-07T00:00:00Z'),
+      settleMs: 0
+    }).syncStream(STREAMS.memecoins);
+    assert.equal(memecoinStats.windows, 2);
+    assert.equal(memecoins.pushed.length, saved.size, 'every saved creation is pushed exactly once');
+    assert.equal(await memecoinCheckpoints.get('memecoins'), '2025-10-07T00:00:00.000Z');
+    assert.equal(memecoinCheckpoints.gaps.length, 0, 'quiet memecoin windows are not gaps');
+
+    console.log('📄 Paging a window until a short page');
+    await saveTrades(root, 'a', [
+      tradeRow('2025-01-01T10:01:00Z', 1),
+      tradeRow('2025-01-01T10:02:00Z', 2),
+      tradeRow('2025-01-01T10:03:00Z', 3),
+      tradeRow('2025-01-01T10:04:00Z', 4),
+      tradeRow('2025-01-01T10:05:00Z', 5),
+      tradeRow('2025-01-01T10:12:00Z', 6),
+      tradeRow('2025-01-01T10:25:00Z', 7)
+    ]);
+    const engine = (checkpoints, push, options = {}) => new SyncEngine({
+      source: new ReplaySource(root),
+      checkpoints,
+      push: { trades: push },
+      now: clock('2025-01-01T10:32:30Z'),
+      ...options
+    });
+
+    const paged = recorder();
+    const checkpoints = new MemoryCheckpointStore({ cursors: { trades: '2025-01-01T10:00:00Z' } });
+    let stats = await engine(checkpoints, paged.push, { settleMs: 0 }).syncStream(TRADES);
+    assert.equal(stats.windows, 4, 'three full windows plus the partial one up to now');
+    assert.deepEqual(paged.pushed.map(row => row.Transaction.Signature), ['sig-1', 'sig-2', 'sig-3', 'sig-4', 'sig-5', 'sig-6', 'sig-7']);
+    assert.equal(await checkpoints.get('trades'), '2025-01-01T10:32:00.000Z');
+
+    console.log('⏳ Recent minutes wait for Bitquery to finish indexing');
+    const settled = new MemoryCheckpointStore({ cursors: { trades: '2025-01-01T10:00:00Z' } });
+    await engine(settled, recorder().push).syncStream(TRADES);
+    assert.equal(await settled.get('trades'), '2025-01-01T10:30:00.000Z');
+
+    console.log('🕳️ An empty window on a busy stream is recorded as a gap');
+    const gapped = checkpoints.gaps.find(gap => gap.gap_start === '2025-01-01T10:30:00.000Z');
+    assert.ok(gapped, 'the silent 10:30 window is a gap');
+    assert.equal(gapped.reason, 'no rows returned');
+
+    console.log('💥 Resuming after a crash mid-sync');
+    const crashed = new MemoryCheckpointStore({ cursors: { trades: '2025-01-01T10:00:00Z' } });
+    const firstRun = recorder();
+    let windows = 0;
+    await assert.rejects(engine(crashed, async (rows) => {
+      if (++windows === 2) throw new Error('supabase is down');
+      await firstRun.push(rows);
+    }, { settleMs: 0 }).syncStream(TRADES), /supabase is down/);
+    assert.equal(await crashed.get('trades'), '2025-01-01T10:10:00.000Z', 'the cursor stays before the failed window');
+
+    const secondRun = recorder();
+    await engine(crashed, secondRun.push, { settleMs: 0 }).syncStream(TRADES);
+    assert.deepEqual(secondRun.pushed.map(row => row.Transaction.Signature), ['sig-6', 'sig-7'], 'nothing from the first window is pushed twice');
+
+    console.log('✂️ A window too big for maxPages is split until each half fits');
+    const split = new MemoryCheckpointStore({ cursors: { trades: '2025-01-01T10:00:00Z' } });
+    const halves = recorder();
+    stats = await engine(split, halves.push, { settleMs: 0, maxPages: 2 }).syncStream(TRADES);
+    assert.deepEqual(halves.pushed.map(row => row.Transaction.Signature).sort(), ['sig-1', 'sig-2', 'sig-3', 'sig-4', 'sig-5', 'sig-6', 'sig-7']);
+    assert.equal(stats.rows, 7);
+    assert.ok(!split.gaps.some(gap => gap.gap_start === '2025-01-01T10:00:00.000Z'), 'the busy window is read in full');
+
+    console.log('🚧 A second that cannot be read in full is a truncated gap, never an empty one');
+    const burstRoot = path.join(root, 'burst');
+    await saveTrades(burstRoot, 'a', [1, 2, 3].map(n => tradeRow('2025-01-01T10:01:00Z', 10 + n)));
+    const burst = new MemoryCheckpointStore({ cursors: { trades: '2025-01-01T10:00:00Z' } });
+    const burstPush = recorder();
+    const burstEngine = () => engine(burst, burstPush.push, { source: new ReplaySource(burstRoot), settleMs: 0, maxPages: 1, now: clock('2025-01-01T10:10:00Z') });
+    stats = await burstEngine().syncStream(TRADES);
+    assert.equal(stats.gaps, 1);
+    assert.equal(burst.gaps[0].reason, 'more than 1 pages in one second');
+    assert.equal(burstPush.pushed.length, 2, 'the rows that could be read are still pushed');
+    for (let attempt = 0; attempt < 3; attempt++) await burstEngine().syncStream(TRADES);
+    assert.equal(burst.gaps[0].status, 'truncated');
+
+    console.log('🩹 Gaps are backfilled once Bitquery has the data');
+    await saveTrades(root, 'b', [tradeRow('2025-01-01T10:31:00Z', 8)]);
+    const refill = recorder();
+    stats = await engine(checkpoints, refill.push, { settleMs: 0 }).syncStream(TRADES);
+    assert.equal(stats.filled, 1);
+    assert.equal(gapped.status, 'filled');
+    assert.deepEqual(refill.pushed.map(row => row.Transaction.Signature), ['sig-8']);
+
+    console.log('🔁 Gaps that stay empty are closed after repeated attempts');
+    const quiet = new MemoryCheckpointStore({
+      cursors: { trades: '2025-01-01T10:30:00Z' },
+      gaps: [{ stream: 'trades', gap_start: '2024-12-31T00:00:00.000Z', gap_end: '2024-12-31T00:10:00.000Z' }]
+    });
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await engine(quiet, recorder().push, { settleMs: 0 }).syncStream(TRADES);
+    }
+    assert.equal(quiet.gaps[0].status, 'empty');
+    assert.equal(quiet.gaps[0].attempts, 3);
+
+    console.log('⏪ --from/--to backfills a range without moving the cursor');
+    const backfill = recorder();
+    stats = await engine(checkpoints, backfill.push, { settleMs: 0 })
+      .syncStream(TRADES, { from: '2025-01-01T10:00:00Z', to: '2025-01-01T10:10:00Z' });
+    assert.equal(stats.windows, 1);
+    assert.equal(backfill.pushed.length, 5);
+    assert.equal(await checkpoints.get('trades'), '2025-01-01T10:32:00.000Z');
+
+    console.log('\n🎉 Sync test completed successfully!');
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+testSync().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the token safety scanner
+ *
+ * Decoding is checked offline against encoded mint/metadata accounts. The
+ * on-chain checks need a local validator (`solana-test-validator`, or set
+ * SOLANA_TEST_VALIDATOR_URL) and are skipped when none is running.
+ */
+
+import assert from 'node:assert/strict';
+import {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js';
+import {
+  AuthorityType,
+  ExtensionType,
+  MintLayout,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  createInitializeMintInstruction,
+  createInitializePermanentDelegateInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createMint,
+  getMintLen,
+  setAuthority
+} from '@solana/spl-token';
+import { METADATA_PROGRAM_ID, metadataAddress, parseMetaplexMetadata, scanMint } from './scripts/token-safety.mjs';
+
+const VALIDATOR_URL = process.env.SOLANA_TEST_VALIDATOR_URL || 'http://127.0.0.1:8899';
+
+function borshString(value, padTo = 0) {
+  const bytes = Buffer.alloc(Math.max(Buffer.byteLength(value), padTo));
+  bytes.write(value);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+}
+
+function metaplexAccount({ updateAuthority, mint, isMutable, creators = [] }) {
+  const creatorBytes = creators.length
+    ? Buffer.concat([Buffer.from([1]), Buffer.from(Uint32Array.of(creators.length).buffer), ...creators.map(c => Buffer.concat([c.toBuffer(), Buffer.from([1, 100])]))])
+    : Buffer.from([0]);
+
+  return Buffer.concat([
+    Buffer.from([4]), // Key::MetadataV1
+    updateAuthority.toBuffer(),
+    mint.toBuffer(),
+    borshString('Pump Coin', 32),
+    borshString('PUMP', 10),
+    borshString('https://ipfs.io/ipfs/pump', 200),
+    Buffer.from([0, 0]),
+    creatorBytes,
+    Buffer.from([0, isMutable ? 1 : 0])
+  ]);
+}
+
+function mintAccount({ mintAuthority = null, freezeAuthority = null }) {
+  const data = Buffer.alloc(MintLayout.span);
+  MintLayout.encode({
+    mintAuthorityOption: mintAuthority ? 1 : 0,
+    mintAuthority: mintAuthority || PublicKey.default,
+    supply: 1000000000000000n,
+    decimals: 6,
+    isInitialized: true,
+    freezeAuthorityOption: freezeAuthority ? 1 : 0,
+    freezeAuthority: freezeAuthority || PublicKey.default
+  }, data);
+  return { owner: TOKEN_PROGRAM_ID, data, lamports: 1461600, executable: false };
+}
+
+function fakeConnection(accounts) {
+  return {
+    getAccountInfo: async (key) => accounts[key.toBase58()] || null
+  };
+}
+
+function codes(result) {
+  return result.red_flags.map(redFlag => redFlag.code).sort();
+}
+
+async function testOffline() {
+  console.log('\n📜 Metaplex metadata decoding');
+  const creator = Keypair.generate().publicKey;
+  const mint = Keypair.generate().publicKey;
+  const authority = Keypair.generate().publicKey;
+
+  const parsed = parseMetaplexMetadata(metaplexAccount({ updateAuthority: authority, mint, isMutable: true, creators: [creator] }));
+  assert.equal(parsed.updateAuthority, authority.toBase58());
+  assert.equal(parsed.name, 'Pump Coin', 'padding is trimmed');
+  assert.equal(parsed.isMutable, true, 'offset is right after a creators list');
+  assert.equal(parseMetaplexMetadata(metaplexAccount({ updateAuthority: authority, mint, isMutable: false })).isMutable, false);
+
+  console.log('🔍 Classic mint with live authorities and mutable metadata');
+  const connection = fakeConnection({
+    [mint.toBase58()]: mintAccount({ mintAuthority: authority, freezeAuthority: authority }),
+    [metadataAddress(mint).toBase58()]: {
+      owner: METADATA_PROGRAM_ID,
+      data: metaplexAccount({ updateAuthority: authority, mint, isMutable: true }),
+      lamports: 1,
+      executable: false
+    }
+  });
+  const risky = await scanMint(connection, mint.toBase58());
+  assert.equal(risky.token_program, 'spl-token');
+  assert.equal(risky.mint_authority_revoked, false);
+  assert.equal(risky.has_freeze_authority, true);
+  assert.equal(risky.metadata_mutable, true);
+  assert.deepEqual(codes(risky), ['freeze_authority', 'mint_authority_active', 'mutable_metadata']);
+  assert.equal(risky.red_flags.find(f => f.code === 'freeze_authority').severity, 'critical');
+
+  console.log('✅ Revoked authorities and no metadata account');
+  const cleanMint = Keypair.generate().publicKey;
+  const clean = await scanMint(fakeConnection({ [cleanMint.toBase58()]: mintAccount({}) }), cleanMint.toBase58());
+  assert.equal(clean.mint_authority_revoked, true);
+  assert.equal(clean.metadata_mutable, null, 'unknown without a metadata account');
+  assert.deepEqual(clean.red_flags, []);
+
+  await assert.rejects(scanMint(fakeConnection({}), cleanMint.toBase58()), /not found/);
+}
+
+async function testValidator() {
+  console.log('\n⛓️ Local test validator');
+  const connection = new Connection(VALIDATOR_URL, 'confirmed');
+  try {
+    await connection.getVersion();
+  } catch (error) {
+    console.log(`⏭️ No validator at ${VALIDATOR_URL} (${error.message}); start solana-test-validator to run these checks`);
+    return;
+  }
+
+  const payer = Keypair.generate();
+  const airdrop = await connection.requestAirdrop(payer.publicKey, 2 * LAMPORTS_PER_SOL);
+  await connection.confirmTransaction(airdrop, 'confirmed');
+
+  console.log('🔑 Mint and freeze authority set');
+  const risky = await createMint(connection, payer, payer.publicKey, payer.publicKey, 6);
+  assert.deepEqual(codes(await scanMint(connection, risky.toBase58())), ['freeze_authority', 'mint_authority_active']);
+
+  console.log('🔒 Mint authority revoked with setAuthority');
+  const revoked = await createMint(connection, payer, payer.publicKey, null, 6);
+  await setAuthority(connection, payer, revoked, payer, AuthorityType.MintTokens, null);
+  const revokedScan = await scanMint(connection, revoked.toBase58());
+  assert.equal(revokedScan.mint_authority_revoked, true);
+  assert.deepEqual(revokedScan.red_flags, []);
+
+  console.log('🧩 Token-2022 transfer fee and permanent delegate');
+  const mintKeypair = Keypair.generate();
+  const mint = mintKeypair.publicKey;
+  const space = getMintLen([ExtensionType.TransferFeeConfig, ExtensionType.PermanentDelegate]);
+  const transaction = new Transaction().add(
+    SystemProgram.createAccount({
+      fromPubkey: payer.publicKey,
+      newAccountPubkey: mint,
+      space,
+      lamports: await connection.getMinimumBalanceForRentExemption(space),
+      programId: TOKEN_2022_PROGRAM_ID
+    }),
+    createInitializeTransferFeeConfigInstruction(mint, payer.publicKey, payer.publicKey, 250, 1000000000n, TOKEN_2022_PROGRAM_ID),
+    createInitializePermanentDelegateInstruction(mint, payer.publicKey, TOKEN_2022_PROGRAM_ID),
+    createInitializeMintInstruction(mint, 6, payer.publicKey, null, TOKEN_2022_PROGRAM_ID)
+  );
+  await sendAndConfirmTransaction(connection, transaction, [payer, mintKeypair]);
+
+  const extended = await scanMint(connection, mint.toBase58());
+  assert.equal(extended.token_program, 'token-2022');
+  assert.equal(extended.transfer_fee_bps, 250);
+  assert.equal(extended.permanent_delegate, payer.publicKey.toBase58());
+  assert.ok(extended.extensions.includes('TransferFeeConfig'));
+  assert.deepEqual(codes(extended), ['mint_authority_active', 'permanent_delegate', 'transfer_fee']);
+}
+
+async function testTokenSafety() {
+  console.log('🧪 Testing token safety scanner...');
+  await testOffline();
+  await testValidator();
+  console.log('\n🎉 Token safety test completed successfully!');
+}
+
+testTokenSafety().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the wash-trade detector
+ * Runs offline: trades are inline and Supabase is an in-memory stand-in
+ */
+
+import assert from 'node:assert/strict';
+import { normalizeTrade } from './scripts/candles.mjs';
+import { pushCandles } from './scripts/supabase/candles.mjs';
+import {
+  WashTradeDetector,
+  analyzeVolume,
+  findCircularClusters,
+  matchSameSizePairs
+} from './scripts/wash-trading.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const NOW = Date.parse('2025-01-03T12:00:00Z');
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const OTHER_MINT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+
+const at = seconds => new Date(NOW - 60 * 60 * 1000 + seconds * 1000).toISOString();
+const trade = (seconds, trader, side, amount, volume = amount / 1000) =>
+  ({ token_id: 1, trader, side, base_amount: amount, volume_usd: volume, traded_at: at(seconds) });
+
+function row(time, { signer, side, amount, priceUsd = 0.001, mint = MINT }) {
+  return {
+    Block: { Time: time },
+    Transaction: { Signature: `sig-${time}-${signer}-${side}`, Signer: signer },
+    Trade: {
+      Amount: String(amount),
+      AmountInUSD: String(priceUsd * amount),
+      Price: priceUsd / 200,
+      PriceInUSD: priceUsd,
+      Currency: { MintAddress: mint, Uri: `https://ipfs.io/ipfs/${mint}`, Name: 'dogwifhat', Symbol: 'WIF' },
+      Side: { Type: side, Amount: String((priceUsd / 200) * amount), AmountInUSD: String(priceUsd * amount), Currency: { MintAddress: '11111111111111111111111111111111' } }
+    }
+  };
+}
+
+async function testWashTrading() {
+  console.log('🧪 Testing wash-trade detection...');
+
+  console.log('\n🔁 Same-size pairs');
+  const pairs = matchSameSizePairs([
+    trade(0, 'A', 'buy', 1000000),
+    trade(3, 'B', 'sell', 1010000),
+    trade(4, 'C', 'sell', 1000000),
+    trade(30, 'D', 'buy', 500000),
+    trade(60, 'E', 'sell', 500000)
+  ]);
+  assert.equal(pairs.length, 1, 'the second sell has no buy left and the last pair is too far apart');
+  assert.deepEqual([pairs[0].buy.trader, pairs[0].sell.trader], ['A', 'B'], 'within 2% counts as the same size');
+
+  console.log('🕸️ Circular clusters');
+  // Two wallets hand the same bag back and forth; a third keeps buying
+  const loop = [];
+  for (let i = 0; i < 4; i++) {
+    loop.push(trade(i * 60, 'A', 'buy', 2000000, 2000), trade(i * 60 + 2, 'B', 'sell', 2000000, 2000));
+    loop.push(trade(i * 60 + 20, 'B', 'buy', 2000000, 2000), trade(i * 60 + 22, 'A', 'sell', 2000000, 2000));
+  }
+  const organic = [trade(500, 'C', 'buy', 300000, 300), trade(900, 'D', 'buy', 700000, 700)];
+  const loopPairs = matchSameSizePairs([...loop, ...organic]);
+  const clusters = findCircularClusters([...loop, ...organic], loopPairs);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].wallets, ['A', 'B']);
+  assert.equal(clusters[0].trades.length, 16);
+
+  const accumulating = [
+    trade(0, 'A', 'buy', 100, 1), trade(2, 'B', 'sell', 100, 1),
+    trade(10, 'A', 'buy', 100, 1), trade(12, 'B', 'sell', 100, 1),
+    trade(300, 'A', 'buy', 1000, 10)
+  ];
+  assert.equal(findCircularClusters(accumulating, matchSameSizePairs(accumulating)).length, 0, 'the pair keeps a net position, so it is not a closed loop');
+
+  console.log('📊 Organic volume');
+  // Four wallets for $33k would also trip the trader check at the default threshold
+  const quality = analyzeVolume([...loop, ...organic], { minTradersPer1kUsd: 0.1 });
+  assert.equal(quality.total_volume_usd, 33000);
+  assert.equal(quality.wash_volume_usd, 32000);
+  assert.equal(quality.circular_volume_usd, 32000);
+  assert.equal(quality.organic_volume_usd, 1000);
+  assert.deepEqual(quality.flags, ['same_size_pairs', 'circular_trading']);
+  assert.equal(quality.unique_traders, 4);
+
+  const whale = analyzeVolume([trade(0, 'W', 'buy', 1e6, 10000), trade(600, 'X', 'buy', 2e6, 10000)]);
+  assert.deepEqual(whale.flags, ['few_traders'], 'two wallets for $20k');
+  assert.equal(whale.organic_volume_usd, 4000, '0.1 traders per $1k against 0.5 keeps a fifth');
+  assert.equal(whale.wash_score, 0.8);
+
+  const legacy = analyzeVolume([trade(0, null, 'buy', 1e6, 10000), trade(600, null, 'buy', 2e6, 10000)]);
+  assert.equal(legacy.organic_share, 1, 'trades without wallets skip the trader check');
+  assert.equal(analyzeVolume([]).organic_share, null);
+
+  console.log('💾 Detector stores trades and volume quality');
+  const tables = {
+    tokens: [
+      { id: 1, uri: `https://ipfs.io/ipfs/${MINT}`, address: MINT },
+      { id: 2, uri: `https://ipfs.io/ipfs/${OTHER_MINT}`, address: OTHER_MINT }
+    ],
+    token_trades: [
+      { trade_key: 'old', token_id: 1, trader: 'A', side: 'buy', base_amount: 5, volume_usd: 5, traded_at: '2024-12-30T00:00:00.000Z' }
+    ]
+  };
+  const supabase = mockSupabase(tables);
+  const detector = new WashTradeDetector({ supabase, now: () => NOW });
+  const trades = [
+    row('2025-01-03T11:00:00Z', { signer: 'A', side: 'buy', amount: 1000000 }),
+    row('2025-01-03T11:00:03Z', { signer: 'B', side: 'sell', amount: 1000000 }),
+    row('2025-01-03T11:05:00Z', { signer: 'C', side: 'buy', amount: 1000000 }),
+    row('2025-01-03T11:06:00Z', { signer: 'D', side: 'buy', amount: 50000, mint: OTHER_MINT })
+  ].map(normalizeTrade);
+  assert.equal(trades[0].trader, 'A');
+
+  const shares = await detector.record(trades);
+  assert.equal(tables.token_trades.length, 5);
+  assert.ok(tables.token_trades.every(r => r.traded_at), 'every row has a time');
+  const stored = await detector.record(trades);
+  assert.equal(tables.token_trades.length, 5, 're-recording a window does not duplicate trades');
+  assert.deepEqual(stored, shares);
+
+  const qualityRows = supabase.upserts.filter(u => u.table === 'volume_quality').at(-1).rows;
+  const wif = qualityRows.find(r => r.token_id === 1);
+  assert.equal(wif.trade_count, 3, 'the trade from two days ago is outside the window');
+  assert.equal(wif.matched_pair_volume_usd, 2000);
+  assert.equal(wif.organic_volume_usd, 1000);
+  assert.equal(shares.get(1), 0.3333);
+  assert.equal(shares.get(2), 1);
+
+  console.log('💰 Latest price carries organic volume');
+  const hour = { token_id: 1, mint: MINT, resolution: '1h', bucket_start: '2025-01-03T10:00:00.000Z', volume_usd: 4000, first_trade_at: '2025-01-03T10:00:00.000Z', last_trade_at: '2025-01-03T10:59:00.000Z' };
+  const candleSupabase = mockSupabase({ tokens: tables.tokens, price_candles: [hour] });
+  await pushCandles(trades, { supabase: candleSupabase, now: NOW, organicShares: new Map([[1, 0.25]]) });
+  const prices = candleSupabase.upserts.find(u => u.table === 'prices').rows;
+  assert.equal(prices.find(p => p.token_id === 1).volume_24h, 7000, 'the stored hour plus the $3k just ingested');
+  assert.equal(prices.find(p => p.token_id === 1).organic_volume_24h, 1750);
+  assert.equal(prices.find(p => p.token_id === 2).organic_volume_24h, null, 'tokens without a share get null');
+
+  console.log('🧹 Pruning');
+  await detector.prune();
+  assert.ok(!tables.token_trades.some(r => r.trade_key === 'old'));
+  assert.equal(tables.token_trades.length, 4);
+
+  console.log('\n🎉 Wash-trade test completed successfully!');
+}
+
+testWashTrading().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+export const dynamic = 'force-dynamic';
+
+import { NextRequest, NextResponse } from "next/server";
+import {
+  createChallenge,
+  isValidWalletAddress,
+  setChallengeCookie,
+} from "@/lib/wallet-session";
+
+/**
+ * Start a Sign-In-With-Solana login: returns the message the wallet must sign
+ */
+export async function GET(request: NextRequest) {
+  const address = request.nextUrl.searchParams.get("address");
+
+  if (!isValidWalletAddress(address)) {
+    return NextResponse.json(
+      { error: "A valid wallet address is required" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { message, token } = createChallenge(address, request);
+    const response = NextResponse.json({ message });
+    setChallengeCookie(response, token);
+    return response;
+  } catch (error) {
+    console.error("Error creating sign-in challenge:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,20 @@
+export const dynamic = 'force-dynamic';
+
+import { NextRequest, NextResponse } from "next/server";
+import { clearSessionCookie, getSessionWallet } from "@/lib/wallet-session";
+
+/**
+ * Current signed-in wallet, or null
+ */
+export async function GET(request: NextRequest) {
+  return NextResponse.json({ wallet: getSessionWallet(request) });
+}
+
+/**
+ * Sign out
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ wallet: null });
+  clearSessionCookie(response);
+  return response;
+}
@@ -0,0 +1,41 @@
+export const dynamic = 'force-dynamic';
+
+import { NextRequest, NextResponse } from "next/server";
+import {
+  CHALLENGE_COOKIE,
+  createSessionToken,
+  setSessionCookie,
+  verifyChallenge,
+} from "@/lib/wallet-session";
+
+/**
+ * Finish a Sign-In-With-Solana login.
+ * Body: { signature } — base64 ed25519 signature of the message from /api/auth/nonce
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const { signature } = await request.json();
+    const wallet = verifyChallenge(
+      request.cookies.get(CHALLENGE_COOKIE)?.value,
+      signature
+    );
+
+    if (!wallet) {
+      return NextResponse.json(
+        { error: "Invalid or expired sign-in signature" },
+        { status: 401 }
+      );
+    }
+
+    console.log(`🔐 Wallet signed in: ${wallet}`);
+    const response = NextResponse.json({ wallet });
+    setSessionCookie(response, createSessionToken(wallet));
+    return response;
+  } catch (error) {
+    console.error("Error verifying sign-in:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -149,13 +149,76 @@ async function fetchTikTokViews(timeRange: string) {
   const totalViews = tiktoks.reduce((sum, tiktok) => sum + (tiktok.views || 0), 0);
   const totalVideos = tiktoks.length;
 
-  console.log(`✅ Total TikTok views: ${totalViews} from ${totalVideos} videos`);
+  // totalViews is each video's lifetime count at its last scrape; the growth
+  // inside the window comes from the revisit snapshots
+  const growth = startTime ? await fetchViewsGained(startTime) : null;
+  const viewsGained = startTime ? growth?.viewsGained ?? null : totalViews;
+  const windowHours = startTime ? (Date.now() - startTime.getTime()) / 3600000 : null;
+
+  console.log(`✅ Total TikTok views: ${totalViews} from ${totalVideos} videos, ${viewsGained ?? 'unknown'} gained`);
 
   return {
     totalViews,
     totalVideos,
+    viewsGained,
+    viewsPerHour: viewsGained !== null && windowHours ? Math.round(viewsGained / windowHours) : null,
+    trackedVideos: growth?.trackedVideos ?? null,
     timeRange,
     lastUpdated: new Date().toISOString(),
     type: 'tiktok_views_update'
   };
 }
+
+// Views added since `startTime`: each video's latest snapshot minus its last
+// snapshot before the window. Videos posted inside the window start from zero;
+// older ones first seen inside it start from their first snapshot there.
+async function fetchViewsGained(startTime: Date) {
+  const start = startTime.toISOString();
+  const { data: recent, error } = await supabase
+    .from('tiktok_snapshots')
+    .select('tiktok_id, views, captured_at, tiktoks(created_at)')
+    .gte('captured_at', start)
+    .order('captured_at', { ascending: true });
+
+  if (error) {
+    console.log('⚠️ tiktok_snapshots not available, skipping:', error.message);
+    return null;
+  }
+
+  const videos = new Map<string, { first: number; latest: number; createdAt: string | null }>();
+  (recent || []).forEach((snapshot: any) => {
+    const video = Array.isArray(snapshot.tiktoks) ? snapshot.tiktoks[0] : snapshot.tiktoks;
+    const entry = videos.get(snapshot.tiktok_id);
+    if (entry) {
+      entry.latest = Math.max(entry.latest, snapshot.views || 0);
+    } else {
+      videos.set(snapshot.tiktok_id, { first: snapshot.views || 0, latest: snapshot.views || 0, createdAt: video?.created_at ?? null });
+    }
+  });
+
+  const baselines = new Map<string, number>();
+  const ids = Array.from(videos.keys());
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data: earlier, error: earlierError } = await supabase
+      .from('tiktok_snapshots')
+      .select('tiktok_id, views, captured_at')
+      .in('tiktok_id', ids.slice(i, i + 200))
+      .lt('captured_at', start)
+      .order('captured_at', { ascending: false });
+
+    if (earlierError) throw earlierError;
+    // Newest first, so the first row per video is the one right before the window
+    (earlier || []).forEach(snapshot => {
+      if (!baselines.has(snapshot.tiktok_id)) baselines.set(snapshot.tiktok_id, snapshot.views || 0);
+    });
+  }
+
+  let viewsGained = 0;
+  videos.forEach((entry, id) => {
+    const postedInWindow = entry.createdAt !== null && new Date(entry.createdAt) >= startTime;
+    const baseline = baselines.get(id) ?? (postedInWindow ? 0 : entry.first);
+    viewsGained += Math.max(entry.latest - baseline, 0);
+  });
+
+  return { viewsGained, trackedVideos: videos.size };
+}
@@ -2,7 +2,11 @@ export const dynamic = 'force-dynamic';
 
 import { createClient } from '@supabase/supabase-js';
 import { NextRequest, NextResponse } from 'next/server';
-import { TrendingCoin } from '@/lib/types';
+import { LifecycleState, TrendingCoin } from '@/lib/types';
+import { LIFECYCLE_STATES } from '@/lib/constants';
+import { compareRankingVolume } from '@/lib/utils';
+
+const PAGE_SIZE = 1000;
 
 
 const supabase = createClient(
@@ -14,14 +18,26 @@ export async function GET(request: NextRequest) {
   try {
     const { searchParams } = request.nextUrl;
     const limit = parseInt(searchParams.get('limit') || '20');
-    const sortBy = searchParams.get('sortBy') || 'correlation'; // correlation, volume, views
+    const sortBy = searchParams.get('sortBy') || 'correlation'; // correlation, volume, views, velocity, market_cap
+    // Comma-separated pump.fun stages, e.g. ?lifecycle=bonding,graduated
+    const lifecycle = (searchParams.get('lifecycle') || '')
+      .split(',')
+      .map(state => state.trim())
+      .filter(Boolean);
+    const unknownStates = lifecycle.filter(state => !LIFECYCLE_STATES.includes(state as LifecycleState));
+    if (unknownStates.length > 0) {
+      return NextResponse.json(
+        { error: `Unknown lifecycle state: ${unknownStates.join(', ')}`, allowed: LIFECYCLE_STATES },
+        { status: 400 }
+      );
+    }
 
     // Get 24-hour ago timestamp
     const twentyFourHoursAgo = new Date();
     twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
 
-    // Fetch tokens with recent price data
-    const { data: tokens, error: tokensError } = await supabase
+    // Fetch tokens with recent price data; a lifecycle filter inner-joins their stage
+    let tokensQuery = supabase
       .from('tokens')
       .select(`
         id,
@@ -30,9 +46,15 @@ export async function GET(request: NextRequest) {
         name,
         market_cap,
         total_supply,
-        last_updated
+        last_updated,
+        ${lifecycle.length > 0 ? 'token_lifecycle!inner' : 'token_lifecycle'}(state, bonding_progress),
+        volume_quality(organic_volume_usd, wash_score)
       `)
       .not('uri', 'is', null);
+    if (lifecycle.length > 0) {
+      tokensQuery = tokensQuery.in('token_lifecycle.state', lifecycle);
+    }
+    const { data: tokens, error: tokensError } = await tokensQuery;
 
     if (tokensError) {
       console.error('Error fetching tokens:', tokensError);
@@ -42,12 +64,13 @@ export async function GET(request: NextRequest) {
       );
     }
 
-    // Fetch 24-hour price data for volume calculation
+    // Fetch 24-hour price data; the newest row carries the candle volume
     const { data: prices, error: pricesError } = await supabase
       .from('prices')
       .select(`
         token_uri,
         price_usd,
+        volume_24h,
         timestamp
       `)
       .gte('timestamp', twentyFourHoursAgo.toISOString())
@@ -61,15 +84,20 @@ export async function GET(request: NextRequest) {
       );
     }
 
-    // Fetch 24-hour TikTok data for view counts
+    // Fetch TikToks found or revisited in the last 24 hours; revisits
+    // (js-scraper/tiktok_revisits.mjs) keep view velocity current
+    const since = twentyFourHoursAgo.toISOString();
     const { data: tiktoks, error: tiktoksError } = await supabase
       .from('tiktoks')
       .select(`
         id,
         views,
-        fetched_at
+        created_at,
+        fetched_at,
+        view_velocity,
+        view_acceleration
       `)
-      .gte('fetched_at', twentyFourHoursAgo.toISOString());
+      .or(`fetched_at.gte.${since},revisited_at.gte.${since}`);
 
     if (tiktoksError) {
       console.error('Error fetching TikTok data:', tiktoksError);
@@ -85,7 +113,9 @@ export async function GET(request: NextRequest) {
       .select(`
         tiktok_id,
         token_id,
-        count
+        count,
+        mention_at,
+        source
       `);
 
     if (mentionsError) {
@@ -96,11 +126,21 @@ export async function GET(request: NextRequest) {
       );
     }
 
+    // Lagged social/price correlations stored by js-scraper/pattern_analysis.mjs
+    const { data: correlations, error: correlationsError } = await latestCorrelations(since);
+
+    if (correlationsError) {
+      console.error('Error fetching correlations:', correlationsError);
+      return NextResponse.json(
+        { error: 'Failed to fetch correlation data' },
+        { status: 500 }
+      );
+    }
+
     // Process and calculate metrics for each token
     const trendingCoins: TrendingCoin[] = tokens.map(token => {
-      // Calculate 24-hour trading volume from price data
       const tokenPrices = prices.filter(p => p.token_uri === token.uri);
-      const tradingVolume24h = calculateTradingVolume(tokenPrices);
+      const tradingVolume24h = latestVolume(tokenPrices);
       
       // Calculate 24-hour TikTok views using mentions table
       const tokenMentions = mentions.filter(m => {
@@ -109,11 +149,12 @@ export async function GET(request: NextRequest) {
       });
       
       const tokenTiktokIds = tokenMentions.map(m => m.tiktok_id);
-      const tokenTiktoks = tiktoks.filter(t => tokenTiktokIds.includes(t.id));
+      const trackedTiktoks = tiktoks.filter(t => tokenTiktokIds.includes(t.id));
+      const tokenTiktoks = trackedTiktoks.filter(t => t.fetched_at && new Date(t.fetched_at) >= twentyFourHoursAgo);
       const tiktokViews24h = tokenTiktoks.reduce((sum, t) => sum + (t.views || 0), 0);
+      const velocity = calculateViewVelocity(trackedTiktoks);
       
-      // Calculate correlation score between volume and social activity
-      const correlationScore = calculateCorrelation(tradingVolume24h, tiktokViews24h);
+      const correlation = correlations.get(token.uri);
       
       // Calculate price change
       const priceChange24h = calculatePriceChange(tokenPrices);
@@ -121,20 +162,31 @@ export async function GET(request: NextRequest) {
       // Count total mentions
       const totalMentions = tokenMentions.reduce((sum, m) => sum + (m.count || 1), 0);
 
+      const stage = Array.isArray(token.token_lifecycle) ? token.token_lifecycle[0] : token.token_lifecycle;
+      const quality = Array.isArray(token.volume_quality) ? token.volume_quality[0] : token.volume_quality;
+
       return {
         uri: token.uri,
         symbol: token.symbol || 'Unknown',
         name: token.name || 'Unknown',
         trading_volume_24h: tradingVolume24h,
+        organic_volume_24h: quality ? Number(quality.organic_volume_usd) : null,
+        wash_score: quality ? Number(quality.wash_score) : null,
         tiktok_views_24h: tiktokViews24h,
-        correlation_score: correlationScore,
+        tiktok_view_velocity: velocity.velocity,
+        tiktok_view_acceleration: velocity.acceleration,
+        correlation_score: correlation?.score ?? 0,
+        correlation_lag_hours: correlation?.lagHours ?? 0,
+        correlation_spearman: correlation?.spearman ?? 0,
         price_change_24h: priceChange24h,
         total_mentions: totalMentions,
         market_cap: token.market_cap,
         total_supply: token.total_supply,
         address: undefined, // Will be populated after database migration
         decimals: 9, // Default for Solana tokens
-        last_updated: token.last_updated || new Date().toISOString()
+        last_updated: token.last_updated || new Date().toISOString(),
+        lifecycle_state: stage?.state ?? null,
+        bonding_progress: stage?.bonding_progress ?? null
       };
     });
 
@@ -145,11 +197,16 @@ export async function GET(request: NextRequest) {
         sortedCoins.sort((a, b) => b.correlation_score - a.correlation_score);
         break;
       case 'volume':
-        sortedCoins.sort((a, b) => b.trading_volume_24h - a.trading_volume_24h);
+        // Organic volume first, then tokens the wash-trade check has not scored
+        sortedCoins.sort(compareRankingVolume);
         break;
       case 'views':
         sortedCoins.sort((a, b) => b.tiktok_views_24h - a.tiktok_views_24h);
         break;
+      case 'velocity':
+        // Videos gaining views fastest right now, not the biggest lifetime totals
+        sortedCoins.sort((a, b) => (b.tiktok_view_velocity ?? -1) - (a.tiktok_view_velocity ?? -1));
+        break;
       case 'market_cap':
         sortedCoins.sort((a, b) => (b.market_cap || 0) - (a.market_cap || 0));
         break;
@@ -164,7 +221,8 @@ export async function GET(request: NextRequest) {
       coins: limitedCoins,
       total: trendingCoins.length,
       sortBy,
-      limit
+      limit,
+      lifecycle
     });
 
   } catch (error) {
@@ -176,28 +234,32 @@ export async function GET(request: NextRequest) {
   }
 }
 
-// Helper function to calculate trading volume from price data
-function calculateTradingVolume(prices: any[]): number {
-  if (prices.length < 2) return 0;
-  
-  // Sort by timestamp
-  const sortedPrices = prices.sort((a, b) => 
-    new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+// Combined views per hour (and its change per hour) across the token's
+// revisited videos; null until at least one has been revisited
+function calculateViewVelocity(tiktoks: any[]): { velocity: number | null; acceleration: number | null } {
+  const tracked = tiktoks.filter(t => t.view_velocity !== null && t.view_velocity !== undefined);
+  if (tracked.length === 0) return { velocity: null, acceleration: null };
+
+  const sum = (values: number[]) => Math.round(values.reduce((total, value) => total + value, 0));
+  const accelerations = tracked
+    .filter(t => t.view_acceleration !== null && t.view_acceleration !== undefined)
+    .map(t => Number(t.view_acceleration));
+
+  return {
+    velocity: sum(tracked.map(t => Number(t.view_velocity))),
+    acceleration: accelerations.length > 0 ? sum(accelerations) : null
+  };
+}
+
+// Trailing 24h USD volume summed from hourly candles, as stored on the
+// token's newest prices row by bitquery/scripts/supabase/candles.mjs
+function latestVolume(prices: any[]): number {
+  const latest = prices.reduce<any>(
+    (newest, p) => (!newest || new Date(p.timestamp) > new Date(newest.timestamp) ? p : newest),
+    null
   );
-  
-  // Calculate volume based on price changes and estimated trade frequency
-  let volume = 0;
-  for (let i = 1; i < sortedPrices.length; i++) {
-    const priceChange = Math.abs(sortedPrices[i].price_usd - sortedPrices[i-1].price_usd);
-    const timeDiff = new Date(sortedPrices[i].timestamp).getTime() - 
-                     new Date(sortedPrices[i-1].timestamp).getTime();
-    
-    // Estimate volume based on price volatility and time
-    const estimatedVolume = priceChange * 1000 * (timeDiff / (1000 * 60 * 60)); // Base volume per hour
-    volume += estimatedVolume;
-  }
-  
-  return Math.round(volume);
+  const volume = Number(latest?.volume_24h);
+  return Number.isFinite(volume) ? volume : 0;
 }
 
 // Helper function to calculate price change percentage
@@ -215,21 +277,35 @@ function calculatePriceChange(prices: any[]): number {
   return ((lastPrice - firstPrice) / firstPrice) * 100;
 }
 
-// Helper function to calculate correlation between volume and social activity
-function calculateCorrelation(volume: number, views: number): number {
-  if (volume === 0 || views === 0) return 0;
-  
-  // Simple correlation calculation based on relative scales
-  const volumeScore = Math.min(volume / 10000, 1); // Normalize to 0-1
-  const viewsScore = Math.min(views / 100000, 1); // Normalize to 0-1
-  
-  // Calculate correlation based on how well they align
-  const correlation = (volumeScore + viewsScore) / 2;
-  
-  // Boost correlation if both metrics are high
-  if (volumeScore > 0.7 && viewsScore > 0.7) {
-    return Math.min(correlation * 1.5, 1);
+// Newest stored correlation per token URI from analyses run since `since`.
+// The analyzer correlates hourly social activity with price returns over the
+// same 24h window, letting social lead or lag price by up to 6 hours; a
+// positive lag means social activity moved first.
+async function latestCorrelations(since: string) {
+  const correlations = new Map<string, { score: number; lagHours: number; spearman: number }>();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('pattern_correlations')
+      .select('token_uri, correlation_score, spearman_score, lag_hours, created_at')
+      .not('token_uri', 'is', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) return { data: correlations, error };
+
+    (data || []).forEach(row => {
+      if (correlations.has(row.token_uri)) return;
+      correlations.set(row.token_uri, {
+        score: Number(row.correlation_score) || 0,
+        lagHours: row.lag_hours ?? 0,
+        spearman: Number(row.spearman_score) || 0
+      });
+    });
+
+    if (!data || data.length < PAGE_SIZE) break;
   }
-  
-  return correlation;
+
+  return { data: correlations, error: null };
 }
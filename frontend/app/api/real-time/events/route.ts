@@ -1,125 +1,105 @@
 export const dynamic = 'force-dynamic';
 
 import { NextRequest } from 'next/server';
+import { getRealtimeEventHub, parseTokenIds, parseTopics, RealtimeEvent } from '@/lib/event-hub';
 
-// Force dynamic rendering for this route
+// Heartbeats keep proxies from closing an idle stream and let clients detect a stale one
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+// A client this many chunks behind is dropped; it reconnects and resumes from its Last-Event-ID.
+// Kept above the hub's replay buffer so a full replay alone never trips it.
+const MAX_QUEUED_CHUNKS = 2000;
 
+function formatEvent(event: RealtimeEvent): string {
+  const data = {
+    type: event.type,
+    topic: event.topic,
+    operation: event.operation,
+    payload: event.payload,
+    previous: event.previous,
+    committedAt: event.committedAt
+  };
+  return `id: ${event.id}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function formatMessage(type: string, payload: Record<string, any>): string {
+  return `data: ${JSON.stringify({ type, payload })}\n\n`;
+}
+
+/**
+ * Server-Sent Events stream of row inserts/updates from the event hub.
+ * Query: `topics=tiktoks,prices` and `tokens=189229` to filter, `lastEventId=...`
+ * to resume when the browser cannot send the Last-Event-ID header (manual reconnects).
+ */
 export async function GET(request: NextRequest) {
   const encoder = new TextEncoder();
-  
-  // Get the base URL from the request
-  const baseUrl = request.nextUrl.origin;
-  
+  const { searchParams } = request.nextUrl;
+  const topics = parseTopics(searchParams.get('topics'));
+  const tokenIds = parseTokenIds(searchParams.get('tokens'));
+  const lastEventId = request.headers.get('last-event-id') || searchParams.get('lastEventId');
+
+  const hub = getRealtimeEventHub();
+
   const stream = new ReadableStream({
     start(controller) {
       let isStreamActive = true;
-      
-      // Send initial connection message
-      if (isStreamActive) {
-        controller.enqueue(encoder.encode('data: {"type":"connected","payload":{"message":"Real-time connection established"}}\n\n'));
-      }
-      
-      // Set up interval to check for database changes
-      const interval = setInterval(async () => {
-        try {
-          // Check if stream is still active before writing
-          if (!isStreamActive) {
-            clearInterval(interval);
-            return;
-          }
+      let heartbeat: ReturnType<typeof setInterval> | null = null;
+      let unsubscribe = () => {};
 
-          // Check for new TikTok data
-          const tiktokResponse = await fetch(`${baseUrl}/api/supabase/get-tiktoks?limit=1`);
-          if (tiktokResponse.ok && isStreamActive) {
-            const tiktokData = await tiktokResponse.json();
-            if (tiktokData.data && tiktokData.data.length > 0) {
-              const latestVideo = tiktokData.data[0];
-              try {
-                controller.enqueue(encoder.encode(`data: {"type":"tiktok_update","payload":${JSON.stringify(latestVideo)}}\n\n`));
-              } catch (enqueueError) {
-                if (enqueueError instanceof Error && 'code' in enqueueError && enqueueError.code === 'ERR_INVALID_STATE') {
-                  isStreamActive = false;
-                  clearInterval(interval);
-                  return;
-                }
-                throw enqueueError;
-              }
-            }
-          }
-
-          // Check for new trending coins data
-          const trendingResponse = await fetch(`${baseUrl}/api/dashboard/trending-coins?limit=1`);
-          if (trendingResponse.ok && isStreamActive) {
-            const trendingData = await trendingResponse.json();
-            if (trendingData.coins && trendingData.coins.length > 0) {
-              try {
-                controller.enqueue(encoder.encode(`data: {"type":"trending_update","payload":${JSON.stringify(trendingData.coins[0])}}\n\n`));
-              } catch (enqueueError) {
-                if (enqueueError instanceof Error && 'code' in enqueueError && enqueueError.code === 'ERR_INVALID_STATE') {
-                  isStreamActive = false;
-                  clearInterval(interval);
-                  return;
-                }
-                throw enqueueError;
-              }
-            }
-          }
-
-        } catch (error) {
-          console.error('Error checking for updates:', error);
-          // If there's an error, check if we should close the stream
-          if (error instanceof Error && 'code' in error && error.code === 'ERR_INVALID_STATE') {
-            isStreamActive = false;
-            clearInterval(interval);
-            try {
-              controller.close();
-            } catch (closeError) {
-              // Stream already closed, ignore
-            }
-          }
-        }
-      }, 10000); // Check every 10 seconds to reduce stream pressure
-
-      // Clean up interval when connection closes
-      request.signal.addEventListener('abort', () => {
+      const close = () => {
+        if (!isStreamActive) return;
         isStreamActive = false;
-        clearInterval(interval);
+        unsubscribe();
+        if (heartbeat) clearInterval(heartbeat);
         try {
           controller.close();
         } catch (closeError) {
           // Stream already closed, ignore
         }
-      });
+      };
 
-      // Handle stream close events
-      request.signal.addEventListener('close', () => {
-        isStreamActive = false;
-        clearInterval(interval);
-        try {
-          controller.close();
-        } catch (closeError) {
-          // Stream already closed, ignore
+      const write = (chunk: string) => {
+        if (!isStreamActive) return;
+        if ((controller.desiredSize ?? 0) < -MAX_QUEUED_CHUNKS) {
+          console.log('🐢 Realtime client fell behind, closing stream');
+          close();
+          return;
         }
-      });
-
-      // Additional safety: check if stream is still active before each interval
-      const checkStreamActive = () => {
-        if (!isStreamActive) {
-          clearInterval(interval);
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (enqueueError) {
+          // Client went away between events
+          close();
         }
       };
-      
-      // Check stream state every second as additional safety
-      const safetyInterval = setInterval(checkStreamActive, 1000);
-      
-      // Clean up safety interval
-      request.signal.addEventListener('abort', () => {
-        clearInterval(safetyInterval);
-      });
-      
-      request.signal.addEventListener('close', () => {
-        clearInterval(safetyInterval);
+
+      const subscription = hub.subscribe(event => write(formatEvent(event)), {
+        topics,
+        tokenIds,
+        lastEventId,
+        // The hub's channel dropped and came back; changes in between are lost
+        onResync: () => write(formatMessage('resync', { lastEventId: null, reason: 'channel_reconnected' }))
       });
+      unsubscribe = subscription.unsubscribe;
+
+      write(`retry: ${RETRY_MS}\n\n`);
+      write(formatMessage('connected', {
+        message: 'Real-time connection established',
+        topics: topics || 'all',
+        tokens: tokenIds || 'all',
+        resumedFrom: lastEventId || null,
+        replayed: subscription.replay.length
+      }));
+
+      if (subscription.resync) {
+        // Missed events are no longer buffered; the client should refetch its state
+        write(formatMessage('resync', { lastEventId }));
+      }
+      subscription.replay.forEach(event => write(formatEvent(event)));
+
+      heartbeat = setInterval(() => write(formatMessage('heartbeat', { timestamp: new Date().toISOString() })), HEARTBEAT_MS);
+
+      request.signal.addEventListener('abort', close);
     }
   });
 
@@ -129,7 +109,7 @@ export async function GET(request: NextRequest) {
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control',
+      'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID',
     },
   });
 }
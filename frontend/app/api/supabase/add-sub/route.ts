@@ -1,35 +1,45 @@
 export const dynamic = 'force-dynamic';
 
-import { createClient } from "@supabase/supabase-js";
 import { NextRequest, NextResponse } from "next/server";
+import {
+  PaymentVerificationError,
+  assertSignatureUnused,
+  createSubscriptionClient,
+  getSolanaConnection,
+  parsePaymentRequest,
+  recordSubscription,
+  verifySubscriptionPayment,
+} from "@/lib/subscription-service";
+import { getSessionWallet, unauthorized } from "@/lib/wallet-session";
 
-
+/**
+ * Redeem a subscription payment for the signed-in wallet.
+ * Body: { signature, tier? } — the amount and expiry are derived from the
+ * verified on-chain transaction and the tier table, never the client.
+ */
 export async function POST(request: NextRequest) {
   try {
-    const { address, amount, expires } = await request.json();
+    const wallet = getSessionWallet(request);
+    if (!wallet) return unauthorized();
 
-    // Create a single supabase client for interacting with your database
-    const supabase = createClient(
-      process.env.SUPABASE_URL || "",
-      process.env.SUPABASE_ANON_SECRET || ""
-    );
+    const payment = parsePaymentRequest(await request.json(), wallet);
 
-    const { data, error } = await supabase.from("subs").insert([
-      {
-        created_at: new Date().toISOString(),
-        address: address,
-        amount: amount,
-        expires: new Date(new Date().getTime() + expires * 1000).toISOString(),
-      },
-    ]);
+    // subs is closed to the anon key; only this verified path may write it
+    const supabase = createSubscriptionClient();
 
-    if (error) {
-      console.error("Error inserting data:", error);
-      return NextResponse.json({ error: error.message }, { status: 500 });
-    }
+    await assertSignatureUnused(supabase, payment.signature);
+    const verified = await verifySubscriptionPayment(getSolanaConnection(), payment);
+    const data = await recordSubscription(supabase, verified);
 
+    console.log(`💳 Verified ${data.tier} payment from ${data.address}, expires ${data.expires}`);
     return NextResponse.json({ data });
   } catch (error) {
+    if (error instanceof PaymentVerificationError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
     console.error("Error processing request:", error);
     return NextResponse.json(
       { error: "Internal Server Error" },
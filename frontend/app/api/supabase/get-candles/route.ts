@@ -0,0 +1,48 @@
+export const dynamic = 'force-dynamic';
+
+import { createClient } from "@supabase/supabase-js";
+import { NextRequest, NextResponse } from "next/server";
+import { getCandles, isCandleResolution } from "@/lib/candles";
+
+/**
+ * OHLCV candles for a token.
+ * Query: tokenId, resolution=1m|5m|1h|1d (default 1h), optional from/to ISO timestamps
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const tokenId = searchParams.get("tokenId");
+    const resolution = searchParams.get("resolution") || "1h";
+
+    if (!tokenId) {
+      return NextResponse.json(
+        { error: "Token ID is required" },
+        { status: 400 }
+      );
+    }
+    if (!isCandleResolution(resolution)) {
+      return NextResponse.json(
+        { error: "Resolution must be one of 1m, 5m, 1h, 1d" },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createClient(
+      process.env.SUPABASE_URL || "",
+      process.env.SUPABASE_ANON_SECRET || ""
+    );
+
+    const data = await getCandles(supabase, parseInt(tokenId), resolution, {
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    return NextResponse.json({ success: true, resolution, data });
+  } catch (error) {
+    console.error("Error fetching candles:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch candles" },
+      { status: 500 }
+    );
+  }
+}
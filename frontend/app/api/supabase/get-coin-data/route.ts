@@ -4,7 +4,10 @@ import { toZonedTime } from "date-fns-tz";
 import { Price, TokenData } from "../../../../lib/types";
 import { createClient } from "@supabase/supabase-js";
 import { NextRequest, NextResponse } from "next/server";
-
+import { createSubscriptionClient, hasActiveSubscription, visibleTiktoks } from "@/lib/subscription-service";
+import { getSessionWallet } from "@/lib/wallet-session";
+import { getChartPrices } from "@/lib/candles";
+import { tokenImageUrl } from "@/lib/utils";
 
 export async function GET(request: NextRequest) {
   try {
@@ -53,6 +56,14 @@ export async function GET(request: NextRequest) {
       // Continue without prices rather than failing completely
     }
 
+    // Prefer OHLCV candle closes; older tokens without candles keep raw price rows
+    let chartPrices: Price[] = [];
+    try {
+      chartPrices = await getChartPrices(supabase, parseInt(tokenId));
+    } catch (candleError) {
+      console.error("Error fetching candles:", candleError);
+    }
+
     // Get mentions data
     const { data: mentions, error: mentionsError } = await supabase
       .from("mentions")
@@ -94,13 +105,21 @@ export async function GET(request: NextRequest) {
       // Continue without tweets rather than failing completely
     }
 
+    // The full TikTok list is a premium feature, gated on the signed-in wallet
+    let premium = false;
+    try {
+      premium = await hasActiveSubscription(createSubscriptionClient(), getSessionWallet(request));
+    } catch (subscriptionError) {
+      console.error("Error checking subscription:", subscriptionError);
+    }
+
     // Combine all the data
     const data = {
       ...token,
-      prices: prices || [],
+      prices: chartPrices.length > 0 ? chartPrices : prices || [],
       mentions: mentions || [],
       tweets: tweets || [],
-      tiktoks: tiktoks || []
+      tiktoks: visibleTiktoks(tiktoks, premium)
     };
 
 
@@ -112,7 +131,7 @@ export async function GET(request: NextRequest) {
       name: data.name,
       symbol: data.symbol,
       uri: data.uri,
-      image: "",
+      image: tokenImageUrl(data.id),
       created_at: toZonedTime(
         new Date(data.created_at),
         timeZone
@@ -0,0 +1,44 @@
+export const dynamic = 'force-dynamic';
+
+import { createClient } from "@supabase/supabase-js";
+import { NextRequest, NextResponse } from "next/server";
+import { getHolderSnapshots } from "@/lib/holders";
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const tokenId = parseInt(searchParams.get("tokenId") || "", 10);
+
+    if (Number.isNaN(tokenId)) {
+      return NextResponse.json(
+        { error: "Token ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createClient(
+      process.env.SUPABASE_URL || "",
+      process.env.SUPABASE_ANON_SECRET || ""
+    );
+
+    const snapshots = await getHolderSnapshots(supabase, tokenId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        latest: snapshots[0] || null,
+        // Oldest first for charting holder count over time
+        history: snapshots
+          .filter((snapshot) => snapshot.holder_count !== null)
+          .map((snapshot) => ({ holder_count: snapshot.holder_count, taken_at: snapshot.taken_at }))
+          .reverse(),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching holder snapshots:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch holder data" },
+      { status: 500 }
+    );
+  }
+}
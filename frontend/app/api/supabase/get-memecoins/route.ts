@@ -1,6 +1,8 @@
 export const dynamic = 'force-dynamic';
 
-import { ITEMS_PER_PAGE } from "@/lib/constants";
+import { ITEMS_PER_PAGE, LIFECYCLE_STATES } from "@/lib/constants";
+import { LifecycleState } from "@/lib/types";
+import { tokenImageUrl } from "@/lib/utils";
 import { toZonedTime } from "date-fns-tz";
 import { createClient } from "@supabase/supabase-js";
 import { NextRequest, NextResponse } from "next/server";
@@ -10,6 +12,23 @@ export async function GET(request: NextRequest) {
   try {
     const { searchParams } = request.nextUrl;
     let start = parseInt(searchParams.get("start") || "0");
+    // Comma-separated lifecycle states, e.g. ?lifecycle=bonding,graduated
+    const lifecycle = (searchParams.get("lifecycle") || "")
+      .split(",")
+      .map((state) => state.trim())
+      .filter(Boolean);
+    const unknownStates = lifecycle.filter(
+      (state) => !LIFECYCLE_STATES.includes(state as LifecycleState)
+    );
+    if (unknownStates.length > 0) {
+      return NextResponse.json(
+        {
+          error: `Unknown lifecycle state: ${unknownStates.join(", ")}`,
+          allowed: LIFECYCLE_STATES,
+        },
+        { status: 400 }
+      );
+    }
 
     const supabase = createClient(
       process.env.SUPABASE_URL || "",
@@ -27,7 +46,8 @@ export async function GET(request: NextRequest) {
     const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
     while (uniqueSymbols.size < 7) {
-      const { data, error } = await supabase
+      // An inner join drops tokens outside the requested states (and untracked ones)
+      let query = supabase
         .from("tokens")
         .select(
           `
@@ -38,11 +58,16 @@ export async function GET(request: NextRequest) {
           views,
           created_at,
           mentions,
-          prices!inner(price_usd, price_sol, is_latest)
+          prices!inner(price_usd, price_sol, is_latest),
+          ${lifecycle.length > 0 ? "token_lifecycle!inner" : "token_lifecycle"}(state, bonding_progress, pool_address)
         `
         )
         .eq("prices.is_latest", true)
-        .neq("mentions", 0)
+        .neq("mentions", 0);
+      if (lifecycle.length > 0) {
+        query = query.in("token_lifecycle.state", lifecycle);
+      }
+      const { data, error } = await query
         .order("created_at", { ascending: false })
         .range(start, start + ITEMS_PER_PAGE - 1);
 
@@ -52,8 +77,10 @@ export async function GET(request: NextRequest) {
           { status: 500 }
         );
       }
+      // Out of tokens: a rare lifecycle state may have fewer than 7 symbols,
+      // so keep what the earlier pages found
       if (!data || data.length === 0) {
-        return NextResponse.json([]);
+        break;
       }
       for (const entry of data) {
         results.push(entry);
@@ -63,26 +90,53 @@ export async function GET(request: NextRequest) {
         }
       }
 
+      // A short page was the last one
+      if (data.length < ITEMS_PER_PAGE) {
+        break;
+      }
+
       // Increment range for pagination
       start += ITEMS_PER_PAGE;
     }
 
-    const memecoins = results.map((token) => ({
-      id: token.id,
-      name: token.name,
-      symbol: token.symbol,
-      uri: token.uri,
-      image: null,
-      created_at: toZonedTime(
-        new Date(token.created_at),
-        timeZone
-      ).toISOString(),
-      latest_price_usd: token.prices?.[0]?.price_usd || 0,
-      latest_market_cap: (token.prices?.[0]?.price_usd || 0) * 1000000000,
-      latest_price_sol: token.prices?.[0]?.price_sol || 0,
-      views: token.views,
-      mentions: token.mentions,
-    }));
+    // Safety badges; tokens the scanner has not reached yet have no row
+    const { data: safetyRows, error: safetyError } = await supabase
+      .from("token_safety")
+      .select("token_id, red_flags")
+      .in("token_id", results.map((token) => token.id));
+    if (safetyError) {
+      console.error("Error fetching token safety:", safetyError);
+    }
+    const redFlagsByToken = new Map(
+      (safetyRows || []).map((row) => [row.token_id, row.red_flags || []])
+    );
+
+    const memecoins = results.map((token) => {
+      // One-to-one embeds come back as an object, or an array on older PostgREST
+      const stage = Array.isArray(token.token_lifecycle)
+        ? token.token_lifecycle[0]
+        : token.token_lifecycle;
+      return {
+        id: token.id,
+        name: token.name,
+        symbol: token.symbol,
+        uri: token.uri,
+        image: tokenImageUrl(token.id),
+        created_at: toZonedTime(
+          new Date(token.created_at),
+          timeZone
+        ).toISOString(),
+        latest_price_usd: token.prices?.[0]?.price_usd || 0,
+        latest_market_cap: (token.prices?.[0]?.price_usd || 0) * 1000000000,
+        latest_price_sol: token.prices?.[0]?.price_sol || 0,
+        views: token.views,
+        mentions: token.mentions,
+        red_flags: redFlagsByToken.get(token.id) ?? null,
+        lifecycle_state: stage?.state ?? null,
+        bonding_progress: stage?.bonding_progress ?? null,
+        pool_address: stage?.pool_address ?? null,
+      };
+    });
 
     return NextResponse.json(memecoins);
   } catch (error) {
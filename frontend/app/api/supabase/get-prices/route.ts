@@ -3,6 +3,7 @@ export const dynamic = 'force-dynamic';
 import { createClient } from "@supabase/supabase-js";
 import axios from "axios";
 import { NextRequest, NextResponse } from "next/server";
+import { getChartPrices } from "@/lib/candles";
 
 
 export async function GET(request: NextRequest) {
@@ -22,6 +23,16 @@ export async function GET(request: NextRequest) {
       process.env.SUPABASE_ANON_SECRET || ""
     );
 
+    // Candle closes give the chart an evenly spaced OHLCV-backed series
+    try {
+      const candlePrices = await getChartPrices(supabase, parseInt(tokenId));
+      if (candlePrices.length > 0) {
+        return NextResponse.json({ success: true, data: candlePrices });
+      }
+    } catch (candleError) {
+      console.error("Error fetching candles, falling back to prices:", candleError);
+    }
+
     const { data, error } = await supabase
       .from("prices")
       .select(
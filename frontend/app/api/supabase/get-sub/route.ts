@@ -1,33 +1,22 @@
 export const dynamic = 'force-dynamic';
 
-import { createClient } from "@supabase/supabase-js";
 import { NextRequest, NextResponse } from "next/server";
+import { createSubscriptionClient, getSubscriptionExpiry } from "@/lib/subscription-service";
+import { getSessionWallet, unauthorized } from "@/lib/wallet-session";
 
-
+/**
+ * Subscription of the signed-in wallet
+ */
 export async function GET(request: NextRequest) {
   try {
-    const { searchParams } = request.nextUrl;
-    const address = searchParams.get("address");
-
-    if (!address) {
-      return NextResponse.json(
-        { error: "Address parameter is required" },
-        { status: 400 }
-      );
-    }
-
-    const supabase = createClient(
-      process.env.SUPABASE_URL || "",
-      process.env.SUPABASE_ANON_SECRET || ""
-    );
-
-    const { data, error } = await supabase
-      .from("subs")
-      .select("expires")
-      .eq("address", address)
-      .single();
-
-    if (error) {
+    const address = getSessionWallet(request);
+    if (!address) return unauthorized();
+
+    let subscription;
+    try {
+      // Only rows redeemed through a verified payment count
+      subscription = await getSubscriptionExpiry(createSubscriptionClient(), address);
+    } catch (error) {
       console.error("Error fetching data:", error);
       return NextResponse.json(
         { error: "Failed to fetch subscription data" },
@@ -35,7 +24,10 @@ export async function GET(request: NextRequest) {
       );
     }
 
-    return NextResponse.json({ expires: data.expires });
+    return NextResponse.json({
+      expires: subscription?.expires ?? null,
+      tier: subscription?.tier ?? null,
+    });
   } catch (error) {
     console.error("Error processing request:", error);
     return NextResponse.json(
@@ -1,7 +1,8 @@
 export const dynamic = 'force-dynamic';
 
-import { IPFS_GATEWAY_URL, ITEMS_PER_PAGE } from "@/lib/constants";
+import { ITEMS_PER_PAGE } from "@/lib/constants";
 import { SearchTokenResponse } from "@/lib/types";
+import { tokenImageUrl } from "@/lib/utils";
 import { createClient } from "@supabase/supabase-js";
 import { NextRequest, NextResponse } from "next/server";
 
@@ -36,7 +37,8 @@ export async function GET(request: NextRequest) {
         id,
         name,
         symbol,
-        uri
+        uri,
+        token_clones!token_clones_token_id_fkey(canonical_token_id, is_impersonator, impersonator_score, match_reasons)
       `
       )
       .or(`symbol.ilike.%${searchTerm}%,name.ilike.%${searchTerm}%`)
@@ -52,15 +54,27 @@ export async function GET(request: NextRequest) {
 
     console.log(`[${requestId}] Tokens fetched:`, data);
 
-    const memecoins = data.map((token) => {
+    const memecoins: SearchTokenResponse[] = data.map((token) => {
+      // One-to-one embeds come back as an object, or an array on older PostgREST
+      const clone = Array.isArray(token.token_clones)
+        ? token.token_clones[0]
+        : token.token_clones;
       return {
         id: token.id,
         name: token.name,
         symbol: token.symbol,
         uri: token.uri,
-        image: "",
+        image: tokenImageUrl(token.id),
+        canonical_token_id: clone?.canonical_token_id ?? null,
+        is_impersonator: clone?.is_impersonator ?? false,
+        impersonator_score: clone?.impersonator_score ?? null,
+        match_reasons: clone?.match_reasons ?? [],
       };
     });
+    // Likely impersonators go below the tokens they copy
+    memecoins.sort(
+      (a, b) => Number(a.is_impersonator) - Number(b.is_impersonator)
+    );
 
     console.log(`[${requestId}] Successfully processed memecoins:`, memecoins);
     return NextResponse.json(memecoins);
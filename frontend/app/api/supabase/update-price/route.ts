@@ -1,21 +1,30 @@
 export const dynamic = 'force-dynamic';
 
-import { getQuery } from "@/lib/utils";
+import {
+  BitqueryAuthError,
+  BitqueryError,
+  BitqueryQuotaError,
+  bitqueryRequest,
+  hasBitqueryCredentials,
+} from "@/lib/bitquery-client";
+import { getPriceQuery } from "@/lib/utils";
 import { createClient } from "@supabase/supabase-js";
-import axios from "axios";
 import { NextRequest, NextResponse } from "next/server";
 
-// Validate required environment variables
-const BITQUERY_API_KEY = process.env.BITQUERY_API_KEY;
-const ACCESS_TOKEN = process.env.ACCESS_TOKEN;
-
-if (!BITQUERY_API_KEY || !ACCESS_TOKEN) {
-  console.warn("⚠️ Missing Bitquery API credentials:");
-  console.warn("   BITQUERY_API_KEY:", BITQUERY_API_KEY ? "✅ Set" : "❌ Missing");
-  console.warn("   ACCESS_TOKEN:", ACCESS_TOKEN ? "✅ Set" : "❌ Missing");
+if (!hasBitqueryCredentials() && process.env.BITQUERY_MODE !== "replay") {
+  console.warn("⚠️ Missing Bitquery API credentials (BITQUERY_API_KEY / ACCESS_TOKEN)");
   console.warn("   Price updates will be limited to existing data only");
 }
 
+type PriceTradesResponse = {
+  Solana?: {
+    DEXTrades?: Array<{
+      Trade: { Buy: { Price: number; PriceInUSD: number } };
+      Block: { Time: string };
+    }>;
+  };
+};
+
 
 // Helper function to clean up duplicate is_latest flags
 async function cleanupDuplicateLatestFlags(supabase: any, tokenId: number) {
@@ -157,7 +166,7 @@ export async function POST(request: NextRequest) {
     console.log("Current timestamp:", new Date(now).toISOString());
 
     // Check if we have the required API credentials
-    if (!BITQUERY_API_KEY || !ACCESS_TOKEN) {
+    if (!hasBitqueryCredentials() && process.env.BITQUERY_MODE !== "replay") {
       console.log("⚠️ Skipping external API calls due to missing credentials");
       console.log("   Returning existing price data only");
       
@@ -171,10 +180,7 @@ export async function POST(request: NextRequest) {
 
     // Always get current price
     console.log("Adding request for current price");
-    requestBodies.push({
-      query: getQuery(tokenData.address, true, 0),
-      variables: "{}",
-    });
+    requestBodies.push(getPriceQuery(tokenData.address, true, 0));
 
     const sincePriceFetch =
       data && data.trade_at ? new Date(data.trade_at).getTime() : 0;
@@ -188,44 +194,21 @@ export async function POST(request: NextRequest) {
     // Helper function to add request bodies based on time intervals
     if (!sincePriceFetch || timeDiff > 12 * 60 * 60 * 1000) {
       console.log("Adding 12h and 6h requests");
-      requestBodies.push({
-        query: getQuery(tokenData.address, false, 0),
-        variables: "{}",
-      });
-      requestBodies.push({
-        query: getQuery(tokenData.address, false, 1200),
-        variables: "{}",
-      });
+      requestBodies.push(getPriceQuery(tokenData.address, false, 0));
+      requestBodies.push(getPriceQuery(tokenData.address, false, 1200));
     } else if (timeDiff > 30 * 60 * 1000) {
       console.log("Adding 30min request");
-      requestBodies.push({
-        query: getQuery(tokenData.address, true, 2000),
-        variables: "{}",
-      });
+      requestBodies.push(getPriceQuery(tokenData.address, true, 2000));
     } else if (timeDiff > 0) {
       console.log("Adding 5min request");
-      requestBodies.push({
-        query: getQuery(tokenData.address, true, 1000),
-        variables: "{}",
-      });
+      requestBodies.push(getPriceQuery(tokenData.address, true, 1000));
     }
 
     console.log(`Preparing to make ${requestBodies.length} API requests`);
-    const axiosConfig = {
-      method: "post",
-      maxBodyLength: Infinity,
-      url: "https://streaming.bitquery.io/eap",
-      headers: {
-        "Content-Type": "application/json",
-        "X-API-KEY": BITQUERY_API_KEY,
-        Authorization: "Bearer " + ACCESS_TOKEN,
-      },
-    };
-
-    console.log("Making API requests...");
+    // The shared client rate-limits these and retries 429/5xx
     const responses = await Promise.all(
-      requestBodies.map((body) =>
-        axios.request({ ...axiosConfig, data: JSON.stringify(body) })
+      requestBodies.map(({ query, variables }) =>
+        bitqueryRequest<PriceTradesResponse>(query, variables)
       )
     );
     console.log(`Received ${responses.length} API responses`);
@@ -238,12 +221,7 @@ export async function POST(request: NextRequest) {
       is_latest: boolean;
     }>, response, index) => {
       console.log(`Processing response ${index + 1}/${responses.length}`);
-      if (response.data.errors) {
-        console.error(`Error in response ${index + 1}:`, response.data.errors);
-        throw new Error(JSON.stringify(response.data.errors));
-      }
-
-      const trades = response.data.data?.Solana.DEXTrades;
+      const trades = response.Solana?.DEXTrades;
       if (trades?.[0]) {
         const trade = trades[0];
         console.log(`Found trade data in response ${index + 1}:`, trade);
@@ -296,19 +274,23 @@ export async function POST(request: NextRequest) {
     console.error("Error processing request:", error);
     
     // Provide more specific error messages
-    if (error instanceof Error) {
-      if (error.message.includes("401")) {
-        return NextResponse.json(
-          { error: "API authentication failed - check Bitquery credentials" },
-          { status: 401 }
-        );
-      }
-      if (error.message.includes("Request failed with status code 401")) {
-        return NextResponse.json(
-          { error: "Bitquery API authentication failed - check API keys" },
-          { status: 401 }
-        );
-      }
+    if (error instanceof BitqueryAuthError) {
+      return NextResponse.json(
+        { error: "Bitquery API authentication failed - check API keys" },
+        { status: 401 }
+      );
+    }
+    if (error instanceof BitqueryQuotaError) {
+      return NextResponse.json(
+        { error: "Bitquery rate limit or quota exceeded - try again later" },
+        { status: 429 }
+      );
+    }
+    if (error instanceof BitqueryError) {
+      return NextResponse.json(
+        { error: "Bitquery request failed", details: error.message },
+        { status: 502 }
+      );
     }
     
     return NextResponse.json(
@@ -0,0 +1,90 @@
+export const dynamic = 'force-dynamic';
+
+import { createClient } from "@supabase/supabase-js";
+import { NextRequest, NextResponse } from "next/server";
+import {
+  TOKEN_IMAGE_SIZES,
+  TokenMetadataError,
+  getTokenImage,
+  getTokenMetadata,
+  isTokenImageSize,
+} from "@/lib/token-metadata";
+import { tokenImageUrl } from "@/lib/utils";
+
+/**
+ * GET /api/token-metadata?id=<tokenId>
+ *   Validated metadata JSON; `image` points back at this route.
+ * GET /api/token-metadata?id=<tokenId>&image=<32|64|128|256>
+ *   The logo as a square WebP. Falls back to /solana.png when no gateway has it.
+ */
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl;
+  const tokenId = parseInt(searchParams.get("id") || "", 10);
+  const imageParam = searchParams.get("image");
+
+  if (Number.isNaN(tokenId)) {
+    return NextResponse.json({ error: "Token ID is required" }, { status: 400 });
+  }
+  const size = imageParam === null ? null : parseInt(imageParam, 10);
+  if (size !== null && !isTokenImageSize(size)) {
+    return NextResponse.json(
+      { error: `Image size must be one of ${TOKEN_IMAGE_SIZES.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const supabase = createClient(
+      process.env.SUPABASE_URL || "",
+      process.env.SUPABASE_ANON_SECRET || ""
+    );
+    const { data: token, error } = await supabase
+      .from("tokens")
+      .select("id, uri")
+      .eq("id", tokenId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!token) {
+      return NextResponse.json({ error: "Token not found" }, { status: 404 });
+    }
+
+    if (size !== null) {
+      try {
+        const image = await getTokenImage(token.uri, size);
+        return new NextResponse(new Uint8Array(image), {
+          headers: {
+            "Content-Type": "image/webp",
+            "Cache-Control": "public, max-age=86400, stale-while-revalidate=604800",
+          },
+        });
+      } catch (error) {
+        console.warn(`Logo unavailable for token ${tokenId}:`, (error as Error).message);
+        const fallback = NextResponse.redirect(new URL("/solana.png", request.url));
+        fallback.headers.set("Cache-Control", "public, max-age=300");
+        return fallback;
+      }
+    }
+
+    const metadata = await getTokenMetadata(token.uri);
+    return NextResponse.json(
+      {
+        id: token.id,
+        uri: token.uri,
+        ...metadata,
+        image: metadata.image ? tokenImageUrl(token.id) : null,
+        source_image: metadata.image,
+      },
+      { headers: { "Cache-Control": "public, max-age=3600" } }
+    );
+  } catch (error) {
+    if (error instanceof TokenMetadataError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    console.error("Error resolving token metadata:", error);
+    return NextResponse.json(
+      { error: "Failed to resolve token metadata" },
+      { status: 500 }
+    );
+  }
+}
@@ -4,10 +4,19 @@ import { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { TrendingUp, TrendingDown, Users, Activity, Target, Zap } from 'lucide-react';
-import { realTimeService } from '@/lib/real-time-service';
+import { realTimeService, ConnectionStatus } from '@/lib/real-time-service';
+import { useRealtimeConnection } from '@/hooks/use-realtime-connection';
 import { telegramViewsService } from '@/lib/telegram-views-service';
 import { tiktokHashtagsService } from '@/lib/tiktok-hashtags-service';
 
+const STREAM_STATUS: Record<ConnectionStatus, { label: string; className: string }> = {
+  live: { label: '● Live', className: 'text-green-500' },
+  stale: { label: '● Stale', className: 'text-yellow-500' },
+  reconnecting: { label: '● Reconnecting', className: 'text-orange-500' },
+  connecting: { label: '● Connecting', className: 'text-yellow-500' },
+  idle: { label: '● Offline', className: 'text-red-500' }
+};
+
 interface RealTimeData {
   tiktok: {
     recentVideos: number;
@@ -40,6 +49,7 @@ export default function RealTimeData() {
   });
   const [formattedLastAnalysis, setFormattedLastAnalysis] = useState<string>('Never');
   const [isClient, setIsClient] = useState(false);
+  const streamConnection = useRealtimeConnection();
   const [telegramConnectionStatus, setTelegramConnectionStatus] = useState<{
     isConnected: boolean;
     isConnecting: boolean;
@@ -73,27 +83,35 @@ export default function RealTimeData() {
     
     // Subscribe to real-time updates only if service is available
     if (realTimeService) {
-      const unsubscribeTiktok = realTimeService.subscribe('tiktok_update', (newData) => {
+      const unsubscribeTiktok = realTimeService.subscribeTopic<{ views?: number }>('tiktoks', (change) => {
+        // Inserts are new videos; updates only move the view total by the delta
+        const views = change.payload.views || 0;
+        const viewDelta = change.operation === 'insert' ? views : views - (change.previous?.views ?? views);
         setData(prev => ({
           ...prev,
           tiktok: {
             ...prev.tiktok,
-            recentVideos: prev.tiktok.recentVideos + 1,
-            totalViews: prev.tiktok.totalViews + (newData.views || 0),
-            trendingTokens: Array.from(new Set([...prev.tiktok.trendingTokens, ...(newData.mentions?.map((m: { tokens?: { symbol?: string } }) => m?.tokens?.symbol || 'Unknown') || [])])).slice(0, 5)
+            recentVideos: prev.tiktok.recentVideos + (change.operation === 'insert' ? 1 : 0),
+            totalViews: prev.tiktok.totalViews + viewDelta
           }
         }));
       });
 
-      const unsubscribeTrending = realTimeService.subscribe('trending_update', (newData) => {
+      const unsubscribePatterns = realTimeService.subscribeTopic('pattern_detections', (change) => {
         // Update trending coins data in real-time
-        console.log('New trending coin data:', newData);
+        console.log('New pattern detection:', change.payload);
+      });
+
+      // Missed events were evicted from the server buffer; start from a fresh snapshot
+      const unsubscribeResync = realTimeService.subscribe('resync', () => {
+        fetchRealTimeData();
       });
 
       // Cleanup subscriptions
       return () => {
         unsubscribeTiktok();
-        unsubscribeTrending();
+        unsubscribePatterns();
+        unsubscribeResync();
       };
     }
   }, [isClient]);
@@ -252,6 +270,14 @@ export default function RealTimeData() {
         <h2 className="text-2xl font-bold mb-4">📊 Real-Time Data Overview</h2>
         <p className="text-muted-foreground">
           Live updates from TikTok, Telegram, and AI analysis - no refresh needed
+          {isClient && (
+            <span className={`ml-2 ${STREAM_STATUS[streamConnection.status].className}`}>
+              {STREAM_STATUS[streamConnection.status].label}
+              {streamConnection.status === 'reconnecting' && streamConnection.reconnectAttempts > 0 && (
+                <> (attempt {streamConnection.reconnectAttempts})</>
+              )}
+            </span>
+          )}
         </p>
       </div>
 
@@ -8,8 +8,12 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Input } from '@/components/ui/input';
 import { TrendingUp, TrendingDown, Activity, Target, Zap, Search, Filter, X } from 'lucide-react';
+import { throttle } from 'lodash';
 import { realTimeService } from '@/lib/real-time-service';
 
+// Price and mention inserts arrive in bursts; refetch the ranking at most this often
+const TRENDING_REFRESH_MS = 10000;
+
 interface TrendingCoinsData {
   coins: any[];
   total: number;
@@ -31,6 +35,8 @@ export default function TrendingCoinsAnalytics() {
   const [filterMarketCap, setFilterMarketCap] = useState<string>('all');
   const [filterCorrelation, setFilterCorrelation] = useState<string>('all');
   const [filterViews, setFilterViews] = useState<string>('all');
+  // Applied by the API so the limit counts only coins in that stage
+  const [filterLifecycle, setFilterLifecycle] = useState<string>('all');
 
   useEffect(() => {
     // Mark that we're on the client side
@@ -40,7 +46,8 @@ export default function TrendingCoinsAnalytics() {
   const fetchTrendingCoins = useCallback(async () => {
     try {
       setIsLoading(true);
-      const response = await fetch(`/api/dashboard/trending-coins?sortBy=${sortBy}&limit=${limit}`);
+      const lifecycleParam = filterLifecycle !== 'all' ? `&lifecycle=${filterLifecycle}` : '';
+      const response = await fetch(`/api/dashboard/trending-coins?sortBy=${sortBy}&limit=${limit}${lifecycleParam}`);
       if (response.ok) {
         const result = await response.json();
         setData(result);
@@ -52,7 +59,7 @@ export default function TrendingCoinsAnalytics() {
     } finally {
       setIsLoading(false);
     }
-  }, [sortBy, limit]);
+  }, [sortBy, limit, filterLifecycle]);
 
   useEffect(() => {
     // Only fetch data after we're on the client side
@@ -62,16 +69,21 @@ export default function TrendingCoinsAnalytics() {
     
     // Subscribe to real-time trending updates only if service is available
     if (realTimeService) {
-      const unsubscribeTrending = realTimeService.subscribe('trending_update', (newData) => {
-        // Update data when new trending coin data arrives
+      const refreshTrending = throttle(() => {
+        // Update data when new prices or mentions arrive
         fetchTrendingCoins();
         // Update time on client side only
         setLastUpdated(new Date().toLocaleTimeString());
-      });
+      }, TRENDING_REFRESH_MS);
+
+      const unsubscribePrices = realTimeService.subscribeTopic('prices', refreshTrending);
+      const unsubscribeMentions = realTimeService.subscribeTopic('mentions', refreshTrending);
 
       // Cleanup subscription
       return () => {
-        unsubscribeTrending();
+        unsubscribePrices();
+        unsubscribeMentions();
+        refreshTrending.cancel();
       };
     }
   }, [isClient, sortBy, limit, fetchTrendingCoins]);
@@ -98,6 +110,11 @@ export default function TrendingCoinsAnalytics() {
     return `${(score * 100).toFixed(1)}%`;
   };
 
+  const formatCorrelationLag = (lagHours?: number): string => {
+    if (!lagHours) return '';
+    return lagHours > 0 ? ` (social leads by ${lagHours}h)` : ` (price leads by ${-lagHours}h)`;
+  };
+
   const getCorrelationColor = (score: number): string => {
     if (score >= 0.8) return 'text-green-600';
     if (score >= 0.6) return 'text-yellow-600';
@@ -111,6 +128,28 @@ export default function TrendingCoinsAnalytics() {
     return 'text-gray-600';
   };
 
+  const formatLifecycle = (coin: any): string | null => {
+    switch (coin.lifecycle_state) {
+      case 'launched':
+        return 'Launched';
+      case 'bonding':
+        return `Bonding ${Math.round((coin.bonding_progress || 0) * 100)}%`;
+      case 'graduated':
+        return 'Graduated';
+      case 'abandoned':
+        return 'Abandoned';
+      default:
+        return null;
+    }
+  };
+
+  const getLifecycleBadgeVariant = (state: string): "default" | "secondary" | "destructive" | "outline" => {
+    if (state === 'graduated') return 'default';
+    if (state === 'abandoned') return 'destructive';
+    if (state === 'bonding') return 'secondary';
+    return 'outline';
+  };
+
   const getCorrelationBadgeVariant = (score: number): "default" | "secondary" | "destructive" | "outline" => {
     if (score >= 0.8) return 'default';
     if (score >= 0.6) return 'secondary';
@@ -198,6 +237,7 @@ export default function TrendingCoinsAnalytics() {
     setFilterMarketCap('all');
     setFilterCorrelation('all');
     setFilterViews('all');
+    setFilterLifecycle('all');
   };
 
   const formatSupply = (supply: number): string => {
@@ -236,7 +276,7 @@ export default function TrendingCoinsAnalytics() {
   }
 
   // Show "no data" state when there are no coins
-  if (!isLoading && data.coins.length === 0) {
+  if (!isLoading && data.coins.length === 0 && filterLifecycle === 'all') {
     return (
       <Card>
         <CardHeader>
@@ -294,6 +334,7 @@ export default function TrendingCoinsAnalytics() {
                 <SelectItem value="correlation">Correlation</SelectItem>
                 <SelectItem value="volume">Volume</SelectItem>
                 <SelectItem value="views">Views</SelectItem>
+                <SelectItem value="velocity">View Velocity</SelectItem>
                 <SelectItem value="mentions">Mentions</SelectItem>
                 <SelectItem value="market_cap">Market Cap</SelectItem>
               </SelectContent>
@@ -383,7 +424,20 @@ export default function TrendingCoinsAnalytics() {
               </SelectContent>
             </Select>
 
-            {(searchQuery || filterMarketCap !== 'all' || filterCorrelation !== 'all' || filterViews !== 'all') && (
+            <Select value={filterLifecycle} onValueChange={setFilterLifecycle}>
+              <SelectTrigger className="w-32">
+                <SelectValue placeholder="Lifecycle" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Stages</SelectItem>
+                <SelectItem value="launched">Launched</SelectItem>
+                <SelectItem value="bonding">Bonding</SelectItem>
+                <SelectItem value="graduated">Graduated</SelectItem>
+                <SelectItem value="abandoned">Abandoned</SelectItem>
+              </SelectContent>
+            </Select>
+
+            {(searchQuery || filterMarketCap !== 'all' || filterCorrelation !== 'all' || filterViews !== 'all' || filterLifecycle !== 'all') && (
               <Button
                 variant="outline"
                 size="sm"
@@ -396,7 +450,7 @@ export default function TrendingCoinsAnalytics() {
           </div>
 
           {/* Active Filters Display */}
-          {(searchQuery || filterMarketCap !== 'all' || filterCorrelation !== 'all' || filterViews !== 'all') && (
+          {(searchQuery || filterMarketCap !== 'all' || filterCorrelation !== 'all' || filterViews !== 'all' || filterLifecycle !== 'all') && (
             <div className="flex flex-wrap items-center gap-2">
               <span className="text-sm text-muted-foreground">Active filters:</span>
               {searchQuery && (
@@ -451,6 +505,19 @@ export default function TrendingCoinsAnalytics() {
                   </Button>
                 </Badge>
               )}
+              {filterLifecycle !== 'all' && (
+                <Badge variant="secondary" className="text-xs">
+                  Stage: {filterLifecycle}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="ml-1 h-4 w-4 p-0 hover:bg-transparent"
+                    onClick={() => setFilterLifecycle('all')}
+                  >
+                    <X className="w-2 h-2" />
+                  </Button>
+                </Badge>
+              )}
             </div>
           )}
         </div>
@@ -484,12 +551,24 @@ export default function TrendingCoinsAnalytics() {
                       {index + 1}
                     </div>
                     <div>
+                      <div className="flex items-center gap-2">
                         <h3 className="font-semibold">{coin.symbol}</h3>
+                        {formatLifecycle(coin) && (
+                          <Badge variant={getLifecycleBadgeVariant(coin.lifecycle_state)} className="text-xs">
+                            {formatLifecycle(coin)}
+                          </Badge>
+                        )}
+                      </div>
                       {(coin.trading_volume_24h || 0) > 0 && (
                         <p className="text-sm text-muted-foreground">
                           Volume: {formatCurrency(coin.trading_volume_24h)}
                         </p>
                       )}
+                      {coin.organic_volume_24h != null && (coin.wash_score || 0) > 0 && (
+                        <p className="text-xs text-muted-foreground">
+                          Organic: {formatCurrency(coin.organic_volume_24h)} ({Math.round((coin.wash_score || 0) * 100)}% wash traded)
+                        </p>
+                      )}
                       {coin.market_cap && coin.market_cap > 0 && (
                         <p className="text-xs text-muted-foreground">
                           Market Cap: {formatCurrency(coin.market_cap)}
@@ -512,6 +591,11 @@ export default function TrendingCoinsAnalytics() {
                         <p className="text-lg font-bold text-blue-600">
                           {formatViews(coin.tiktok_views_24h)}
                         </p>
+                        {coin.tiktok_view_velocity != null && (
+                          <p className="text-xs text-muted-foreground">
+                            +{formatViews(coin.tiktok_view_velocity)}/h{(coin.tiktok_view_acceleration || 0) > 0 ? ' ↑' : (coin.tiktok_view_acceleration || 0) < 0 ? ' ↓' : ''}
+                          </p>
+                        )}
                       </div>
                     )}
                   </div>
@@ -581,6 +665,7 @@ export default function TrendingCoinsAnalytics() {
                         {(coin.correlation_score || 0) > 0 && (
                           <p className="text-sm text-muted-foreground">
                             Correlation: {formatCorrelation(coin.correlation_score)}
+                            {formatCorrelationLag(coin.correlation_lag_hours)}
                           </p>
                         )}
                         {coin.market_cap && coin.market_cap > 0 && (
@@ -4,7 +4,9 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { throttle } from 'lodash';
 import { realTimeService } from '@/lib/real-time-service';
+import { compareRankingVolume } from '@/lib/utils';
 import { tiktokViewsService, TikTokViewsData } from '@/lib/tiktok-views-service';
 
 interface SummaryMetrics {
@@ -55,7 +57,8 @@ export default function TrendingCoinsSummary() {
       if (response.ok) {
         const data = await response.json();
         setLastViewsUpdate(new Date().toLocaleTimeString());
-        return data.totalViews;
+        // Fall back to the discovery-time totals until snapshots exist
+        return data.viewsGained ?? data.totalViews;
       }
     } catch (error) {
       console.error('Error fetching total TikTok views:', error);
@@ -115,7 +118,7 @@ export default function TrendingCoinsSummary() {
       setMetrics(prev => {
         if (prev) {
           setLastViewsUpdate(new Date().toLocaleTimeString());
-          return { ...prev, totalViews24h: data.totalViews };
+          return { ...prev, totalViews24h: data.viewsGained ?? data.totalViews };
         }
         return null;
       });
@@ -126,14 +129,16 @@ export default function TrendingCoinsSummary() {
     
     // Subscribe to real-time trending updates only if service is available
     if (realTimeService) {
-      const unsubscribeTrending = realTimeService.subscribe('trending_update', (newData) => {
-        // Update metrics when new trending coin data arrives
-        fetchData();
-      });
+      // Update metrics when new prices or mentions arrive, at most every 10 seconds
+      const refreshMetrics = throttle(() => fetchData(), 10000);
+      const unsubscribePrices = realTimeService.subscribeTopic('prices', refreshMetrics);
+      const unsubscribeMentions = realTimeService.subscribeTopic('mentions', refreshMetrics);
 
       // Cleanup subscription
       return () => {
-        unsubscribeTrending();
+        unsubscribePrices();
+        unsubscribeMentions();
+        refreshMetrics.cancel();
         unsubscribeTikTokViews();
       };
     }
@@ -204,9 +209,9 @@ export default function TrendingCoinsSummary() {
       coin.correlation_score > best.correlation_score ? coin : best
     );
 
-    // Find volume leader
+    // Find volume leader, ranking on organic volume where wash trading was checked
     const volumeLeader = coins.reduce((best, coin) => 
-      coin.trading_volume_24h > best.trading_volume_24h ? coin : best
+      compareRankingVolume(coin, best) < 0 ? coin : best
     );
 
     // Find social leader
@@ -224,7 +229,7 @@ export default function TrendingCoinsSummary() {
       },
       volumeLeader: {
         symbol: volumeLeader.symbol,
-        volume: volumeLeader.trading_volume_24h,
+        volume: volumeLeader.organic_volume_24h ?? volumeLeader.trading_volume_24h,
         views: volumeLeader.tiktok_views_24h
       },
       socialLeader: {
@@ -4,11 +4,71 @@ import React from "react";
 import {
   ConnectionProvider,
   WalletProvider,
+  useWallet,
 } from "@solana/wallet-adapter-react";
 import { WalletModalProvider } from "@solana/wallet-adapter-react-ui";
 import { PhantomWalletAdapter } from "@solana/wallet-adapter-phantom";
-import { clusterApiUrl } from "@solana/web3.js";
 import { SolflareWalletAdapter } from "@solana/wallet-adapter-solflare";
+import { SOLANA_RPC_URL } from "@/lib/payment-config";
+import { useEnvironmentStore } from "@/components/context";
+import { useToast } from "@/hooks/use-toast";
+import {
+  fetchSessionWallet,
+  signInWithSolana,
+  signOut,
+} from "@/lib/wallet-auth";
+
+/**
+ * Signs the connected wallet in with a signed nonce and mirrors the
+ * authenticated address into the store. The store only ever holds a wallet
+ * the server has verified; signing out happens on disconnect.
+ */
+function WalletSession() {
+  const { publicKey, connected, signMessage, disconnect } = useWallet();
+  const { setAddress, setPaid } = useEnvironmentStore((store) => store);
+  const { toast } = useToast();
+  const activeAddress = React.useRef<string | null>(null);
+
+  React.useEffect(() => {
+    const address = connected ? publicKey?.toBase58() ?? null : null;
+    if (address === activeAddress.current) return;
+
+    const previous = activeAddress.current;
+    activeAddress.current = address;
+    setAddress("");
+    setPaid(false);
+
+    if (!address) {
+      // Only a real disconnect ends the session, not the first render before autoConnect
+      if (previous) signOut().catch(() => {});
+      return;
+    }
+
+    (async () => {
+      // Reuse the cookie session when this wallet already signed in
+      const sessionWallet = await fetchSessionWallet();
+      if (sessionWallet === address) return sessionWallet;
+      if (!signMessage) {
+        throw new Error("This wallet does not support message signing.");
+      }
+      return signInWithSolana(address, signMessage);
+    })()
+      .then((wallet) => {
+        if (activeAddress.current === wallet) setAddress(wallet);
+      })
+      .catch((error) => {
+        if (activeAddress.current !== address) return;
+        toast({
+          title: "Sign-in failed",
+          description:
+            error instanceof Error ? error.message : "Please try again.",
+        });
+        disconnect();
+      });
+  }, [connected, publicKey, signMessage, disconnect, setAddress, setPaid, toast]);
+
+  return null;
+}
 
 export default function SolanaWalletProvider({
   children,
@@ -16,7 +76,7 @@ export default function SolanaWalletProvider({
   children: React.ReactNode;
 }) {
   // Set up the Solana network connection
-  const endpoint = React.useMemo(() => clusterApiUrl("devnet"), []); // or your preferred network
+  const endpoint = React.useMemo(() => SOLANA_RPC_URL, []); // NEXT_PUBLIC_SOLANA_RPC_URL, devnet by default
   // Initialize wallet adapters
   const wallets = React.useMemo(
     () => [new PhantomWalletAdapter(), new SolflareWalletAdapter()],
@@ -26,7 +86,10 @@ export default function SolanaWalletProvider({
   return (
     <ConnectionProvider endpoint={endpoint}>
       <WalletProvider wallets={wallets} autoConnect>
-        <WalletModalProvider>{children}</WalletModalProvider>
+        <WalletModalProvider>
+          <WalletSession />
+          {children}
+        </WalletModalProvider>
       </WalletProvider>
     </ConnectionProvider>
   );
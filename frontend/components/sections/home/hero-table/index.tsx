@@ -11,13 +11,10 @@ import {
 import { useRouter } from "next/navigation";
 import React, { useEffect, useMemo, useState } from "react";
 import SortableTableHeader from "./sortable-table-header";
-import {
-  IPFS_GATEWAY_URL,
-  IPFS_GATEWAY_URL_4,
-  ITEMS_PER_PAGE,
-} from "@/lib/constants";
+import { ITEMS_PER_PAGE } from "@/lib/constants";
 import { LeaderboardData, SortConfig, SortKey, TokenData } from "@/lib/types";
 import TableWrapper from "./wrapper";
+import SafetyBadges from "./safety-badges";
 import { useEnvironmentStore } from "@/components/context";
 import { formatMarketcap, getTimeAgo, toKebabCase } from "@/lib/utils";
 import Image from "next/image";
@@ -32,7 +29,6 @@ export default function HeroTable() {
   });
   const [totalPages, setTotalPages] = useState(1);
   const [currentPage, setCurrentPage] = useState(1);
-  const [imagesFetched, setImagesFetched] = useState(false);
   const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [isClient, setIsClient] = useState(false);
   const { setLeaderboard, leaderboard, paid } = useEnvironmentStore(
@@ -92,7 +88,6 @@ export default function HeroTable() {
 
         if (!isMounted) return;
         setLeaderboard(tempMemecoins);
-        setImagesFetched(false);
       } catch (error) {
         console.error("Error fetching data:", error);
       }
@@ -103,22 +98,6 @@ export default function HeroTable() {
     };
   }, [isClient, currentPage, setLeaderboard]);
 
-  useEffect(() => {
-    if (leaderboard.length > 0 && !imagesFetched) {
-      Promise.all(
-        leaderboard.map(async (coin) => {
-          console.log(coin.uri);
-          const metadataResponse = await fetch(
-            IPFS_GATEWAY_URL + coin.uri.split("/").at(-1)
-          );
-          const metadata = await metadataResponse.json();
-          coin.image = IPFS_GATEWAY_URL + metadata.image.split("/").at(-1);
-        })
-      ).then(() => {
-        setImagesFetched(true);
-      });
-    }
-  }, [imagesFetched, leaderboard]);
   const groupedTokens = useMemo(() => {
     const groups: Record<string, LeaderboardData[]> = {};
     leaderboard.forEach((token) => {
@@ -248,20 +227,16 @@ export default function HeroTable() {
                       )}
                     </TableCell>
                     <TableCell className="flex items-center space-x-2">
-                      {imagesFetched ? (
-                        <Image
-                          src={
-                            getGroupRepresentative(tokens).image ||
-                            "/solana.png"
-                          }
-                          alt={symbol}
-                          width={32}
-                          height={32}
-                          className="w-8 h-8 rounded-full"
-                        />
-                      ) : (
-                        <div className="w-8 h-8 rounded-full bg-gray-200 animate-pulse" />
-                      )}
+                      <Image
+                        src={
+                          getGroupRepresentative(tokens).image ||
+                          "/solana.png"
+                        }
+                        alt={symbol}
+                        width={32}
+                        height={32}
+                        className="w-8 h-8 rounded-full"
+                      />
                       <div>
                         <span className="font-medium">{symbol}</span>
                         {tokens.length > 1 && (
@@ -269,6 +244,11 @@ export default function HeroTable() {
                             ({tokens.length} tokens)
                           </span>
                         )}
+                        <div className="mt-1">
+                          <SafetyBadges
+                            redFlags={getGroupRepresentative(tokens).red_flags}
+                          />
+                        </div>
                       </div>
                     </TableCell>
                     <TableCell>
@@ -312,20 +292,17 @@ export default function HeroTable() {
                       >
                         <TableCell />
                         <TableCell className="flex items-center space-x-2 pl-8">
-                          {imagesFetched ? (
-                            <Image
-                              src={token.image || "/solana.png"}
-                              alt={token.symbol}
-                              width={24}
-                              height={24}
-                              className="w-6 h-6 rounded-full"
-                            />
-                          ) : (
-                            <div className="w-6 h-6 rounded-full bg-gray-200 animate-pulse" />
-                          )}
+                          <Image
+                            src={token.image || "/solana.png"}
+                            alt={token.symbol}
+                            width={24}
+                            height={24}
+                            className="w-6 h-6 rounded-full"
+                          />
                           <span className="text-sm text-muted-foreground">
                             {token.symbol}
                           </span>
+                          <SafetyBadges redFlags={token.red_flags} />
                         </TableCell>
                         <TableCell>
                           ${token.latest_price_usd?.toFixed(10) || "0.00"}
@@ -0,0 +1,44 @@
+import { Badge } from "@/components/ui/badge";
+import { RedFlag } from "@/lib/types";
+
+// Badges beyond this collapse into "+N"
+const MAX_BADGES = 2;
+
+export default function SafetyBadges({ redFlags }: { redFlags?: RedFlag[] | null }) {
+  // Not scanned yet
+  if (!redFlags) return null;
+
+  if (redFlags.length === 0) {
+    return (
+      <Badge variant="outline" className="border-green-500 text-green-500" title="Mint and freeze authority revoked">
+        Safe
+      </Badge>
+    );
+  }
+
+  // Critical flags first
+  const sorted = [...redFlags].sort(
+    (a, b) => Number(b.severity === "critical") - Number(a.severity === "critical")
+  );
+  const hidden = sorted.slice(MAX_BADGES);
+
+  return (
+    <span className="inline-flex flex-wrap gap-1">
+      {sorted.slice(0, MAX_BADGES).map((redFlag) => (
+        <Badge
+          key={redFlag.code}
+          variant={redFlag.severity === "critical" ? "destructive" : "outline"}
+          className={redFlag.severity === "critical" ? "" : "border-yellow-500 text-yellow-500"}
+          title={redFlag.detail || redFlag.label}
+        >
+          {redFlag.label}
+        </Badge>
+      ))}
+      {hidden.length > 0 && (
+        <Badge variant="outline" title={hidden.map((redFlag) => redFlag.label).join(", ")}>
+          +{hidden.length}
+        </Badge>
+      )}
+    </span>
+  );
+}
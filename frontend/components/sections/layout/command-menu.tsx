@@ -1,12 +1,13 @@
 "use client";
 
 import * as React from "react";
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback } from "react";
 import { debounce } from "lodash";
 import { useRouter } from "next/navigation";
 import { type DialogProps } from "@radix-ui/react-dialog";
 import { cn } from "@/lib/utils";
 import { Button, type ButtonProps } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
 import {
   CommandDialog,
   CommandEmpty,
@@ -20,7 +21,6 @@ import { useEnvironmentStore } from "@/components/context";
 import UnlockNow from "@/components/unlock-now";
 import { SearchTokenResponse } from "@/lib/types";
 import Image from "next/image";
-import { IPFS_GATEWAY_URL, IPFS_GATEWAY_URL_4 } from "@/lib/constants";
 
 export default function CommandMenu({ ...props }: ButtonProps) {
   const router = useRouter();
@@ -91,15 +91,6 @@ export default function CommandMenu({ ...props }: ButtonProps) {
     []
   );
 
-  useEffect(() => {
-    searchResults.forEach((result) => {
-      fetch(IPFS_GATEWAY_URL_4 + result.uri.split("/").at(-1))
-        .then((res) => res.json())
-        .then((data) => {
-          result.image = IPFS_GATEWAY_URL_4 + data.image.split("/").at(-1);
-        });
-    });
-  }, [searchResults]);
   return (
     <>
       <Button
@@ -168,6 +159,17 @@ export default function CommandMenu({ ...props }: ButtonProps) {
                         )}
                         <span>{navItem.symbol}</span>
                         <span className="text-accent">/ SOL</span>
+                        {navItem.is_impersonator && (
+                          <Badge
+                            variant="destructive"
+                            className="ml-2 px-1.5 py-0 text-[10px]"
+                            title={`Looks like token #${
+                              navItem.canonical_token_id
+                            } (${(navItem.match_reasons || []).join(", ")})`}
+                          >
+                            Likely copy
+                          </Badge>
+                        )}
                         <span className="ml-auto text-muted-foreground">
                           {navItem.name}
                         </span>
@@ -37,14 +37,14 @@ export default function Layout({
     if (!isClient) return;
 
     if (walletAddress.length > 0) {
-      fetch(`/api/supabase/get-sub?address=${walletAddress}`)
+      // The subscription is looked up for the session wallet, not a query parameter
+      fetch(`/api/supabase/get-sub`)
         .then((res) => res.json())
         .then((data) => {
           console.log("EXPIRES");
           console.log(data.expires);
-          if (data.expires) {
-            if (new Date().getTime() <= data.expires) setPaid(true);
-          }
+          // Reset when switching to a wallet without an active subscription
+          setPaid(Boolean(data.expires) && Date.now() <= Date.parse(data.expires));
         });
       fetchBalances(walletAddress).then((balances) => {
         console.log("BALANCES");
@@ -0,0 +1,111 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { HolderSnapshot } from "@/lib/holders";
+import { getTimeAgo, shortenAddress } from "@/lib/utils";
+
+const percent = (value: number | null) =>
+  value === null ? "—" : `${(value * 100).toFixed(1)}%`;
+
+const signedPercent = (value: number | null) =>
+  value === null ? "—" : `${value > 0 ? "+" : ""}${(value * 100).toFixed(1)}%`;
+
+export default function Holders({
+  tokenId,
+  symbol,
+}: {
+  tokenId: string;
+  symbol: string;
+}) {
+  const [snapshot, setSnapshot] = useState<HolderSnapshot | null>(null);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    const fetchHolders = async () => {
+      try {
+        const response = await fetch(`/api/supabase/get-holders?tokenId=${tokenId}`);
+        const result = await response.json();
+        setSnapshot(result.data?.latest || null);
+      } catch (error) {
+        console.error("Error fetching holders:", error);
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    fetchHolders();
+  }, [tokenId]);
+
+  const stats = snapshot
+    ? [
+        { label: "Holders", value: snapshot.holder_count?.toLocaleString() ?? "—" },
+        { label: "Top 10 hold", value: percent(snapshot.top10_share), warn: snapshot.top10_share > 0.4 },
+        { label: "Gini", value: snapshot.gini === null ? "—" : snapshot.gini.toFixed(2) },
+        {
+          label: "Holders 24h",
+          value: signedPercent(snapshot.holder_growth_24h),
+          warn: snapshot.holder_growth_24h !== null && snapshot.holder_growth_24h < 0,
+        },
+      ]
+    : [];
+
+  return (
+    <>
+      <div className="flex justify-between sen my-12 items-center">
+        <div className="flex flex-col w-full">
+          <p className="text-xl md:text-2xl text-center mx-auto md:mx-0 md:text-start font-bold nouns tracking-widest text-bimboh-primary">
+            Holder Concentration
+          </p>
+          <p className="text-xs md:text-sm text-center mx-auto md:mx-0 md:text-start lg:text-md text-muted-foreground font-semibold">
+            How ${symbol.toUpperCase()} is spread across wallets (bonding curve and pools excluded)
+          </p>
+        </div>
+        {snapshot && (
+          <p className="hidden md:block text-sm text-muted-foreground text-right whitespace-nowrap">
+            Updated {getTimeAgo(snapshot.taken_at)}
+            {!snapshot.complete && " · largest accounts only"}
+          </p>
+        )}
+      </div>
+      {snapshot ? (
+        <div className="flex flex-col md:flex-row gap-4 sen">
+          <div className="grid grid-cols-2 gap-2 md:w-1/2">
+            {stats.map((stat) => (
+              <Card key={stat.label} className="rounded-lg">
+                <CardContent className="p-4">
+                  <p className="text-xs text-muted-foreground font-semibold">{stat.label}</p>
+                  <p className={`text-2xl font-bold ${stat.warn ? "text-red-500" : "text-white"}`}>
+                    {stat.value}
+                  </p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+          <Card className="rounded-lg md:w-1/2">
+            <CardContent className="p-4">
+              <p className="text-xs text-muted-foreground font-semibold mb-2">Largest wallets</p>
+              {snapshot.top_holders.slice(0, 5).map((holder) => (
+                <div key={holder.owner} className="flex justify-between text-sm py-1">
+                  <a
+                    href={`https://solscan.io/account/${holder.owner}`}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="text-white hover:text-bimboh-primary"
+                  >
+                    {shortenAddress(holder.owner)}
+                  </a>
+                  <span className="text-muted-foreground">{percent(holder.share)}</span>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+      ) : (
+        <div className="w-full h-[50px] flex justify-center items-center">
+          <p className="sen text-muted-foreground">
+            {loaded ? "No holder data yet" : "Loading holders..."}
+          </p>
+        </div>
+      )}
+    </>
+  );
+}
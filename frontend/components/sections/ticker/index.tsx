@@ -1,17 +1,16 @@
 "use client";
 import { useEffect, useState } from "react";
+import Holders from "./holders";
 import Tiktoks from "./tiktoks";
 import TimeSeriesChart from "./time-series-chart";
 import Tweets from "./tweets";
 import { TokenData } from "@/lib/types";
 import Image from "next/image";
 import { useEnvironmentStore } from "@/components/context";
-import { IPFS_GATEWAY_URL } from "@/lib/constants";
 
 export default function Ticker({ params }: { params: { id: string } }) {
   const [coinData, setCoinData] = useState<TokenData | null>(null);
   const { setToken, tokens } = useEnvironmentStore((store) => store);
-  const [imageFetched, setImageFetched] = useState(false);
   const [isUpdatingPrice, setIsUpdatingPrice] = useState(false);
   const [isClient, setIsClient] = useState(false);
 
@@ -103,37 +102,6 @@ export default function Ticker({ params }: { params: { id: string } }) {
     fetchCoinDataAndPrices();
   }, [isClient, params.id, coinData, setToken, tokens, isUpdatingPrice]); // Add missing dependencies
 
-  // Second useEffect for fetching image
-  useEffect(() => {
-    // Only fetch image after we're on the client side
-    if (!isClient) return;
-    
-    const fetchImage = async () => {
-      if (!coinData?.uri || imageFetched) return;
-
-      try {
-        const metadataResponse = await fetch(
-          `${IPFS_GATEWAY_URL}${coinData.uri.split("/").at(-1) || ""}`
-        );
-        const metadata = await metadataResponse.json();
-
-        setCoinData((prev) =>
-          prev
-            ? {
-                ...prev,
-                image: metadata.image,
-              }
-            : null
-        );
-        setImageFetched(true);
-      } catch (error) {
-        console.error("Error fetching image:", error);
-      }
-    };
-
-    fetchImage();
-  }, [isClient, coinData?.uri, imageFetched]); // Add isClient to dependencies
-
   if (coinData === null) {
     return (
       <div className="w-full xl:w-[1250px] mx-auto mt-12 px-4">
@@ -147,6 +115,7 @@ export default function Ticker({ params }: { params: { id: string } }) {
   return (
     <div className="w-full xl:w-[1250px] mx-auto mt-12 px-4">
       <TimeSeriesChart tokenData={coinData} />
+      <Holders tokenId={params.id} symbol={coinData.symbol} />
       <Tweets
         symbol={coinData.symbol}
         tweets={coinData.tweets}
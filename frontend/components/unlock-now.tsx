@@ -5,13 +5,30 @@ import { useEnvironmentStore } from "./context";
 import { useState } from "react";
 import { useToast } from "@/hooks/use-toast";
 import transferTokens from "@/lib/transfer-tokens";
-// import addSub from "@/lib/supabase/addSub";
+import {
+  DEFAULT_SUBSCRIPTION_TIER,
+  SUBSCRIPTION_TIERS,
+} from "@/lib/payment-config";
+
+const tier = DEFAULT_SUBSCRIPTION_TIER;
+const { bonkAmount, label } = SUBSCRIPTION_TIERS[tier];
+
+// The server re-checks the transaction on-chain before granting access
+async function redeemPayment(signature: string) {
+  const res = await fetch("/api/supabase/add-sub", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ signature, tier }),
+  });
+  const result = await res.json();
+  if (!res.ok) throw new Error(result.error || "Payment verification failed");
+  return result.data as { expires: string };
+}
 
 export default function UnlockNow({ text }: { text: string }) {
   const { setPaid, bonkBalance, balance, walletAddress } = useEnvironmentStore(
     (store) => store
   );
-  const payEnabled = true;
   const { toast } = useToast();
 
   return (
@@ -19,7 +36,7 @@ export default function UnlockNow({ text }: { text: string }) {
       <p className="sen text-muted-foreground font-semibold mt-6 mb-4 text-center">
         {text}
         <div className="flex  justify-center items-center">
-          <p>at 499,999&nbsp;</p>
+          <p>at {bonkAmount.toLocaleString()}&nbsp;</p>
           <Image
             src={"/bonk.png"}
             width={25}
@@ -28,7 +45,7 @@ export default function UnlockNow({ text }: { text: string }) {
             className="rounded-full mr-2 ml-1"
           />
           <p>BONK</p>
-          <p>/week</p>
+          <p>/{label}</p>
         </div>
       </p>
       <Button
@@ -37,38 +54,49 @@ export default function UnlockNow({ text }: { text: string }) {
           if (walletAddress == "") {
             toast({
               title: "Wallet not connected",
-              description: "Please connect your wallet first.",
+              description: "Please connect your wallet and sign in first.",
             });
             return;
           }
 
-          if (payEnabled) {
-            console.log(bonkBalance);
-            if (parseInt(bonkBalance) < parseInt("499999")) {
+          if (parseInt(bonkBalance) < bonkAmount) {
+            toast({
+              title: "Insufficient BONK Balance",
+              description:
+                "Your balance is " +
+                parseInt(bonkBalance).toLocaleString() +
+                " BONK. You need " +
+                bonkAmount.toLocaleString() +
+                " BONK to unlock this feature.",
+            });
+          } else if (parseInt(balance) < 1) {
+            toast({
+              title: "Insufficient SOL Balance",
+              description:
+                "Your balance is " +
+                balance.toLocaleLowerCase() +
+                " SOL. You need at least 1 SOL to pay for gas.",
+            });
+          } else {
+            try {
+              const signature = await transferTokens(tier);
+              const { expires } = await redeemPayment(signature);
+              setPaid(true);
               toast({
-                title: "Insufficient BONK Balance",
+                title: "Payment Successful",
                 description:
-                  "Your balance is " +
-                  parseInt(bonkBalance).toLocaleString() +
-                  " BONK. You need 499,999 BONK to unlock this feature.",
+                  "You have unlocked Bimboh Paid Tier until " +
+                  new Date(expires).toLocaleDateString() +
+                  ".",
               });
-            } else if (parseInt(balance) < 1) {
+            } catch (error) {
               toast({
-                title: "Insufficient SOL Balance",
+                title: "Payment Failed",
                 description:
-                  "Your balance is " +
-                  balance.toLocaleLowerCase() +
-                  " SOL. You need at least 1 SOL to pay for gas.",
-              });
-            } else {
-              await transferTokens();
-              setPaid(true);
-              toast({
-                title: "Payment Successful",
-                description: "You have unlocked Bimboh Paid Tier.",
+                  error instanceof Error ? error.message : "Please try again.",
               });
             }
-          } else setPaid(true);
+          }
         }}
       >
         <Image
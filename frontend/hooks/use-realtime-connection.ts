@@ -0,0 +1,32 @@
+"use client"
+
+import * as React from "react"
+
+import { ConnectionState, getRealTimeService } from "@/lib/real-time-service"
+
+const IDLE_STATE: ConnectionState = {
+  status: "idle",
+  lastEventId: null,
+  lastMessageAt: null,
+  reconnectAttempts: 0,
+  nextRetryAt: null,
+  topics: null,
+  tokenIds: null,
+}
+
+/**
+ * Connection state of the shared real-time stream (live / reconnecting / stale)
+ */
+function useRealtimeConnection(): ConnectionState {
+  const [state, setState] = React.useState<ConnectionState>(IDLE_STATE)
+
+  React.useEffect(() => {
+    const service = getRealTimeService()
+    if (!service) return
+    return service.onConnectionStateChange(setState)
+  }, [])
+
+  return state
+}
+
+export { useRealtimeConnection }
@@ -0,0 +1,49 @@
+import path from "path";
+import { BitqueryClient } from "../../bitquery/scripts/bitquery-client.mjs";
+
+/**
+ * Server-side Bitquery GraphQL access for API routes.
+ *
+ * Goes through the collection scripts' client (bitquery/scripts/bitquery-client.mjs),
+ * so routes get the same token bucket, retries and typed auth/quota/schema
+ * errors. BITQUERY_MODE=record|replay with BITQUERY_CASSETTES uses the same
+ * cassette files as the scripts.
+ */
+
+export {
+  BITQUERY_URL,
+  BitqueryAuthError,
+  BitqueryError,
+  BitqueryQuotaError,
+  BitquerySchemaError,
+  cassetteKey,
+} from "../../bitquery/scripts/bitquery-client.mjs";
+
+export type BitqueryVariables = Record<string, unknown>;
+
+const TIMEOUT_MS = 30000;
+
+// One client per server process, so every route draws from the same rate limit
+let client: BitqueryClient | null = null;
+
+function getClient(): BitqueryClient {
+  if (!client) {
+    client = new BitqueryClient({
+      // Next runs from frontend/; the scripts record from bitquery/
+      cassetteDir: process.env.BITQUERY_CASSETTES || path.join(process.cwd(), "..", "bitquery", "results", "cassettes"),
+      timeoutMs: TIMEOUT_MS,
+    });
+  }
+  return client;
+}
+
+export function hasBitqueryCredentials(): boolean {
+  return Boolean(process.env.BITQUERY_API_KEY && process.env.ACCESS_TOKEN);
+}
+
+/**
+ * Run a query and return its `data`. Throws a BitqueryError subclass on failure.
+ */
+export async function bitqueryRequest<T = any>(query: string, variables: BitqueryVariables = {}): Promise<T> {
+  return getClient().query(query, variables);
+}
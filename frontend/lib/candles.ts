@@ -0,0 +1,95 @@
+import { SupabaseClient } from "@supabase/supabase-js";
+import { Price } from "./types";
+
+/**
+ * OHLCV candles written by bitquery/scripts/prices.mjs (price_candles table).
+ */
+
+export const CANDLE_RESOLUTIONS = ["1m", "5m", "1h", "1d"] as const;
+export type CandleResolution = (typeof CANDLE_RESOLUTIONS)[number];
+
+export type Candle = {
+  bucket_start: string;
+  open_usd: number;
+  high_usd: number;
+  low_usd: number;
+  close_usd: number;
+  open_sol: number;
+  high_sol: number;
+  low_sol: number;
+  close_sol: number;
+  volume_base: number;
+  volume_quote: number;
+  volume_usd: number;
+  trade_count: number;
+};
+
+const CANDLE_COLUMNS =
+  "bucket_start, open_usd, high_usd, low_usd, close_usd, open_sol, high_sol, low_sol, close_sol, volume_base, volume_quote, volume_usd, trade_count";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Finest resolution that keeps each slice of the 7d chart under ~250 points
+const CHART_SLICES: { resolution: CandleResolution; fromMs: number; toMs: number }[] = [
+  { resolution: "1h", fromMs: 7 * 24 * HOUR_MS, toMs: 24 * HOUR_MS },
+  { resolution: "5m", fromMs: 24 * HOUR_MS, toMs: 3 * HOUR_MS },
+  { resolution: "1m", fromMs: 3 * HOUR_MS, toMs: 0 },
+];
+
+export function isCandleResolution(value: unknown): value is CandleResolution {
+  return CANDLE_RESOLUTIONS.includes(value as CandleResolution);
+}
+
+export async function getCandles(
+  supabase: SupabaseClient,
+  tokenId: number,
+  resolution: CandleResolution,
+  { from, to }: { from?: string; to?: string } = {}
+): Promise<Candle[]> {
+  let query = supabase
+    .from("price_candles")
+    .select(CANDLE_COLUMNS)
+    .eq("token_id", tokenId)
+    .eq("resolution", resolution)
+    .order("bucket_start", { ascending: true });
+
+  if (from) query = query.gte("bucket_start", from);
+  if (to) query = query.lt("bucket_start", to);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []) as Candle[];
+}
+
+/**
+ * Price points for the token chart built from candle closes: hourly for the
+ * last week, 5m for the last day and 1m for the last three hours. Returns an
+ * empty list when the token has no candles yet.
+ */
+export async function getChartPrices(
+  supabase: SupabaseClient,
+  tokenId: number,
+  now: number = Date.now()
+): Promise<Price[]> {
+  const slices = await Promise.all(
+    CHART_SLICES.map(({ resolution, fromMs, toMs }) =>
+      getCandles(supabase, tokenId, resolution, {
+        from: new Date(now - fromMs).toISOString(),
+        to: toMs > 0 ? new Date(now - toMs).toISOString() : undefined,
+      })
+    )
+  );
+
+  const candles = slices.flat();
+  return candles.map((candle, index) => ({
+    price_usd: Number(candle.close_usd),
+    price_sol: Number(candle.close_sol),
+    trade_at: candle.bucket_start,
+    is_latest: index === candles.length - 1,
+    open_usd: Number(candle.open_usd),
+    high_usd: Number(candle.high_usd),
+    low_usd: Number(candle.low_usd),
+    volume_usd: Number(candle.volume_usd),
+    trade_count: candle.trade_count,
+  }));
+}
@@ -1,10 +1,12 @@
-import { DocsConfig } from "./types";
+import { DocsConfig, LifecycleState } from "./types";
 import {
   PhantomWalletAdapter,
   SolflareWalletAdapter,
 } from "@solana/wallet-adapter-wallets";
-const TEST_BONK_TOKEN_MINT_ADDRESS =
-  "J5xh6VWTmNmgVmhgGqEd6fgzZunt2hPqLmiXB85C5Wna";
+import {
+  TEST_BONK_TOKEN_MINT_ADDRESS,
+  ZOROX_TREASURY_ADDRESS,
+} from "./payment-config";
 
 const pumpfunSample = {
   extraction_time: "2024-12-11 16:35:15",
@@ -223,6 +225,8 @@ const pumpfunSample = {
 };
 const ITEMS_PER_PAGE = 20;
 
+const LIFECYCLE_STATES: LifecycleState[] = ["launched", "bonding", "graduated", "abandoned"];
+
 const IPFS_GATEWAY_URL = "https://gateway.pinata.cloud/ipfs/";
 const IPFS_GATEWAY_URL_2 = "https://ipfs.io/ipfs/";
 const IPFS_GATEWAY_URL_3 = "https://dweb.link/ipfs/";
@@ -803,11 +807,11 @@ const docsConfig: DocsConfig = {
     },
   ],
 };
-const ZOROX_TREASURY_ADDRESS = "DUAqcapjRqWzkrC3TmA5Me9LnW4RxUdiuHiaqpL4XJEt";
 const wallets = [new PhantomWalletAdapter(), new SolflareWalletAdapter()];
 export {
   pumpfunSample,
   ITEMS_PER_PAGE,
+  LIFECYCLE_STATES,
   DUMMY_HERO_TABLE_DATA,
   docsConfig,
   TEST_BONK_TOKEN_MINT_ADDRESS,
@@ -2,14 +2,14 @@ import {
   Connection,
   PublicKey,
   LAMPORTS_PER_SOL,
-  clusterApiUrl,
 } from "@solana/web3.js";
 import { getAccount, getAssociatedTokenAddress } from "@solana/spl-token";
 import { TEST_BONK_TOKEN_MINT_ADDRESS } from "./constants";
+import { BONK_DECIMALS, SOLANA_RPC_URL } from "./payment-config";
 
 export default async function fetchBalances(address: string) {
-  // Initialize connection (replace with your preferred RPC endpoint)
-  const connection = new Connection(clusterApiUrl("devnet"), "confirmed");
+  // Initialize connection (NEXT_PUBLIC_SOLANA_RPC_URL, devnet by default)
+  const connection = new Connection(SOLANA_RPC_URL, "confirmed");
 
   try {
     // Convert addresses to PublicKeys
@@ -29,8 +29,7 @@ export default async function fetchBalances(address: string) {
     let tokenBalance = 0;
     try {
       const account = await getAccount(connection, tokenAccount);
-      // Adjust the power of 10 based on your token's decimals (9 is common)
-      tokenBalance = Number(account.amount) / Math.pow(10, 6);
+      tokenBalance = Number(account.amount) / Math.pow(10, BONK_DECIMALS);
     } catch (e) {
       console.log("No token account found");
     }
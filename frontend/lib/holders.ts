@@ -0,0 +1,60 @@
+import { SupabaseClient } from "@supabase/supabase-js";
+
+/**
+ * Holder concentration snapshots written by js-scraper/holder_analysis.mjs
+ * (holder_snapshots table). Shares are of the supply not held by programs.
+ */
+
+export type TopHolder = {
+  owner: string;
+  amount: number;
+  share: number;
+};
+
+export type HolderSnapshot = {
+  holder_count: number | null;
+  top1_share: number;
+  top5_share: number;
+  top10_share: number;
+  gini: number | null;
+  program_share: number;
+  holder_growth_24h: number | null;
+  holder_growth_7d: number | null;
+  complete: boolean;
+  top_holders: TopHolder[];
+  taken_at: string;
+};
+
+const SNAPSHOT_COLUMNS =
+  "holder_count, top1_share, top5_share, top10_share, gini, program_share, holder_growth_24h, holder_growth_7d, complete, top_holders, taken_at";
+
+const toNumber = (value: unknown) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Newest snapshots first, numeric columns parsed (Postgres decimals arrive as strings)
+ */
+export async function getHolderSnapshots(
+  supabase: SupabaseClient,
+  tokenId: number,
+  limit = 30
+): Promise<HolderSnapshot[]> {
+  const { data, error } = await supabase
+    .from("holder_snapshots")
+    .select(SNAPSHOT_COLUMNS)
+    .eq("token_id", tokenId)
+    .order("taken_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map((row: any) => ({
+    ...row,
+    top1_share: Number(row.top1_share),
+    top5_share: Number(row.top5_share),
+    top10_share: Number(row.top10_share),
+    program_share: Number(row.program_share),
+    gini: toNumber(row.gini),
+    holder_growth_24h: toNumber(row.holder_growth_24h),
+    holder_growth_7d: toNumber(row.holder_growth_7d),
+    top_holders: row.top_holders || [],
+  }));
+}
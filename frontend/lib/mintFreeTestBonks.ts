@@ -1,7 +1,8 @@
-import { clusterApiUrl, Connection, Keypair, PublicKey } from "@solana/web3.js";
+import { Connection, Keypair, PublicKey } from "@solana/web3.js";
 import { getOrCreateAssociatedTokenAccount, mintTo } from "@solana/spl-token";
 
 import { TEST_BONK_TOKEN_MINT_ADDRESS } from "./constants";
+import { SOLANA_RPC_URL } from "./payment-config";
 
 export default async function mintFreeTestBonks(
   recipientAddressString: string
@@ -17,7 +18,7 @@ export default async function mintFreeTestBonks(
   const recipientAddress = new PublicKey(recipientAddressString);
   const mintAuthority = Keypair.fromSecretKey(Uint8Array.from(walletKeyPair));
 
-  const connection = new Connection(clusterApiUrl("devnet"), "confirmed");
+  const connection = new Connection(SOLANA_RPC_URL, "confirmed");
 
   console.log("Getting or creating account");
   const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
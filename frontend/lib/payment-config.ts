@@ -0,0 +1,42 @@
+/**
+ * Payment settings shared by the wallet UI and the server-side verifier.
+ * Kept free of wallet/web3 imports so API routes can use it.
+ */
+
+// Point at a local validator (http://127.0.0.1:8899) to test payments offline
+export const SOLANA_RPC_URL =
+  process.env.NEXT_PUBLIC_SOLANA_RPC_URL || "https://api.devnet.solana.com";
+
+export const TEST_BONK_TOKEN_MINT_ADDRESS =
+  "J5xh6VWTmNmgVmhgGqEd6fgzZunt2hPqLmiXB85C5Wna";
+export const ZOROX_TREASURY_ADDRESS =
+  "DUAqcapjRqWzkrC3TmA5Me9LnW4RxUdiuHiaqpL4XJEt";
+
+// Test BONK mint decimals
+export const BONK_DECIMALS = 6;
+
+export const SUBSCRIPTION_TIERS = {
+  premium_7day: { label: "week", bonkAmount: 499_999, durationDays: 7 },
+  premium_30day: { label: "month", bonkAmount: 1_799_999, durationDays: 30 },
+} as const;
+
+export type SubscriptionTier = keyof typeof SUBSCRIPTION_TIERS;
+
+export const DEFAULT_SUBSCRIPTION_TIER: SubscriptionTier = "premium_7day";
+
+export function isSubscriptionTier(value: unknown): value is SubscriptionTier {
+  return (
+    typeof value === "string" &&
+    Object.prototype.hasOwnProperty.call(SUBSCRIPTION_TIERS, value)
+  );
+}
+
+/**
+ * Tier price in the mint's base units
+ */
+export function tierBaseUnits(tier: SubscriptionTier): bigint {
+  return (
+    BigInt(SUBSCRIPTION_TIERS[tier].bonkAmount) *
+    BigInt(Math.pow(10, BONK_DECIMALS))
+  );
+}
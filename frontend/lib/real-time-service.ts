@@ -1,58 +1,299 @@
+export type RealtimeTopic = 'tiktoks' | 'prices' | 'mentions' | 'telegram_messages' | 'pattern_detections';
+
+/**
+ * A row change fanned out by the server event hub (see lib/event-hub.ts)
+ */
+export interface RealtimeChange<T = any> {
+  id: string;
+  type: string;
+  topic: RealtimeTopic;
+  operation: 'insert' | 'update';
+  payload: T;
+  previous: Partial<T> | null;
+  committedAt: string;
+}
+
+/**
+ * idle: nothing subscribed; live: stream open and heartbeats arriving;
+ * stale: open but silent for too long; reconnecting: waiting on backoff
+ */
+export type ConnectionStatus = 'idle' | 'connecting' | 'live' | 'stale' | 'reconnecting';
+
+export interface ConnectionState {
+  status: ConnectionStatus;
+  lastEventId: string | null;
+  lastMessageAt: number | null;
+  reconnectAttempts: number;
+  nextRetryAt: number | null;
+  topics: RealtimeTopic[] | null;
+  tokenIds: string[] | null;
+}
+
+export interface TopicSubscriptionOptions {
+  /** Only deliver rows with these token ids (applies to rows that have a token_id) */
+  tokenIds?: Array<string | number>;
+}
+
+interface TopicSubscription {
+  topic: RealtimeTopic;
+  tokenIds: Set<string> | null;
+  callback: (change: RealtimeChange) => void;
+}
+
+const TYPE_PREFIX_TOPICS: Record<string, RealtimeTopic> = {
+  tiktok: 'tiktoks',
+  price: 'prices',
+  mention: 'mentions',
+  telegram_message: 'telegram_messages',
+  pattern_detection: 'pattern_detections'
+};
+
+// Topics whose rows carry a token_id and can be narrowed server-side
+const TOKEN_TOPICS = new Set<RealtimeTopic>(['prices', 'mentions']);
+
+const BASE_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+// The server sends a heartbeat every 25 seconds
+const STALE_AFTER_MS = 60000;
+const STALE_CHECK_MS = 5000;
+
+function topicForType(eventType: string): RealtimeTopic | null {
+  const prefix = eventType.replace(/_(insert|update)$/, '');
+  return prefix !== eventType ? TYPE_PREFIX_TOPICS[prefix] || null : null;
+}
+
 export class RealTimeService {
   private eventSource: EventSource | null = null;
   private listeners: Map<string, Set<(data: any) => void>> = new Map();
-  private isInitialized = false;
-  private isReconnecting = false;
+  private topicSubscriptions: Set<TopicSubscription> = new Set();
+  private stateListeners: Set<(state: ConnectionState) => void> = new Set();
+  private connectionKey: string | null = null;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private staleTimer: ReturnType<typeof setInterval> | null = null;
+  private syncScheduled = false;
+  private state: ConnectionState = {
+    status: 'idle',
+    lastEventId: null,
+    lastMessageAt: null,
+    reconnectAttempts: 0,
+    nextRetryAt: null,
+    topics: null,
+    tokenIds: null
+  };
+
+  /**
+   * Topics and token ids the server should stream, derived from the current
+   * subscriptions. Token ids are only sent when every subscription to a
+   * token-carrying topic is narrowed; listeners are still filtered locally.
+   */
+  private desiredFilter(): { topics: RealtimeTopic[] | null; tokenIds: string[] | null } | null {
+    const topics = new Set<RealtimeTopic>();
+    let allTopics = false;
+    let tokenIds: Set<string> | null = new Set();
+
+    this.topicSubscriptions.forEach(subscription => {
+      topics.add(subscription.topic);
+      if (!TOKEN_TOPICS.has(subscription.topic)) return;
+      if (!subscription.tokenIds) tokenIds = null;
+      else subscription.tokenIds.forEach(id => tokenIds?.add(id));
+    });
+
+    this.listeners.forEach((_, eventType) => {
+      const topic = topicForType(eventType);
+      if (topic) {
+        topics.add(topic);
+        if (TOKEN_TOPICS.has(topic)) tokenIds = null;
+      } else if (eventType !== 'connected' && eventType !== 'resync' && eventType !== 'heartbeat') {
+        allTopics = true;
+      }
+    });
+
+    // Control messages alone (connected/resync/heartbeat) do not need a stream
+    if (topics.size === 0 && !allTopics) return null;
+
+    const narrowedTokens = tokenIds as Set<string> | null;
+    return {
+      topics: allTopics ? null : Array.from(topics).sort(),
+      tokenIds: narrowedTokens && narrowedTokens.size > 0 ? Array.from(narrowedTokens).sort() : null
+    };
+  }
+
+  private buildUrl(filter: { topics: RealtimeTopic[] | null; tokenIds: string[] | null }, includeResume: boolean) {
+    const params = new URLSearchParams();
+    if (filter.topics) params.set('topics', filter.topics.join(','));
+    if (filter.tokenIds) params.set('tokens', filter.tokenIds.join(','));
+    // Resume after the last seen event so the server replays what was missed
+    if (includeResume && this.state.lastEventId) params.set('lastEventId', this.state.lastEventId);
+    const query = params.toString();
+    return query ? `/api/real-time/events?${query}` : '/api/real-time/events';
+  }
 
-  constructor() {
-    // Don't initialize during SSR
-    if (typeof window !== 'undefined') {
-      this.initializeEventSource();
+  /**
+   * Reconcile the open stream with the subscriptions, batched per tick
+   */
+  private scheduleSync() {
+    if (typeof window === 'undefined' || this.syncScheduled) return;
+    this.syncScheduled = true;
+    setTimeout(() => {
+      this.syncScheduled = false;
+      this.syncConnection();
+    }, 0);
+  }
+
+  private syncConnection() {
+    const filter = this.desiredFilter();
+    if (!filter) {
+      this.disconnect();
+      return;
     }
+
+    const key = this.buildUrl(filter, false);
+    if (key === this.connectionKey && (this.eventSource || this.reconnectTimer)) return;
+
+    this.clearReconnectTimer();
+    this.updateState({ reconnectAttempts: 0, nextRetryAt: null });
+    this.open(filter);
   }
 
-  private initializeEventSource() {
-    if (this.isInitialized) return;
-    
+  private open(filter: { topics: RealtimeTopic[] | null; tokenIds: string[] | null }) {
+    this.closeEventSource();
+    this.connectionKey = this.buildUrl(filter, false);
+    this.updateState({
+      status: this.state.reconnectAttempts > 0 ? 'reconnecting' : 'connecting',
+      topics: filter.topics,
+      tokenIds: filter.tokenIds
+    });
+
     try {
-      // Create EventSource for real-time updates
-      this.eventSource = new EventSource('/api/real-time/events');
-      
-      this.eventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          this.notifyListeners(data.type, data.payload);
-        } catch (error) {
-          console.error('Error parsing real-time event:', error);
-        }
+      const eventSource = new EventSource(this.buildUrl(filter, true));
+      this.eventSource = eventSource;
+
+      eventSource.onopen = () => {
+        if (this.eventSource !== eventSource) return;
+        console.log('Real-time connection established');
+        this.updateState({ status: 'live', reconnectAttempts: 0, nextRetryAt: null, lastMessageAt: Date.now() });
       };
 
-      this.eventSource.onerror = (error) => {
-        console.error('EventSource error:', error);
-        // Reconnect after 5 seconds
-        setTimeout(() => this.initializeEventSource(), 5000);
+      eventSource.onmessage = (event) => {
+        if (this.eventSource !== eventSource) return;
+        this.handleMessage(event);
       };
 
-      this.eventSource.onopen = () => {
-        console.log('Real-time connection established');
-        this.isInitialized = true;
+      eventSource.onerror = (error) => {
+        if (this.eventSource !== eventSource) return;
+        console.error('EventSource error:', error);
+        // Close before retrying so failed sources never pile up
+        this.closeEventSource();
+        this.scheduleReconnect();
       };
+
+      this.startStaleTimer();
     } catch (error) {
       console.error('Failed to initialize EventSource:', error);
+      this.scheduleReconnect();
     }
   }
 
-  public subscribe(eventType: string, callback: (data: any) => void): () => void {
-    // Ensure service is initialized on client side
-    if (typeof window !== 'undefined' && !this.isInitialized && !this.isReconnecting) {
-      this.initializeEventSource();
+  private handleMessage(event: MessageEvent) {
+    const now = Date.now();
+    const updates: Partial<ConnectionState> = { lastMessageAt: now };
+    if (this.state.status !== 'live') updates.status = 'live';
+    if (event.lastEventId) updates.lastEventId = event.lastEventId;
+    this.updateState(updates);
+
+    try {
+      const data = JSON.parse(event.data);
+      this.notifyListeners(data.type, data.payload);
+      if (data.topic) {
+        this.notifyTopicListeners({ id: event.lastEventId, ...data });
+      }
+    } catch (error) {
+      console.error('Error parsing real-time event:', error);
     }
-    
+  }
+
+  private scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const attempts = this.state.reconnectAttempts + 1;
+    const backoff = Math.min(MAX_RECONNECT_DELAY_MS, BASE_RECONNECT_DELAY_MS * Math.pow(2, attempts - 1));
+    // Jitter spreads out clients that dropped at the same time
+    const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+    console.log(`🔄 Reconnecting real-time stream in ${delay}ms (attempt ${attempts})`);
+
+    this.updateState({ status: 'reconnecting', reconnectAttempts: attempts, nextRetryAt: Date.now() + delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      const filter = this.desiredFilter();
+      if (filter) this.open(filter);
+      else this.disconnect();
+    }, delay);
+  }
+
+  private startStaleTimer() {
+    if (this.staleTimer) return;
+    this.staleTimer = setInterval(() => {
+      const { status, lastMessageAt } = this.state;
+      if ((status !== 'live' && status !== 'stale') || lastMessageAt === null) return;
+
+      const silentFor = Date.now() - lastMessageAt;
+      if (silentFor > STALE_AFTER_MS * 2) {
+        // Half-open connection: the browser still thinks it is open
+        this.closeEventSource();
+        this.scheduleReconnect();
+      } else if (silentFor > STALE_AFTER_MS && status === 'live') {
+        this.updateState({ status: 'stale' });
+      }
+    }, STALE_CHECK_MS);
+  }
+
+  private clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  private closeEventSource() {
+    if (this.eventSource) {
+      try {
+        this.eventSource.close();
+      } catch (error) {
+        console.error('Error closing EventSource:', error);
+      }
+      this.eventSource = null;
+    }
+  }
+
+  private updateState(updates: Partial<ConnectionState>) {
+    const previous = this.state;
+    this.state = { ...this.state, ...updates };
+
+    // Per-message bookkeeping (lastMessageAt/lastEventId) does not re-render observers
+    const notify = (Object.keys(updates) as Array<keyof ConnectionState>)
+      .some(key => key !== 'lastMessageAt' && key !== 'lastEventId' && previous[key] !== this.state[key]);
+    if (!notify) return;
+
+    const snapshot = this.getConnectionState();
+    this.stateListeners.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error in connection state callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to one SSE message type, e.g. `price_insert` or `resync`
+   */
+  public subscribe(eventType: string, callback: (data: any) => void): () => void {
     if (!this.listeners.has(eventType)) {
       this.listeners.set(eventType, new Set());
     }
-    
+
     this.listeners.get(eventType)!.add(callback);
+    this.scheduleSync();
 
     // Return unsubscribe function
     return () => {
@@ -63,9 +304,63 @@ export class RealTimeService {
           this.listeners.delete(eventType);
         }
       }
+      this.scheduleSync();
     };
   }
 
+  /**
+   * Subscribe to inserts/updates of one table, optionally for some tokens only:
+   * `subscribeTopic('prices', cb, { tokenIds: [189229] })`
+   */
+  public subscribeTopic<T = any>(
+    topic: RealtimeTopic,
+    callback: (change: RealtimeChange<T>) => void,
+    options: TopicSubscriptionOptions = {}
+  ): () => void {
+    const subscription: TopicSubscription = {
+      topic,
+      tokenIds: options.tokenIds && options.tokenIds.length > 0 ? new Set(options.tokenIds.map(String)) : null,
+      callback: callback as (change: RealtimeChange) => void
+    };
+    this.topicSubscriptions.add(subscription);
+    this.scheduleSync();
+
+    return () => {
+      this.topicSubscriptions.delete(subscription);
+      this.scheduleSync();
+    };
+  }
+
+  /**
+   * Observe live / reconnecting / stale transitions; called immediately with the current state
+   */
+  public onConnectionStateChange(callback: (state: ConnectionState) => void): () => void {
+    this.stateListeners.add(callback);
+    callback(this.getConnectionState());
+    return () => {
+      this.stateListeners.delete(callback);
+    };
+  }
+
+  public getConnectionState(): ConnectionState {
+    return { ...this.state };
+  }
+
+  private notifyTopicListeners(change: RealtimeChange) {
+    const tokenId = change.payload?.token_id;
+    this.topicSubscriptions.forEach(subscription => {
+      if (subscription.topic !== change.topic) return;
+      if (subscription.tokenIds && tokenId !== undefined && tokenId !== null && !subscription.tokenIds.has(String(tokenId))) {
+        return;
+      }
+      try {
+        subscription.callback(change);
+      } catch (error) {
+        console.error('Error in real-time topic callback:', error);
+      }
+    });
+  }
+
   private notifyListeners(eventType: string, data: any) {
     const eventListeners = this.listeners.get(eventType);
     if (eventListeners) {
@@ -80,20 +375,20 @@ export class RealTimeService {
   }
 
   public disconnect() {
-    if (this.eventSource) {
-      try {
-        this.eventSource.close();
-      } catch (error) {
-        console.error('Error closing EventSource:', error);
-      }
-      this.eventSource = null;
-      this.isInitialized = false;
-      this.isReconnecting = false;
+    this.clearReconnectTimer();
+    this.closeEventSource();
+    if (this.staleTimer) {
+      clearInterval(this.staleTimer);
+      this.staleTimer = null;
+    }
+    this.connectionKey = null;
+    if (this.state.status !== 'idle') {
+      this.updateState({ status: 'idle', reconnectAttempts: 0, nextRetryAt: null });
     }
   }
 
   public isConnected(): boolean {
-    return this.isInitialized && this.eventSource !== null;
+    return this.state.status === 'live';
   }
 }
 
@@ -22,7 +22,7 @@ interface GlobalActions {
 export type GlobalSlice = GlobalState & GlobalActions;
 
 export const initialGlobalState: GlobalState = {
-  paid: true,
+  paid: false,
   walletAddress: "",
   balance: "",
   bonkBalance: "",
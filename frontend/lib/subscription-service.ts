@@ -0,0 +1,308 @@
+import {
+  Connection,
+  ParsedInstruction,
+  ParsedTransactionWithMeta,
+  PartiallyDecodedInstruction,
+  PublicKey,
+} from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+import { SupabaseClient, createClient } from "@supabase/supabase-js";
+import {
+  DEFAULT_SUBSCRIPTION_TIER,
+  SOLANA_RPC_URL,
+  SUBSCRIPTION_TIERS,
+  SubscriptionTier,
+  TEST_BONK_TOKEN_MINT_ADDRESS,
+  ZOROX_TREASURY_ADDRESS,
+  isSubscriptionTier,
+  tierBaseUnits,
+} from "./payment-config";
+
+/**
+ * Server-side verification of on-chain subscription payments.
+ *
+ * The client only submits a transaction signature. The transaction is fetched
+ * from the RPC and must contain SPL token transfers of the subscription mint,
+ * signed by the paying wallet, into the treasury's associated token account,
+ * adding up to at least the tier price. Each signature can be redeemed once.
+ *
+ * `subs` has row level security with no anon policies, so it is only read
+ * and written here through the service-role client.
+ */
+
+// Signatures older than this are not accepted, even if never redeemed
+const MAX_PAYMENT_AGE_SECONDS = 24 * 60 * 60;
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+const UNIQUE_VIOLATION = "23505";
+
+export type PaymentErrorCode =
+  | "invalid_request"
+  | "not_found"
+  | "failed"
+  | "wrong_signer"
+  | "insufficient_payment"
+  | "expired_payment"
+  | "replayed";
+
+const STATUS_BY_CODE: Record<PaymentErrorCode, number> = {
+  invalid_request: 400,
+  not_found: 404,
+  failed: 422,
+  wrong_signer: 422,
+  insufficient_payment: 402,
+  expired_payment: 422,
+  replayed: 409,
+};
+
+export class PaymentVerificationError extends Error {
+  readonly status: number;
+
+  constructor(readonly code: PaymentErrorCode, message: string) {
+    super(message);
+    this.name = "PaymentVerificationError";
+    this.status = STATUS_BY_CODE[code];
+  }
+}
+
+export interface PaymentRequest {
+  signature: string;
+  wallet: string;
+  tier: SubscriptionTier;
+}
+
+export interface VerifiedPayment extends PaymentRequest {
+  amount: bigint;
+  slot: number;
+  blockTime: number | null;
+}
+
+export interface PaymentOptions {
+  mint?: string;
+  treasury?: string;
+  maxAgeSeconds?: number;
+  now?: number;
+}
+
+/**
+ * RPC used for verification; SOLANA_RPC_URL overrides the public endpoint
+ * so tests can run against a local validator.
+ */
+export function getSolanaConnection(): Connection {
+  return new Connection(process.env.SOLANA_RPC_URL || SOLANA_RPC_URL, "confirmed");
+}
+
+/**
+ * Server-only client for `subs`. Never import this from client components:
+ * the service-role key bypasses row level security.
+ */
+export function createSubscriptionClient(): SupabaseClient {
+  const url = process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceRoleKey) {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set to read or redeem subscriptions");
+  }
+  return createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+}
+
+/**
+ * `wallet` comes from the sign-in session, never from the request body
+ */
+export function parsePaymentRequest(body: any, wallet: string): PaymentRequest {
+  const tier = body?.tier ?? DEFAULT_SUBSCRIPTION_TIER;
+  const signature = typeof body?.signature === "string" ? body.signature.trim() : "";
+
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    throw new PaymentVerificationError("invalid_request", "A transaction signature is required");
+  }
+  if (!isSubscriptionTier(tier)) {
+    throw new PaymentVerificationError("invalid_request", `Unknown subscription tier: ${tier}`);
+  }
+  try {
+    new PublicKey(wallet);
+  } catch (error) {
+    throw new PaymentVerificationError("invalid_request", "A valid wallet address is required");
+  }
+  return { signature, wallet, tier };
+}
+
+function allInstructions(tx: ParsedTransactionWithMeta) {
+  const inner = (tx.meta?.innerInstructions || []).flatMap(group => group.instructions);
+  return [...tx.transaction.message.instructions, ...inner];
+}
+
+function isParsed(
+  instruction: ParsedInstruction | PartiallyDecodedInstruction
+): instruction is ParsedInstruction {
+  return "parsed" in instruction;
+}
+
+/**
+ * Sum of base units moved into `destination` by `authority` with SPL token
+ * transfer / transferChecked instructions, including CPI transfers.
+ */
+export function sumTokenTransfers(
+  tx: ParsedTransactionWithMeta,
+  { mint, destination, authority }: { mint: string; destination: string; authority: string }
+): bigint {
+  return allInstructions(tx).reduce((total, instruction) => {
+    if (!isParsed(instruction) || instruction.program !== "spl-token") return total;
+    const { type, info } = instruction.parsed || {};
+    if (type !== "transfer" && type !== "transferChecked") return total;
+    if (info.destination !== destination || info.authority !== authority) return total;
+    // Plain transfers carry no mint; the treasury ATA already pins it
+    if (type === "transferChecked" && info.mint !== mint) return total;
+
+    const amount = type === "transfer" ? info.amount : info.tokenAmount?.amount;
+    return typeof amount === "string" && /^\d+$/.test(amount) ? total + BigInt(amount) : total;
+  }, BigInt(0));
+}
+
+/**
+ * Fetch and check a payment transaction. Throws PaymentVerificationError
+ * when the transaction does not pay for the requested tier.
+ */
+export async function verifySubscriptionPayment(
+  connection: Pick<Connection, "getParsedTransaction">,
+  { signature, wallet, tier }: PaymentRequest,
+  {
+    mint = TEST_BONK_TOKEN_MINT_ADDRESS,
+    treasury = ZOROX_TREASURY_ADDRESS,
+    maxAgeSeconds = MAX_PAYMENT_AGE_SECONDS,
+    now = Date.now(),
+  }: PaymentOptions = {}
+): Promise<VerifiedPayment> {
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0,
+  });
+
+  if (!tx || !tx.meta) {
+    throw new PaymentVerificationError("not_found", "Transaction not found or not yet confirmed");
+  }
+  if (tx.meta.err) {
+    throw new PaymentVerificationError("failed", "Transaction failed on-chain");
+  }
+
+  const signedByWallet = tx.transaction.message.accountKeys.some(
+    key => key.signer && key.pubkey.toBase58() === wallet
+  );
+  if (!signedByWallet) {
+    throw new PaymentVerificationError("wrong_signer", "Transaction was not signed by this wallet");
+  }
+
+  if (tx.blockTime && now / 1000 - tx.blockTime > maxAgeSeconds) {
+    throw new PaymentVerificationError("expired_payment", "Transaction is too old to redeem");
+  }
+
+  const destination = getAssociatedTokenAddressSync(
+    new PublicKey(mint),
+    new PublicKey(treasury)
+  ).toBase58();
+  const amount = sumTokenTransfers(tx, { mint, destination, authority: wallet });
+  if (amount < tierBaseUnits(tier)) {
+    throw new PaymentVerificationError(
+      "insufficient_payment",
+      `Transaction does not pay ${SUBSCRIPTION_TIERS[tier].bonkAmount.toLocaleString()} BONK to the treasury`
+    );
+  }
+
+  return { signature, wallet, tier, amount, slot: tx.slot, blockTime: tx.blockTime ?? null };
+}
+
+/**
+ * Reject signatures that already unlocked a subscription before hitting the RPC
+ */
+export async function assertSignatureUnused(supabase: SupabaseClient, signature: string) {
+  const { data, error } = await supabase
+    .from("subs")
+    .select("id")
+    .eq("signature", signature)
+    .limit(1);
+
+  if (error) throw error;
+  if (data && data.length > 0) {
+    throw new PaymentVerificationError("replayed", "This payment has already been redeemed");
+  }
+}
+
+/**
+ * Latest verified expiry for a wallet, or null when it never paid
+ */
+export async function getSubscriptionExpiry(
+  supabase: SupabaseClient,
+  address: string
+): Promise<{ expires: string; tier: string | null } | null> {
+  const { data, error } = await supabase
+    .from("subs")
+    .select("expires, tier")
+    .eq("address", address)
+    .not("signature", "is", null)
+    .order("expires", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Whether the signed-in wallet (null when signed out) has an unexpired subscription
+ */
+export async function hasActiveSubscription(
+  supabase: SupabaseClient,
+  wallet: string | null,
+  now: number = Date.now()
+): Promise<boolean> {
+  if (!wallet) return false;
+  const subscription = await getSubscriptionExpiry(supabase, wallet);
+  return Boolean(subscription) && Date.parse(subscription!.expires) >= now;
+}
+
+// TikToks shown to wallets without a subscription (see ticker/tiktoks.tsx)
+export const FREE_TIKTOK_PREVIEW = 4;
+
+/**
+ * The TikToks a visitor may see: all of them with a subscription, otherwise
+ * the first FREE_TIKTOK_PREVIEW
+ */
+export function visibleTiktoks<T>(tiktoks: T[] | null, premium: boolean): T[] {
+  const all = tiktoks || [];
+  return premium ? all : all.slice(0, FREE_TIKTOK_PREVIEW);
+}
+
+/**
+ * Store a verified payment. Time left on an active subscription is kept,
+ * so renewing early extends from the current expiry.
+ */
+export async function recordSubscription(
+  supabase: SupabaseClient,
+  payment: VerifiedPayment,
+  now: number = Date.now()
+) {
+  const current = await getSubscriptionExpiry(supabase, payment.wallet);
+  const currentExpiry = current ? Date.parse(current.expires) : 0;
+  const startsAt = Math.max(now, Number.isFinite(currentExpiry) ? currentExpiry : 0);
+  const { bonkAmount, durationDays } = SUBSCRIPTION_TIERS[payment.tier];
+  const expires = new Date(startsAt + durationDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase.from("subs").insert([
+    {
+      created_at: new Date(now).toISOString(),
+      address: payment.wallet,
+      amount: bonkAmount,
+      expires,
+      tier: payment.tier,
+      signature: payment.signature,
+      slot: payment.slot,
+    },
+  ]);
+
+  if (error) {
+    // The unique index on signature settles concurrent redemptions
+    if (error.code === UNIQUE_VIOLATION) {
+      throw new PaymentVerificationError("replayed", "This payment has already been redeemed");
+    }
+    throw error;
+  }
+
+  return { address: payment.wallet, tier: payment.tier, expires };
+}
@@ -1,6 +1,9 @@
 export interface TikTokViewsData {
   totalViews: number;
   totalVideos: number;
+  viewsGained?: number | null; // views added inside the window, from revisit snapshots
+  viewsPerHour?: number | null;
+  trackedVideos?: number | null;
   timeRange: string;
   lastUpdated: string;
   type: string;
@@ -0,0 +1,354 @@
+import crypto from "crypto";
+import { lookup } from "dns/promises";
+import { promises as fs } from "fs";
+import { BlockList, isIP } from "net";
+import path from "path";
+import sharp from "sharp";
+import {
+  IPFS_GATEWAY_URL,
+  IPFS_GATEWAY_URL_2,
+  IPFS_GATEWAY_URL_3,
+  IPFS_GATEWAY_URL_4,
+} from "./constants";
+
+/**
+ * Server-side token metadata for API routes.
+ *
+ * Resolves `tokens.uri` through every IPFS gateway in turn (each with its own
+ * timeout, recently failing gateways tried last), checks the JSON has the
+ * fields we show, and keeps the metadata plus resized WebP logos under
+ * TOKEN_METADATA_CACHE_DIR (.next/cache/token-metadata by default). Served
+ * by /api/token-metadata so the browser never talks to a gateway.
+ *
+ * `tokens.uri` and the `image` inside the metadata come from token creators,
+ * so plain URLs are only fetched from ALLOWED_HOSTS or from hosts that
+ * resolve to public addresses, and every redirect hop is checked again.
+ */
+
+export type TokenMetadata = {
+  name: string | null;
+  symbol: string | null;
+  description: string | null;
+  image: string | null;
+  twitter: string | null;
+  telegram: string | null;
+  website: string | null;
+};
+
+export const TOKEN_IMAGE_SIZES = [32, 64, 128, 256] as const;
+export type TokenImageSize = (typeof TOKEN_IMAGE_SIZES)[number];
+
+export class TokenMetadataError extends Error {
+  status: number;
+
+  constructor(message: string, status = 502) {
+    super(message);
+    this.name = "TokenMetadataError";
+    this.status = status;
+  }
+}
+
+const GATEWAYS = [IPFS_GATEWAY_URL, IPFS_GATEWAY_URL_2, IPFS_GATEWAY_URL_4, IPFS_GATEWAY_URL_3];
+const CACHE_DIR =
+  process.env.TOKEN_METADATA_CACHE_DIR || path.join(process.cwd(), ".next", "cache", "token-metadata");
+
+// Hosts fetched without the address check: the gateways, Arweave and any
+// comma-separated TOKEN_METADATA_HOSTS
+const ALLOWED_HOSTS = new Set([
+  ...GATEWAYS.map((gateway) => new URL(gateway).hostname),
+  "arweave.net",
+  ...(process.env.TOKEN_METADATA_HOSTS || "").split(",").map((host) => host.trim().toLowerCase()).filter(Boolean),
+]);
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved
+const PRIVATE_ADDRESSES = new BlockList();
+const PRIVATE_IPV4: [string, number][] = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 4], ["240.0.0.0", 4],
+];
+const PRIVATE_IPV6: [string, number][] = [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]];
+PRIVATE_IPV4.forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+PRIVATE_IPV6.forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+const GATEWAY_TIMEOUT_MS = 4000;
+const MAX_REDIRECTS = 3;
+const GATEWAY_COOLDOWN_MS = 60 * 1000;
+const MAX_METADATA_BYTES = 256 * 1024;
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+// IPFS content never changes; metadata behind a plain URL is refetched daily
+const HTTP_METADATA_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+const MEMORY_ENTRIES = 2000;
+
+const gatewayFailedAt = new Map<string, number>();
+const memory = new Map<string, { metadata: TokenMetadata | null; error?: string; expiresAt: number }>();
+const failedImages = new Map<string, { error: string; expiresAt: number }>();
+const inflight = new Map<string, Promise<unknown>>();
+
+/**
+ * CID path of an IPFS reference (`ipfs://…`, any `…/ipfs/…` gateway URL or a
+ * bare CID), or null for other URLs
+ */
+export function ipfsPath(uri: string | null | undefined): string | null {
+  if (typeof uri !== "string") return null;
+  const trimmed = uri.trim();
+  const match = trimmed.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/) || trimmed.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+  if (match) return match[1];
+  return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/.*)?$/.test(trimmed) ? trimmed : null;
+}
+
+// Healthy gateways first, then the ones that failed longest ago
+function orderedGateways(now = Date.now()) {
+  return [...GATEWAYS].sort((a, b) => {
+    const failedA = gatewayFailedAt.get(a) ?? 0;
+    const failedB = gatewayFailedAt.get(b) ?? 0;
+    const coolingA = now - failedA < GATEWAY_COOLDOWN_MS;
+    const coolingB = now - failedB < GATEWAY_COOLDOWN_MS;
+    if (coolingA !== coolingB) return coolingA ? 1 : -1;
+    return coolingA ? failedA - failedB : 0;
+  });
+}
+
+/**
+ * Whether `address` (an IP literal) is one a metadata URL must never reach.
+ * Anything that does not parse as an IP counts as private.
+ */
+export function isPrivateAddress(address: string): boolean {
+  const family = isIP(address);
+  if (family === 0) return true;
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges too
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Throw unless `url` is http(s) on an allowed host or on a host whose every
+ * address is public. fetch resolves the host again, so this narrows DNS
+ * rebinding to the lookup cache window rather than ruling it out.
+ */
+async function assertFetchable(url: URL) {
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new TokenMetadataError(`Unsupported URI: ${url}`, 422);
+  }
+  const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  if (ALLOWED_HOSTS.has(host)) return;
+
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map((entry) => entry.address);
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new TokenMetadataError(`${host} is not a public host`, 422);
+  }
+}
+
+async function fetchOnce(url: string, maxBytes: number) {
+  const signal = AbortSignal.timeout(GATEWAY_TIMEOUT_MS);
+  let target = new URL(url);
+  let response: Response;
+  // Redirects are followed by hand so each hop goes through assertFetchable
+  for (let hops = 0; ; hops++) {
+    await assertFetchable(target);
+    response = await fetch(target, { signal, cache: "no-store", redirect: "manual" });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    await response.body?.cancel();
+    if (hops >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    target = new URL(location, target);
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) throw new Error(`${declared} bytes is over the ${maxBytes} byte limit`);
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > maxBytes) throw new Error(`${body.length} bytes is over the ${maxBytes} byte limit`);
+  return { body, contentType: response.headers.get("content-type") || "" };
+}
+
+/**
+ * Fetch an IPFS reference through the gateways until one answers, or a plain
+ * http(s) URL directly
+ */
+async function fetchResource(uri: string, maxBytes: number) {
+  const cid = ipfsPath(uri);
+  if (!cid) {
+    if (!/^https?:\/\//.test(uri)) throw new TokenMetadataError(`Unsupported URI: ${uri}`, 422);
+    try {
+      return await fetchOnce(uri, maxBytes);
+    } catch (error) {
+      if (error instanceof TokenMetadataError) throw error;
+      throw new TokenMetadataError(`${uri}: ${(error as Error).message}`);
+    }
+  }
+
+  const failures: string[] = [];
+  for (const gateway of orderedGateways()) {
+    try {
+      const result = await fetchOnce(gateway + cid, maxBytes);
+      gatewayFailedAt.delete(gateway);
+      return result;
+    } catch (error) {
+      gatewayFailedAt.set(gateway, Date.now());
+      failures.push(`${new URL(gateway).host}: ${(error as Error).message}`);
+    }
+  }
+  throw new TokenMetadataError(`All IPFS gateways failed for ${cid} (${failures.join("; ")})`);
+}
+
+const text = (value: unknown, maxLength = 500) =>
+  typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+const link = (value: unknown) => {
+  const url = text(value, 300);
+  return url && /^https?:\/\//.test(url) ? url : null;
+};
+
+/**
+ * Keep the fields we display, throwing when the document is not token metadata
+ */
+export function validateMetadata(value: unknown): TokenMetadata {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new TokenMetadataError("Metadata is not a JSON object", 422);
+  }
+  const json = value as Record<string, unknown>;
+  const name = text(json.name, 100);
+  const symbol = text(json.symbol, 20);
+  if (!name && !symbol) throw new TokenMetadataError("Metadata has neither a name nor a symbol", 422);
+
+  const image = text(json.image, 500);
+  return {
+    name,
+    symbol,
+    description: text(json.description, 2000),
+    image: image && (ipfsPath(image) || /^https?:\/\//.test(image)) ? image : null,
+    twitter: link(json.twitter),
+    telegram: link(json.telegram),
+    website: link(json.website),
+  };
+}
+
+const cacheKey = (uri: string) => crypto.createHash("sha1").update(uri).digest("hex");
+
+async function readCache(file: string, maxAgeMs: number) {
+  try {
+    const stats = await fs.stat(file);
+    if (Date.now() - stats.mtimeMs > maxAgeMs) return null;
+    return await fs.readFile(file);
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(file: string, body: Buffer | string) {
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    // Write then rename so concurrent readers never see half a file
+    const partial = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(partial, body);
+    await fs.rename(partial, file);
+  } catch (error) {
+    console.warn("Token metadata cache write failed:", (error as Error).message);
+  }
+}
+
+function remember(uri: string, entry: { metadata: TokenMetadata | null; error?: string; expiresAt: number }) {
+  memory.delete(uri);
+  memory.set(uri, entry);
+  if (memory.size > MEMORY_ENTRIES) memory.delete(memory.keys().next().value as string);
+}
+
+// Concurrent requests for the same resource share one fetch
+function once<T>(key: string, load: () => Promise<T>): Promise<T> {
+  const pending = inflight.get(key);
+  if (pending) return pending as Promise<T>;
+  const promise = load().finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Validated metadata for a `tokens.uri`, from memory, disk or the gateways.
+ * Failures are remembered for a few minutes so a dead URI is not refetched
+ * for every row that shows it.
+ */
+export async function getTokenMetadata(uri: string | null): Promise<TokenMetadata> {
+  if (!uri?.trim()) throw new TokenMetadataError("Token has no metadata URI", 404);
+  const cached = memory.get(uri);
+  if (cached && cached.expiresAt > Date.now()) {
+    if (cached.metadata) return cached.metadata;
+    throw new TokenMetadataError(cached.error || "Metadata unavailable");
+  }
+
+  return once(`metadata:${uri}`, async () => {
+    const ttl = ipfsPath(uri) ? Infinity : HTTP_METADATA_TTL_MS;
+    const file = path.join(CACHE_DIR, `${cacheKey(uri)}.json`);
+
+    const stored = await readCache(file, ttl);
+    if (stored) {
+      try {
+        const metadata = validateMetadata(JSON.parse(stored.toString("utf8")));
+        remember(uri, { metadata, expiresAt: Date.now() + Math.min(ttl, HTTP_METADATA_TTL_MS) });
+        return metadata;
+      } catch {
+        // Corrupt cache file; fall through and refetch
+      }
+    }
+
+    try {
+      const { body } = await fetchResource(uri, MAX_METADATA_BYTES);
+      let json: unknown;
+      try {
+        json = JSON.parse(body.toString("utf8"));
+      } catch {
+        throw new TokenMetadataError("Metadata is not valid JSON", 422);
+      }
+      const metadata = validateMetadata(json);
+      await writeCache(file, JSON.stringify(metadata));
+      remember(uri, { metadata, expiresAt: Date.now() + Math.min(ttl, HTTP_METADATA_TTL_MS) });
+      return metadata;
+    } catch (error) {
+      remember(uri, { metadata: null, error: (error as Error).message, expiresAt: Date.now() + FAILURE_TTL_MS });
+      throw error;
+    }
+  });
+}
+
+export function isTokenImageSize(value: number): value is TokenImageSize {
+  return TOKEN_IMAGE_SIZES.includes(value as TokenImageSize);
+}
+
+/**
+ * The token's logo as a square WebP of `size` pixels, cached on disk per size
+ */
+export async function getTokenImage(uri: string | null, size: TokenImageSize): Promise<Buffer> {
+  if (!uri?.trim()) throw new TokenMetadataError("Token has no metadata URI", 404);
+  const key = `${uri}:${size}`;
+  const failed = failedImages.get(key);
+  if (failed && failed.expiresAt > Date.now()) throw new TokenMetadataError(failed.error);
+
+  const file = path.join(CACHE_DIR, `${cacheKey(uri)}-${size}.webp`);
+  const stored = await readCache(file, ipfsPath(uri) ? Infinity : HTTP_METADATA_TTL_MS);
+  if (stored) return stored;
+
+  return once(`image:${key}`, async () => {
+    try {
+      const metadata = await getTokenMetadata(uri);
+      if (!metadata.image) throw new TokenMetadataError("Metadata has no image", 404);
+
+      const { body } = await fetchResource(metadata.image, MAX_IMAGE_BYTES);
+      let resized: Buffer;
+      try {
+        resized = await sharp(body, { animated: false })
+          .resize(size, size, { fit: "cover" })
+          .webp({ quality: 80 })
+          .toBuffer();
+      } catch (error) {
+        throw new TokenMetadataError(`Logo is not a readable image: ${(error as Error).message}`, 422);
+      }
+      await writeCache(file, resized);
+      failedImages.delete(key);
+      return resized;
+    } catch (error) {
+      failedImages.delete(key);
+      failedImages.set(key, { error: (error as Error).message, expiresAt: Date.now() + FAILURE_TTL_MS });
+      if (failedImages.size > MEMORY_ENTRIES) failedImages.delete(failedImages.keys().next().value as string);
+      throw error;
+    }
+  });
+}
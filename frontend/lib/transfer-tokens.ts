@@ -1,5 +1,4 @@
 import {
-  clusterApiUrl,
   Connection,
   PublicKey,
   Transaction,
@@ -14,11 +13,24 @@ import {
   TEST_BONK_TOKEN_MINT_ADDRESS,
   ZOROX_TREASURY_ADDRESS,
 } from "./constants";
+import {
+  DEFAULT_SUBSCRIPTION_TIER,
+  SOLANA_RPC_URL,
+  SubscriptionTier,
+  tierBaseUnits,
+} from "./payment-config";
 
-export default async function transferTokens() {
+/**
+ * Pay for a subscription tier from the connected Phantom wallet.
+ * Returns the transaction signature, which the server verifies on-chain
+ * before granting access (see /api/supabase/add-sub).
+ */
+export default async function transferTokens(
+  tier: SubscriptionTier = DEFAULT_SUBSCRIPTION_TIER
+): Promise<string> {
   try {
     // Connect to Solana
-    const connection = new Connection(clusterApiUrl("devnet"), "confirmed");
+    const connection = new Connection(SOLANA_RPC_URL, "confirmed");
 
     // Get Phantom provider
     const provider = (window as any).phantom?.solana;
@@ -65,7 +77,7 @@ export default async function transferTokens() {
         senderTokenAccount,
         recipientTokenAccount,
         sender,
-        499_999 * Math.pow(10, 6) // Adjust decimals based on your token (9 is common)
+        tierBaseUnits(tier)
       )
     );
 
@@ -3,6 +3,12 @@ type Price = {
   price_sol: number;
   trade_at: string;
   is_latest: boolean;
+  // Present when the point is a candle close (see lib/candles.ts)
+  open_usd?: number;
+  high_usd?: number;
+  low_usd?: number;
+  volume_usd?: number;
+  trade_count?: number;
 };
 
 type SearchTokenResponse = {
@@ -11,6 +17,11 @@ type SearchTokenResponse = {
   symbol: string;
   uri: string;
   image: any;
+  // Lookalike grouping from js-scraper/clone_detection.mjs
+  canonical_token_id?: number | null;
+  is_impersonator?: boolean;
+  impersonator_score?: number | null;
+  match_reasons?: string[];
 };
 
 type TokenData = {
@@ -41,8 +52,17 @@ interface TrendingCoin {
   symbol: string;
   name: string;
   trading_volume_24h: number;
+  // 24h volume with wash trading removed, and the share removed (0-1)
+  organic_volume_24h?: number | null;
+  wash_score?: number | null;
   tiktok_views_24h: number;
+  // Views per hour (and change per hour) across mentioning videos, from revisit snapshots
+  tiktok_view_velocity?: number | null;
+  tiktok_view_acceleration?: number | null;
   correlation_score: number;
+  // Hours social activity leads (> 0) or trails (< 0) price at the best correlation
+  correlation_lag_hours?: number;
+  correlation_spearman?: number;
   price_change_24h: number;
   total_mentions: number;
   // Enhanced market data fields
@@ -52,8 +72,21 @@ interface TrendingCoin {
   // Additional metadata
   address?: string;
   decimals?: number;
+  lifecycle_state?: LifecycleState | null;
+  bonding_progress?: number | null;
 }
 
+// pump.fun stage from bitquery/scripts/lifecycle.mjs (token_lifecycle table)
+type LifecycleState = "launched" | "bonding" | "graduated" | "abandoned";
+
+// On-chain safety finding from bitquery/scripts/token-safety.mjs (token_safety table)
+type RedFlag = {
+  code: string;
+  severity: "critical" | "warning";
+  label: string;
+  detail?: string;
+};
+
 type LeaderboardData = {
   id: number;
   name: string;
@@ -69,6 +102,12 @@ type LeaderboardData = {
   // New market data fields
   total_supply?: number;
   last_updated?: string;
+  // null until the token safety scanner has checked the mint
+  red_flags?: RedFlag[] | null;
+  // null until the lifecycle tracker has seen the token
+  lifecycle_state?: LifecycleState | null;
+  bonding_progress?: number | null;
+  pool_address?: string | null;
 };
 type SortKey = keyof TokenData;
 type SortDirection = "asc" | "desc";
@@ -127,4 +166,6 @@ export type {
   DataPoint,
   TimeframeType,
   Tweet,
+  RedFlag,
+  LifecycleState,
 };
@@ -1,6 +1,6 @@
 import { clsx, type ClassValue } from "clsx";
 import { twMerge } from "tailwind-merge";
-import { DataPoint, TimeframeType, TradeData } from "./types";
+import { DataPoint, TimeframeType, TradeData, TrendingCoin } from "./types";
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs));
@@ -73,48 +73,18 @@ export function formatMarketcap(num: number): string {
   return formatted + units[exponent];
 }
 
-export function getQuery(
-  mintAddress: string,
-  isLatest: boolean,
-  offset: number = 0
-) {
-  console.log("mintAddress", mintAddress);
-  console.log("isLatest", isLatest);
-  console.log("offset", offset);
-
-  if (!isLatest) {
-    return `{
+const LATEST_PRICE_QUERY = `query TokenPrice($mint: String, $offset: Int) {
   Solana {
     DEXTrades(
-      limit: { count: 1, offset: ${offset} }
-      orderBy: { ascending: Block_Time }
+      limit: { count: 1, offset: $offset }
+      orderBy: { descending: Block_Time }
       where: {
-        Instruction: {
-          Program: {
-            Address: {
-              is: "${mintAddress}" 
-            }
-          }
-        },
+        Instruction: { Program: { Address: { is: $mint } } }
         Trade: {
-          Dex: {
-            ProtocolName: {
-              is: "pump"
-            }
-          },
-          Buy: {
-            Currency: {
-              MintAddress: {
-                notIn: ["11111111111111111111111111111111"]
-              }
-            }
-          }
-        },
-        Transaction: {
-          Result: {
-            Success: true
-          }
+          Dex: { ProtocolName: { is: "pump" } }
+          Buy: { Currency: { MintAddress: { notIn: ["11111111111111111111111111111111"] } } }
         }
+        Transaction: { Result: { Success: true } }
       }
     ) {
       Trade {
@@ -129,39 +99,19 @@ export function getQuery(
     }
   }
 }`;
-  } else {
-    return `{
+
+const EARLIEST_PRICE_QUERY = `query TokenPrice($mint: String, $offset: Int) {
   Solana {
     DEXTrades(
-      limit: { count: 1, offset: ${offset} }
-      orderBy: { descending: Block_Time }
+      limit: { count: 1, offset: $offset }
+      orderBy: { ascending: Block_Time }
       where: {
-        Instruction: {
-          Program: {
-            Address: {
-              is: "${mintAddress}" 
-            }
-          }
-        },
+        Instruction: { Program: { Address: { is: $mint } } }
         Trade: {
-          Dex: {
-            ProtocolName: {
-              is: "pump"
-            }
-          },
-          Buy: {
-            Currency: {
-              MintAddress: {
-                notIn: ["11111111111111111111111111111111"]
-              }
-            }
-          }
-        },
-        Transaction: {
-          Result: {
-            Success: true
-          }
+          Dex: { ProtocolName: { is: "pump" } }
+          Buy: { Currency: { MintAddress: { notIn: ["11111111111111111111111111111111"] } } }
         }
+        Transaction: { Result: { Success: true } }
       }
     ) {
       Trade {
@@ -176,7 +126,20 @@ export function getQuery(
     }
   }
 }`;
-  }
+
+/**
+ * Single pump.fun trade price for a mint, `offset` trades from the newest
+ * (isLatest) or the oldest. The mint travels as a GraphQL variable.
+ */
+export function getPriceQuery(
+  mintAddress: string,
+  isLatest: boolean,
+  offset: number = 0
+): { query: string; variables: { mint: string; offset: number } } {
+  return {
+    query: isLatest ? LATEST_PRICE_QUERY : EARLIEST_PRICE_QUERY,
+    variables: { mint: mintAddress, offset },
+  };
 }
 
 export const processTradeData = (
@@ -320,3 +283,27 @@ export const formatTimestamp = (
       return timestamp;
   }
 };
+
+/**
+ * Logo of a token, resized and cached by /api/token-metadata
+ */
+export function tokenImageUrl(tokenId: number | string, size = 64): string {
+  return `/api/token-metadata?id=${tokenId}&image=${size}`;
+}
+
+/**
+ * Volume ranking for trending coins: tokens scored by the wash-trade detector
+ * (bitquery/scripts/wash-trading.mjs) come first by organic volume, then the
+ * unscored ones by raw candle volume, since the two figures are not comparable.
+ */
+export function compareRankingVolume(
+  a: Pick<TrendingCoin, "organic_volume_24h" | "trading_volume_24h">,
+  b: Pick<TrendingCoin, "organic_volume_24h" | "trading_volume_24h">
+): number {
+  const scoredA = a.organic_volume_24h != null;
+  const scoredB = b.organic_volume_24h != null;
+  if (scoredA !== scoredB) return scoredA ? -1 : 1;
+  return scoredA
+    ? (b.organic_volume_24h as number) - (a.organic_volume_24h as number)
+    : (b.trading_volume_24h || 0) - (a.trading_volume_24h || 0);
+}
@@ -0,0 +1,46 @@
+/**
+ * Browser side of Sign-In-With-Solana (see lib/wallet-session.ts).
+ * The session lives in an HTTP-only cookie; these helpers only drive the
+ * nonce/sign/verify exchange and read back which wallet is signed in.
+ */
+
+type SignMessage = (message: Uint8Array) => Promise<Uint8Array>;
+
+async function readJson(res: Response) {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed with ${res.status}`);
+  return data;
+}
+
+export async function fetchSessionWallet(): Promise<string | null> {
+  const res = await fetch("/api/auth/session");
+  if (!res.ok) return null;
+  const data = await res.json();
+  return data.wallet ?? null;
+}
+
+export async function signInWithSolana(
+  address: string,
+  signMessage: SignMessage
+): Promise<string> {
+  const { message } = await readJson(
+    await fetch(`/api/auth/nonce?address=${encodeURIComponent(address)}`)
+  );
+
+  const signature = await signMessage(new TextEncoder().encode(message));
+
+  const { wallet } = await readJson(
+    await fetch("/api/auth/verify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        signature: btoa(String.fromCharCode(...Array.from(signature))),
+      }),
+    })
+  );
+  return wallet;
+}
+
+export async function signOut() {
+  await fetch("/api/auth/session", { method: "DELETE" });
+}
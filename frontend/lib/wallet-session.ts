@@ -0,0 +1,199 @@
+import { createHmac, createPublicKey, randomBytes, timingSafeEqual, verify } from "crypto";
+import { PublicKey } from "@solana/web3.js";
+import { NextRequest, NextResponse } from "next/server";
+
+/**
+ * Sign-In-With-Solana sessions.
+ *
+ * GET /api/auth/nonce issues a challenge message bound to the wallet and a
+ * random nonce; the challenge itself travels in a short-lived HMAC-signed
+ * cookie so issuing one needs no server state. POST /api/auth/verify checks
+ * the wallet's ed25519 signature over that exact message, spends the nonce
+ * and swaps the challenge for an HTTP-only session cookie naming the wallet.
+ */
+
+export const SESSION_COOKIE = "bimboh_session";
+export const CHALLENGE_COOKIE = "bimboh_siws";
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+interface Challenge {
+  address: string;
+  nonce: string;
+  domain: string;
+  uri: string;
+  issuedAt: string;
+  exp: number;
+}
+
+interface Session {
+  wallet: string;
+  exp: number;
+}
+
+let devSecret: string | null = null;
+
+function getSecret(): string {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET is not defined in the environment variables.");
+  }
+  if (!devSecret) {
+    console.warn("⚠️ SESSION_SECRET not set, sessions will not survive a restart");
+    devSecret = randomBytes(32).toString("hex");
+  }
+  return devSecret;
+}
+
+function hmac(value: string): string {
+  return createHmac("sha256", getSecret()).update(value).digest("base64url");
+}
+
+export function signToken(payload: object): string {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${hmac(body)}`;
+}
+
+/**
+ * Payload of a token minted by signToken, or null if tampered with or expired
+ */
+export function readToken<T extends { exp: number }>(token: string | undefined, now = Date.now()): T | null {
+  if (!token) return null;
+  const [body, mac] = token.split(".");
+  if (!body || !mac) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8")) as T;
+    return typeof payload.exp === "number" && payload.exp * 1000 > now ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function buildSignInMessage({ address, nonce, domain, uri, issuedAt, exp }: Challenge): string {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    address,
+    "",
+    "Sign in to Bimboh to access your subscription.",
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${new Date(exp * 1000).toISOString()}`,
+  ].join("\n");
+}
+
+export function isValidWalletAddress(address: unknown): address is string {
+  if (typeof address !== "string" || address.length === 0) return false;
+  try {
+    return new PublicKey(address).toBase58() === address;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function createChallenge(address: string, request: NextRequest, now = Date.now()) {
+  const challenge: Challenge = {
+    address,
+    nonce: randomBytes(16).toString("hex"),
+    domain: request.nextUrl.host,
+    uri: request.nextUrl.origin,
+    issuedAt: new Date(now).toISOString(),
+    exp: Math.floor(now / 1000) + CHALLENGE_TTL_SECONDS,
+  };
+  return { message: buildSignInMessage(challenge), token: signToken(challenge) };
+}
+
+/**
+ * Check a detached ed25519 signature by `address` over `message`
+ */
+export function verifyWalletSignature(address: string, message: string, signature: Uint8Array): boolean {
+  if (signature.length !== 64) return false;
+  const key = createPublicKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      x: Buffer.from(new PublicKey(address).toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  return verify(null, Buffer.from(message, "utf8"), key, signature);
+}
+
+// Nonces already exchanged for a session, until their challenge expires.
+// Per server instance: a replay needs the challenge cookie and signature
+// and only works within CHALLENGE_TTL_SECONDS anyway.
+const usedNonces = new Map<string, number>();
+
+/**
+ * Mark a challenge's nonce as spent; false if it was spent before
+ */
+function consumeNonce(nonce: string, exp: number, now: number): boolean {
+  usedNonces.forEach((expiry, used) => {
+    if (expiry * 1000 <= now) usedNonces.delete(used);
+  });
+  if (usedNonces.has(nonce)) return false;
+  usedNonces.set(nonce, exp);
+  return true;
+}
+
+/**
+ * Resolve the challenge cookie and signature to a wallet, or null if either
+ * is missing, expired, already used or does not verify
+ */
+export function verifyChallenge(
+  challengeToken: string | undefined,
+  signatureBase64: unknown,
+  now = Date.now()
+): string | null {
+  const challenge = readToken<Challenge>(challengeToken, now);
+  if (!challenge || typeof signatureBase64 !== "string") return null;
+
+  const signature = Buffer.from(signatureBase64, "base64");
+  if (!verifyWalletSignature(challenge.address, buildSignInMessage(challenge), signature)) return null;
+  return consumeNonce(challenge.nonce, challenge.exp, now) ? challenge.address : null;
+}
+
+export function createSessionToken(wallet: string, now = Date.now()): string {
+  const session: Session = { wallet, exp: Math.floor(now / 1000) + SESSION_TTL_SECONDS };
+  return signToken(session);
+}
+
+/**
+ * Wallet of the signed-in user, taken only from the session cookie
+ */
+export function getSessionWallet(request: NextRequest): string | null {
+  return readToken<Session>(request.cookies.get(SESSION_COOKIE)?.value)?.wallet ?? null;
+}
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "lax" as const,
+  secure: process.env.NODE_ENV === "production",
+  path: "/",
+};
+
+export function setChallengeCookie(response: NextResponse, token: string) {
+  response.cookies.set(CHALLENGE_COOKIE, token, { ...cookieOptions, maxAge: CHALLENGE_TTL_SECONDS });
+}
+
+export function setSessionCookie(response: NextResponse, token: string) {
+  response.cookies.set(SESSION_COOKIE, token, { ...cookieOptions, maxAge: SESSION_TTL_SECONDS });
+  // A challenge is good for one sign-in (verifyChallenge also spends its nonce)
+  response.cookies.set(CHALLENGE_COOKIE, "", { ...cookieOptions, maxAge: 0 });
+}
+
+export function clearSessionCookie(response: NextResponse) {
+  response.cookies.set(SESSION_COOKIE, "", { ...cookieOptions, maxAge: 0 });
+}
+
+export function unauthorized() {
+  return NextResponse.json({ error: "Sign in with your wallet first" }, { status: 401 });
+}
@@ -2,6 +2,8 @@
 const nextConfig = {
   experimental: {
     esmExternals: "loose",
+    // lib/bitquery-client.ts imports the shared client from ../bitquery
+    externalDir: true,
   },
   output: 'standalone',
   async headers() {
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the realtime event hub's replay and reconnect handling
+ * Runs offline: Supabase is a stand-in whose channels report whatever status
+ * the test tells them to
+ */
+
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { registerTypeScript } from './test_helpers.mjs';
+
+registerTypeScript();
+const { RealtimeEventHub } = await import('./lib/event-hub.ts');
+
+// Records every channel opened; removeChannel reports CLOSED like the real client
+function fakeSupabase() {
+  const channels = [];
+  return {
+    channels,
+    channel(name) {
+      const channel = {
+        name,
+        status: null,
+        on() {
+          return channel;
+        },
+        subscribe(callback) {
+          channel.report = status => {
+            channel.status = status;
+            callback(status);
+          };
+          return channel;
+        }
+      };
+      channels.push(channel);
+      return channel;
+    },
+    removeChannel(channel) {
+      channel.report('CLOSED');
+    }
+  };
+}
+
+async function testEventHub() {
+  console.log('🧪 Testing realtime event hub...');
+  const supabase = fakeSupabase();
+  const hub = new RealtimeEventHub(supabase, { epoch: 'e', bufferSize: 3 });
+
+  console.log('\n⏪ Replaying from Last-Event-ID');
+  const received = [];
+  let resyncs = 0;
+  const subscription = hub.subscribe(event => received.push(event.id), { onResync: () => resyncs++ });
+  assert.equal(supabase.channels.length, 1);
+  supabase.channels[0].report('SUBSCRIBED');
+
+  hub.publish('tokens', 'insert', { id: 1 });
+  hub.publish('tokens', 'insert', { id: 2 });
+  assert.deepEqual(received, ['e-1', 'e-2']);
+  assert.deepEqual(hub.eventsSince('e-1').replay.map(event => event.id), ['e-2']);
+  assert.equal(hub.eventsSince('e-1').resync, false);
+  assert.equal(hub.eventsSince('other-1').resync, true, 'id from another process');
+
+  hub.publish('tokens', 'insert', { id: 3 });
+  hub.publish('tokens', 'insert', { id: 4 });
+  assert.equal(hub.eventsSince('e-0').resync, true, 'e-1 was evicted');
+
+  console.log('🔌 Channel drops while clients are connected');
+  supabase.channels[0].report('CHANNEL_ERROR');
+  assert.equal(supabase.channels.length, 1, 'the retry waits for its backoff');
+  assert.equal(resyncs, 0, 'nothing is missed until the channel is back');
+  assert.equal(hub.eventsSince('e-4').resync, true, 'anything after e-4 may have been missed');
+
+  await sleep(1100);
+  assert.equal(supabase.channels.length, 2, 'reopened after the first backoff');
+  supabase.channels[1].report('TIMED_OUT');
+  await sleep(1100);
+  assert.equal(supabase.channels.length, 2, 'the second retry backs off further');
+  await sleep(1000);
+  assert.equal(supabase.channels.length, 3);
+
+  supabase.channels[1].report('SUBSCRIBED');
+  assert.equal(resyncs, 0, 'statuses from a channel already given up on are ignored');
+  supabase.channels[2].report('SUBSCRIBED');
+  assert.equal(resyncs, 1, 'connected clients are told to resync once the channel is back');
+  supabase.channels[2].report('SUBSCRIBED');
+  assert.equal(resyncs, 1);
+
+  hub.publish('tokens', 'update', { id: 4 });
+  assert.equal(hub.eventsSince('e-5').resync, false, 'ids after the outage replay normally');
+  assert.equal(received.at(-1), 'e-5');
+
+  console.log('💤 Channel drops with nobody listening');
+  subscription.unsubscribe();
+  supabase.channels[2].report('CLOSED');
+  await sleep(1100);
+  assert.equal(supabase.channels.length, 3, 'no retry without subscribers');
+
+  const late = hub.subscribe(() => {}, { lastEventId: 'e-5' });
+  assert.equal(supabase.channels.length, 4, 'the next subscriber reopens the channel');
+  assert.equal(late.resync, true, 'and is told about the gap');
+  late.unsubscribe();
+
+  console.log('\n🎉 Realtime event hub test completed successfully!');
+}
+
+testEventHub().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Shared fixtures for the frontend test scripts
+ *
+ * registerTypeScript() lets a plain `node test_*.mjs` import the app's
+ * TypeScript modules: `@/` and extensionless imports resolve the way Next
+ * resolves them, and .ts/.tsx files are transpiled with the project's
+ * TypeScript (types are not checked here; `tsc --noEmit` does that).
+ */
+
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { register } from 'module';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '/index.ts', '/index.tsx'];
+
+export function registerTypeScript() {
+  register('./test_helpers.mjs', import.meta.url);
+}
+
+// Module hooks, run by Node on its loader thread once registered
+
+export async function resolve(specifier, context, nextResolve) {
+  let local = null;
+  if (specifier.startsWith('@/')) local = path.join(ROOT, specifier.slice(2));
+  else if (specifier.startsWith('.') && context.parentURL?.startsWith('file:')) local = fileURLToPath(new URL(specifier, context.parentURL));
+
+  if (local) {
+    const file = path.extname(local) ? local : SOURCE_EXTENSIONS.map(extension => local + extension).find(existsSync) || local;
+    return nextResolve(pathToFileURL(file).href, context);
+  }
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // CommonJS packages without an exports map (next/server) need the extension under ESM
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && !specifier.endsWith('.js')) return nextResolve(`${specifier}.js`, context);
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!/\.tsx?$/.test(url)) return nextLoad(url, context);
+
+  const { default: ts } = await import('typescript');
+  const fileName = fileURLToPath(url);
+  const { outputText } = ts.transpileModule(await readFile(fileName, 'utf8'), {
+    fileName,
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022, jsx: ts.JsxEmit.ReactJSX }
+  });
+  return { format: 'module', source: outputText, shortCircuit: true };
+}
+
+/**
+ * In-memory stand-in for the Supabase query builder, backed by `tables`
+ * Filters, order and limit apply when the query is awaited; inserts are
+ * appended to `tables` and recorded in `inserts`.
+ */
+export function mockSupabase(tables) {
+  const inserts = [];
+  const from = (table) => {
+    const filters = [];
+    let orderBy = null;
+    let limit = null;
+    const rows = () => tables[table] || [];
+    const query = {
+      select: () => query,
+      eq: (column, value) => { filters.push(r => r[column] === value); return query; },
+      not: (column) => { filters.push(r => r[column] !== null && r[column] !== undefined); return query; },
+      order: (column, { ascending = true } = {}) => { orderBy = { column, ascending }; return query; },
+      limit: (count) => { limit = count; return query; },
+      insert: async (incoming) => {
+        inserts.push({ table, rows: incoming });
+        tables[table] = rows().concat(incoming);
+        return { error: null };
+      },
+      then: (resolve, reject) => {
+        const matching = rows().filter(r => filters.every(f => f(r)));
+        if (orderBy) {
+          const direction = orderBy.ascending ? 1 : -1;
+          matching.sort((a, b) => direction * (a[orderBy.column] > b[orderBy.column] ? 1 : a[orderBy.column] < b[orderBy.column] ? -1 : 0));
+        }
+        const data = limit === null ? matching : matching.slice(0, limit);
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  };
+  return { from, inserts };
+}
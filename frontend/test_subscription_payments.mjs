@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for server-side subscription payment verification
+ * Runs offline: transactions are parsed-transaction fixtures and Supabase is
+ * an in-memory stand-in
+ */
+
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { mockSupabase, registerTypeScript } from './test_helpers.mjs';
+
+registerTypeScript();
+const {
+  PaymentVerificationError,
+  assertSignatureUnused,
+  parsePaymentRequest,
+  recordSubscription,
+  sumTokenTransfers,
+  verifySubscriptionPayment
+} = await import('./lib/subscription-service.ts');
+const { TEST_BONK_TOKEN_MINT_ADDRESS, ZOROX_TREASURY_ADDRESS, tierBaseUnits } = await import('./lib/payment-config.ts');
+
+const NOW = Date.UTC(2025, 9, 10, 12, 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE = '5'.repeat(88);
+const WALLET = Keypair.generate().publicKey.toBase58();
+const OTHER_WALLET = Keypair.generate().publicKey.toBase58();
+const OTHER_MINT = Keypair.generate().publicKey.toBase58();
+const TREASURY_ATA = getAssociatedTokenAddressSync(new PublicKey(TEST_BONK_TOKEN_MINT_ADDRESS), new PublicKey(ZOROX_TREASURY_ADDRESS)).toBase58();
+const WEEK_PRICE = tierBaseUnits('premium_7day');
+
+const transferChecked = ({ amount = WEEK_PRICE, mint = TEST_BONK_TOKEN_MINT_ADDRESS, destination = TREASURY_ATA, authority = WALLET } = {}) => ({
+  program: 'spl-token',
+  parsed: { type: 'transferChecked', info: { mint, destination, authority, tokenAmount: { amount: String(amount) } } }
+});
+const transfer = ({ amount = WEEK_PRICE, destination = TREASURY_ATA, authority = WALLET } = {}) => ({
+  program: 'spl-token',
+  parsed: { type: 'transfer', info: { destination, authority, amount: String(amount) } }
+});
+
+function paymentTx(instructions, { signer = WALLET, inner = [], err = null, blockTime = NOW / 1000 - 60 } = {}) {
+  return {
+    slot: 321,
+    blockTime,
+    meta: { err, innerInstructions: inner.length > 0 ? [{ index: 0, instructions: inner }] : [] },
+    transaction: {
+      message: {
+        accountKeys: [{ pubkey: { toBase58: () => signer }, signer: true }],
+        instructions
+      }
+    }
+  };
+}
+
+const connection = tx => ({ getParsedTransaction: async () => tx });
+const request = { signature: SIGNATURE, wallet: WALLET, tier: 'premium_7day' };
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, error => error instanceof PaymentVerificationError && error.code === code);
+}
+
+async function testSubscriptionPayments() {
+  console.log('🧪 Testing subscription payment verification...');
+
+  console.log('\n📝 Request parsing');
+  assert.deepEqual(parsePaymentRequest({ signature: ` ${SIGNATURE} ` }, WALLET), request, 'defaults to the weekly tier');
+  assert.throws(() => parsePaymentRequest({ signature: 'nope' }, WALLET), error => error.code === 'invalid_request' && error.status === 400);
+  assert.throws(() => parsePaymentRequest({ signature: SIGNATURE, tier: 'lifetime' }, WALLET), error => error.code === 'invalid_request');
+
+  console.log('➕ Summing token transfers');
+  const keys = { mint: TEST_BONK_TOKEN_MINT_ADDRESS, destination: TREASURY_ATA, authority: WALLET };
+  assert.equal(sumTokenTransfers(paymentTx([transferChecked()]), keys), WEEK_PRICE);
+  assert.equal(sumTokenTransfers(paymentTx([transfer({ amount: 5 })], { inner: [transferChecked({ amount: 7 })] }), keys), 12n, 'plain and CPI transfers add up');
+  assert.equal(sumTokenTransfers(paymentTx([transferChecked({ mint: OTHER_MINT })]), keys), 0n, 'wrong mint');
+  assert.equal(sumTokenTransfers(paymentTx([transferChecked({ destination: OTHER_WALLET })]), keys), 0n, 'wrong recipient');
+  assert.equal(sumTokenTransfers(paymentTx([transferChecked({ authority: OTHER_WALLET })]), keys), 0n, 'someone else paid');
+  assert.equal(sumTokenTransfers(paymentTx([transfer({ amount: '1e9' })]), keys), 0n, 'non-integer amounts are ignored');
+  assert.equal(sumTokenTransfers(paymentTx([{ program: 'system', parsed: { type: 'transfer', info: { ...keys, amount: '999999999999999' } } }]), keys), 0n, 'SOL transfers do not count');
+
+  console.log('✅ Verifying a payment');
+  const verified = await verifySubscriptionPayment(connection(paymentTx([transferChecked()])), request, { now: NOW });
+  assert.deepEqual(verified, { ...request, amount: WEEK_PRICE, slot: 321, blockTime: NOW / 1000 - 60 });
+  await verifySubscriptionPayment(connection(paymentTx([transferChecked({ amount: 1 })], { inner: [transfer({ amount: WEEK_PRICE - 1n })] })), request, { now: NOW });
+
+  console.log('🚫 Rejecting bad payments');
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked({ mint: OTHER_MINT })])), request, { now: NOW }), 'insufficient_payment');
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked({ destination: OTHER_WALLET })])), request, { now: NOW }), 'insufficient_payment');
+  const underpaid = verifySubscriptionPayment(connection(paymentTx([transferChecked({ amount: WEEK_PRICE - 1n })])), request, { now: NOW });
+  await assert.rejects(underpaid, error => error.code === 'insufficient_payment' && error.status === 402);
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked()])), { ...request, tier: 'premium_30day' }, { now: NOW }), 'insufficient_payment');
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked()], { signer: OTHER_WALLET })), request, { now: NOW }), 'wrong_signer');
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked()], { err: { InstructionError: [0, 'Custom'] } })), request, { now: NOW }), 'failed');
+  await rejectsWith(verifySubscriptionPayment(connection(paymentTx([transferChecked()], { blockTime: NOW / 1000 - 2 * DAY_MS / 1000 })), request, { now: NOW }), 'expired_payment');
+  await rejectsWith(verifySubscriptionPayment(connection(null), request, { now: NOW }), 'not_found');
+
+  console.log('🔁 Replayed signatures');
+  const tables = { subs: [] };
+  const supabase = mockSupabase(tables);
+  await assertSignatureUnused(supabase, SIGNATURE);
+  const first = await recordSubscription(supabase, verified, NOW);
+  assert.equal(first.expires, new Date(NOW + 7 * DAY_MS).toISOString());
+  assert.equal(tables.subs[0].signature, SIGNATURE);
+  await assert.rejects(assertSignatureUnused(supabase, SIGNATURE), error => error.code === 'replayed' && error.status === 409);
+
+  const racing = { from: table => ({ ...supabase.from(table), insert: async () => ({ error: { code: '23505', message: 'duplicate key' } }) }) };
+  await rejectsWith(recordSubscription(racing, verified, NOW), 'replayed');
+
+  console.log('📅 Renewing early extends the current expiry');
+  const renewal = await recordSubscription(supabase, { ...verified, signature: '6'.repeat(88) }, NOW + DAY_MS);
+  assert.equal(renewal.expires, new Date(NOW + 14 * DAY_MS).toISOString());
+
+  console.log('\n🎉 Subscription payment test completed successfully!');
+}
+
+testSubscriptionPayments().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for token metadata resolution
+ * Runs offline: fetch is a stub and the cache lives in a temporary directory
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerTypeScript } from './test_helpers.mjs';
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'token-metadata-'));
+process.env.TOKEN_METADATA_CACHE_DIR = CACHE_DIR;
+registerTypeScript();
+const { TokenMetadataError, getTokenImage, getTokenMetadata, ipfsPath, isPrivateAddress, validateMetadata } = await import('./lib/token-metadata.ts');
+
+const CID = 'Qm' + 'a'.repeat(44);
+const CID_V1 = 'b' + 'a'.repeat(58);
+
+// Answers each URL from `routes`, recording every request
+function stubFetch(routes) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), redirect: init.redirect });
+    const route = routes[String(url)];
+    if (!route) throw new Error(`unexpected fetch of ${url}`);
+    return new Response(route.body ?? null, { status: route.status ?? 200, headers: route.headers });
+  };
+  return requests;
+}
+
+async function rejectsWith(promise, status, pattern) {
+  await assert.rejects(promise, error => error instanceof TokenMetadataError && error.status === status && pattern.test(error.message));
+}
+
+async function testTokenMetadata() {
+  console.log('🧪 Testing token metadata...');
+
+  try {
+    console.log('\n🔗 IPFS paths');
+    assert.equal(ipfsPath(`ipfs://${CID}`), CID);
+    assert.equal(ipfsPath(`ipfs://ipfs/${CID}/logo.png`), `${CID}/logo.png`);
+    assert.equal(ipfsPath(` https://cf-ipfs.com/ipfs/${CID} `), CID, 'any gateway URL is rewritten to ours');
+    assert.equal(ipfsPath(CID), CID);
+    assert.equal(ipfsPath(`${CID_V1}/meta.json`), `${CID_V1}/meta.json`);
+    assert.equal(ipfsPath('https://arweave.net/abc'), null);
+    assert.equal(ipfsPath('Qmtooshort'), null);
+    assert.equal(ipfsPath(''), null);
+    assert.equal(ipfsPath(null), null, 'tokens.uri can be null');
+    assert.equal(ipfsPath(undefined), null);
+
+    console.log('📋 Validating metadata');
+    assert.deepEqual(validateMetadata({
+      name: '  Bonk ',
+      symbol: 'BONK',
+      description: 'x'.repeat(3000),
+      image: `ipfs://${CID}`,
+      twitter: 'https://x.com/bonk_inu',
+      telegram: 'javascript:alert(1)',
+      website: 42,
+      extra: true
+    }), {
+      name: 'Bonk',
+      symbol: 'BONK',
+      description: 'x'.repeat(2000),
+      image: `ipfs://${CID}`,
+      twitter: 'https://x.com/bonk_inu',
+      telegram: null,
+      website: null
+    });
+    assert.equal(validateMetadata({ symbol: 'WIF', image: 'file:///etc/passwd' }).image, null, 'only IPFS and http(s) images');
+    assert.equal(validateMetadata({ name: 'Wif', image: 'https://arweave.net/logo.png' }).image, 'https://arweave.net/logo.png');
+    for (const value of [null, 'Bonk', [], { name: ' ', symbol: '' }]) {
+      assert.throws(() => validateMetadata(value), error => error instanceof TokenMetadataError && error.status === 422);
+    }
+
+    console.log('🛡️ Private addresses');
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['1.1.1.1', '172.32.0.1', '2606:4700:4700::1111']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+
+    console.log('🚧 Blocking internal URLs');
+    const requests = stubFetch({
+      'https://arweave.net/meta': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } },
+      'https://arweave.net/hop': { status: 301, headers: { location: '/meta.json' } },
+      'https://arweave.net/meta.json': { body: JSON.stringify({ name: 'Bonk', image: 'http://127.0.0.1:3000/admin' }) }
+    });
+    await rejectsWith(getTokenMetadata('http://127.0.0.1:8080/meta.json'), 422, /not a public host/);
+    await rejectsWith(getTokenMetadata('http://[::1]/meta.json'), 422, /not a public host/);
+    await rejectsWith(getTokenMetadata('http://localhost/meta.json'), 422, /not a public host/);
+    await rejectsWith(getTokenMetadata('https://arweave.net/meta'), 422, /169\.254\.169\.254 is not a public host/);
+    assert.deepEqual(requests, [{ url: 'https://arweave.net/meta', redirect: 'manual' }], 'the redirect to the metadata service is never followed');
+
+    assert.equal((await getTokenMetadata('https://arweave.net/hop')).name, 'Bonk', 'redirects to public hosts are followed');
+    await rejectsWith(getTokenImage('https://arweave.net/hop', 64), 422, /127\.0\.0\.1 is not a public host/);
+    assert.equal(requests.length, 3, 'the logo is never requested');
+
+    console.log('🕳️ Tokens without a URI');
+    await rejectsWith(getTokenMetadata(null), 404, /no metadata URI/);
+    await rejectsWith(getTokenMetadata(' '), 404, /no metadata URI/);
+    await rejectsWith(getTokenImage(null, 64), 404, /no metadata URI/);
+    await rejectsWith(getTokenMetadata('ftp://example.com/meta.json'), 422, /Unsupported URI/);
+  } finally {
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 Token metadata test completed successfully!');
+}
+
+testTokenMetadata().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Sign-In-With-Solana sessions and the premium TikTok gate
+ * Runs offline: wallets are fresh ed25519 keys and Supabase is an in-memory
+ * stand-in
+ */
+
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { mockSupabase, registerTypeScript } from './test_helpers.mjs';
+
+process.env.SESSION_SECRET = 'test-session-secret';
+registerTypeScript();
+const { NextRequest } = await import('next/server');
+const {
+  CHALLENGE_COOKIE,
+  SESSION_COOKIE,
+  createChallenge,
+  createSessionToken,
+  getSessionWallet,
+  readToken,
+  verifyChallenge
+} = await import('./lib/wallet-session.ts');
+const { FREE_TIKTOK_PREVIEW, hasActiveSubscription, visibleTiktoks } = await import('./lib/subscription-service.ts');
+const { POST: verifyRoute } = await import('./app/api/auth/verify/route.ts');
+
+const NOW = Date.UTC(2025, 9, 10, 12, 0, 0);
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function wallet() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const address = new PublicKey(Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')).toBase58();
+  return { address, sign: message => sign(null, Buffer.from(message, 'utf8'), privateKey).toString('base64') };
+}
+
+const request = (url, cookies = {}, init = {}) => new NextRequest(url, {
+  ...init,
+  headers: { cookie: Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ') }
+});
+
+// Re-encode a token's payload but keep its MAC
+function tamper(token, changes) {
+  const [body, mac] = token.split('.');
+  const payload = { ...JSON.parse(Buffer.from(body, 'base64url').toString('utf8')), ...changes };
+  return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${mac}`;
+}
+
+async function testWalletSession() {
+  console.log('🧪 Testing wallet sessions...');
+  const alice = wallet();
+  const mallory = wallet();
+  const nonceRequest = request(`https://bimboh.app/api/auth/nonce?address=${alice.address}`);
+
+  console.log('\n✍️ Signing in');
+  const { message, token } = createChallenge(alice.address, nonceRequest, NOW);
+  assert.match(message, /^bimboh\.app wants you to sign in with your Solana account:\n/);
+  assert.ok(message.includes(`\n${alice.address}\n`));
+  assert.equal(readToken(token, NOW).address, alice.address);
+
+  assert.equal(verifyChallenge(token, mallory.sign(message), NOW), null, 'signed by the wrong key');
+  assert.equal(verifyChallenge(token, alice.sign(message.replace('Version: 1', 'Version: 2')), NOW), null, 'signed a different message');
+  assert.equal(verifyChallenge(token, 'not a signature', NOW), null);
+  assert.equal(verifyChallenge(token, undefined, NOW), null);
+  assert.equal(verifyChallenge(undefined, alice.sign(message), NOW), null, 'no challenge cookie');
+  assert.equal(verifyChallenge(token, alice.sign(message), NOW + 5 * MINUTE_MS), null, 'expired challenge');
+  assert.equal(verifyChallenge(tamper(token, { address: mallory.address }), mallory.sign(message.replace(alice.address, mallory.address)), NOW), null, 'tampered challenge');
+
+  assert.equal(verifyChallenge(token, alice.sign(message), NOW + MINUTE_MS), alice.address);
+  assert.equal(verifyChallenge(token, alice.sign(message), NOW + MINUTE_MS), null, 'a nonce signs in once');
+
+  console.log('🔐 Verify route');
+  const fresh = createChallenge(alice.address, nonceRequest);
+  const verify = () => verifyRoute(request('https://bimboh.app/api/auth/verify', { [CHALLENGE_COOKIE]: fresh.token }, {
+    method: 'POST',
+    body: JSON.stringify({ signature: alice.sign(fresh.message) })
+  }));
+  const signedIn = await verify();
+  assert.equal(signedIn.status, 200);
+  assert.deepEqual(await signedIn.json(), { wallet: alice.address });
+  const sessionToken = signedIn.cookies.get(SESSION_COOKIE).value;
+  assert.equal(signedIn.cookies.get(CHALLENGE_COOKIE).value, '', 'the challenge cookie is cleared');
+  assert.equal((await verify()).status, 401, 'replaying the same challenge and signature');
+
+  console.log('🍪 Session tokens');
+  assert.equal(getSessionWallet(request('https://bimboh.app/', { [SESSION_COOKIE]: sessionToken })), alice.address);
+  assert.equal(getSessionWallet(request('https://bimboh.app/')), null);
+  assert.equal(getSessionWallet(request('https://bimboh.app/', { [SESSION_COOKIE]: tamper(sessionToken, { wallet: mallory.address }) })), null, 'tampered wallet');
+  assert.equal(getSessionWallet(request('https://bimboh.app/', { [SESSION_COOKIE]: `${sessionToken.split('.')[0]}.forged` })), null, 'forged MAC');
+
+  const session = createSessionToken(alice.address, NOW);
+  assert.equal(readToken(session, NOW + 6 * DAY_MS).wallet, alice.address);
+  assert.equal(readToken(session, NOW + 7 * DAY_MS), null, 'expired session');
+  assert.equal(readToken(tamper(session, { exp: (NOW + 30 * DAY_MS) / 1000 }), NOW + 7 * DAY_MS), null, 'extended expiry');
+
+  console.log('🎬 Premium TikToks');
+  const tiktoks = Array.from({ length: FREE_TIKTOK_PREVIEW + 2 }, (_, i) => ({ id: String(i) }));
+  const supabase = mockSupabase({
+    subs: [
+      { address: alice.address, expires: new Date(NOW + DAY_MS).toISOString(), signature: '5'.repeat(88) },
+      { address: mallory.address, expires: new Date(NOW + 30 * DAY_MS).toISOString(), signature: null },
+      { address: mallory.address, expires: new Date(NOW - DAY_MS).toISOString(), signature: '6'.repeat(88) }
+    ]
+  });
+  const premium = async address => hasActiveSubscription(supabase, address, NOW);
+
+  assert.equal(visibleTiktoks(tiktoks, await premium(alice.address)).length, tiktoks.length, 'subscribers see every TikTok');
+  assert.deepEqual(visibleTiktoks(tiktoks, await premium(mallory.address)), tiktoks.slice(0, FREE_TIKTOK_PREVIEW), 'expired, and rows without a verified payment do not count');
+  assert.equal(visibleTiktoks(tiktoks, await premium(null)).length, FREE_TIKTOK_PREVIEW, 'signed out');
+  assert.deepEqual(visibleTiktoks(null, true), []);
+
+  console.log('\n🎉 Wallet session test completed successfully!');
+}
+
+testWalletSession().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
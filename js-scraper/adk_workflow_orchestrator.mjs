@@ -17,6 +17,7 @@ import RealtimeDecisionAgent from './realtime_decision_agent.mjs';
 import AdvancedPatternRecognition from './advanced_pattern_recognition.mjs';
 import puppeteer from 'puppeteer';
 import { extractComments, VideoScraper } from "./scraper.mjs";
+import { TokenMentionExtractor } from './token_mention_extractor.mjs';
 import fetch from 'node-fetch';
 import { Headers } from 'node-fetch';
 
@@ -867,6 +868,7 @@ class BimbohWorkflowOrchestrator {
 class TikTokScrapingTool {
   constructor(supabase) {
     this.supabase = supabase;
+    this.mentionExtractor = new TokenMentionExtractor(supabase);
     this.browser = null;
   }
 
@@ -940,8 +942,7 @@ class TikTokScrapingTool {
 
           const videoData = await VideoScraper.extractVideoData(element);
           if (videoData?.video_url && !processedUrls.has(videoData.video_url)) {
-            const postId = videoData.video_url.split("/").pop();
-            videoData.comments = await extractComments(postId);
+            videoData.comments = await extractComments(videoData.video_url, page);
             
             processedUrls.add(videoData.video_url);
             results.push(videoData);
@@ -985,8 +986,7 @@ class TikTokScrapingTool {
 
           const videoData = await VideoScraper.extractVideoData(element);
           if (videoData?.video_url && !processedUrls.has(videoData.video_url)) {
-            const postId = videoData.video_url.split("/").pop();
-            videoData.comments = await extractComments(postId);
+            videoData.comments = await extractComments(videoData.video_url, page);
             
             processedUrls.add(videoData.video_url);
             results.push(videoData);
@@ -1034,7 +1034,7 @@ class TikTokScrapingTool {
         }
 
         // Store token mentions
-        if (video.comments && video.comments.tickers) {
+        if (video.comments && video.comments.mentions) {
           await this.storeTokenMentions(tiktokId, video.comments);
         }
       } catch (error) {
@@ -1065,38 +1065,11 @@ class TikTokScrapingTool {
   }
 
   async storeTokenMentions(tiktokId, comments) {
-    if (!comments || !comments.tickers) return;
+    if (!comments || !comments.mentions) return;
 
     try {
-      const { data: tokens } = await this.supabase
-        .from('tokens')
-        .select('id, symbol')
-        .order('id', { ascending: true });
-
-      const symbolToTokens = new Map();
-      tokens.forEach((token) => {
-        if (!symbolToTokens.has(token.symbol)) {
-          symbolToTokens.set(token.symbol, []);
-        }
-        symbolToTokens.get(token.symbol).push(token.id);
-      });
-
-      const mentionAt = new Date().toISOString();
-      const mentionsData = [];
-
-      for (const [symbol, count] of Object.entries(comments.tickers)) {
-        const tokenIds = symbolToTokens.get(symbol);
-        if (!tokenIds) continue;
-
-        for (const tokenId of tokenIds) {
-          mentionsData.push({
-            tiktok_id: tiktokId,
-            count: count,
-            token_id: tokenId,
-            mention_at: mentionAt,
-          });
-        }
-      }
+      // Resolve the extracted tickers/addresses to token ids via the shared extractor
+      const mentionsData = await this.mentionExtractor.buildMentionMapRows(comments.mentions, { tiktok_id: tiktokId });
 
       if (mentionsData.length > 0) {
         await this.supabase.from('mentions').insert(mentionsData);
@@ -1195,11 +1168,11 @@ class MarketDataTool {
       
       // Import and run the bitquery data collection
       const { fetchAndPushMemecoins } = await import('../bitquery/scripts/memecoins.mjs');
-      const { fetchAndPushPrices } = await import('../bitquery/scripts/prices.mjs');
+      const { fetchAndPushCandles } = await import('../bitquery/scripts/prices.mjs');
       const { fetchMarketData, updateTokenMarketData } = await import('../bitquery/scripts/market-data.mjs');
 
       await fetchAndPushMemecoins();
-      await fetchAndPushPrices();
+      await fetchAndPushCandles();
       await fetchMarketData();
 
       return {
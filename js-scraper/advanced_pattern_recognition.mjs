@@ -1,6 +1,7 @@
 import { LlmAgent, AgentBuilder } from '@iqai/adk';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { pearsonCorrelation } from './time_series_correlation.mjs';
 
 // Load environment variables
 dotenv.config();
@@ -359,14 +360,17 @@ export class AdvancedPatternRecognition {
       
       Object.keys(patterns).forEach(patternType => {
         patterns[patternType].forEach(pattern => {
+          if (!pattern.tokenSymbol) return;
+
           patternData.push({
             pattern_type: patternType,
             token_symbol: pattern.tokenSymbol,
             token_uri: pattern.tokenUri,
             pattern_name: pattern.name,
-            pattern_strength: pattern.strength,
-            pattern_confidence: pattern.confidence,
-            pattern_data: pattern.data,
+            // DECIMAL(5,4) columns: keep scores in 0..1 at four digits
+            pattern_strength: Math.round(clamp01(pattern.strength) * 10000) / 10000,
+            pattern_confidence: Math.round(clamp01(pattern.confidence) * 10000) / 10000,
+            pattern_data: { type: pattern.type, ...pattern.data },
             detected_at: new Date().toISOString()
           });
         });
@@ -595,10 +599,15 @@ class VolumePatternTool {
       const previous = sortedPrices[i - 1];
       const beforePrevious = sortedPrices[i - 2];
 
-      if (current.volume_24h && previous.volume_24h && beforePrevious.volume_24h) {
-        const volumeGrowth = current.volume_24h / previous.volume_24h;
-        const avgPreviousVolume = (previous.volume_24h + beforePrevious.volume_24h) / 2;
-        const volumeSpike = current.volume_24h / avgPreviousVolume;
+      // Spikes are measured on organic volume when all three rows have it, so
+      // a burst of wash trading does not read as a breakout
+      const organic = [current, previous, beforePrevious].every(p => p.organic_volume_24h != null);
+      const volumeField = organic ? 'organic_volume_24h' : 'volume_24h';
+
+      if (current[volumeField] && previous[volumeField] && beforePrevious[volumeField]) {
+        const volumeGrowth = current[volumeField] / previous[volumeField];
+        const avgPreviousVolume = (previous[volumeField] + beforePrevious[volumeField]) / 2;
+        const volumeSpike = current[volumeField] / avgPreviousVolume;
 
         if (volumeSpike >= minVolumeSpike) {
           patterns.push({
@@ -607,11 +616,13 @@ class VolumePatternTool {
             name: `Volume Spike - ${volumeSpike.toFixed(2)}x`,
             type: 'volume_spike',
             strength: Math.min(volumeSpike / 5, 1), // Normalize to 0-1
-            confidence: this.calculateVolumeConfidence(volumeSpike, current.volume_24h),
+            confidence: this.calculateVolumeConfidence(volumeSpike, current[volumeField]),
             data: {
               volumeSpike,
-              currentVolume: current.volume_24h,
-              previousVolume: previous.volume_24h,
+              currentVolume: current[volumeField],
+              previousVolume: previous[volumeField],
+              rawVolume: current.volume_24h,
+              usesOrganicVolume: organic,
               priceChange: current.price_usd ? (current.price_usd - previous.price_usd) / previous.price_usd : 0,
               timestamp: current.timestamp
             }
@@ -853,47 +864,991 @@ class SentimentPatternTool {
   }
 }
 
-// Additional pattern tools would be implemented here...
-// (PricePatternTool, SocialPatternTool, CorrelationPatternTool, etc.)
+// =====================================================
+// SHARED SERIES HELPERS
+// =====================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function timeRangeToHours(timeRange) {
+  if (timeRange === '1h') return 1;
+  if (timeRange === '7d') return 168;
+  return 24;
+}
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.max(0, Math.min(1, value));
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+function linearRegression(values) {
+  const n = values.length;
+  if (n < 2) return { slope: 0, r2: 0 };
+
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  values.forEach((y, x) => {
+    sxy += (x - xMean) * (y - yMean);
+    sxx += Math.pow(x - xMean, 2);
+    syy += Math.pow(y - yMean, 2);
+  });
+
+  return {
+    slope: sxx > 0 ? sxy / sxx : 0,
+    r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0
+  };
+}
+
+// Wilder-smoothed RSI over the close series, null when there is not enough data
+function relativeStrengthIndex(closes, period = 14) {
+  if (closes.length <= period) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const diff = closes[i] - closes[i - 1];
+    avgGain += Math.max(diff, 0) / period;
+    avgLoss += Math.max(-diff, 0) / period;
+  }
+  for (let i = period + 1; i < closes.length; i++) {
+    const diff = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+  }
+
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+// z-score of the last value against the values before it
+function latestZScore(values, minHistory = 5) {
+  if (values.length < minHistory + 1) return null;
+  const history = values.slice(0, -1);
+  const sd = standardDeviation(history);
+  if (sd === 0) return null;
+  return (values[values.length - 1] - mean(history)) / sd;
+}
+
+function bucketEventCounts(events, start, bucketCount, bucketMs = HOUR_MS) {
+  const buckets = new Array(bucketCount).fill(0);
+  events.forEach(event => {
+    const index = Math.floor((event.time - start) / bucketMs);
+    if (index >= 0 && index < bucketCount) buckets[index] += event.count;
+  });
+  return buckets;
+}
+
+// Last close per bucket, carried forward; null before the first observation
+function bucketPriceCloses(prices, start, bucketCount, bucketMs = HOUR_MS) {
+  const closes = new Array(bucketCount).fill(null);
+  prices.forEach(point => {
+    const index = Math.floor((point.time - start) / bucketMs);
+    if (index >= 0 && index < bucketCount) closes[index] = point.price;
+  });
+  for (let i = 1; i < bucketCount; i++) {
+    if (closes[i] === null) closes[i] = closes[i - 1];
+  }
+  return closes;
+}
+
+function groupPricesByToken(priceData) {
+  const tokenMap = new Map();
+
+  priceData.forEach(price => {
+    const priceUsd = parseFloat(price.price_usd);
+    if (!price.tokens?.symbol || !Number.isFinite(priceUsd) || priceUsd <= 0) return;
+
+    const tokenUri = price.tokens.uri || price.token_uri;
+    if (!tokenMap.has(tokenUri)) {
+      tokenMap.set(tokenUri, {
+        tokenSymbol: price.tokens.symbol,
+        tokenUri,
+        prices: []
+      });
+    }
+    tokenMap.get(tokenUri).prices.push({
+      timestamp: price.timestamp,
+      time: new Date(price.timestamp).getTime(),
+      price: priceUsd,
+      volume: parseFloat(price.volume_24h) || 0
+    });
+  });
+
+  tokenMap.forEach(series => series.prices.sort((a, b) => a.time - b.time));
+  return tokenMap;
+}
+
+async function fetchTokenPriceSeries(supabase, timeRange) {
+  const since = new Date(Date.now() - timeRangeToHours(timeRange) * HOUR_MS).toISOString();
+
+  try {
+    const { data, error } = await supabase
+      .from('prices')
+      .select(`
+        *,
+        tokens!fk_prices_token_uri (
+          name,
+          symbol,
+          uri
+        )
+      `)
+      .gte('timestamp', since)
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+    return groupPricesByToken(data || []);
+  } catch (error) {
+    console.error('Failed to get price data:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Social activity per token from the mentions table. TikTok mentions carry the
+ * video's views; Telegram mentions pick up views from telegram_messages.
+ */
+async function fetchTokenSocialActivity(supabase, timeRange) {
+  const since = new Date(Date.now() - timeRangeToHours(timeRange) * HOUR_MS).toISOString();
+
+  try {
+    const { data: mentions, error } = await supabase
+      .from('mentions')
+      .select(`
+        token_id,
+        tiktok_id,
+        count,
+        mention_at,
+        source,
+        channel_id,
+        message_id,
+        tokens ( symbol, uri ),
+        tiktoks ( views, likes, comments )
+      `)
+      .gte('mention_at', since);
+
+    if (error) throw error;
+
+    const telegramViews = new Map();
+    const { data: messages, error: messagesError } = await supabase
+      .from('telegram_messages')
+      .select('channel_id, message_id, views')
+      .gte('scraped_at', since);
+
+    if (!messagesError) {
+      (messages || []).forEach(message => {
+        telegramViews.set(`${message.channel_id}:${message.message_id}`, message.views || 0);
+      });
+    }
+
+    const tokenMap = new Map();
+    (mentions || []).forEach(mention => {
+      if (!mention.tokens?.symbol) return;
+
+      const tokenUri = mention.tokens.uri;
+      if (!tokenMap.has(tokenUri)) {
+        tokenMap.set(tokenUri, {
+          tokenSymbol: mention.tokens.symbol,
+          tokenUri,
+          events: []
+        });
+      }
+
+      const source = mention.source || 'tiktok';
+      const views = source === 'telegram'
+        ? telegramViews.get(`${mention.channel_id}:${mention.message_id}`) || 0
+        : mention.tiktoks?.views || 0;
+
+      tokenMap.get(tokenUri).events.push({
+        time: new Date(mention.mention_at).getTime(),
+        source,
+        count: mention.count || 1,
+        views
+      });
+    });
+
+    tokenMap.forEach(series => series.events.sort((a, b) => a.time - b.time));
+    return tokenMap;
+  } catch (error) {
+    console.error('Failed to get social activity data:', error);
+    return new Map();
+  }
+}
 
 class PricePatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', minPriceChange = 0.2 } = input;
+
+      console.log(`💰 Detecting price patterns (${timeRange}, min change: ${minPriceChange * 100}%)...`);
+
+      const priceSeries = await fetchTokenPriceSeries(this.supabase, timeRange);
+
+      const patterns = [];
+      for (const data of priceSeries.values()) {
+        patterns.push(...this.analyzeTokenPricePatterns(data, minPriceChange));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Price pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  analyzeTokenPricePatterns(data, minPriceChange) {
+    const { tokenSymbol, tokenUri, prices } = data;
+    const patterns = [];
+
+    if (prices.length < 3) return patterns;
+
+    const closes = prices.map(p => p.price);
+    const first = closes[0];
+    const last = closes[closes.length - 1];
+    const priceChange = (last - first) / first;
+    const moves = closes.slice(1).map((close, i) => close - closes[i]);
+    const upMoves = moves.filter(m => m > 0).length;
+    const downMoves = moves.filter(m => m < 0).length;
+    const sampleScore = Math.min(prices.length / 12, 1);
+
+    // Net move across the window
+    if (Math.abs(priceChange) >= minPriceChange) {
+      const isPump = priceChange > 0;
+      const consistency = (isPump ? upMoves : downMoves) / moves.length;
+
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `Price ${isPump ? 'Pump' : 'Dump'} - ${(priceChange * 100).toFixed(1)}%`,
+        type: isPump ? 'price_pump' : 'price_dump',
+        strength: clamp01(Math.abs(priceChange) / (minPriceChange * 5)),
+        confidence: clamp01(consistency * 0.6 + sampleScore * 0.4),
+        data: {
+          priceChange,
+          startPrice: first,
+          endPrice: last,
+          upMoves,
+          downMoves,
+          dataPoints: prices.length,
+          startTime: prices[0].timestamp,
+          timestamp: prices[prices.length - 1].timestamp
+        }
+      });
+    }
+
+    // Drawdown from the window peak
+    const peak = Math.max(...closes);
+    const peakIndex = closes.indexOf(peak);
+    const drawdown = (peak - last) / peak;
+    if (peakIndex < closes.length - 1 && drawdown >= minPriceChange) {
+      const pointsSincePeak = closes.length - 1 - peakIndex;
+
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `Price Drawdown - ${(drawdown * 100).toFixed(1)}% from peak`,
+        type: 'price_drawdown',
+        strength: clamp01(drawdown / (minPriceChange * 4)),
+        confidence: clamp01(0.4 + Math.min(pointsSincePeak / 6, 1) * 0.3 + sampleScore * 0.3),
+        data: {
+          drawdown,
+          peakPrice: peak,
+          currentPrice: last,
+          peakTime: prices[peakIndex].timestamp,
+          timestamp: prices[prices.length - 1].timestamp
+        }
+      });
+    }
+
+    return patterns;
+  }
 }
 
 class SocialPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', minEngagementSpike = 2.0 } = input;
+
+      console.log(`📱 Detecting social patterns (${timeRange}, min spike: ${minEngagementSpike}x)...`);
+
+      const socialActivity = await fetchTokenSocialActivity(this.supabase, timeRange);
+      const hours = timeRangeToHours(timeRange);
+
+      const patterns = [];
+      for (const data of socialActivity.values()) {
+        patterns.push(...this.analyzeTokenSocialPatterns(data, { minEngagementSpike, hours }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Social pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  analyzeTokenSocialPatterns(data, { minEngagementSpike = 2.0, hours = 24, now = Date.now() } = {}) {
+    const { tokenSymbol, tokenUri, events } = data;
+    const patterns = [];
+
+    if (events.length === 0) return patterns;
+
+    // Compare the most recent quarter of the window against the rest
+    const recentHours = Math.max(1, Math.round(hours / 4));
+    const baselineHours = Math.max(1, hours - recentHours);
+    const recentStart = now - recentHours * HOUR_MS;
+    const recent = events.filter(e => e.time >= recentStart && e.time <= now);
+    const baseline = events.filter(e => e.time < recentStart);
+
+    const recentCount = recent.reduce((sum, e) => sum + e.count, 0);
+    const baselineCount = baseline.reduce((sum, e) => sum + e.count, 0);
+    const recentRate = recentCount / recentHours;
+    const baselineRate = baselineCount / baselineHours;
+    const recentViews = recent.reduce((sum, e) => sum + e.views, 0);
+    const recentSources = new Set(recent.map(e => e.source));
+
+    const engagementScore = clamp01(Math.log10(recentViews + 1) / 6); // 1M views = max score
+    const activityConfidence = clamp01(
+      0.3 +
+      Math.min(recentCount / 10, 1) * 0.3 +
+      (recentSources.size > 1 ? 0.2 : 0) +
+      engagementScore * 0.2
+    );
+
+    if (baselineRate > 0) {
+      const spike = recentRate / baselineRate;
+      if (spike >= minEngagementSpike) {
+        patterns.push({
+          tokenSymbol,
+          tokenUri,
+          name: `Social Spike - ${spike.toFixed(2)}x`,
+          type: 'social_spike',
+          strength: clamp01(spike / (minEngagementSpike * 3)),
+          confidence: activityConfidence,
+          data: {
+            spike,
+            recentMentions: recentCount,
+            baselineMentions: baselineCount,
+            recentViews,
+            sources: [...recentSources],
+            recentHours
+          }
+        });
+      }
+    } else if (recentCount >= 3) {
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `Social Emergence - ${recentCount} mentions`,
+        type: 'social_emergence',
+        strength: clamp01(recentCount / 20),
+        confidence: activityConfidence,
+        data: {
+          recentMentions: recentCount,
+          recentViews,
+          sources: [...recentSources],
+          recentHours
+        }
+      });
+    }
+
+    // Same token picked up by several platforms
+    const mentionsBySource = {};
+    events.forEach(e => {
+      mentionsBySource[e.source] = (mentionsBySource[e.source] || 0) + e.count;
+    });
+    const activeSources = Object.keys(mentionsBySource).filter(source => mentionsBySource[source] >= 2);
+    if (activeSources.length >= 2) {
+      const totalMentions = Object.values(mentionsBySource).reduce((a, b) => a + b, 0);
+
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `Cross-Platform Buzz - ${activeSources.join(' + ')}`,
+        type: 'cross_platform_buzz',
+        strength: clamp01(totalMentions / 30),
+        confidence: clamp01(0.5 + (activeSources.length - 1) * 0.25),
+        data: {
+          mentionsBySource,
+          totalMentions
+        }
+      });
+    }
+
+    return patterns;
+  }
 }
 
 class CorrelationPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', minCorrelation = 0.6, maxLagHours = 3 } = input;
+
+      console.log(`🔗 Detecting correlation patterns (${timeRange}, min correlation: ${minCorrelation})...`);
+
+      const [priceSeries, socialActivity] = await Promise.all([
+        fetchTokenPriceSeries(this.supabase, timeRange),
+        fetchTokenSocialActivity(this.supabase, timeRange)
+      ]);
+      const hours = timeRangeToHours(timeRange);
+
+      const patterns = [];
+      for (const [tokenUri, priceData] of priceSeries) {
+        const socialData = socialActivity.get(tokenUri);
+        if (!socialData) continue;
+        patterns.push(...this.analyzeTokenCorrelation(priceData, socialData, { minCorrelation, maxLagHours, hours }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Correlation pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correlates hourly mention counts with hourly price returns, letting social
+   * activity lead price by 0..maxLagHours buckets.
+   */
+  analyzeTokenCorrelation(priceData, socialData, { minCorrelation = 0.6, maxLagHours = 3, hours = 24, now = Date.now() } = {}) {
+    const { tokenSymbol, tokenUri } = priceData;
+    const patterns = [];
+
+    const start = now - hours * HOUR_MS;
+    const social = bucketEventCounts(socialData.events, start, hours);
+    const closes = bucketPriceCloses(priceData.prices, start, hours);
+    const returns = closes.map((close, i) =>
+      i > 0 && close !== null && closes[i - 1] !== null && closes[i - 1] > 0 ? close / closes[i - 1] - 1 : null
+    );
+
+    const correlationsByLag = [];
+    for (let lag = 0; lag <= maxLagHours; lag++) {
+      const x = [];
+      const y = [];
+      for (let i = lag; i < hours; i++) {
+        if (returns[i] === null) continue;
+        x.push(social[i - lag]);
+        y.push(returns[i]);
+      }
+      if (x.length >= 6) {
+        correlationsByLag.push({ lagHours: lag, correlation: pearsonCorrelation(x, y), pairs: x.length });
+      }
+    }
+
+    if (correlationsByLag.length === 0) return patterns;
+
+    const best = correlationsByLag.reduce((a, b) => Math.abs(b.correlation) > Math.abs(a.correlation) ? b : a);
+    if (Math.abs(best.correlation) >= minCorrelation) {
+      const isPositive = best.correlation > 0;
+
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `Social-Price Correlation - r=${best.correlation.toFixed(2)} (lag ${best.lagHours}h)`,
+        type: isPositive ? 'positive_social_price_correlation' : 'negative_social_price_correlation',
+        strength: clamp01(Math.abs(best.correlation)),
+        confidence: clamp01(0.3 + Math.min((best.pairs - 3) / 20, 1) * 0.7),
+        data: {
+          correlation: best.correlation,
+          lagHours: best.lagHours,
+          pairs: best.pairs,
+          correlationsByLag
+        }
+      });
+    }
+
+    return patterns;
+  }
 }
 
 class TrendPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h' } = input;
+
+      console.log(`📈 Detecting trend patterns (${timeRange})...`);
+
+      const [priceSeries, socialActivity] = await Promise.all([
+        fetchTokenPriceSeries(this.supabase, timeRange),
+        fetchTokenSocialActivity(this.supabase, timeRange)
+      ]);
+      const hours = timeRangeToHours(timeRange);
+
+      const patterns = [];
+      const tokenUris = new Set([...priceSeries.keys(), ...socialActivity.keys()]);
+      for (const tokenUri of tokenUris) {
+        patterns.push(...this.analyzeTokenTrend(priceSeries.get(tokenUri), socialActivity.get(tokenUri), { hours }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Trend pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  analyzeTokenTrend(priceData, socialData, { hours = 24, now = Date.now() } = {}) {
+    const patterns = [];
+    const { tokenSymbol, tokenUri } = priceData || socialData;
+
+    // Established price trend: log-price regression with a good fit
+    if (priceData && priceData.prices.length >= 6) {
+      const closes = priceData.prices.map(p => p.price);
+      const { slope, r2 } = linearRegression(closes.map(c => Math.log(c)));
+      const priceChange = closes[closes.length - 1] / closes[0] - 1;
+
+      if (r2 >= 0.6 && Math.abs(priceChange) >= 0.05) {
+        const isUp = slope > 0;
+        patterns.push({
+          tokenSymbol,
+          tokenUri,
+          name: `Price ${isUp ? 'Uptrend' : 'Downtrend'} - ${(priceChange * 100).toFixed(1)}%`,
+          type: isUp ? 'price_uptrend' : 'price_downtrend',
+          strength: clamp01(Math.abs(priceChange) / 0.5),
+          confidence: clamp01(r2 * 0.7 + Math.min(closes.length / 12, 1) * 0.3),
+          data: {
+            slope,
+            r2,
+            priceChange,
+            dataPoints: closes.length
+          }
+        });
+      }
+    }
+
+    // Social-led onset: chatter accelerates while price has not moved yet
+    if (socialData && socialData.events.length > 0) {
+      const onsetHours = Math.max(1, Math.round(hours / 8));
+      const onsetStart = now - onsetHours * HOUR_MS;
+      const windowStart = now - hours * HOUR_MS;
+      const recent = socialData.events.filter(e => e.time >= onsetStart && e.time <= now);
+      const baseline = socialData.events.filter(e => e.time >= windowStart && e.time < onsetStart);
+      const recentCount = recent.reduce((sum, e) => sum + e.count, 0);
+      const baselineRate = baseline.reduce((sum, e) => sum + e.count, 0) / Math.max(1, hours - onsetHours);
+      const recentRate = recentCount / onsetHours;
+      const socialRatio = baselineRate > 0 ? recentRate / baselineRate : recentCount;
+
+      let priceChangeSinceOnset = null;
+      if (priceData && priceData.prices.length > 0) {
+        const before = priceData.prices.filter(p => p.time <= onsetStart);
+        const reference = before.length > 0 ? before[before.length - 1] : priceData.prices[0];
+        const latest = priceData.prices[priceData.prices.length - 1];
+        priceChangeSinceOnset = latest.price / reference.price - 1;
+      }
+
+      const priceQuiet = priceChangeSinceOnset === null || Math.abs(priceChangeSinceOnset) < 0.1;
+      if (recentCount >= 3 && socialRatio >= 2 && priceQuiet) {
+        const sources = new Set(recent.map(e => e.source));
+
+        patterns.push({
+          tokenSymbol,
+          tokenUri,
+          name: `Social-Led Trend Onset - ${socialRatio.toFixed(1)}x chatter`,
+          type: 'social_led_trend_onset',
+          strength: clamp01(socialRatio / 6),
+          confidence: clamp01(
+            0.3 +
+            Math.min(recentCount / 10, 1) * 0.3 +
+            (sources.size > 1 ? 0.2 : 0) +
+            (priceChangeSinceOnset !== null ? 0.2 : 0)
+          ),
+          data: {
+            socialRatio,
+            recentMentions: recentCount,
+            onsetAt: new Date(onsetStart).toISOString(),
+            priceChangeSinceOnset,
+            sources: [...sources]
+          }
+        });
+      }
+    }
+
+    return patterns;
+  }
 }
 
 class AnomalyPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.sensitivityThresholds = { low: 3.5, medium: 3, high: 2.5 };
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', sensitivity = 'medium' } = input;
+      const threshold = this.sensitivityThresholds[sensitivity] || this.sensitivityThresholds.medium;
+
+      console.log(`🚨 Detecting anomaly patterns (${timeRange}, z >= ${threshold})...`);
+
+      const [priceSeries, socialActivity] = await Promise.all([
+        fetchTokenPriceSeries(this.supabase, timeRange),
+        fetchTokenSocialActivity(this.supabase, timeRange)
+      ]);
+      const hours = timeRangeToHours(timeRange);
+
+      const patterns = [];
+      for (const data of priceSeries.values()) {
+        patterns.push(...this.analyzeTokenPriceAnomalies(data, threshold));
+      }
+      for (const data of socialActivity.values()) {
+        patterns.push(...this.analyzeTokenSocialAnomalies(data, threshold, { hours }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Anomaly pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  buildAnomaly(tokenSymbol, tokenUri, kind, zScore, sampleSize, threshold, data) {
+    return {
+      tokenSymbol,
+      tokenUri,
+      name: `${kind.charAt(0).toUpperCase()}${kind.slice(1)} Anomaly - z=${zScore.toFixed(2)}`,
+      type: `${kind}_anomaly`,
+      strength: clamp01(Math.abs(zScore) / (threshold * 2)),
+      confidence: clamp01(
+        0.3 +
+        Math.min(sampleSize / 30, 1) * 0.4 +
+        clamp01((Math.abs(zScore) - threshold) / threshold) * 0.3
+      ),
+      data: { zScore, threshold, sampleSize, ...data }
+    };
+  }
+
+  analyzeTokenPriceAnomalies(data, threshold) {
+    const { tokenSymbol, tokenUri, prices } = data;
+    const patterns = [];
+
+    // Log returns keep pumps and dumps symmetric
+    const returns = prices.slice(1).map((p, i) => Math.log(p.price / prices[i].price));
+    const returnZ = latestZScore(returns);
+    if (returnZ !== null && Math.abs(returnZ) >= threshold) {
+      patterns.push(this.buildAnomaly(tokenSymbol, tokenUri, 'price', returnZ, returns.length, threshold, {
+        latestReturn: Math.exp(returns[returns.length - 1]) - 1,
+        direction: returnZ > 0 ? 'up' : 'down',
+        timestamp: prices[prices.length - 1].timestamp
+      }));
+    }
+
+    const volumes = prices.map(p => p.volume).filter(v => v > 0);
+    const volumeZ = latestZScore(volumes);
+    if (volumeZ !== null && volumeZ >= threshold) {
+      patterns.push(this.buildAnomaly(tokenSymbol, tokenUri, 'volume', volumeZ, volumes.length, threshold, {
+        latestVolume: volumes[volumes.length - 1],
+        averageVolume: mean(volumes.slice(0, -1)),
+        timestamp: prices[prices.length - 1].timestamp
+      }));
+    }
+
+    return patterns;
+  }
+
+  analyzeTokenSocialAnomalies(data, threshold, { hours = 24, now = Date.now() } = {}) {
+    const { tokenSymbol, tokenUri, events } = data;
+    const buckets = bucketEventCounts(events, now - hours * HOUR_MS, hours);
+    const mentionZ = latestZScore(buckets);
+
+    if (mentionZ === null || mentionZ < threshold) return [];
+
+    return [this.buildAnomaly(tokenSymbol, tokenUri, 'mention', mentionZ, buckets.length, threshold, {
+      latestHourMentions: buckets[buckets.length - 1],
+      averageHourlyMentions: mean(buckets.slice(0, -1))
+    })];
+  }
 }
 
 class MomentumPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', period = 14, overbought = 70, oversold = 30 } = input;
+
+      console.log(`⚡ Detecting momentum patterns (${timeRange}, RSI ${period})...`);
+
+      const priceSeries = await fetchTokenPriceSeries(this.supabase, timeRange);
+
+      const patterns = [];
+      for (const data of priceSeries.values()) {
+        patterns.push(...this.analyzeTokenMomentum(data, { period, overbought, oversold }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Momentum pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  analyzeTokenMomentum(data, { period = 14, overbought = 70, oversold = 30 } = {}) {
+    const { tokenSymbol, tokenUri, prices } = data;
+    const closes = prices.map(p => p.price);
+    const rsi = relativeStrengthIndex(closes, period);
+
+    if (rsi === null) return [];
+
+    const rocWindow = Math.min(period, closes.length - 1);
+    const rateOfChange = closes[closes.length - 1] / closes[closes.length - 1 - rocWindow] - 1;
+    const sampleScore = Math.min(closes.length / (period * 2), 1);
+
+    let type = null;
+    if (rsi >= overbought) type = 'bullish_momentum';
+    else if (rsi <= oversold) type = 'bearish_momentum';
+    if (!type) return [];
+
+    // Rate of change agreeing with the RSI side confirms the signal
+    const confirmed = type === 'bullish_momentum' ? rateOfChange > 0 : rateOfChange < 0;
+
+    return [{
+      tokenSymbol,
+      tokenUri,
+      name: `${type === 'bullish_momentum' ? 'Bullish' : 'Bearish'} Momentum - RSI ${rsi.toFixed(1)}`,
+      type,
+      strength: clamp01(Math.abs(rsi - 50) / 50),
+      confidence: clamp01(sampleScore * 0.6 + (confirmed ? 0.4 : 0.1)),
+      data: {
+        rsi,
+        period,
+        rateOfChange,
+        dataPoints: closes.length,
+        timestamp: prices[prices.length - 1].timestamp
+      }
+    }];
+  }
 }
 
 class ReversalPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', minRetracement = 0.3 } = input;
+
+      console.log(`🔄 Detecting reversal patterns (${timeRange}, min retracement: ${minRetracement * 100}%)...`);
+
+      const priceSeries = await fetchTokenPriceSeries(this.supabase, timeRange);
+
+      const patterns = [];
+      for (const data of priceSeries.values()) {
+        patterns.push(...this.analyzeTokenReversals(data, { minRetracement }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Reversal pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A reversal is a trending leg into the window extreme followed by a
+   * retracement of at least minRetracement of that leg.
+   */
+  analyzeTokenReversals(data, { minRetracement = 0.3, minLegMove = 0.1 } = {}) {
+    const { tokenSymbol, tokenUri, prices } = data;
+    const patterns = [];
+
+    if (prices.length < 8) return patterns;
+
+    const closes = prices.map(p => p.price);
+    const last = closes[closes.length - 1];
+
+    [
+      { type: 'bullish_reversal', label: 'Bullish', pivot: Math.min(...closes) },
+      { type: 'bearish_reversal', label: 'Bearish', pivot: Math.max(...closes) }
+    ].forEach(({ type, label, pivot }) => {
+      const pivotIndex = closes.indexOf(pivot);
+      const pointsAfter = closes.length - 1 - pivotIndex;
+      if (pivotIndex < 4 || pointsAfter < 2) return;
+
+      // The leg runs from the opposite extreme before the pivot into the pivot
+      const leg = closes.slice(0, pivotIndex + 1);
+      const legStart = type === 'bullish_reversal' ? Math.max(...leg) : Math.min(...leg);
+      const legMove = Math.abs(legStart - pivot) / legStart;
+      const retracement = Math.abs(last - pivot) / Math.abs(legStart - pivot);
+      const { r2 } = linearRegression(leg.map(c => Math.log(c)));
+
+      if (legMove < minLegMove || retracement < minRetracement) return;
+
+      patterns.push({
+        tokenSymbol,
+        tokenUri,
+        name: `${label} Reversal - ${(retracement * 100).toFixed(0)}% retraced`,
+        type,
+        strength: clamp01(retracement),
+        confidence: clamp01(r2 * 0.5 + Math.min(pointsAfter / 4, 1) * 0.3 + clamp01(legMove / 0.5) * 0.2),
+        data: {
+          pivotPrice: pivot,
+          pivotTime: prices[pivotIndex].timestamp,
+          legStartPrice: legStart,
+          legMove,
+          retracement,
+          legFit: r2,
+          currentPrice: last
+        }
+      });
+    });
+
+    return patterns;
+  }
 }
 
 class BreakoutPatternTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, patterns: [] }; }
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async execute(input) {
+    try {
+      const { timeRange = '24h', lookback = 12, buffer = 0.02 } = input;
+
+      console.log(`🚀 Detecting breakout patterns (${timeRange}, ${lookback}-period range)...`);
+
+      const priceSeries = await fetchTokenPriceSeries(this.supabase, timeRange);
+
+      const patterns = [];
+      for (const data of priceSeries.values()) {
+        patterns.push(...this.analyzeTokenBreakouts(data, { lookback, buffer }));
+      }
+
+      return {
+        success: true,
+        patterns: patterns,
+        count: patterns.length,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Breakout pattern detection failed:', error);
+      throw error;
+    }
+  }
+
+  analyzeTokenBreakouts(data, { lookback = 12, buffer = 0.02 } = {}) {
+    const { tokenSymbol, tokenUri, prices } = data;
+
+    if (prices.length < lookback + 1) return [];
+
+    const range = prices.slice(-(lookback + 1), -1);
+    const current = prices[prices.length - 1];
+    const rollingHigh = Math.max(...range.map(p => p.price));
+    const rollingLow = Math.min(...range.map(p => p.price));
+    const rangeWidth = (rollingHigh - rollingLow) / rollingLow;
+
+    const rangeVolumes = range.map(p => p.volume).filter(v => v > 0);
+    const averageVolume = mean(rangeVolumes);
+    const volumeRatio = averageVolume > 0 && current.volume > 0 ? current.volume / averageVolume : 1;
+
+    // Volume expansion and a tight prior range both make a breakout more credible
+    const volumeScore = clamp01((volumeRatio - 1) / 2);
+    const consolidationScore = clamp01(1 - rangeWidth / 0.5);
+    const confidence = clamp01(0.4 + volumeScore * 0.3 + consolidationScore * 0.3);
+
+    const baseData = {
+      rollingHigh,
+      rollingLow,
+      rangeWidth,
+      volumeRatio,
+      lookback,
+      price: current.price,
+      timestamp: current.timestamp
+    };
+
+    if (current.price > rollingHigh * (1 + buffer)) {
+      const move = current.price / rollingHigh - 1;
+      return [{
+        tokenSymbol,
+        tokenUri,
+        name: `Breakout - ${(move * 100).toFixed(1)}% above ${lookback}-period high`,
+        type: 'breakout_up',
+        strength: clamp01(move / 0.25),
+        confidence,
+        data: { ...baseData, move }
+      }];
+    }
+
+    if (current.price < rollingLow * (1 - buffer)) {
+      const move = 1 - current.price / rollingLow;
+      return [{
+        tokenSymbol,
+        tokenUri,
+        name: `Breakdown - ${(move * 100).toFixed(1)}% below ${lookback}-period low`,
+        type: 'breakdown',
+        strength: clamp01(move / 0.25),
+        confidence,
+        data: { ...baseData, move }
+      }];
+    }
+
+    return [];
+  }
 }
 
 class PatternInsightTool {
@@ -906,4 +1861,17 @@ class PatternPredictionTool {
   async execute(input) { return { success: true, predictions: [] }; }
 }
 
+export {
+  VolumePatternTool,
+  SentimentPatternTool,
+  PricePatternTool,
+  SocialPatternTool,
+  CorrelationPatternTool,
+  TrendPatternTool,
+  AnomalyPatternTool,
+  MomentumPatternTool,
+  ReversalPatternTool,
+  BreakoutPatternTool
+};
+
 export default AdvancedPatternRecognition;
@@ -14,8 +14,10 @@ CREATE TABLE IF NOT EXISTS sentiment_analysis (
     id SERIAL PRIMARY KEY,
     content_id TEXT NOT NULL,
     platform TEXT NOT NULL,
+    token_symbol TEXT,
     content TEXT,
     sentiment TEXT NOT NULL CHECK (sentiment IN ('positive', 'negative', 'neutral')),
+    sentiment_score DECIMAL(5,4) CHECK (sentiment_score >= 0 AND sentiment_score <= 1), -- 0 = very negative, 1 = very positive
     confidence DECIMAL(3,2) NOT NULL CHECK (confidence >= 0 AND confidence <= 1),
     emotions JSONB DEFAULT '{}'::jsonb,
     metadata JSONB DEFAULT '{}'::jsonb,
@@ -23,7 +25,12 @@ CREATE TABLE IF NOT EXISTS sentiment_analysis (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Columns added with the deterministic sentiment engine (for existing deployments)
+ALTER TABLE sentiment_analysis ADD COLUMN IF NOT EXISTS token_symbol TEXT;
+ALTER TABLE sentiment_analysis ADD COLUMN IF NOT EXISTS sentiment_score DECIMAL(5,4);
+
 -- Indexes for sentiment analysis
+CREATE INDEX IF NOT EXISTS idx_sentiment_analysis_token_symbol ON sentiment_analysis(token_symbol);
 CREATE INDEX IF NOT EXISTS idx_sentiment_analysis_content_id ON sentiment_analysis(content_id);
 CREATE INDEX IF NOT EXISTS idx_sentiment_analysis_platform ON sentiment_analysis(platform);
 CREATE INDEX IF NOT EXISTS idx_sentiment_analysis_sentiment ON sentiment_analysis(sentiment);
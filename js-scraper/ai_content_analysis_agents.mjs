@@ -15,6 +15,7 @@
 import { LlmAgent } from '@iqai/adk';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createSentimentEngine } from './sentiment_engine.mjs';
 
 // Load environment variables
 dotenv.config();
@@ -29,8 +30,9 @@ const supabase = createClient(
  * Analyzes emotional tone and sentiment of social media content
  */
 class SentimentAnalysisTool {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     this.supabase = supabase;
+    this.engine = options.engine || createSentimentEngine();
   }
 
   async execute(input) {
@@ -46,8 +48,10 @@ class SentimentAnalysisTool {
       await this.storeSentimentAnalysis({
         content_id: input.contentId || `temp_${Date.now()}`,
         platform,
+        token_symbol: input.tokenSymbol || null,
         content,
         sentiment: sentimentAnalysis.sentiment,
+        sentiment_score: sentimentAnalysis.sentimentScore,
         confidence: sentimentAnalysis.confidence,
         emotions: sentimentAnalysis.emotions,
         metadata: sentimentAnalysis.metadata
@@ -56,6 +60,7 @@ class SentimentAnalysisTool {
       return {
         success: true,
         sentiment: sentimentAnalysis.sentiment,
+        sentimentScore: sentimentAnalysis.sentimentScore,
         confidence: sentimentAnalysis.confidence,
         emotions: sentimentAnalysis.emotions,
         analysis: sentimentAnalysis.analysis
@@ -67,32 +72,22 @@ class SentimentAnalysisTool {
   }
 
   async analyzeSentiment(content, contentType) {
-    // This would integrate with OpenAI's sentiment analysis
-    // For now, we'll simulate the analysis
-    const sentimentScores = {
-      positive: Math.random() * 0.4 + 0.3,
-      negative: Math.random() * 0.3,
-      neutral: Math.random() * 0.3
-    };
-
-    const dominantSentiment = Object.keys(sentimentScores).reduce((a, b) => 
-      sentimentScores[a] > sentimentScores[b] ? a : b
-    );
+    const text = typeof content === 'string' ? content : String(content || '');
+    const result = await this.engine.analyze(text);
 
     return {
-      sentiment: dominantSentiment,
-      confidence: Math.max(...Object.values(sentimentScores)),
-      emotions: {
-        joy: Math.random() * 0.8,
-        anger: Math.random() * 0.6,
-        fear: Math.random() * 0.4,
-        surprise: Math.random() * 0.7,
-        sadness: Math.random() * 0.3
-      },
-      analysis: `Content shows ${dominantSentiment} sentiment with ${Math.round(sentimentScores[dominantSentiment] * 100)}% confidence`,
+      sentiment: result.sentiment,
+      confidence: result.confidence,
+      sentimentScore: result.sentimentScore,
+      compound: result.compound,
+      emotions: result.emotions,
+      analysis: `Content shows ${result.sentiment} sentiment (compound ${result.compound}) with ${Math.round(result.confidence * 100)}% confidence`,
       metadata: {
-        contentLength: content.length,
+        contentLength: text.length,
         contentType,
+        backend: result.backend,
+        scores: result.scores,
+        matches: result.matches.slice(0, 20),
         analyzedAt: new Date().toISOString()
       }
     };
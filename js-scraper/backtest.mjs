@@ -0,0 +1,850 @@
+#!/usr/bin/env node
+
+/**
+ * Decision Pipeline Backtester
+ *
+ * Replays historical prices, mentions and tiktoks through the real
+ * RealtimeDecisionAgent pipeline (MarketOpportunityTool → RiskAssessmentTool →
+ * ActionDecisionTool → paper execution) on a simulated clock.
+ *
+ * Data comes either from Supabase or from the JSON snapshots in
+ * bitquery/results and js-scraper/combined_results_*.json. The agent talks to
+ * a HistoricalDataStore instead of Supabase; it only returns rows that were
+ * visible at the simulated timestamp, so no future data can leak into a decision.
+ *
+ * Usage:
+ *   node backtest.mjs --source snapshots --step 15m --horizon 1h
+ *   node backtest.mjs --source supabase --from 2025-10-01 --to 2025-10-07
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { RealtimeDecisionAgent } from './realtime_decision_agent.mjs';
+import { PaperTradingEngine } from './paper_trading_engine.mjs';
+import { normalizeTrade } from '../bitquery/scripts/candles.mjs';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const BASE58_ADDRESS = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
+
+const DEFAULT_BITQUERY_RESULTS_DIR = path.join(__dirname, '..', 'bitquery', 'results');
+const DEFAULT_SCRAPER_RESULTS_DIR = __dirname;
+
+const CANDLE_MS = { '1m': MINUTE_MS, '5m': 5 * MINUTE_MS, '1h': HOUR_MS, '1d': 24 * HOUR_MS };
+
+// Column that says when a row became visible to the live system, or a function
+// of the row for rows that are only final later
+const VISIBILITY_COLUMNS = {
+  tokens: ['created_at'],
+  prices: ['timestamp', 'trade_at'],
+  mentions: ['observed_at', 'mention_at'],
+  tiktoks: ['fetched_at', 'created_at'],
+  sentiment_analysis: ['created_at'],
+  holder_snapshots: ['taken_at'],
+  token_safety: ['checked_at'],
+  deployers: ['updated_at'],
+  token_clones: ['checked_at'],
+  token_snipers: ['analyzed_at'],
+  tiktok_snapshots: ['captured_at'],
+  token_lifecycle: ['updated_at', 'launched_at'],
+  // A candle's close is only known once its bucket has ended
+  price_candles: [row => toTime(row.bucket_start) + (CANDLE_MS[row.resolution] ?? NaN)]
+};
+
+// =====================================================
+// SHARED HELPERS
+// =====================================================
+
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return Date.parse(value);
+  return NaN;
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+
+  const timeA = toTime(a);
+  const timeB = toTime(b);
+  if (!Number.isNaN(timeA) && !Number.isNaN(timeB)) return timeA - timeB;
+
+  return String(a).localeCompare(String(b));
+}
+
+// A row without a visibility time never becomes visible: counting it as always
+// visible would leak rows from the future into past decisions
+function visibleAt(table, row) {
+  const columns = VISIBILITY_COLUMNS[table];
+  if (!columns) throw new Error(`No visibility column for table ${table} (add it to VISIBILITY_COLUMNS)`);
+
+  for (const column of columns) {
+    const time = typeof column === 'function' ? column(row) : toTime(row[column]);
+    if (!Number.isNaN(time)) return time;
+  }
+  return Infinity;
+}
+
+/**
+ * Parse durations like "15m", "1h" or "1d" into milliseconds
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhd])$/i);
+  if (!match) throw new Error(`Invalid duration: ${value} (use e.g. 15m, 1h, 1d)`);
+
+  const unit = { m: MINUTE_MS, h: HOUR_MS, d: 24 * HOUR_MS }[match[2].toLowerCase()];
+  return parseFloat(match[1]) * unit;
+}
+
+// Same unit handling as formatViews in tiktok_pipeline.mjs (not imported: it loads puppeteer)
+function formatViews(views) {
+  if (!views) return 0;
+
+  const unitMultiplier = { k: 1_000, m: 1_000_000, b: 1_000_000_000 };
+  const unit = views.slice(-1).toLowerCase();
+  if (unit in unitMultiplier) {
+    return Math.floor(parseFloat(views.slice(0, -1)) * unitMultiplier[unit]);
+  }
+  return Math.floor(parseFloat(views)) || 0;
+}
+
+function sentimentToScore(sentiment, confidence) {
+  const weight = confidence === null || confidence === undefined ? 1 : parseFloat(confidence);
+  if (sentiment === 'positive') return 0.5 + 0.5 * weight;
+  if (sentiment === 'negative') return 0.5 - 0.5 * weight;
+  return 0.5;
+}
+
+// =====================================================
+// TIME-BOUNDED DATA STORE
+// =====================================================
+
+/**
+ * Supabase-shaped, read-mostly store over historical rows. Every select only
+ * sees rows whose visibility time is at or before `now()`; writes are
+ * captured in `writes` instead of being persisted.
+ */
+export class HistoricalDataStore {
+  constructor(data, { now }) {
+    this.now = now;
+    this.tables = {};
+    this.writes = {};
+    this.tokensById = new Map();
+    this.tokensByUri = new Map();
+
+    (data.tokens || []).forEach(token => {
+      this.tokensById.set(token.id, token);
+      this.tokensByUri.set(token.uri, token);
+    });
+
+    const sentimentRows = (data.mentions || [])
+      .filter(mention => mention.sentiment && this.tokensById.has(mention.token_id) && Number.isFinite(visibleAt('mentions', mention)))
+      .map(mention => ({
+        token_symbol: this.tokensById.get(mention.token_id).symbol,
+        sentiment: mention.sentiment,
+        confidence: mention.confidence,
+        sentiment_score: sentimentToScore(mention.sentiment, mention.confidence),
+        source: mention.source,
+        created_at: new Date(visibleAt('mentions', mention)).toISOString()
+      }));
+
+    const tables = { ...data, sentiment_analysis: sentimentRows };
+    for (const [table, rows] of Object.entries(tables)) {
+      if (!Array.isArray(rows)) continue;
+      this.tables[table] = rows
+        .map(row => ({ row, visibleAt: visibleAt(table, row) }))
+        .sort((a, b) => a.visibleAt - b.visibleAt);
+    }
+  }
+
+  from(table) {
+    return new HistoricalQuery(this, table);
+  }
+
+  visibleRows(table) {
+    const entries = this.tables[table] || [];
+    const now = this.now();
+
+    // Binary search for the first row that is not yet visible
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].visibleAt <= now) low = mid + 1;
+      else high = mid;
+    }
+
+    return entries.slice(0, low).map(entry => ({ ...entry.row }));
+  }
+
+  embedToken(row) {
+    const token = this.tokensByUri.get(row.token_uri) || this.tokensById.get(row.token_id);
+    return {
+      ...row,
+      tokens: token ? { name: token.name, symbol: token.symbol, uri: token.uri } : null
+    };
+  }
+
+  recordWrite(table, operation, payload) {
+    if (!this.writes[table]) this.writes[table] = [];
+    const rows = Array.isArray(payload) ? payload : [payload];
+    rows.forEach(row => this.writes[table].push({ operation, ...row }));
+  }
+}
+
+class HistoricalQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.maxRows = null;
+    this.singleRow = false;
+  }
+
+  select(columns = '*') {
+    if (this.operation === 'select') this.columns = columns;
+    return this;
+  }
+
+  insert(payload) { return this.write('insert', payload); }
+  upsert(payload) { return this.write('upsert', payload); }
+  update(payload) { return this.write('update', payload); }
+  delete() { return this.write('delete', {}); }
+
+  write(operation, payload) {
+    this.operation = operation;
+    this.payload = payload;
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => row[column] === value || (row[column] != null && compareValues(row[column], value) === 0)); }
+  neq(column, value) { return this.filter(row => row[column] !== value); }
+  gt(column, value) { return this.filter(row => row[column] != null && compareValues(row[column], value) > 0); }
+  gte(column, value) { return this.filter(row => row[column] != null && compareValues(row[column], value) >= 0); }
+  lt(column, value) { return this.filter(row => row[column] != null && compareValues(row[column], value) < 0); }
+  lte(column, value) { return this.filter(row => row[column] != null && compareValues(row[column], value) <= 0); }
+  in(column, values) { return this.filter(row => values.includes(row[column])); }
+  is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+  not(column, operator, value) {
+    if (operator === 'is') return this.filter(row => (row[column] ?? null) !== value);
+    return this.filter(row => row[column] !== value);
+  }
+
+  filter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.maxRows = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  maybeSingle() {
+    return this.single();
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    if (this.operation !== 'select') {
+      this.store.recordWrite(this.table, this.operation, this.payload);
+      return { data: null, error: null };
+    }
+
+    let rows = this.store.visibleRows(this.table).filter(row => this.filters.every(filter => filter(row)));
+
+    if (this.orders.length > 0) {
+      rows.sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          if (a[column] == null || b[column] == null) continue;
+          const diff = compareValues(a[column], b[column]);
+          if (diff !== 0) return ascending ? diff : -diff;
+        }
+        return 0;
+      });
+    }
+
+    rows = rows.slice(this.offset, this.maxRows === null ? undefined : this.offset + this.maxRows);
+
+    if (this.table !== 'tokens' && /\btokens\b/.test(this.columns)) {
+      rows = rows.map(row => this.store.embedToken(row));
+    }
+
+    if (this.singleRow) {
+      return rows.length > 0
+        ? { data: rows[0], error: null }
+        : { data: null, error: { message: 'No rows found' } };
+    }
+
+    return { data: rows, error: null };
+  }
+}
+
+// =====================================================
+// DATA LOADERS
+// =====================================================
+
+async function readJsonFiles(dir, filter = () => true) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const results = [];
+  for (const file of files.sort()) {
+    if (!file.endsWith('.json') || file === 'metadata.json' || !filter(file)) continue;
+    try {
+      results.push({ file, json: JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8')) });
+    } catch (error) {
+      console.log(`⚠️ Skipping unreadable snapshot ${file}: ${error.message}`);
+    }
+  }
+  return results;
+}
+
+/**
+ * Load tokens, prices, tiktoks and mentions from saved JSON snapshots
+ */
+export async function loadSnapshotData({
+  bitqueryResultsDir = DEFAULT_BITQUERY_RESULTS_DIR,
+  scraperResultsDir = DEFAULT_SCRAPER_RESULTS_DIR
+} = {}) {
+  const tokensByUri = new Map();
+
+  const addToken = (token) => {
+    if (!token.uri) return null;
+    const existing = tokensByUri.get(token.uri);
+    if (existing) {
+      existing.name = existing.name || token.name;
+      existing.symbol = existing.symbol || token.symbol;
+      existing.address = existing.address || token.address;
+      return existing;
+    }
+    const created = { id: tokensByUri.size + 1, ...token };
+    tokensByUri.set(token.uri, created);
+    return created;
+  };
+
+  // Token creations from memecoins snapshots
+  for (const { json } of await readJsonFiles(path.join(bitqueryResultsDir, 'memecoins'))) {
+    for (const instruction of json?.data?.Solana?.Instructions || []) {
+      const args = instruction.Instruction?.Program?.Arguments || [];
+      addToken({
+        name: args[0]?.Value?.string,
+        symbol: args[1]?.Value?.string,
+        uri: args[2]?.Value?.string,
+        address: args[3]?.Value?.address,
+        create_tx: instruction.Transaction?.Signature,
+        created_at: instruction.Block?.Time
+      });
+    }
+  }
+
+  // Trades from prices snapshots, one price row per trade
+  const trades = [];
+  for (const { json } of await readJsonFiles(path.join(bitqueryResultsDir, 'prices'))) {
+    // Current snapshots (DEXTradeByTokens) carry real traded amounts
+    for (const row of json?.data?.Solana?.DEXTradeByTokens || []) {
+      const trade = normalizeTrade(row);
+      if (!trade?.uri) continue;
+
+      trades.push({
+        token: addToken({ name: trade.name, symbol: trade.symbol, uri: trade.uri, address: trade.mint }),
+        time: Date.parse(trade.time),
+        priceUsd: trade.priceUsd,
+        priceSol: trade.priceSol,
+        volumeUsd: trade.volumeUsd
+      });
+    }
+
+    // Legacy snapshots (DEXTrades, one latest trade per mint) have no amounts;
+    // their unit price stands in for volume as it did when they were ingested
+    for (const trade of json?.data?.Solana?.DEXTrades || []) {
+      const currency = trade.Trade?.Buy?.Currency;
+      if (!currency?.Uri || !trade.Block?.Time) continue;
+
+      const token = addToken({
+        name: currency.Name,
+        symbol: currency.Symbol,
+        uri: currency.Uri,
+        address: currency.MintAddress
+      });
+      trades.push({
+        token,
+        time: Date.parse(trade.Block.Time),
+        priceUsd: parseFloat(trade.Trade.Buy.PriceInUSD) || 0,
+        priceSol: parseFloat(trade.Trade.Buy.Price) || 0,
+        volumeUsd: parseFloat(trade.Trade.Buy.PriceInUSD) || 0
+      });
+    }
+  }
+  trades.sort((a, b) => a.time - b.time);
+
+  // volume_24h is the trailing 24h USD volume (as in pushCandles),
+  // computed only from trades at or before each row
+  const windows = new Map();
+  const prices = trades.map(trade => {
+    const window = windows.get(trade.token.uri) || { trades: [], total: 0 };
+    windows.set(trade.token.uri, window);
+    window.trades.push(trade);
+    window.total += trade.volumeUsd;
+    while (window.trades[0].time <= trade.time - 24 * HOUR_MS) {
+      window.total -= window.trades.shift().volumeUsd;
+    }
+
+    return {
+      token_id: trade.token.id,
+      token_uri: trade.token.uri,
+      price_usd: trade.priceUsd,
+      price_sol: trade.priceSol,
+      volume_24h: window.total,
+      timestamp: new Date(trade.time).toISOString()
+    };
+  });
+
+  // Tokens only seen in trades became known with their first trade
+  trades.forEach(trade => {
+    if (!trade.token.created_at) trade.token.created_at = new Date(trade.time).toISOString();
+  });
+
+  // TikToks and comment mentions from scraper output
+  const tokens = [...tokensByUri.values()];
+  const tokensBySymbol = new Map();
+  const tokensByAddress = new Map();
+  tokens.forEach(token => {
+    if (token.symbol) {
+      if (!tokensBySymbol.has(token.symbol)) tokensBySymbol.set(token.symbol, []);
+      tokensBySymbol.get(token.symbol).push(token);
+    }
+    if (token.address) tokensByAddress.set(token.address, token);
+  });
+
+  const tiktoks = new Map();
+  const mentions = [];
+  const scraperFiles = await readJsonFiles(scraperResultsDir, file => file.startsWith('combined_results_'));
+
+  for (const { json } of scraperFiles) {
+    for (const result of json.results || []) {
+      for (const video of result.videos || []) {
+        const id = video.video_url?.match(/\/video\/(\d+)/)?.[1];
+        if (!id) continue;
+
+        const fetchedAt = video.extracted_time || json.extraction_time;
+        tiktoks.set(`${id}:${fetchedAt}`, {
+          id,
+          username: video.author || '',
+          url: video.video_url,
+          created_at: video.posted_timestamp ? new Date(video.posted_timestamp * 1000).toISOString() : fetchedAt,
+          fetched_at: fetchedAt,
+          views: formatViews(video.views?.toString() || '0'),
+          comments: video.comments?.count || 0,
+          hashtags: video.hashtags || []
+        });
+
+        for (const [key, mention] of Object.entries(video.comments?.mentions || {})) {
+          const address = mention.isTicker ? null : key.match(BASE58_ADDRESS)?.[0];
+          const matched = address
+            ? [tokensByAddress.get(address)].filter(Boolean)
+            : tokensBySymbol.get(key) || [];
+
+          matched.forEach(token => {
+            mentions.push({
+              tiktok_id: id,
+              token_id: token.id,
+              count: mention.count || 1,
+              mention_at: mention.timestamp ? new Date(mention.timestamp * 1000).toISOString() : fetchedAt,
+              // The comment was only seen by us when the video was scraped
+              observed_at: fetchedAt,
+              source: 'tiktok'
+            });
+          });
+        }
+      }
+    }
+  }
+
+  return { tokens, prices, mentions, tiktoks: [...tiktoks.values()] };
+}
+
+async function fetchAll(buildQuery, pageSize = 1000) {
+  const rows = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+/**
+ * Load a time range of tokens, prices, tiktoks and mentions from Supabase
+ */
+export async function loadSupabaseData(supabase, { from, to, lookbackMs = 24 * HOUR_MS }) {
+  const since = new Date(from - lookbackMs).toISOString();
+  const until = new Date(to).toISOString();
+
+  console.log(`📥 Loading Supabase data from ${since} to ${until}...`);
+
+  const prices = await fetchAll(() => supabase
+    .from('prices')
+    .select('token_id, token_uri, price_usd, price_sol, volume_24h, market_cap, timestamp, trade_at')
+    .gte('timestamp', since)
+    .lte('timestamp', until)
+    .order('timestamp', { ascending: true }));
+
+  const mentions = await fetchAll(() => supabase
+    .from('mentions')
+    .select('tiktok_id, token_id, count, mention_at, source, sentiment, confidence')
+    .gte('mention_at', since)
+    .lte('mention_at', until)
+    .order('mention_at', { ascending: true }));
+
+  const tiktoks = await fetchAll(() => supabase
+    .from('tiktoks')
+    .select('id, username, url, created_at, fetched_at, views, comments, likes, shares')
+    .lte('fetched_at', until)
+    .gte('fetched_at', since)
+    .order('fetched_at', { ascending: true }));
+
+  const tokenIds = [...new Set([...prices, ...mentions].map(row => row.token_id).filter(Boolean))];
+  const tokens = [];
+  for (let i = 0; i < tokenIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from('tokens')
+      .select('id, uri, name, symbol, address, created_at')
+      .in('id', tokenIds.slice(i, i + 200));
+    if (error) throw error;
+    tokens.push(...(data || []));
+  }
+
+  console.log(`✅ Loaded ${prices.length} prices, ${mentions.length} mentions, ${tiktoks.length} tiktoks, ${tokens.length} tokens`);
+  return { tokens, prices, mentions, tiktoks };
+}
+
+// =====================================================
+// BACKTESTER
+// =====================================================
+
+export class Backtester {
+  constructor(data, options = {}) {
+    this.data = data;
+    this.options = {
+      stepMs: 15 * MINUTE_MS,
+      horizonMs: HOUR_MS,
+      startingCash: 10000,
+      thresholds: {},
+      maxPriceAgeMinutes: 60,
+      verbose: false,
+      ...options
+    };
+
+    const priceTimes = (data.prices || []).map(price => visibleAt('prices', price)).filter(Number.isFinite);
+    this.from = toTime(this.options.from ?? priceTimes.reduce((min, time) => Math.min(min, time), Infinity));
+    this.to = toTime(this.options.to ?? priceTimes.reduce((max, time) => Math.max(max, time), -Infinity));
+
+    if (!Number.isFinite(this.from) || !Number.isFinite(this.to)) {
+      throw new Error('No price data in range to backtest');
+    }
+
+    this.clock = this.from;
+    const now = () => this.clock;
+
+    this.store = new HistoricalDataStore(data, { now });
+    this.engine = new PaperTradingEngine(this.store, {
+      persist: false,
+      startingCash: this.options.startingCash,
+      maxPriceAgeMinutes: this.options.maxPriceAgeMinutes,
+      now
+    });
+    this.agent = new RealtimeDecisionAgent(this.store, { now, paperTrading: this.engine });
+    this.equityCurve = [];
+  }
+
+  async run() {
+    const log = console.log;
+    if (!this.options.verbose) console.log = () => {};
+
+    try {
+      await this.agent.initialize();
+      Object.assign(this.agent.opportunityThresholds, this.options.thresholds);
+
+      for (this.clock = this.from; this.clock <= this.to; this.clock += this.options.stepMs) {
+        await this.step();
+      }
+      this.clock = this.to;
+    } finally {
+      console.log = log;
+    }
+
+    return this.buildReport();
+  }
+
+  /**
+   * One tick of the live loop (RealtimeDecisionAgent.processRealtimeData)
+   */
+  async step() {
+    await this.agent.enforceExits();
+    const opportunities = await this.agent.detectOpportunities();
+    const riskAssessments = await this.agent.assessRisks(opportunities);
+    const decisions = await this.agent.makeDecisions(opportunities, riskAssessments);
+    await this.agent.executeDecisions(decisions);
+
+    const portfolio = await this.engine.getPortfolio();
+    this.equityCurve.push({ time: this.clock, totalValue: portfolio.totalValue });
+  }
+
+  /**
+   * Price at or before `time` from the full dataset. Only used to score
+   * decisions after the replay, never fed back into the pipeline.
+   */
+  priceAt(tokenUri, time) {
+    if (!this.pricesByUri) {
+      this.pricesByUri = new Map();
+      (this.data.prices || []).forEach(price => {
+        if (!this.pricesByUri.has(price.token_uri)) this.pricesByUri.set(price.token_uri, []);
+        this.pricesByUri.get(price.token_uri).push({ time: visibleAt('prices', price), price: parseFloat(price.price_usd) });
+      });
+      this.pricesByUri.forEach(series => series.sort((a, b) => a.time - b.time));
+    }
+
+    const series = this.pricesByUri.get(tokenUri) || [];
+    let low = 0;
+    let high = series.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (series[mid].time <= time) low = mid + 1;
+      else high = mid;
+    }
+    const found = series[low - 1];
+    return found?.price > 0 ? found.price : null;
+  }
+
+  calculateMaxDrawdown() {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    this.equityCurve.forEach(({ totalValue }) => {
+      peak = Math.max(peak, totalValue);
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - totalValue) / peak);
+    });
+    return maxDrawdown;
+  }
+
+  calculateActionStats() {
+    const expectations = { BUY: 1, ALERT: 1, SELL: -1, AVOID: -1 };
+    const stats = {};
+
+    for (const decision of this.store.writes.decision_history || []) {
+      const action = decision.decision_action || 'UNKNOWN';
+      const entry = stats[action] || (stats[action] = { count: 0, executed: 0, scored: 0, hits: 0, totalForwardReturn: 0 });
+      entry.count++;
+      if (decision.execution_success) entry.executed++;
+
+      const decidedAt = toTime(decision.created_at);
+      const exitAt = decidedAt + this.options.horizonMs;
+      if (exitAt > this.to) continue;
+
+      const entryPrice = this.priceAt(decision.token_uri, decidedAt);
+      const exitPrice = this.priceAt(decision.token_uri, exitAt);
+      if (!entryPrice || !exitPrice) continue;
+
+      const forwardReturn = (exitPrice - entryPrice) / entryPrice;
+      entry.scored++;
+      entry.totalForwardReturn += forwardReturn;
+      if (expectations[action] && Math.sign(forwardReturn) === expectations[action]) entry.hits++;
+    }
+
+    return Object.fromEntries(Object.entries(stats).map(([action, entry]) => [action, {
+      count: entry.count,
+      executed: entry.executed,
+      scored: entry.scored,
+      avgForwardReturn: entry.scored > 0 ? entry.totalForwardReturn / entry.scored : null,
+      hitRate: expectations[action] && entry.scored > 0 ? entry.hits / entry.scored : null
+    }]));
+  }
+
+  async buildReport() {
+    const portfolio = await this.engine.getPortfolio();
+    const closedTrades = this.engine.trades.filter(trade => trade.side === 'SELL');
+    const wins = closedTrades.filter(trade => trade.realizedPnl > 0);
+    const exitReasons = {};
+    closedTrades.forEach(trade => {
+      exitReasons[trade.reason] = (exitReasons[trade.reason] || 0) + 1;
+    });
+
+    return {
+      range: {
+        from: new Date(this.from).toISOString(),
+        to: new Date(this.to).toISOString(),
+        steps: this.equityCurve.length,
+        stepMinutes: this.options.stepMs / MINUTE_MS
+      },
+      pnl: {
+        startingCash: this.options.startingCash,
+        finalValue: portfolio.totalValue,
+        totalPnl: portfolio.totalValue - this.options.startingCash,
+        returnPct: portfolio.returnPct,
+        realizedPnl: portfolio.realizedPnl,
+        unrealizedPnl: portfolio.unrealizedPnl,
+        feesPaid: portfolio.feesPaid,
+        maxDrawdown: this.calculateMaxDrawdown()
+      },
+      trades: {
+        fills: this.engine.trades.length,
+        closed: closedTrades.length,
+        open: portfolio.positions.length,
+        hitRate: closedTrades.length > 0 ? wins.length / closedTrades.length : null,
+        exitReasons
+      },
+      actions: this.calculateActionStats(),
+      horizonMinutes: this.options.horizonMs / MINUTE_MS,
+      equityCurve: this.equityCurve
+    };
+  }
+}
+
+// =====================================================
+// CLI
+// =====================================================
+
+const formatPct = (value) => value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+const formatUsd = (value) => `$${value.toFixed(2)}`;
+
+function printReport(report) {
+  console.log('\n📊 BACKTEST REPORT');
+  console.log('==================');
+  console.log(`🕒 ${report.range.from} → ${report.range.to} (${report.range.steps} steps of ${report.range.stepMinutes}m)`);
+  console.log(`💰 Final value: ${formatUsd(report.pnl.finalValue)} (P&L ${formatUsd(report.pnl.totalPnl)}, ${formatPct(report.pnl.returnPct)})`);
+  console.log(`   Realized: ${formatUsd(report.pnl.realizedPnl)}, unrealized: ${formatUsd(report.pnl.unrealizedPnl)}, fees: ${formatUsd(report.pnl.feesPaid)}`);
+  console.log(`📉 Max drawdown: ${formatPct(report.pnl.maxDrawdown)}`);
+  console.log(`🎯 Trades: ${report.trades.fills} fills, ${report.trades.closed} closed, ${report.trades.open} open, hit rate ${formatPct(report.trades.hitRate)}`);
+  if (Object.keys(report.trades.exitReasons).length > 0) {
+    console.log(`   Exits: ${Object.entries(report.trades.exitReasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+  }
+
+  console.log(`\n🧭 Actions (forward return over ${report.horizonMinutes}m):`);
+  const actions = Object.entries(report.actions);
+  if (actions.length === 0) console.log('   No decisions were made');
+  actions.forEach(([action, stats]) => {
+    console.log(`   ${action.padEnd(6)} ${String(stats.count).padStart(5)} decisions, ${stats.executed} executed, avg fwd ${formatPct(stats.avgForwardReturn)}, hit rate ${formatPct(stats.hitRate)}`);
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      source: { type: 'string', default: 'snapshots' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      step: { type: 'string', default: '15m' },
+      horizon: { type: 'string', default: '1h' },
+      cash: { type: 'string', default: '10000' },
+      'min-sentiment': { type: 'string' },
+      'min-volume-growth': { type: 'string' },
+      'max-price-age': { type: 'string', default: '60' },
+      'bitquery-results': { type: 'string', default: DEFAULT_BITQUERY_RESULTS_DIR },
+      'scraper-results': { type: 'string', default: DEFAULT_SCRAPER_RESULTS_DIR },
+      output: { type: 'string' },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  const from = values.from ? Date.parse(values.from) : undefined;
+  const to = values.to ? Date.parse(values.to) : undefined;
+
+  console.log('🧪 Decision Pipeline Backtest');
+  console.log('=============================');
+
+  let data;
+  if (values.source === 'supabase') {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set for --source supabase');
+      process.exit(1);
+    }
+    if (from === undefined || to === undefined) {
+      console.error('❌ --from and --to are required for --source supabase');
+      process.exit(1);
+    }
+    data = await loadSupabaseData(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY), { from, to });
+  } else {
+    console.log('📂 Loading JSON snapshots...');
+    data = await loadSnapshotData({
+      bitqueryResultsDir: values['bitquery-results'],
+      scraperResultsDir: values['scraper-results']
+    });
+    console.log(`✅ Loaded ${data.prices.length} prices, ${data.mentions.length} mentions, ${data.tiktoks.length} tiktoks, ${data.tokens.length} tokens`);
+  }
+
+  if (data.prices.length === 0) {
+    console.error('❌ No price data loaded. Fetch prices first (bitquery prices script) or use --source supabase');
+    process.exit(1);
+  }
+
+  const thresholds = {};
+  if (values['min-sentiment']) thresholds.minSentimentScore = parseFloat(values['min-sentiment']);
+  if (values['min-volume-growth']) thresholds.minVolumeGrowth = parseFloat(values['min-volume-growth']);
+
+  const backtester = new Backtester(data, {
+    from,
+    to,
+    stepMs: parseDuration(values.step),
+    horizonMs: parseDuration(values.horizon),
+    startingCash: parseFloat(values.cash),
+    maxPriceAgeMinutes: parseFloat(values['max-price-age']),
+    thresholds,
+    verbose: values.verbose
+  });
+
+  console.log(`⏩ Replaying ${new Date(backtester.from).toISOString()} → ${new Date(backtester.to).toISOString()}...`);
+  const report = await backtester.run();
+  printReport(report);
+
+  if (values.output) {
+    await fs.writeFile(values.output, JSON.stringify(report, null, 2), 'utf-8');
+    console.log(`\n💾 Report saved to ${values.output}`);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Backtest failed:', error);
+    process.exit(1);
+  });
+}
+
+export default Backtester;
@@ -0,0 +1,471 @@
+#!/usr/bin/env node
+
+/**
+ * bimboh-scrape
+ *
+ * One entry point for every scraper that used to live in its own copy of the
+ * TikTok pipeline (index.mjs, auto_scrape_and_store.mjs, linux/, windows/ and
+ * store_scraped_data.mjs):
+ * - `tiktok`: search and hashtag feeds, stored video by video
+ * - `telegram`: public channel previews and RSS
+ * - `outlight`: channels listed on Outlight.fun, then their messages
+ * - `ingest-file`: stores records saved by an earlier run (NDJSON output or
+ *   the old combined_results_*.json backups)
+ * `--dry-run` writes records to NDJSON or CSV and never creates a Supabase
+ * client. Every record handled is appended to a ledger file (one URL per line)
+ * and `--resume` skips whatever the ledger already holds, so an interrupted
+ * run can be restarted where it stopped.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  DEFAULT_HASHTAG_TERMS,
+  DEFAULT_SEARCH_TERMS,
+  TikTokStore,
+  buildTikTokRecord,
+  launchBrowser,
+  scrapeFeed
+} from './tiktok_pipeline.mjs';
+
+// Load environment variables
+dotenv.config();
+
+export const COMMANDS = ['tiktok', 'telegram', 'outlight', 'ingest-file'];
+
+const RESULTS_DIR = 'results';
+const FEED_PAUSE_MS = 5000;
+const CHANNEL_PAUSE_MS = 2000;
+
+// Per feed for TikTok, per channel for Telegram and Outlight
+const DEFAULT_MAX_RESULTS = { search: 100, hashtag: 200, telegram: 50, outlight: 200 };
+
+const USAGE = `Usage: bimboh-scrape <${COMMANDS.join('|')}> [options]
+
+  --keywords a,b,c      TikTok search terms; for telegram/outlight, keep only
+                        messages that contain one of them
+  --hashtags a,b,c      TikTok hashtag feeds ('' to skip hashtags)
+  --channels a,b,c      Telegram channels (default: enabled telegram_channels)
+  --max-results N       videos per feed, or messages per channel
+  --headless / --no-headless
+  --browser-path PATH   Chrome executable (default: $EXECUTABLE_PATH)
+  --user-data-dir DIR   Chrome profile (default: $USER_DATA_DIR)
+  --browser-ws URL      attach to a running Chrome instead of launching one
+  --stealth             use puppeteer-extra's stealth plugin
+  --dry-run             write records to --out without touching the database
+  --out FILE            .ndjson or .csv output (default: results/bimboh-scrape-<command>.ndjson)
+  --format ndjson|csv   output format when --out has another extension
+  --resume              skip URLs already in the ledger and append to --out
+  --state FILE          ledger of processed URLs
+
+  ingest-file takes file arguments (default: ./combined_results_*.json)`;
+
+export class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const splitList = value => (value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+export const messageUrl = message => `https://t.me/${message.channel_id}/${message.message_id}`;
+
+const isTikTok = record => typeof record.video_url === 'string';
+const isTelegramMessage = record => record.channel_id != null && record.message_id != null;
+
+// Ledger key: the URL a record was scraped from
+export const recordKey = record => (isTikTok(record) ? record.video_url : messageUrl(record));
+
+// CSV rows are flattened to these columns; NDJSON keeps the full record so it can be ingested later
+const CSV_COLUMNS = {
+  tiktok: ['id', 'url', 'username', 'search', 'views', 'comments', 'mentions', 'created_at', 'fetched_at'],
+  telegram: ['channel_id', 'message_id', 'url', 'date', 'views', 'text', 'has_photo', 'has_video', 'scraped_at']
+};
+
+function csvRow(record, now) {
+  if (isTikTok(record)) {
+    const row = buildTikTokRecord(record, now);
+    return row && { ...row, search: record.search, mentions: Object.keys(record.comments?.mentions || {}) };
+  }
+  return { ...record, url: messageUrl(record) };
+}
+
+export function csvValue(value) {
+  if (value == null) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Appends records to an NDJSON or CSV file. `append: false` starts the file
+ * over; a CSV header is only written to an empty file.
+ */
+export class RecordWriter {
+  constructor(file, { format = 'ndjson', append = false, now = () => Date.now() } = {}) {
+    this.file = file;
+    this.format = format;
+    this.now = now;
+    this.count = 0;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!append) fs.writeFileSync(file, '');
+    this.needsHeader = format === 'csv' && (!fs.existsSync(file) || fs.statSync(file).size === 0);
+  }
+
+  write(record) {
+    if (this.format === 'ndjson') {
+      fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    } else {
+      const row = csvRow(record, new Date(this.now()));
+      if (!row) return;
+      const columns = CSV_COLUMNS[isTikTok(record) ? 'tiktok' : 'telegram'];
+      const lines = this.needsHeader ? [columns.join(',')] : [];
+      lines.push(columns.map(column => csvValue(row[column])).join(','));
+      fs.appendFileSync(this.file, `${lines.join('\n')}\n`);
+      this.needsHeader = false;
+    }
+    this.count++;
+  }
+}
+
+/**
+ * Keys of every record a command has handled, one per line
+ */
+export class ProcessedLedger {
+  constructor(file) {
+    this.file = file;
+    this.keys = new Set();
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(key => this.keys.add(key));
+    }
+  }
+
+  has(key) {
+    return this.keys.has(key);
+  }
+
+  add(key) {
+    if (this.keys.has(key)) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${key}\n`);
+    this.keys.add(key);
+  }
+}
+
+/**
+ * Flags and defaults for one invocation; throws CliUsageError on bad input
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        keywords: { type: 'string' },
+        hashtags: { type: 'string' },
+        channels: { type: 'string' },
+        'max-results': { type: 'string' },
+        headless: { type: 'boolean', default: true },
+        'no-headless': { type: 'boolean', default: false },
+        'browser-path': { type: 'string', default: process.env.EXECUTABLE_PATH },
+        'user-data-dir': { type: 'string', default: process.env.USER_DATA_DIR },
+        'browser-ws': { type: 'string' },
+        stealth: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        out: { type: 'string' },
+        format: { type: 'string' },
+        resume: { type: 'boolean', default: false },
+        state: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new CliUsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...files] = positionals;
+  if (values.help) return { command: 'help' };
+  if (!COMMANDS.includes(command)) {
+    throw new CliUsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (files.length && command !== 'ingest-file') {
+    throw new CliUsageError(`Unexpected argument: ${files[0]}`);
+  }
+
+  let maxResults = null;
+  if (values['max-results'] !== undefined) {
+    maxResults = parseInt(values['max-results'], 10);
+    if (!(maxResults > 0)) throw new CliUsageError('--max-results must be a positive number');
+  }
+
+  const dryRun = values['dry-run'];
+  const out = values.out || (dryRun ? path.join(RESULTS_DIR, `bimboh-scrape-${command}.ndjson`) : null);
+  const format = values.format || (out?.endsWith('.csv') ? 'csv' : 'ndjson');
+  if (!['ndjson', 'csv'].includes(format)) throw new CliUsageError(`Unknown --format: ${format}`);
+
+  return {
+    command,
+    files,
+    keywords: values.keywords !== undefined ? splitList(values.keywords) : null,
+    hashtags: values.hashtags !== undefined ? splitList(values.hashtags) : null,
+    channels: values.channels !== undefined ? splitList(values.channels) : null,
+    maxResults,
+    browser: {
+      headless: values.headless && !values['no-headless'],
+      executablePath: values['browser-path'],
+      userDataDir: values['user-data-dir'],
+      browserWSEndpoint: values['browser-ws'],
+      stealth: values.stealth
+    },
+    dryRun,
+    out,
+    format,
+    resume: values.resume,
+    // A dry run's ledger sits next to its output, so resuming it never skips what a live run still has to store
+    state: values.state || (dryRun ? `${out}.processed` : path.join(RESULTS_DIR, `bimboh-scrape-${command}.processed`))
+  };
+}
+
+/**
+ * Hands each record to the database (unless dry-run) and the output file,
+ * then marks it processed. A record that failed to store stays out of the
+ * ledger so `--resume` retries it.
+ */
+class RecordSink {
+  constructor({ writer, ledger, resume }) {
+    this.writer = writer;
+    this.ledger = ledger;
+    this.seen = new Set(resume ? ledger.keys : []);
+    this.stats = { processed: 0, skipped: 0, stored: 0, failed: 0, mentions: 0 };
+  }
+
+  skip(record) {
+    if (!this.seen.has(recordKey(record))) return false;
+    this.stats.skipped++;
+    return true;
+  }
+
+  accept(record, { stored = null, mentions = 0 } = {}) {
+    if (stored === false) {
+      this.stats.failed++;
+      return;
+    }
+    if (stored) this.stats.stored++;
+    this.stats.mentions += mentions;
+    this.writer?.write(record);
+    this.ledger.add(recordKey(record));
+    this.seen.add(recordKey(record));
+    this.stats.processed++;
+  }
+}
+
+const matchesKeywords = (message, keywords) =>
+  !keywords?.length || keywords.some(keyword => (message.text || '').toLowerCase().includes(keyword.toLowerCase()));
+
+async function scrapeTikTok(options, sink, deps) {
+  const store = options.dryRun ? null : new TikTokStore(deps.supabase(), { now: deps.now });
+  const browser = await deps.launchBrowser(options.browser);
+  try {
+    const page = await browser.newPage();
+    const onVideo = async video => sink.accept(video, store ? await store.storeVideo(video) : {});
+    const feeds = [
+      ...(options.keywords ?? DEFAULT_SEARCH_TERMS).map(keyword => ['search', keyword]),
+      ...(options.hashtags ?? DEFAULT_HASHTAG_TERMS).map(keyword => ['hashtag', keyword])
+    ];
+
+    for (const [index, [kind, keyword]] of feeds.entries()) {
+      if (index > 0) await deps.sleep(FEED_PAUSE_MS);
+      // scrapeFeed adds every URL it hands over to this set
+      await deps.scrapeFeed(page, kind, keyword, {
+        maxResults: options.maxResults ?? DEFAULT_MAX_RESULTS[kind],
+        processedUrls: sink.seen,
+        onVideo
+      });
+    }
+  } finally {
+    // An attached browser belongs to whoever started it
+    await (options.browser.browserWSEndpoint ? browser.disconnect() : browser.close()).catch(() => {});
+  }
+}
+
+async function handleMessages(messages, scraper, options, sink) {
+  const fresh = messages.filter(message => !sink.skip(message) && matchesKeywords(message, options.keywords));
+  if (fresh.length === 0) return;
+  // A failed batch is counted but left out of the ledger so --resume retries it
+  const stored = options.dryRun ? null : await scraper.storeMessages(fresh) === true;
+  fresh.forEach(message => sink.accept(message, { stored }));
+}
+
+async function scrapeTelegram(options, sink, deps) {
+  const scraper = new (await deps.TelegramChannelScraper())({ dryRun: options.dryRun });
+  let channels = options.channels;
+  if (!channels) {
+    if (options.dryRun) throw new CliUsageError('telegram --dry-run needs --channels (channel list lives in the database)');
+    channels = (await scraper.loadChannels()).map(channel => channel.username);
+  }
+
+  for (const [index, channel] of channels.entries()) {
+    if (index > 0) await deps.sleep(CHANNEL_PAUSE_MS);
+    const limit = options.maxResults ?? DEFAULT_MAX_RESULTS.telegram;
+    const messages = await scraper.scrapeChannel(channel, limit);
+    await handleMessages(messages.slice(0, limit), scraper, options, sink);
+  }
+}
+
+async function scrapeOutlight(options, sink, deps) {
+  const scraper = new (await deps.OutlightScraper())({
+    dryRun: options.dryRun,
+    supabase: options.dryRun ? undefined : deps.supabase(),
+    browser: { headless: options.browser.headless, executablePath: options.browser.executablePath }
+  });
+
+  const channels = await scraper.discoverChannels();
+  for (const [index, channel] of channels.entries()) {
+    if (index > 0) await deps.sleep(CHANNEL_PAUSE_MS);
+    if (!options.dryRun) await scraper.storeChannel(channel);
+    const messages = await scraper.scrapeTelegramChannel(channel.username, options.maxResults ?? DEFAULT_MAX_RESULTS.outlight);
+    await handleMessages(messages, scraper, options, sink);
+  }
+}
+
+/**
+ * Records in an NDJSON file, a JSON array, or a combined_results backup
+ * ({ results: [{ search, videos }] })
+ */
+export function readRecords(file) {
+  if (file.endsWith('.csv')) {
+    throw new CliUsageError(`${file}: CSV output drops comment mentions; ingest the NDJSON output instead`);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.ndjson') || file.endsWith('.jsonl')) {
+    return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) return data;
+  return (data.results || []).flatMap(result => (result.videos || []).map(video => ({ search: result.search, ...video })));
+}
+
+async function ingestFiles(options, sink, deps) {
+  const files = options.files.length
+    ? options.files
+    : fs.readdirSync('.').filter(file => file.startsWith('combined_results_') && file.endsWith('.json'));
+  if (files.length === 0) throw new CliUsageError('No files to ingest');
+
+  const store = options.dryRun ? null : new TikTokStore(deps.supabase(), { now: deps.now });
+  let telegram = null;
+
+  for (const file of files) {
+    const records = readRecords(file);
+    console.log(`\n📂 Ingesting ${records.length} records from ${file}`);
+
+    const messages = [];
+    for (const record of records) {
+      if (!isTikTok(record) && !isTelegramMessage(record)) {
+        console.log('⚠️ Skipping record that is neither a TikTok video nor a Telegram message');
+        continue;
+      }
+      if (sink.skip(record)) continue;
+
+      if (isTelegramMessage(record)) {
+        messages.push(record);
+      } else {
+        sink.accept(record, store ? await store.storeVideo(record) : {});
+      }
+    }
+
+    if (messages.length > 0) {
+      if (!options.dryRun) telegram ??= new (await deps.TelegramChannelScraper())();
+      await handleMessages(messages, telegram, options, sink);
+    }
+  }
+}
+
+const RUNNERS = {
+  tiktok: scrapeTikTok,
+  telegram: scrapeTelegram,
+  outlight: scrapeOutlight,
+  'ingest-file': ingestFiles
+};
+
+function defaultSupabase() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+    throw new CliUsageError('SUPABASE_URL and SUPABASE_KEY must be set (or pass --dry-run)');
+  }
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+}
+
+/**
+ * Run one command. `deps` replaces the browser, scrapers and Supabase client
+ * (tests); the scrapers are loaded lazily so `tiktok` never pulls in the
+ * Telegram bot or Outlight's dependencies.
+ */
+export async function runCli(argv, deps = {}) {
+  const options = parseCliArgs(argv);
+  if (options.command === 'help') {
+    console.log(USAGE);
+    return null;
+  }
+
+  let supabase = null;
+  const resolved = {
+    launchBrowser,
+    scrapeFeed,
+    sleep,
+    now: () => Date.now(),
+    TelegramChannelScraper: async () => (await import('./telegram_scraper.mjs')).TelegramChannelScraper,
+    OutlightScraper: async () => (await import('./outlight-scraper.mjs')).OutlightScraper,
+    ...deps,
+    // Created on first use, so a dry run never connects
+    supabase: () => (supabase ??= deps.supabase || defaultSupabase())
+  };
+
+  const ledger = new ProcessedLedger(options.state);
+  const writer = options.out
+    ? new RecordWriter(options.out, { format: options.format, append: options.resume, now: resolved.now })
+    : null;
+  const sink = new RecordSink({ writer, ledger, resume: options.resume });
+
+  console.log(`🚀 bimboh-scrape ${options.command}${options.dryRun ? ' (dry run)' : ''}`);
+  if (options.resume) console.log(`⏭️ Resuming: ${ledger.keys.size} URLs already processed (${options.state})`);
+
+  await RUNNERS[options.command](options, sink, resolved);
+
+  const { stats } = sink;
+  console.log('\n📊 SUMMARY:');
+  console.log(`✅ Processed: ${stats.processed}`);
+  if (!options.dryRun) console.log(`💾 Stored: ${stats.stored} (🔗 ${stats.mentions} mentions)`);
+  console.log(`⏭️ Skipped (already processed): ${stats.skipped}`);
+  console.log(`❌ Failed: ${stats.failed}`);
+  if (writer) console.log(`📁 ${writer.count} records written to ${options.out}`);
+
+  return { command: options.command, dryRun: options.dryRun, out: options.out, state: options.state, ...stats };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  try {
+    await runCli(argv);
+  } catch (error) {
+    if (error instanceof CliUsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    console.error('❌ bimboh-scrape failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly (npm's bin link points here through a symlink)
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+  main();
+}
@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+
+/**
+ * Clone Detection
+ *
+ * Every successful pump.fun launch is followed by copycats: the same ticker
+ * with a zero for an O, "Official" in front of the name, the same logo
+ * re-uploaded. This module groups tokens that look alike:
+ * - Same symbol or name once normalized (case, accents, lookalike characters,
+ *   filler words such as "official" or "token" are ignored)
+ * - Logos whose 64-bit difference hashes are within a few bits of each other
+ * Within each group the canonical token is picked by age, liquidity and holder
+ * count; the others are marked as likely impersonators in `token_clones`.
+ * Search results and the mention extractor's symbol resolution read it back.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import sharp from 'sharp';
+import { parseArgs } from 'util';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 1000;
+
+export const DEFAULT_OPTIONS = {
+  maxLogoDistance: 6, // differing bits out of 64 that still count as the same logo
+  minNameLength: 3, // shorter normalized names are too generic to group on
+  ipfsGateway: 'https://ipfs.io/ipfs/',
+  timeoutMs: 10000,
+  // Canonical pick: share of the group's best age, liquidity and holder count
+  weights: { age: 0.4, liquidity: 0.35, holders: 0.25 }
+};
+
+// How strongly each kind of match says "copy of the canonical token"
+const MATCH_WEIGHTS = { symbol: 0.4, name: 0.3, logo: 0.3 };
+// Joined the group through another member rather than the canonical token itself
+const LINKED_SIMILARITY = 0.2;
+
+// Characters swapped in to dodge exact-match search
+const CONFUSABLES = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', l: 'i', $: 's', '@': 'a',
+  а: 'a', в: 'b', е: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x', і: 'i', ј: 'j', ѕ: 's',
+  α: 'a', β: 'b', ε: 'e', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x'
+};
+
+const foldConfusables = text => [...text].map(char => CONFUSABLES[char] ?? char).join('');
+
+// Compared after folding, so "0fficial" is filler too
+const FILLER_WORDS = new Set(['the', 'official', 'real', 'og', 'token', 'coin', 'on', 'sol', 'solana'].map(foldConfusables));
+
+/**
+ * Comparable form of a token name or symbol: "The OFFICIAL Bönk Coin" and
+ * "B0NK" both become "bonk". Empty string when nothing is left.
+ */
+export function normalizeTokenName(value) {
+  if (typeof value !== 'string') return '';
+  const folded = value
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .trim()
+    .replace(/^[$#]+/, '');
+
+  const words = foldConfusables(folded)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  // Keep filler words when they are the whole name ("The Coin")
+  const meaningful = words.filter(word => !FILLER_WORDS.has(word));
+  return (meaningful.length ? meaningful : words).join('');
+}
+
+/**
+ * 64-bit difference hash of an image as 16 hex characters. Each bit says
+ * whether a pixel of the 9x8 greyscale thumbnail is brighter than its right
+ * neighbour, so re-encoded, resized or slightly recoloured copies hash alike.
+ */
+export async function logoHash(image) {
+  const pixels = await sharp(image)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two logo hashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+class DisjointSet {
+  constructor(size) {
+    this.parent = Array.from({ length: size }, (_, i) => i);
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  union(a, b) {
+    this.parent[this.find(a)] = this.find(b);
+  }
+}
+
+/**
+ * Group tokens that share a normalized symbol or name, or a near-identical
+ * logo. Returns the groups with more than one member, as arrays of tokens.
+ */
+export function groupClones(tokens, options = DEFAULT_OPTIONS) {
+  const { maxLogoDistance = DEFAULT_OPTIONS.maxLogoDistance, minNameLength = DEFAULT_OPTIONS.minNameLength } = options;
+  const sets = new DisjointSet(tokens.length);
+  const firstByKey = new Map();
+  const link = (key, index) => {
+    if (firstByKey.has(key)) sets.union(index, firstByKey.get(key));
+    else firstByKey.set(key, index);
+  };
+
+  tokens.forEach((token, index) => {
+    const symbol = normalizeTokenName(token.symbol);
+    if (symbol) link(`symbol:${symbol}`, index);
+    const name = normalizeTokenName(token.name);
+    if (name.length >= minNameLength) link(`name:${name}`, index);
+  });
+
+  // Two hashes within maxLogoDistance bits agree on at least one of
+  // maxLogoDistance + 1 bands, so only tokens sharing a band are compared
+  const bandCount = Math.min(16, maxLogoDistance + 1);
+  const bandWidth = Math.floor(16 / bandCount);
+  const buckets = new Map();
+  tokens.forEach((token, index) => {
+    if (!/^[0-9a-f]{16}$/.test(token.logo_hash || '')) return;
+    for (let band = 0; band < bandCount; band++) {
+      const end = band === bandCount - 1 ? 16 : (band + 1) * bandWidth;
+      const key = `${band}:${token.logo_hash.slice(band * bandWidth, end)}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+  buckets.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const [a, b] = [indexes[i], indexes[j]];
+        if (sets.find(a) === sets.find(b)) continue;
+        if (hammingDistance(tokens[a].logo_hash, tokens[b].logo_hash) <= maxLogoDistance) sets.union(a, b);
+      }
+    }
+  });
+
+  const groups = new Map();
+  tokens.forEach((token, index) => {
+    const root = sets.find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(token);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Why `token` looks like `canonical`: any of 'symbol', 'name', 'logo'
+ */
+export function matchReasons(token, canonical, options = DEFAULT_OPTIONS) {
+  const { maxLogoDistance = DEFAULT_OPTIONS.maxLogoDistance, minNameLength = DEFAULT_OPTIONS.minNameLength } = options;
+  const reasons = [];
+  const symbol = normalizeTokenName(token.symbol);
+  if (symbol && symbol === normalizeTokenName(canonical.symbol)) reasons.push('symbol');
+  const name = normalizeTokenName(token.name);
+  if (name.length >= minNameLength && name === normalizeTokenName(canonical.name)) reasons.push('name');
+  if (token.logo_hash && canonical.logo_hash && hammingDistance(token.logo_hash, canonical.logo_hash) <= maxLogoDistance) {
+    reasons.push('logo');
+  }
+  return reasons;
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Score each member against the group's best age, liquidity and holder count
+ * and return the members best first. `liquidity` and `holder_count` may be null.
+ */
+export function rankGroup(group, now, weights = DEFAULT_OPTIONS.weights) {
+  const age = token => Math.max(0, now - (Date.parse(token.created_at) || now));
+  const liquidity = token => Math.max(0, Number(token.liquidity) || 0);
+  const holders = token => Math.max(0, Number(token.holder_count) || 0);
+  const best = {
+    age: Math.max(...group.map(age)),
+    liquidity: Math.max(...group.map(liquidity)),
+    holders: Math.max(...group.map(holders))
+  };
+  const share = (value, max) => (max > 0 ? value / max : 0);
+
+  return group
+    .map(token => ({
+      token,
+      score: weights.age * share(age(token), best.age)
+        + weights.liquidity * share(liquidity(token), best.liquidity)
+        + weights.holders * share(holders(token), best.holders)
+    }))
+    .sort((a, b) => b.score - a.score
+      || (Date.parse(a.token.created_at) || Infinity) - (Date.parse(b.token.created_at) || Infinity)
+      || Number(a.token.id) - Number(b.token.id));
+}
+
+/**
+ * `token_clones` rows for one group: the canonical token plus every likely
+ * impersonator, scored 0-1 by how closely it copies the canonical token and
+ * how far it trails it.
+ */
+export function buildCloneRows(group, now, options = DEFAULT_OPTIONS) {
+  const ranked = rankGroup(group, now, options.weights || DEFAULT_OPTIONS.weights);
+  const [{ token: canonical, score: canonicalScore }] = ranked;
+  const checkedAt = new Date(now).toISOString();
+
+  return ranked.map(({ token, score }, position) => {
+    const isCanonical = position === 0;
+    const reasons = isCanonical ? [] : matchReasons(token, canonical, options);
+    const similarity = reasons.length
+      ? Math.min(1, reasons.reduce((sum, reason) => sum + MATCH_WEIGHTS[reason], 0))
+      : LINKED_SIMILARITY;
+    const trailing = canonicalScore > 0 ? 1 - score / canonicalScore : 0;
+
+    return {
+      token_id: token.id,
+      canonical_token_id: canonical.id,
+      is_canonical: isCanonical,
+      is_impersonator: !isCanonical,
+      impersonator_score: isCanonical ? 0 : round(similarity * (0.5 + 0.5 * trailing)),
+      match_reasons: isCanonical ? [] : (reasons.length ? reasons : ['linked']),
+      group_size: group.length,
+      checked_at: checkedAt
+    };
+  });
+}
+
+/**
+ * Group tokens and return `token_clones` rows for every member of every group
+ */
+export function detectClones(tokens, now, options = DEFAULT_OPTIONS) {
+  return groupClones(tokens, options).flatMap(group => buildCloneRows(group, now, options));
+}
+
+/**
+ * The clone row of a token, or null when it has no lookalikes
+ */
+export async function getCloneInfo(supabase, { tokenId }) {
+  const { data, error } = await supabase.from('token_clones').select('*').eq('token_id', tokenId).limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export class CloneDetectionTool {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = options.now || (() => Date.now());
+    this.fetchImpl = options.fetchImpl || fetch;
+  }
+
+  /**
+   * Hash up to `hashLimit` missing logos (newest tokens first), regroup every
+   * token and store the groups in `token_clones`. Rows this run did not
+   * rewrite belong to tokens that no longer have lookalikes and are deleted.
+   */
+  async execute({ hashLimit = 200 } = {}) {
+    try {
+      const tokens = await this.loadTokens();
+      console.log(`🪞 Checking ${tokens.length} token(s) for lookalikes...`);
+      const hashed = await this.hashMissingLogos(tokens, hashLimit);
+
+      const now = this.now();
+      const groups = groupClones(tokens, this.options);
+      await this.attachMarketData(groups.flat());
+      const rows = groups.flatMap(group => buildCloneRows(group, now, this.options));
+
+      if (this.supabase && this.options.persist !== false) {
+        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+          const { error } = await this.supabase.from('token_clones').upsert(rows.slice(i, i + BATCH_SIZE), { onConflict: 'token_id' });
+          if (error) throw error;
+        }
+        const { error } = await this.supabase.from('token_clones').delete().lt('checked_at', new Date(now).toISOString());
+        if (error) throw error;
+      }
+
+      const impersonators = rows.filter(row => row.is_impersonator);
+      console.log(`✅ ${groups.length} lookalike group(s), ${impersonators.length} likely impersonator(s), ${hashed} logo(s) hashed`);
+      return { success: true, groups: groups.length, hashed, rows };
+    } catch (error) {
+      console.error('Clone detection failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loadTokens() {
+    const tokens = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('tokens')
+        .select('id, uri, symbol, name, image_url, logo_hash, market_cap, created_at')
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      tokens.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return tokens;
+  }
+
+  async hashMissingLogos(tokens, limit) {
+    const missing = tokens
+      .filter(token => !token.logo_hash && (token.image_url || token.uri))
+      .sort((a, b) => (Date.parse(b.created_at) || 0) - (Date.parse(a.created_at) || 0))
+      .slice(0, limit);
+
+    let hashed = 0;
+    for (const token of missing) {
+      try {
+        token.logo_hash = await logoHash(await this.fetchLogo(token));
+      } catch (error) {
+        console.log(`⚠️ No logo for ${token.symbol || token.id}:`, error.message);
+        continue;
+      }
+      hashed++;
+      if (this.options.persist === false) continue;
+      const { error } = await this.supabase.from('tokens').update({ logo_hash: token.logo_hash }).eq('id', token.id);
+      if (error) throw error;
+    }
+    return hashed;
+  }
+
+  // pump.fun stores the logo behind the metadata JSON at `tokens.uri`
+  async fetchLogo(token) {
+    const imageUrl = token.image_url || (await this.fetchResource(token.uri).then(response => response.json())).image;
+    if (!imageUrl) throw new Error('metadata has no image');
+    const response = await this.fetchResource(imageUrl);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async fetchResource(url) {
+    const resolved = url.startsWith('ipfs://') ? this.options.ipfsGateway + url.slice('ipfs://'.length) : url;
+    const response = await this.fetchImpl(resolved, { signal: AbortSignal.timeout(this.options.timeoutMs) });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${resolved}`);
+    return response;
+  }
+
+  // Liquidity is the latest 24h volume (market cap when there is none), holders the latest snapshot
+  async attachMarketData(tokens) {
+    const ids = tokens.map(token => token.id);
+    const prices = new Map(
+      (await this.fetchOptional('prices', 'token_id, volume_24h, market_cap', ids, query => query
+        .eq('is_latest', true)
+        .order('token_id', { ascending: true })))
+        .map(row => [row.token_id, row])
+    );
+    const holders = new Map();
+    const snapshots = await this.fetchOptional('holder_snapshots', 'token_id, holder_count, taken_at', ids, query => query
+      .order('token_id', { ascending: true })
+      .order('taken_at', { ascending: false }));
+    snapshots.forEach(row => {
+      if (!holders.has(row.token_id)) holders.set(row.token_id, row.holder_count);
+    });
+
+    tokens.forEach(token => {
+      const price = prices.get(token.id);
+      token.liquidity = Number(price?.volume_24h) || Number(price?.market_cap) || Number(token.market_cap) || 0;
+      token.holder_count = holders.get(token.id) ?? null;
+    });
+  }
+
+  // Paged past the row cap; `refine` must order the rows so pages do not overlap
+  async fetchOptional(table, columns, tokenIds, refine) {
+    const rows = [];
+    try {
+      for (let i = 0; i < tokenIds.length; i += BATCH_SIZE) {
+        for (let from = 0; ; from += PAGE_SIZE) {
+          const { data, error } = await refine(this.supabase.from(table).select(columns).in('token_id', tokenIds.slice(i, i + BATCH_SIZE)))
+            .range(from, from + PAGE_SIZE - 1);
+          if (error) throw error;
+          rows.push(...(data || []));
+          if (!data || data.length < PAGE_SIZE) break;
+        }
+      }
+    } catch (error) {
+      console.log(`⚠️ ${table} not available, skipping:`, error.message);
+      return [];
+    }
+    return rows;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      'hash-limit': { type: 'string', default: '200' },
+      'max-logo-distance': { type: 'string', default: String(DEFAULT_OPTIONS.maxLogoDistance) },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  const tool = new CloneDetectionTool(supabase, {
+    persist: !values['dry-run'],
+    maxLogoDistance: parseInt(values['max-logo-distance'], 10)
+  });
+
+  const result = await tool.execute({ hashLimit: parseInt(values['hash-limit'], 10) });
+  if (!result.success) process.exit(1);
+  if (values['dry-run']) console.log(JSON.stringify(result.rows.filter(row => row.is_impersonator), null, 2));
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Clone detection failed:', error);
+    process.exit(1);
+  });
+}
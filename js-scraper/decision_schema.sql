@@ -105,6 +105,42 @@ CREATE TABLE IF NOT EXISTS portfolio_positions (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Paper trading portfolio - live state read by RealtimeDecisionAgent
+CREATE TABLE IF NOT EXISTS portfolio (
+    id SERIAL PRIMARY KEY,
+    account TEXT NOT NULL UNIQUE DEFAULT 'paper',
+    cash_balance DECIMAL(20,8) NOT NULL,
+    starting_cash DECIMAL(20,8) NOT NULL,
+    positions JSONB DEFAULT '[]'::jsonb, -- Open positions with stop-loss/take-profit prices
+    positions_value DECIMAL(20,8) DEFAULT 0,
+    total_value DECIMAL(20,8) NOT NULL,
+    realized_pnl DECIMAL(20,8) DEFAULT 0,
+    unrealized_pnl DECIMAL(20,8) DEFAULT 0,
+    fees_paid DECIMAL(20,8) DEFAULT 0,
+    risk_level TEXT CHECK (risk_level IN ('low', 'medium', 'high')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Paper trades - simulated fills
+CREATE TABLE IF NOT EXISTS paper_trades (
+    id SERIAL PRIMARY KEY,
+    account TEXT NOT NULL DEFAULT 'paper',
+    token_symbol TEXT NOT NULL,
+    token_uri TEXT,
+    side TEXT NOT NULL CHECK (side IN ('BUY', 'SELL')),
+    quantity DECIMAL(30,10) NOT NULL,
+    market_price DECIMAL(30,12) NOT NULL,
+    fill_price DECIMAL(30,12) NOT NULL,
+    slippage DECIMAL(8,6),
+    fee DECIMAL(20,8),
+    notional DECIMAL(20,8),
+    realized_pnl DECIMAL(20,8) DEFAULT 0,
+    reason TEXT CHECK (reason IN ('signal', 'stop_loss', 'take_profit')),
+    executed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- =====================================================
 -- MARKET CONDITIONS TABLES
 -- =====================================================
@@ -214,6 +250,10 @@ CREATE INDEX IF NOT EXISTS idx_action_executions_created_at ON action_executions
 CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_created_at ON portfolio_snapshots(created_at);
 CREATE INDEX IF NOT EXISTS idx_portfolio_positions_token_symbol ON portfolio_positions(token_symbol);
 CREATE INDEX IF NOT EXISTS idx_portfolio_positions_updated_at ON portfolio_positions(updated_at);
+CREATE INDEX IF NOT EXISTS idx_portfolio_updated_at ON portfolio(updated_at);
+CREATE INDEX IF NOT EXISTS idx_paper_trades_account ON paper_trades(account);
+CREATE INDEX IF NOT EXISTS idx_paper_trades_token_uri ON paper_trades(token_uri);
+CREATE INDEX IF NOT EXISTS idx_paper_trades_executed_at ON paper_trades(executed_at);
 
 -- Market conditions indexes
 CREATE INDEX IF NOT EXISTS idx_market_conditions_timestamp ON market_conditions(timestamp);
@@ -426,6 +466,8 @@ COMMENT ON TABLE risk_assessments_detailed IS 'Detailed risk assessments for tok
 COMMENT ON TABLE action_executions IS 'Tracks execution of decisions and their outcomes';
 COMMENT ON TABLE portfolio_snapshots IS 'Portfolio state snapshots over time';
 COMMENT ON TABLE portfolio_positions IS 'Individual token positions in the portfolio';
+COMMENT ON TABLE portfolio IS 'Paper trading cash, open positions and P&L';
+COMMENT ON TABLE paper_trades IS 'Simulated fills from the paper trading engine';
 COMMENT ON TABLE market_conditions IS 'Overall market conditions and sentiment';
 COMMENT ON TABLE decision_performance IS 'Performance tracking for individual decisions';
 COMMENT ON TABLE strategy_performance IS 'Overall strategy performance metrics';
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Deployer Registry
+ *
+ * Every pump.fun launch records the wallet that created it (`tokens.deployer`,
+ * written by the Bitquery memecoin sync). This module rolls each deployer's
+ * launches up into a profile:
+ * - Tokens launched, graduated and rugged (fell 90%+ from their peak)
+ * - How fast the rugs happened (launch → first hourly close 90% under the peak)
+ * - Average peak-to-now drawdown
+ * - A 0-1 reputation score, and whether the wallet is a serial rugger
+ *
+ * Profiles go to `deployers`. RiskAssessmentTool turns a serial rugger into a
+ * critical red flag and generateRiskWarning mentions it in the tweet.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+// Load environment variables
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 1000;
+
+export const DEFAULT_OPTIONS = {
+  rugDrawdown: 0.9, // peak-to-close fall that counts as a rug
+  settleAfterMs: 6 * HOUR_MS, // younger tokens are left out of the rates
+  serialRugCount: 3,
+  serialRugRate: 0.6,
+  fastRugMinutes: 60,
+  priorWeight: 2 // pseudo-launches at a neutral 0.5 so one token can't decide a reputation
+};
+
+export const SERIAL_RUGGER_FLAG = { code: 'serial_rugger', severity: 'critical', label: 'Serial rugger deployer' };
+
+/**
+ * What became of one token: graduated, rugged (and how fast), drawdown from its peak.
+ * `candles` are the token's 1h candles; `lifecycle` its token_lifecycle row, if any.
+ */
+export function summarizeTokenOutcome({ token, lifecycle = null, candles = [] }, now, options = DEFAULT_OPTIONS) {
+  const launchedAt = Date.parse(lifecycle?.launched_at || token.created_at);
+  const sorted = [...candles].sort((a, b) => Date.parse(a.bucket_start) - Date.parse(b.bucket_start));
+
+  let peak = null;
+  let peakIndex = -1;
+  sorted.forEach((candle, index) => {
+    const high = parseFloat(candle.high_usd);
+    if (high > 0 && (peak === null || high > peak)) {
+      peak = high;
+      peakIndex = index;
+    }
+  });
+
+  const lastClose = sorted.length ? parseFloat(sorted[sorted.length - 1].close_usd) : null;
+  const drawdown = peak && lastClose !== null ? Math.max(0, 1 - lastClose / peak) : null;
+
+  // First close after the peak that is rugDrawdown under it
+  const rugCandle = peak
+    ? sorted.slice(peakIndex).find(candle => parseFloat(candle.close_usd) <= peak * (1 - options.rugDrawdown))
+    : null;
+  const graduated = lifecycle?.state === 'graduated';
+  const rugged = Boolean(rugCandle);
+
+  return {
+    tokenId: token.id,
+    launchedAt: Number.isNaN(launchedAt) ? null : launchedAt,
+    settled: !Number.isNaN(launchedAt) && now - launchedAt >= options.settleAfterMs,
+    graduated,
+    rugged,
+    abandoned: lifecycle?.state === 'abandoned',
+    drawdown,
+    minutesToRug: rugged && !Number.isNaN(launchedAt)
+      ? Math.max(0, (Date.parse(rugCandle.bucket_start) + HOUR_MS - launchedAt) / MINUTE_MS)
+      : null
+  };
+}
+
+const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Roll a deployer's token outcomes into a `deployers` row
+ */
+export function buildDeployerProfile(address, outcomes, now, options = DEFAULT_OPTIONS) {
+  const settled = outcomes.filter(outcome => outcome.settled);
+  const graduated = settled.filter(outcome => outcome.graduated).length;
+  const rugged = settled.filter(outcome => outcome.rugged).length;
+  const survived = settled.length - graduated - rugged;
+
+  // Graduations count fully, tokens still alive partly, rugs not at all
+  let reputation = (graduated + 0.6 * survived + 0.5 * options.priorWeight) / (settled.length + options.priorWeight);
+
+  const rugMinutes = settled.map(outcome => outcome.minutesToRug).filter(minutes => minutes !== null);
+  const avgMinutesToRug = average(rugMinutes);
+  if (avgMinutesToRug !== null && avgMinutesToRug <= options.fastRugMinutes) reputation -= 0.1;
+
+  const rugRate = settled.length ? rugged / settled.length : null;
+  const launchTimes = outcomes.map(outcome => outcome.launchedAt).filter(time => time !== null);
+
+  return {
+    address,
+    tokens_launched: outcomes.length,
+    tokens_settled: settled.length,
+    tokens_graduated: graduated,
+    tokens_rugged: rugged,
+    tokens_abandoned: settled.filter(outcome => outcome.abandoned).length,
+    graduation_rate: settled.length ? round(graduated / settled.length) : null,
+    rug_rate: round(rugRate),
+    avg_minutes_to_rug: round(avgMinutesToRug, 1),
+    avg_drawdown: round(average(settled.map(outcome => outcome.drawdown).filter(drawdown => drawdown !== null))),
+    reputation_score: round(Math.max(0, Math.min(1, reputation))),
+    is_serial_rugger: rugged >= options.serialRugCount && rugRate >= options.serialRugRate,
+    first_launch_at: launchTimes.length ? new Date(Math.min(...launchTimes)).toISOString() : null,
+    last_launch_at: launchTimes.length ? new Date(Math.max(...launchTimes)).toISOString() : null,
+    updated_at: new Date(now).toISOString()
+  };
+}
+
+/**
+ * The stored profile of the wallet that deployed a token, or null
+ */
+export async function getDeployerProfile(supabase, { tokenId, now = Date.now() }) {
+  const { data: tokens, error } = await supabase.from('tokens').select('id, deployer').eq('id', tokenId).limit(1);
+  if (error) throw error;
+  const deployer = tokens?.[0]?.deployer;
+  if (!deployer) return null;
+
+  const { data: profiles, error: profileError } = await supabase
+    .from('deployers')
+    .select('*')
+    .eq('address', deployer)
+    .lte('updated_at', new Date(now).toISOString())
+    .limit(1);
+  if (profileError) throw profileError;
+  return profiles?.[0] || null;
+}
+
+/**
+ * One line about the deployer for tweets and alerts, or null when there is nothing to say
+ */
+export function formatDeployerWarning(profile) {
+  if (!profile) return null;
+  const wallet = `${profile.address.slice(0, 4)}…${profile.address.slice(-4)}`;
+  const reputation = Math.round((parseFloat(profile.reputation_score) || 0) * 100);
+
+  if (profile.is_serial_rugger) {
+    const speed = profile.avg_minutes_to_rug !== null && profile.avg_minutes_to_rug !== undefined
+      ? `, usually within ${Math.round(profile.avg_minutes_to_rug)} minutes`
+      : '';
+    return `Serial rugger: deployer ${wallet} rugged ${profile.tokens_rugged} of ${profile.tokens_settled} launches${speed} (reputation ${reputation}/100)`;
+  }
+  if (profile.tokens_settled > 0) {
+    return `Deployer ${wallet}: ${profile.tokens_settled} earlier launches, ${profile.tokens_graduated} graduated, ${profile.tokens_rugged} rugged (reputation ${reputation}/100)`;
+  }
+  return null;
+}
+
+export class DeployerRegistryTool {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Rebuild the profiles of the given deployers, or of whoever launched the newest `limit` tokens
+   */
+  async execute({ deployers = null, limit = 500 } = {}) {
+    try {
+      const addresses = deployers || await this.recentDeployers(limit);
+      console.log(`🧑‍💻 Profiling ${addresses.length} deployer(s)...`);
+      if (addresses.length === 0) return { success: true, profiles: [] };
+
+      const tokens = await this.fetchIn('tokens', 'id, deployer, created_at', 'deployer', addresses, query => query.order('id', { ascending: true }));
+      const tokenIds = tokens.map(token => token.id);
+      const lifecycles = new Map(
+        (await this.fetchOptional('token_lifecycle', 'token_id, state, launched_at, last_trade_at', tokenIds, query => query.order('token_id', { ascending: true })))
+          .map(row => [row.token_id, row])
+      );
+      const candles = await this.fetchOptional('price_candles', 'token_id, bucket_start, high_usd, close_usd', tokenIds, query => query
+        .eq('resolution', '1h')
+        .order('token_id', { ascending: true })
+        .order('bucket_start', { ascending: true }));
+
+      const now = this.now();
+      const profiles = addresses.map(address => {
+        const outcomes = tokens
+          .filter(token => token.deployer === address)
+          .map(token => summarizeTokenOutcome({
+            token,
+            lifecycle: lifecycles.get(token.id) || null,
+            candles: candles.filter(candle => candle.token_id === token.id)
+          }, now, this.options));
+        return buildDeployerProfile(address, outcomes, now, this.options);
+      });
+
+      if (this.supabase && this.options.persist !== false) {
+        const { error } = await this.supabase.from('deployers').upsert(profiles, { onConflict: 'address' });
+        if (error) throw error;
+      }
+
+      const ruggers = profiles.filter(profile => profile.is_serial_rugger);
+      ruggers.forEach(profile => console.log(`🚩 ${formatDeployerWarning(profile)}`));
+      console.log(`✅ ${profiles.length} deployer profile(s), ${ruggers.length} serial rugger(s)`);
+      return { success: true, profiles };
+    } catch (error) {
+      console.error('Deployer profiling failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async recentDeployers(limit) {
+    const { data, error } = await this.supabase
+      .from('tokens')
+      .select('deployer')
+      .not('deployer', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return [...new Set((data || []).map(token => token.deployer))];
+  }
+
+  /**
+   * Every row whose `column` is in `values`, paged past the row cap. `refine`
+   * must order the rows so the pages do not overlap.
+   */
+  async fetchIn(table, columns, column, values, refine) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += BATCH_SIZE) {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await refine(this.supabase.from(table).select(columns).in(column, values.slice(i, i + BATCH_SIZE)))
+          .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+    }
+    return rows;
+  }
+
+  // Lifecycle and candles come from the Bitquery jobs; profiles still build without them
+  async fetchOptional(table, columns, tokenIds, refine) {
+    try {
+      return await this.fetchIn(table, columns, 'token_id', tokenIds, refine);
+    } catch (error) {
+      console.log(`⚠️ ${table} not available, skipping:`, error.message);
+      return [];
+    }
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      deployer: { type: 'string', multiple: true },
+      limit: { type: 'string', default: '500' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  const tool = new DeployerRegistryTool(supabase, { persist: !values['dry-run'] });
+
+  const result = await tool.execute({ deployers: values.deployer || null, limit: parseInt(values.limit, 10) });
+  if (!result.success) process.exit(1);
+  if (values['dry-run']) console.log(JSON.stringify(result.profiles, null, 2));
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Deployer registry failed:', error);
+    process.exit(1);
+  });
+}
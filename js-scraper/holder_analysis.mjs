@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+
+/**
+ * Holder Concentration Analysis
+ *
+ * Loads every token account for a mint from a Solana RPC, folds them into
+ * per-owner balances and measures how concentrated the supply is:
+ * - Holder count, top 1/5/10 holder share and the Gini coefficient
+ * - Holder growth against earlier snapshots (24h / 7d)
+ * - Supply parked in program-owned accounts (bonding curve, AMM pools) is
+ *   reported separately and left out of the wallet figures
+ *
+ * Snapshots go to `holder_snapshots`, where RiskAssessmentTool and the token
+ * page read them. getProgramAccounts is disabled on many public endpoints; set
+ * HOLDER_RPC_URL to a provider that allows it. Without it the analysis falls
+ * back to the 20 largest accounts and marks the snapshot incomplete.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+// Load environment variables
+dotenv.config();
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+// Owners that hold tokens on behalf of a program but are not program-owned accounts themselves
+export const KNOWN_PROGRAM_OWNERS = {
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': 'raydium-amm-v4-authority',
+  '1nc1nerator11111111111111111111111111111111': 'incinerator'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const GROWTH_WINDOWS = { '24h': 24 * HOUR_MS, '7d': 7 * 24 * HOUR_MS };
+const MAX_KEYS_PER_CALL = 100; // getMultipleAccounts limit
+
+const DEFAULT_OPTIONS = {
+  rpcUrl: process.env.HOLDER_RPC_URL || process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  timeoutMs: 30000,
+  topN: 10,
+  classifyOwners: 20, // largest owners checked for program ownership
+  persist: true
+};
+
+export class SolanaRpcError extends Error {
+  constructor(message, { code = null, method = null } = {}) {
+    super(message);
+    this.name = 'SolanaRpcError';
+    this.code = code;
+    this.method = method;
+  }
+}
+
+/**
+ * Minimal JSON-RPC client; `fetchImpl` is injectable for offline tests
+ */
+export class SolanaRpc {
+  constructor({ url = DEFAULT_OPTIONS.rpcUrl, timeoutMs = DEFAULT_OPTIONS.timeoutMs, fetchImpl = fetch } = {}) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl;
+    this.requestId = 0;
+  }
+
+  async call(method, params) {
+    let response;
+    try {
+      response = await this.fetchImpl(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new SolanaRpcError(`${method} request failed: ${error.message}`, { method });
+    }
+
+    if (!response.ok) {
+      throw new SolanaRpcError(`${method} failed with HTTP ${response.status}`, { code: response.status, method });
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new SolanaRpcError(`${method} failed: ${body.error.message}`, { code: body.error.code, method });
+    }
+    return body.result;
+  }
+}
+
+function rawAmount(tokenAmount) {
+  return BigInt(tokenAmount?.amount || '0');
+}
+
+function toUiAmount(raw, decimals) {
+  return Number(raw) / Math.pow(10, decimals);
+}
+
+async function loadAllTokenAccounts(rpc, mint) {
+  const accounts = [];
+  // Classic SPL accounts are exactly 165 bytes; Token-2022 accounts grow with extensions
+  const programs = [
+    [TOKEN_PROGRAM_ID, [{ dataSize: 165 }, { memcmp: { offset: 0, bytes: mint } }]],
+    [TOKEN_2022_PROGRAM_ID, [{ memcmp: { offset: 0, bytes: mint } }]]
+  ];
+
+  for (const [programId, filters] of programs) {
+    const result = await rpc.call('getProgramAccounts', [programId, { encoding: 'jsonParsed', filters }]);
+    for (const { pubkey, account } of result || []) {
+      const info = account?.data?.parsed?.info;
+      if (!info || info.mint !== mint) continue;
+      accounts.push({ address: pubkey, owner: info.owner, raw: rawAmount(info.tokenAmount) });
+    }
+  }
+  return accounts;
+}
+
+async function loadLargestTokenAccounts(rpc, mint) {
+  const largest = await rpc.call('getTokenLargestAccounts', [mint]);
+  const addresses = (largest?.value || []).map(entry => entry.address);
+  const infos = await getAccountInfos(rpc, addresses, { encoding: 'jsonParsed' });
+
+  return addresses.map((address, index) => ({
+    address,
+    owner: infos[index]?.data?.parsed?.info?.owner || address,
+    raw: BigInt(largest.value[index].amount || '0')
+  }));
+}
+
+async function getAccountInfos(rpc, addresses, config) {
+  const infos = [];
+  for (let i = 0; i < addresses.length; i += MAX_KEYS_PER_CALL) {
+    const result = await rpc.call('getMultipleAccounts', [addresses.slice(i, i + MAX_KEYS_PER_CALL), config]);
+    infos.push(...(result?.value || []));
+  }
+  return infos;
+}
+
+/**
+ * Balances per owner for a mint, largest first. Owners whose account belongs
+ * to a program (bonding curve, pool) are flagged `programOwned`.
+ */
+export async function fetchTokenHolders(mint, options = {}) {
+  const { classifyOwners = DEFAULT_OPTIONS.classifyOwners } = options;
+  const rpc = options.rpc || new SolanaRpc({ url: options.rpcUrl, fetchImpl: options.fetchImpl });
+
+  const supplyResult = await rpc.call('getTokenSupply', [mint]);
+  const decimals = supplyResult?.value?.decimals ?? 0;
+  const supplyRaw = BigInt(supplyResult?.value?.amount || '0');
+
+  let accounts;
+  let complete = true;
+  try {
+    accounts = await loadAllTokenAccounts(rpc, mint);
+  } catch (error) {
+    if (!(error instanceof SolanaRpcError)) throw error;
+    console.warn(`⚠️ Full holder scan unavailable (${error.message}); using the largest accounts only`);
+    accounts = await loadLargestTokenAccounts(rpc, mint);
+    complete = false;
+  }
+
+  const byOwner = new Map();
+  for (const { owner, raw } of accounts) {
+    if (raw <= 0n) continue;
+    byOwner.set(owner, (byOwner.get(owner) || 0n) + raw);
+  }
+
+  const holders = [...byOwner.entries()]
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+    .map(([owner, raw]) => ({ owner, amount: toUiAmount(raw, decimals), programOwned: false, label: null }));
+
+  // Wallets are system-owned (or unfunded); anything else holds tokens for a program
+  const candidates = holders.slice(0, classifyOwners);
+  const ownerInfos = await getAccountInfos(rpc, candidates.map(holder => holder.owner), {
+    encoding: 'base64',
+    dataSlice: { offset: 0, length: 0 }
+  });
+  candidates.forEach((holder, index) => {
+    const programId = ownerInfos[index]?.owner;
+    if (KNOWN_PROGRAM_OWNERS[holder.owner]) {
+      holder.programOwned = true;
+      holder.label = KNOWN_PROGRAM_OWNERS[holder.owner];
+    } else if (programId && programId !== SYSTEM_PROGRAM_ID) {
+      holder.programOwned = true;
+      holder.label = programId;
+    }
+  });
+
+  return { mint, decimals, supply: toUiAmount(supplyRaw, decimals), holders, complete };
+}
+
+/**
+ * Gini coefficient of a set of balances: 0 = evenly held, → 1 = one holder has everything
+ */
+export function giniCoefficient(balances) {
+  const values = balances.filter(value => value > 0).sort((a, b) => a - b);
+  const n = values.length;
+  if (n < 2) return 0;
+
+  let total = 0;
+  let weighted = 0;
+  values.forEach((value, index) => {
+    total += value;
+    weighted += (index + 1) * value;
+  });
+
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Concentration figures over wallet holders. Shares are of the supply not
+ * held by programs; holder count and Gini are null for incomplete scans.
+ */
+export function computeHolderMetrics({ supply, holders, complete = true }, { topN = DEFAULT_OPTIONS.topN } = {}) {
+  const wallets = holders.filter(holder => !holder.programOwned && holder.amount > 0);
+  const programHeld = holders
+    .filter(holder => holder.programOwned)
+    .reduce((sum, holder) => sum + holder.amount, 0);
+
+  const circulating = Math.max(supply - programHeld, 0);
+  const shareOf = count => circulating > 0
+    ? wallets.slice(0, count).reduce((sum, holder) => sum + holder.amount, 0) / circulating
+    : 0;
+
+  return {
+    holderCount: complete ? wallets.length : null,
+    top1Share: shareOf(1),
+    top5Share: shareOf(5),
+    top10Share: shareOf(10),
+    gini: complete ? giniCoefficient(wallets.map(holder => holder.amount)) : null,
+    programShare: supply > 0 ? programHeld / supply : 0,
+    supply,
+    complete,
+    topHolders: wallets.slice(0, topN).map(holder => ({
+      owner: holder.owner,
+      amount: holder.amount,
+      share: circulating > 0 ? holder.amount / circulating : 0
+    })),
+    programHolders: holders
+      .filter(holder => holder.programOwned)
+      .map(holder => ({ owner: holder.owner, amount: holder.amount, label: holder.label }))
+  };
+}
+
+/**
+ * Relative change in holder count against the newest snapshot at least
+ * 24h / 7d old. Null when there is no such snapshot to compare with.
+ */
+export function holderGrowth(holderCount, snapshots, now) {
+  const growth = {};
+  for (const [window, ms] of Object.entries(GROWTH_WINDOWS)) {
+    const base = snapshots
+      .filter(snapshot => snapshot.holder_count > 0 && Date.parse(snapshot.taken_at) <= now - ms)
+      .sort((a, b) => Date.parse(b.taken_at) - Date.parse(a.taken_at))[0];
+
+    growth[window] = base && holderCount !== null
+      ? (holderCount - base.holder_count) / base.holder_count
+      : null;
+  }
+  return growth;
+}
+
+/**
+ * Latest stored snapshot for a token, no older than `maxAgeMs`
+ */
+export async function getLatestHolderSnapshot(supabase, { tokenId, mint, now = Date.now(), maxAgeMs = 24 * HOUR_MS }) {
+  let query = supabase.from('holder_snapshots').select('*');
+  query = tokenId !== undefined && tokenId !== null ? query.eq('token_id', tokenId) : query.eq('mint', mint);
+
+  const { data, error } = await query
+    .lte('taken_at', new Date(now).toISOString())
+    .gte('taken_at', new Date(now - maxAgeMs).toISOString())
+    .order('taken_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export class HolderAnalysisTool {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.rpc = options.rpc || new SolanaRpc({ url: this.options.rpcUrl, timeoutMs: this.options.timeoutMs, fetchImpl: options.fetchImpl });
+    this.now = options.now || (() => Date.now());
+  }
+
+  async execute({ tokenId = null, mint }) {
+    try {
+      console.log(`👥 Analyzing holders for ${mint}...`);
+
+      const holders = await fetchTokenHolders(mint, { rpc: this.rpc, classifyOwners: this.options.classifyOwners });
+      const metrics = computeHolderMetrics(holders, { topN: this.options.topN });
+      const growth = holderGrowth(metrics.holderCount, await this.getPreviousSnapshots(tokenId, mint), this.now());
+
+      const snapshot = {
+        token_id: tokenId,
+        mint,
+        holder_count: metrics.holderCount,
+        top1_share: metrics.top1Share,
+        top5_share: metrics.top5Share,
+        top10_share: metrics.top10Share,
+        gini: metrics.gini,
+        program_share: metrics.programShare,
+        supply: metrics.supply,
+        holder_growth_24h: growth['24h'],
+        holder_growth_7d: growth['7d'],
+        complete: metrics.complete,
+        top_holders: metrics.topHolders,
+        program_holders: metrics.programHolders,
+        taken_at: new Date(this.now()).toISOString()
+      };
+
+      if (this.options.persist && this.supabase) {
+        const { error } = await this.supabase.from('holder_snapshots').insert(snapshot);
+        if (error) throw error;
+      }
+
+      const countLabel = metrics.holderCount === null ? 'partial scan' : `${metrics.holderCount} holders`;
+      console.log(`✅ ${countLabel}, top 10 hold ${(metrics.top10Share * 100).toFixed(1)}%`);
+
+      return { success: true, snapshot, metrics, growth };
+    } catch (error) {
+      console.error(`Holder analysis failed for ${mint}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getPreviousSnapshots(tokenId, mint) {
+    if (!this.supabase) return [];
+
+    const since = new Date(this.now() - GROWTH_WINDOWS['7d'] - 24 * HOUR_MS).toISOString();
+    let query = this.supabase.from('holder_snapshots').select('holder_count, taken_at');
+    query = tokenId !== null ? query.eq('token_id', tokenId) : query.eq('mint', mint);
+
+    const { data, error } = await query.gte('taken_at', since).order('taken_at', { ascending: false });
+    if (error) {
+      console.log('⚠️ holder_snapshots not readable, skipping growth:', error.message);
+      return [];
+    }
+    return data || [];
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      mint: { type: 'string' },
+      limit: { type: 'string', default: '20' },
+      rpc: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const dryRun = values['dry-run'];
+  if (!dryRun && (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY)) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set (or pass --dry-run)');
+    process.exit(1);
+  }
+  const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_KEY
+    ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
+    : null;
+  const tool = new HolderAnalysisTool(supabase, {
+    rpcUrl: values.rpc || DEFAULT_OPTIONS.rpcUrl,
+    persist: !dryRun
+  });
+
+  let tokens;
+  if (values.mint) {
+    const { data } = supabase
+      ? await supabase.from('tokens').select('id, address').eq('address', values.mint).limit(1)
+      : { data: [] };
+    tokens = [{ id: data?.[0]?.id ?? null, address: values.mint }];
+  } else {
+    if (!supabase) {
+      console.error('❌ --mint is required without Supabase credentials');
+      process.exit(1);
+    }
+    const { data, error } = await supabase
+      .from('tokens')
+      .select('id, address')
+      .not('address', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(values.limit, 10));
+    if (error) throw error;
+    tokens = data || [];
+  }
+
+  console.log(`👥 Snapshotting holders for ${tokens.length} token(s)${dryRun ? ' (dry run)' : ''}`);
+  let failed = 0;
+  for (const token of tokens) {
+    const result = await tool.execute({ tokenId: token.id, mint: token.address });
+    if (!result.success) failed++;
+    else if (dryRun) console.log(JSON.stringify(result.snapshot, null, 2));
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} holder snapshot(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Holder analysis failed:', error);
+    process.exit(1);
+  });
+}
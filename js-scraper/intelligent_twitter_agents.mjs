@@ -3,6 +3,7 @@ import { createClient } from '@supabase/supabase-js';
 import { TwitterApi } from 'twitter-api-v2';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { formatDeployerWarning } from './deployer_registry.mjs';
 
 // Load environment variables from multiple locations
 dotenv.config();
@@ -376,6 +377,14 @@ Format the response as a complete tweet ready to post.`;
   async generateRiskWarning(data, memories) {
     try {
       const { riskAssessment, token } = data;
+      // RiskAssessmentTool returns factors as { name: score } and red flags as objects
+      const riskFactors = Array.isArray(riskAssessment.riskFactors)
+        ? riskAssessment.riskFactors
+        : Object.entries(riskAssessment.riskFactors || {})
+          .filter(([, score]) => score !== null && score !== undefined)
+          .map(([name, score]) => `${name} ${Number(score).toFixed(2)}`);
+      const redFlags = (riskAssessment.redFlags || []).map(redFlag => redFlag.label || redFlag);
+      const deployerWarning = formatDeployerWarning(riskAssessment.deployer || data.deployer);
       
       const prompt = `Generate an engaging tweet about risk assessment for a memecoin.
 
@@ -383,8 +392,9 @@ Context:
 - Token: ${token.symbol}
 - Risk Level: ${riskAssessment.riskLevel}
 - Risk Score: ${riskAssessment.riskScore}/10
-- Risk Factors: ${riskAssessment.riskFactors.join(', ')}
-- Red Flags: ${riskAssessment.redFlags.join(', ')}
+- Risk Factors: ${riskFactors.join(', ')}
+- Red Flags: ${redFlags.join(', ')}
+- Deployer: ${deployerWarning || 'No earlier launches on record'}
 - Confidence: ${riskAssessment.confidence}%
 
 Previous risk warning tweets:
@@ -395,6 +405,7 @@ Requirements:
 - Include emojis and hashtags
 - Make it informative and cautionary
 - Highlight key risk factors
+- If the deployer is a serial rugger, lead with that
 - Use relevant crypto hashtags
 - Keep it professional but urgent
 - Include disclaimer about DYOR
@@ -6,6 +6,7 @@ import { Headers } from 'node-fetch';
 import fs from 'fs';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { TokenMentionExtractor } from './token_mention_extractor.mjs';
 
 // Polyfill global fetch and Headers
 global.fetch = fetch;
@@ -13,17 +14,6 @@ global.Headers = Headers;
 
 dotenv.config();
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing SUPABASE_URL or SUPABASE_KEY in environment variables');
-  process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
-
 // Configure logging
 const logger = {
   info: (...args) => console.log(new Date().toISOString(), "INFO:", ...args),
@@ -31,16 +21,32 @@ const logger = {
 };
 
 class OutlightScraper {
-  constructor() {
+  /**
+   * `supabase` defaults to a client from SUPABASE_URL / SUPABASE_KEY; pass
+   * `dryRun: true` to discover and scrape without a database.
+   * `browser` holds puppeteer launch overrides (headless, executablePath).
+   */
+  constructor({ supabase, dryRun = false, browser = {} } = {}) {
     this.baseUrl = 'https://www.outlight.fun';
     this.processedChannels = new Set();
     this.processedMessages = new Set();
+    this.dryRun = dryRun;
+    this.browserOptions = browser;
+
+    if (!dryRun) {
+      if (!supabase && (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY)) {
+        throw new Error('Missing SUPABASE_URL or SUPABASE_KEY in environment variables');
+      }
+      this.supabase = supabase || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+      this.mentionExtractor = new TokenMentionExtractor(this.supabase);
+    }
   }
 
   async initBrowser() {
     try {
       const browser = await puppeteer.launch({
         headless: true,
+        ...this.browserOptions,
         args: [
           '--no-sandbox',
           '--disable-setuid-sandbox',
@@ -252,7 +258,7 @@ class OutlightScraper {
   async storeChannel(channelData) {
     try {
       // Check if channel already exists
-      const { data: existingChannel, error: fetchError } = await supabase
+      const { data: existingChannel, error: fetchError } = await this.supabase
         .from('telegram_channels')
         .select('*')
         .eq('username', channelData.username)
@@ -264,7 +270,7 @@ class OutlightScraper {
       }
 
       // Insert new channel
-      const { data, error } = await supabase
+      const { data, error } = await this.supabase
         .from('telegram_channels')
         .insert({
           username: channelData.username,
@@ -368,11 +374,16 @@ class OutlightScraper {
     }
   }
 
+  /**
+   * Upsert a batch of messages and their token mentions
+   * The batch is one statement, so it is stored whole or not at all: returns
+   * true once the rows are in telegram_messages, false when the write failed
+   */
   async storeMessages(messages) {
     try {
-      if (messages.length === 0) return;
+      if (messages.length === 0) return true;
 
-      const { data, error } = await supabase
+      const { error } = await this.supabase
         .from('telegram_messages')
         .upsert(messages, {
           onConflict: 'channel_id,message_id',
@@ -382,76 +393,28 @@ class OutlightScraper {
       if (error) throw error;
 
       console.log(`✅ Stored ${messages.length} messages`);
-      
-      // Extract and store token mentions from messages
-      await this.extractAndStoreTokenMentions(messages);
     } catch (error) {
       console.error('Error storing messages:', error);
+      return false;
     }
+
+    // Extract and store token mentions from messages
+    await this.extractAndStoreTokenMentions(messages);
+    return true;
   }
 
   async extractAndStoreTokenMentions(messages) {
     try {
-      // Get all tokens from database
-      const { data: tokens, error: tokensError } = await supabase
-        .from('tokens')
-        .select('id, symbol')
-        .order('id', { ascending: true });
-
-      if (tokensError) {
-        console.error('Error fetching tokens:', tokensError);
-        return;
-      }
-
-      // Create a map of symbol to token IDs
-      const symbolToTokens = new Map();
-      tokens.forEach((token) => {
-        if (!symbolToTokens.has(token.symbol)) {
-          symbolToTokens.set(token.symbol, []);
-        }
-        symbolToTokens.get(token.symbol).push(token.id);
-      });
-
-      const mentionsData = [];
-      const mentionAt = new Date().toISOString();
-
-      // Process each message for token mentions
-      for (const message of messages) {
-        if (!message.text) continue;
-
-        const messageText = message.text.toLowerCase();
-        
-        // Check for token symbols in the message
-        for (const [symbol, tokenIds] of symbolToTokens) {
-          const symbolLower = symbol.toLowerCase();
-          
-          // Simple keyword matching
-          if (messageText.includes(symbolLower) || 
-              messageText.includes(`#${symbolLower}`) ||
-              messageText.includes(`$${symbolLower}`)) {
-            
-            // Count occurrences
-            const count = (messageText.match(new RegExp(symbolLower, 'gi')) || []).length;
-            
-            // Add mention entry for each token ID associated with the symbol
-            for (const tokenId of tokenIds) {
-              mentionsData.push({
-                tiktok_id: null, // Telegram messages don't have TikTok IDs
-                token_id: tokenId,
-                count: count,
-                mention_at: mentionAt,
-                source: 'telegram',
-                channel_id: message.channel_id,
-                message_id: message.message_id
-              });
-            }
-          }
-        }
-      }
+      // Word-boundary cashtags/hashtags/tickers and mint addresses, resolved to token ids
+      const mentionsData = await this.mentionExtractor.buildMentionRows(messages, (message) => ({
+        source: 'telegram',
+        channel_id: message.channel_id,
+        message_id: message.message_id
+      }));
 
       if (mentionsData.length > 0) {
         // Store mentions in the mentions table
-        const { error: mentionsError } = await supabase
+        const { error: mentionsError } = await this.supabase
           .from('mentions')
           .insert(mentionsData);
 
@@ -466,30 +429,39 @@ class OutlightScraper {
     }
   }
 
+  /**
+   * Telegram channels listed on Outlight.fun (rendered page and static HTML),
+   * deduplicated by username
+   */
+  async discoverChannels() {
+    const puppeteerChannels = await this.scrapeOutlightHomepage();
+    const cheerioChannels = await this.scrapeOutlightWithCheerio();
+    
+    // Combine and deduplicate channels
+    let allChannels = [...puppeteerChannels, ...cheerioChannels];
+    
+    // If no channels found from Outlight.fun, use fallback channels for testing
+    if (allChannels.length === 0) {
+      console.log('⚠️ No channels found on Outlight.fun, using fallback channels for testing...');
+      const fallbackChannels = await this.getFallbackChannels();
+      allChannels = [...allChannels, ...fallbackChannels];
+    }
+    
+    const uniqueChannels = allChannels.filter((channel, index, self) => 
+      index === self.findIndex(c => c.username === channel.username)
+    );
+    
+    console.log(`📊 Total unique channels discovered: ${uniqueChannels.length}`);
+    return uniqueChannels;
+  }
+
   async main() {
     try {
       console.log('🚀 Starting Outlight.fun Telegram channel discovery and scraping...');
       
       // Step 1: Scrape Outlight.fun homepage for Telegram channels
       console.log('\n📋 Step 1: Discovering Telegram channels from Outlight.fun...');
-      const puppeteerChannels = await this.scrapeOutlightHomepage();
-      const cheerioChannels = await this.scrapeOutlightWithCheerio();
-      
-      // Combine and deduplicate channels
-      let allChannels = [...puppeteerChannels, ...cheerioChannels];
-      
-      // If no channels found from Outlight.fun, use fallback channels for testing
-      if (allChannels.length === 0) {
-        console.log('⚠️ No channels found on Outlight.fun, using fallback channels for testing...');
-        const fallbackChannels = await this.getFallbackChannels();
-        allChannels = [...allChannels, ...fallbackChannels];
-      }
-      
-      const uniqueChannels = allChannels.filter((channel, index, self) => 
-        index === self.findIndex(c => c.username === channel.username)
-      );
-      
-      console.log(`📊 Total unique channels discovered: ${uniqueChannels.length}`);
+      const uniqueChannels = await this.discoverChannels();
       
       // Step 2: Store discovered channels in database
       console.log('\n💾 Step 2: Storing discovered channels in database...');
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/**
+ * Paper Trading Engine
+ *
+ * Simulated execution behind RealtimeDecisionAgent's ExecutionTool:
+ * - Fills BUY/SELL orders against the latest `prices` row for the token
+ * - Square-root slippage model on order size vs. 24h volume, plus a flat fee
+ * - Tracks cash, positions and realized/unrealized P&L in the `portfolio` table
+ * - Enforces the stopLoss/takeProfit parameters emitted by makeFinalDecision
+ *
+ * Price lookups and the clock are injectable so the same engine can run
+ * against historical data (backtests) without touching the database.
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_OPTIONS = {
+  account: process.env.PAPER_ACCOUNT || 'paper',
+  startingCash: parseFloat(process.env.PAPER_STARTING_CASH || '10000'),
+  feeRate: parseFloat(process.env.PAPER_FEE_RATE || '0.0025'),        // 0.25% per fill
+  baseSlippage: parseFloat(process.env.PAPER_BASE_SLIPPAGE || '0.005'), // 0.5% minimum slippage
+  impactCoefficient: 0.1,       // slippage += coefficient * sqrt(notional / volume)
+  maxSlippage: 0.15,            // never model more than 15% slippage
+  minLiquidityUsd: 10000,       // volume assumed when the price row has none
+  maxPriceAgeMinutes: 60,       // reject fills against stale prices
+  positionSizes: {              // fraction of equity per BUY
+    small: 0.02,
+    medium: 0.05,
+    large: 0.1
+  },
+  persist: true
+};
+
+// Postgres and PostgREST codes for a table that does not exist
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+/**
+ * Default price source: latest `prices` row for a token URI
+ */
+class SupabasePriceSource {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async getLatestPrice(tokenUri) {
+    const { data, error } = await this.supabase
+      .from('prices')
+      .select('price_usd, volume_24h, timestamp')
+      .eq('token_uri', tokenUri)
+      .order('timestamp', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    const row = data?.[0];
+    if (!row || !row.price_usd) return null;
+
+    return {
+      price: parseFloat(row.price_usd),
+      volume24h: parseFloat(row.volume_24h) || 0,
+      timestamp: row.timestamp
+    };
+  }
+}
+
+export class PaperTradingEngine {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      positionSizes: { ...DEFAULT_OPTIONS.positionSizes, ...(options.positionSizes || {}) }
+    };
+    this.priceSource = options.priceSource || new SupabasePriceSource(supabase);
+    this.now = options.now || (() => Date.now());
+    this.portfolio = null;
+    this.trades = [];
+  }
+
+  /**
+   * Load the account's portfolio row, creating a fresh one on first use.
+   * Only a missing table or row starts fresh: any other read error is thrown,
+   * since saving a fresh portfolio would overwrite the account's real one.
+   */
+  async loadPortfolio() {
+    if (this.portfolio) return this.portfolio;
+
+    if (this.options.persist) {
+      const { data, error } = await this.supabase
+        .from('portfolio')
+        .select('*')
+        .eq('account', this.options.account)
+        .limit(1);
+
+      if (error && !MISSING_TABLE_CODES.includes(error.code)) throw error;
+
+      const row = data?.[0];
+      if (row) {
+        this.portfolio = {
+          cash: parseFloat(row.cash_balance),
+          startingCash: parseFloat(row.starting_cash),
+          positions: row.positions || [],
+          realizedPnl: parseFloat(row.realized_pnl) || 0,
+          feesPaid: parseFloat(row.fees_paid) || 0
+        };
+        return this.portfolio;
+      }
+      if (error) console.log('⚠️ Portfolio table not available, starting a fresh paper portfolio');
+    }
+
+    this.portfolio = {
+      cash: this.options.startingCash,
+      startingCash: this.options.startingCash,
+      positions: [],
+      realizedPnl: 0,
+      feesPaid: 0
+    };
+    return this.portfolio;
+  }
+
+  /**
+   * Portfolio in the shape ActionDecisionTool expects
+   */
+  async getPortfolio() {
+    const portfolio = await this.loadPortfolio();
+    const positionsValue = portfolio.positions.reduce((sum, p) => sum + p.quantity * p.currentPrice, 0);
+    const unrealizedPnl = portfolio.positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    const totalValue = portfolio.cash + positionsValue;
+
+    return {
+      positions: portfolio.positions,
+      cash: portfolio.cash,
+      positionsValue,
+      totalValue,
+      realizedPnl: portfolio.realizedPnl,
+      unrealizedPnl,
+      feesPaid: portfolio.feesPaid,
+      returnPct: portfolio.startingCash > 0 ? (totalValue - portfolio.startingCash) / portfolio.startingCash : 0,
+      riskLevel: this.calculateRiskLevel(positionsValue, totalValue)
+    };
+  }
+
+  calculateRiskLevel(positionsValue, totalValue) {
+    const exposure = totalValue > 0 ? positionsValue / totalValue : 0;
+    if (exposure > 0.5) return 'high';
+    if (exposure > 0.2) return 'medium';
+    return 'low';
+  }
+
+  calculateSlippage(notional, volume24h) {
+    const { baseSlippage, impactCoefficient, maxSlippage, minLiquidityUsd } = this.options;
+    const liquidity = Math.max(volume24h || 0, minLiquidityUsd);
+    return Math.min(maxSlippage, baseSlippage + impactCoefficient * Math.sqrt(notional / liquidity));
+  }
+
+  async getQuote(tokenUri) {
+    const quote = await this.priceSource.getLatestPrice(tokenUri, this.now());
+    if (!quote || !(quote.price > 0)) return null;
+
+    const ageMinutes = (this.now() - new Date(quote.timestamp).getTime()) / 60000;
+    return { ...quote, ageMinutes, stale: ageMinutes > this.options.maxPriceAgeMinutes };
+  }
+
+  /**
+   * Execute a decision. BUY opens a position, SELL closes one; HOLD, ALERT and
+   * AVOID do not trade but still mark the portfolio to market.
+   */
+  async executeOrder({ action, tokenSymbol, tokenUri, parameters = {} }) {
+    await this.loadPortfolio();
+
+    let result;
+    switch (action) {
+      case 'BUY':
+        result = await this.buy(tokenSymbol, tokenUri, parameters);
+        break;
+      case 'SELL':
+        result = await this.sell(tokenUri, 'signal', parameters);
+        break;
+      default:
+        result = { status: 'no_trade', action, tokenSymbol, reason: `${action} does not trade` };
+    }
+
+    const exits = await this.markToMarket();
+    await this.savePortfolio();
+
+    return { ...result, exits, portfolio: await this.getPortfolio() };
+  }
+
+  async buy(tokenSymbol, tokenUri, parameters) {
+    const portfolio = this.portfolio;
+
+    if (portfolio.positions.some(p => p.tokenUri === tokenUri)) {
+      return { status: 'rejected', action: 'BUY', tokenSymbol, reason: 'Position already open' };
+    }
+
+    const quote = await this.getQuote(tokenUri);
+    if (!quote) return { status: 'rejected', action: 'BUY', tokenSymbol, reason: 'No price available' };
+    if (quote.stale) {
+      return { status: 'rejected', action: 'BUY', tokenSymbol, reason: `Price is ${Math.round(quote.ageMinutes)} minutes old` };
+    }
+
+    const { totalValue } = await this.getPortfolio();
+    const sizeFraction = typeof parameters.positionSize === 'number'
+      ? parameters.positionSize
+      : this.options.positionSizes[parameters.positionSize] || this.options.positionSizes.small;
+    const notional = Math.min(totalValue * sizeFraction, portfolio.cash);
+
+    if (notional <= 0) return { status: 'rejected', action: 'BUY', tokenSymbol, reason: 'Insufficient cash' };
+
+    const slippage = this.calculateSlippage(notional, quote.volume24h);
+    const fillPrice = quote.price * (1 + slippage);
+    const fee = notional * this.options.feeRate;
+    const quantity = (notional - fee) / fillPrice;
+
+    const position = {
+      tokenSymbol,
+      tokenUri,
+      quantity,
+      averagePrice: fillPrice,
+      costBasis: notional,
+      currentPrice: quote.price,
+      unrealizedPnl: quantity * quote.price - notional,
+      stopLossPrice: parameters.stopLoss ? fillPrice * (1 - parameters.stopLoss) : null,
+      takeProfitPrice: parameters.takeProfit ? fillPrice * (1 + parameters.takeProfit) : null,
+      openedAt: new Date(this.now()).toISOString()
+    };
+
+    portfolio.cash -= notional;
+    portfolio.feesPaid += fee;
+    portfolio.positions.push(position);
+
+    const trade = await this.recordTrade({
+      side: 'BUY',
+      tokenSymbol,
+      tokenUri,
+      quantity,
+      marketPrice: quote.price,
+      fillPrice,
+      slippage,
+      fee,
+      notional,
+      realizedPnl: 0,
+      reason: 'signal'
+    });
+
+    console.log(`🟢 Paper BUY ${tokenSymbol}: ${quantity.toFixed(4)} @ $${fillPrice.toPrecision(6)} (slippage ${(slippage * 100).toFixed(2)}%)`);
+    return { status: 'filled', action: 'BUY', tokenSymbol, trade, position };
+  }
+
+  async sell(tokenUri, reason, parameters = {}, quote = null) {
+    const portfolio = this.portfolio;
+    const position = portfolio.positions.find(p => p.tokenUri === tokenUri);
+
+    if (!position) return { status: 'rejected', action: 'SELL', reason: 'No open position' };
+
+    quote = quote || await this.getQuote(tokenUri);
+    if (!quote) return { status: 'rejected', action: 'SELL', tokenSymbol: position.tokenSymbol, reason: 'No price available' };
+    if (quote.stale) {
+      return { status: 'rejected', action: 'SELL', tokenSymbol: position.tokenSymbol, reason: `Price is ${Math.round(quote.ageMinutes)} minutes old` };
+    }
+
+    const grossProceeds = position.quantity * quote.price;
+    const slippage = this.calculateSlippage(grossProceeds, quote.volume24h);
+    const fillPrice = quote.price * (1 - slippage);
+    const proceeds = position.quantity * fillPrice;
+    const fee = proceeds * this.options.feeRate;
+    const realizedPnl = proceeds - fee - position.costBasis;
+
+    portfolio.cash += proceeds - fee;
+    portfolio.feesPaid += fee;
+    portfolio.realizedPnl += realizedPnl;
+    portfolio.positions = portfolio.positions.filter(p => p !== position);
+
+    const trade = await this.recordTrade({
+      side: 'SELL',
+      tokenSymbol: position.tokenSymbol,
+      tokenUri,
+      quantity: position.quantity,
+      marketPrice: quote.price,
+      fillPrice,
+      slippage,
+      fee,
+      notional: proceeds,
+      realizedPnl,
+      reason
+    });
+
+    console.log(`🔴 Paper SELL ${position.tokenSymbol} (${reason}): P&L $${realizedPnl.toFixed(2)}`);
+    return { status: 'filled', action: 'SELL', tokenSymbol: position.tokenSymbol, trade, realizedPnl };
+  }
+
+  /**
+   * Reprice open positions and close any that crossed their stop-loss or take-profit.
+   * A stale price still marks the position but never triggers an exit.
+   */
+  async markToMarket() {
+    const portfolio = await this.loadPortfolio();
+    const exits = [];
+
+    for (const position of [...portfolio.positions]) {
+      let quote;
+      try {
+        quote = await this.getQuote(position.tokenUri);
+      } catch (error) {
+        console.error(`Failed to price ${position.tokenSymbol}:`, error.message);
+        continue;
+      }
+      if (!quote) continue;
+
+      position.currentPrice = quote.price;
+      position.unrealizedPnl = position.quantity * quote.price - position.costBasis;
+      if (quote.stale) continue;
+
+      if (position.stopLossPrice && quote.price <= position.stopLossPrice) {
+        exits.push(await this.sell(position.tokenUri, 'stop_loss', {}, quote));
+      } else if (position.takeProfitPrice && quote.price >= position.takeProfitPrice) {
+        exits.push(await this.sell(position.tokenUri, 'take_profit', {}, quote));
+      }
+    }
+
+    return exits;
+  }
+
+  async recordTrade(trade) {
+    const record = { ...trade, executedAt: new Date(this.now()).toISOString() };
+    this.trades.push(record);
+
+    if (!this.options.persist) return record;
+
+    try {
+      const { error } = await this.supabase
+        .from('paper_trades')
+        .insert({
+          account: this.options.account,
+          token_symbol: trade.tokenSymbol,
+          token_uri: trade.tokenUri,
+          side: trade.side,
+          quantity: trade.quantity,
+          market_price: trade.marketPrice,
+          fill_price: trade.fillPrice,
+          slippage: trade.slippage,
+          fee: trade.fee,
+          notional: trade.notional,
+          realized_pnl: trade.realizedPnl,
+          reason: trade.reason,
+          executed_at: record.executedAt
+        });
+
+      if (error) {
+        console.log('⚠️ Paper trades table not found, skipping storage');
+      }
+    } catch (error) {
+      console.log('⚠️ Paper trades table not available, skipping storage');
+    }
+
+    return record;
+  }
+
+  async savePortfolio() {
+    if (!this.options.persist || !this.portfolio) return;
+
+    const summary = await this.getPortfolio();
+
+    try {
+      const { error } = await this.supabase
+        .from('portfolio')
+        .upsert({
+          account: this.options.account,
+          cash_balance: summary.cash,
+          starting_cash: this.portfolio.startingCash,
+          positions: summary.positions,
+          positions_value: summary.positionsValue,
+          total_value: summary.totalValue,
+          realized_pnl: summary.realizedPnl,
+          unrealized_pnl: summary.unrealizedPnl,
+          fees_paid: summary.feesPaid,
+          risk_level: summary.riskLevel,
+          updated_at: new Date(this.now()).toISOString()
+        }, { onConflict: 'account' });
+
+      if (error) {
+        console.log('⚠️ Portfolio table not found, skipping storage');
+      }
+    } catch (error) {
+      console.log('⚠️ Portfolio table not available, skipping storage');
+    }
+  }
+}
+
+export default PaperTradingEngine;
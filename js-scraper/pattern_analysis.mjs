@@ -2,9 +2,18 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
+import {
+  pearsonCorrelation,
+  spearmanCorrelation,
+  bucketTimeSeries,
+  percentChanges,
+  laggedCrossCorrelation
+} from './time_series_correlation.mjs';
 
 dotenv.config();
 
+const HOUR_MS = 60 * 60 * 1000;
+
 class MemecoinPatternAnalyzer {
   constructor() {
     this.supabase = createClient(
@@ -13,6 +22,12 @@ class MemecoinPatternAnalyzer {
     );
     
     this.resultsDir = path.join(process.cwd(), 'analysis_results');
+    this.correlationOptions = {
+      windowHours: 24,   // Matches the 24h social/token lookback
+      intervalHours: 1,  // Bucket size for both series
+      maxLagBuckets: 6,  // Check social leading/lagging price by up to 6 intervals
+      minPairs: 6        // Minimum overlapping buckets for a coefficient
+    };
     this.ensureResultsDirectory();
   }
 
@@ -290,8 +305,10 @@ class MemecoinPatternAnalyzer {
           // Calculate trading volume metrics
           const tradingMetrics = this.calculateTradingMetrics(priceData);
           
-          // Calculate correlation coefficient
-          const correlation = this.calculateCorrelationCoefficient(socialMetrics, tradingMetrics);
+          // Correlate bucketed social activity with price and trading activity
+          const relevantSocialData = this.filterRelevantSocialData(socialData, match.keyword);
+          const correlationAnalysis = this.calculateCorrelationCoefficient(relevantSocialData, priceData);
+          const correlation = correlationAnalysis.coefficient;
           
           correlations.push({
             keyword: match.keyword,
@@ -299,6 +316,7 @@ class MemecoinPatternAnalyzer {
             socialMetrics,
             tradingMetrics,
             correlation,
+            correlationAnalysis,
             timestamp: new Date().toISOString()
           });
         }
@@ -332,10 +350,10 @@ class MemecoinPatternAnalyzer {
   }
 
   /**
-   * Calculate social engagement metrics
+   * Social items (TikTok videos or Telegram messages) that mention a keyword
    */
-  calculateSocialMetrics(socialData, keyword) {
-    const relevantData = socialData.filter(item => {
+  filterRelevantSocialData(socialData, keyword) {
+    return socialData.filter(item => {
       if (item.text) {
         return item.text.toLowerCase().includes(keyword.toLowerCase());
       }
@@ -346,6 +364,13 @@ class MemecoinPatternAnalyzer {
       }
       return false;
     });
+  }
+
+  /**
+   * Calculate social engagement metrics
+   */
+  calculateSocialMetrics(socialData, keyword) {
+    const relevantData = this.filterRelevantSocialData(socialData, keyword);
 
     return {
       count: relevantData.length,
@@ -392,21 +417,74 @@ class MemecoinPatternAnalyzer {
   }
 
   /**
-   * Calculate Pearson correlation coefficient
+   * Social activity as timed events: TikTok videos weigh by views at their
+   * post time, Telegram messages count as one mention at their message date
    */
-  calculateCorrelationCoefficient(socialMetrics, tradingMetrics) {
-    // Simplified correlation calculation
-    // In a real implementation, you'd want more sophisticated statistical analysis
-    
-    const socialScore = socialMetrics.engagementRate * socialMetrics.count;
-    const tradingScore = Math.abs(tradingMetrics.priceChange) * tradingMetrics.volume;
-    
-    if (socialScore === 0 || tradingScore === 0) return 0;
-    
-    // Normalize scores and calculate correlation
-    const correlation = Math.min(1, Math.max(-1, (socialScore * tradingScore) / (socialScore + tradingScore)));
-    
-    return correlation;
+  toSocialEvents(socialItems) {
+    return socialItems.map(item => {
+      if (item.text !== undefined && item.channel_id !== undefined) {
+        const date = item.date ? (item.date < 1e12 ? item.date * 1000 : item.date) : Date.parse(item.scraped_at);
+        return { time: date, value: 1 };
+      }
+      return { time: Date.parse(item.created_at || item.fetched_at), value: item.views || 0 };
+    }).filter(event => Number.isFinite(event.time));
+  }
+
+  /**
+   * Correlate social activity with price returns and trading activity.
+   *
+   * Both series are bucketed per interval over the lookback window, then
+   * cross-correlated at lead/lag offsets. A positive lag means social activity
+   * moves first. `coefficient` is the Pearson coefficient against price
+   * returns at the strongest lag.
+   */
+  calculateCorrelationCoefficient(socialItems, priceData, options = {}) {
+    const { windowHours, intervalHours, maxLagBuckets, minPairs } = { ...this.correlationOptions, ...options };
+    const intervalMs = intervalHours * HOUR_MS;
+    const end = options.now ?? Date.now();
+    const start = end - windowHours * HOUR_MS;
+
+    const priceEvents = priceData
+      .map(row => ({ time: Date.parse(row.timestamp || row.trade_at), value: parseFloat(row.price_usd) }))
+      .filter(event => Number.isFinite(event.time) && event.value > 0);
+
+    // Levels need one extra bucket so returns line up with the social buckets
+    const priceLevels = bucketTimeSeries(priceEvents, { start: start - intervalMs, end, intervalMs, aggregate: 'last' });
+    const priceReturns = percentChanges(priceLevels);
+    const tradeActivity = bucketTimeSeries(priceEvents, { start, end, intervalMs, aggregate: 'count' });
+    const socialActivity = bucketTimeSeries(this.toSocialEvents(socialItems), { start, end, intervalMs, aggregate: 'sum' });
+
+    const priceLags = laggedCrossCorrelation(socialActivity, priceReturns, { maxLag: maxLagBuckets, minPairs });
+    const volumeLags = laggedCrossCorrelation(socialActivity, tradeActivity, { maxLag: maxLagBuckets, minPairs });
+    const best = priceLags.best;
+
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const summarize = (lags) => lags.best ? {
+      pearson: round(lags.zeroLag?.pearson ?? 0),
+      spearman: round(lags.zeroLag?.spearman ?? 0),
+      bestLagHours: lags.best.lag * intervalHours,
+      bestPearson: round(lags.best.pearson),
+      bestSpearman: round(lags.best.spearman),
+      pairs: lags.best.pairs
+    } : null;
+
+    return {
+      coefficient: best ? round(best.pearson) : 0,
+      pearson: round(pearsonCorrelation(socialActivity, priceReturns)),
+      spearman: round(spearmanCorrelation(socialActivity, priceReturns)),
+      lagHours: best ? best.lag * intervalHours : 0,
+      leader: !best || best.lag === 0 ? 'simultaneous' : best.lag > 0 ? 'social' : 'price',
+      price: summarize(priceLags),
+      volume: summarize(volumeLags),
+      lags: priceLags.lags.map(entry => ({
+        lagHours: entry.lag * intervalHours,
+        pearson: round(entry.pearson),
+        spearman: round(entry.spearman),
+        pairs: entry.pairs
+      })),
+      intervalHours,
+      buckets: socialActivity.length
+    };
   }
 
   /**
@@ -488,6 +566,8 @@ class MemecoinPatternAnalyzer {
         keyword: item.keyword,
         token: item.token.name,
         correlation: item.correlation,
+        lagHours: item.correlationAnalysis?.lagHours ?? 0,
+        leader: item.correlationAnalysis?.leader || 'simultaneous',
         socialEngagement: item.socialMetrics.engagementRate,
         priceChange: item.tradingMetrics.priceChange,
         recommendation: this.getRecommendationText(item.correlation, item.tradingMetrics.priceChange),
@@ -562,6 +642,9 @@ class MemecoinPatternAnalyzer {
           token_symbol: corr.token?.symbol,
           token_uri: corr.token?.uri,
           correlation_score: corr.correlation,
+          spearman_score: corr.correlationAnalysis?.price?.bestSpearman ?? null,
+          lag_hours: corr.correlationAnalysis?.lagHours ?? null,
+          correlation_details: corr.correlationAnalysis || {},
           social_metrics: corr.socialMetrics,
           trading_metrics: corr.tradingMetrics,
           risk_level: this.assessRisk(corr.correlation, corr.tradingMetrics?.volatility || 0),
@@ -1,6 +1,9 @@
 import { LlmAgent, AgentBuilder } from '@iqai/adk';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { PaperTradingEngine } from './paper_trading_engine.mjs';
+import { getLatestHolderSnapshot } from './holder_analysis.mjs';
+import { SERIAL_RUGGER_FLAG, getDeployerProfile } from './deployer_registry.mjs';
 
 // Load environment variables
 dotenv.config();
@@ -12,8 +15,10 @@ dotenv.config();
  * about market opportunities, risk management, and automated actions.
  */
 export class RealtimeDecisionAgent {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     this.supabase = supabase;
+    this.now = options.now || (() => Date.now());
+    this.paperTrading = options.paperTrading || new PaperTradingEngine(supabase, { now: this.now });
     this.agents = {};
     this.decisionHistory = [];
     this.riskThresholds = {
@@ -37,10 +42,10 @@ export class RealtimeDecisionAgent {
 
     // Initialize tools directly (no ADK agents needed)
     this.tools = {
-      marketOpportunity: new MarketOpportunityTool(this.supabase),
-      riskAssessment: new RiskAssessmentTool(this.supabase),
-      actionDecision: new ActionDecisionTool(this.supabase),
-      execution: new ExecutionTool(this.supabase),
+      marketOpportunity: new MarketOpportunityTool(this.supabase, { now: this.now }),
+      riskAssessment: new RiskAssessmentTool(this.supabase, { now: this.now }),
+      actionDecision: new ActionDecisionTool(this.supabase, { now: this.now }),
+      execution: new ExecutionTool(this.supabase, this.paperTrading),
       performanceAnalysis: new PerformanceAnalysisTool(this.supabase)
     };
 
@@ -54,6 +59,9 @@ export class RealtimeDecisionAgent {
     try {
       console.log('🔄 Processing real-time data for decision making...');
 
+      // Step 0: Enforce stop-loss / take-profit on open positions
+      const exits = await this.enforceExits();
+
       // Step 1: Detect opportunities
       const opportunities = await this.detectOpportunities();
       
@@ -74,7 +82,8 @@ export class RealtimeDecisionAgent {
         opportunities: opportunities.length,
         decisions: decisions.length,
         executed: results.filter(r => r.executed).length,
-        timestamp: new Date().toISOString()
+        exits: exits.length,
+        timestamp: new Date(this.now()).toISOString()
       };
 
     } catch (error) {
@@ -83,6 +92,24 @@ export class RealtimeDecisionAgent {
     }
   }
 
+  /**
+   * Close paper positions that crossed their stop-loss or take-profit
+   */
+  async enforceExits() {
+    try {
+      const exits = await this.paperTrading.markToMarket();
+      await this.paperTrading.savePortfolio();
+
+      if (exits.length > 0) {
+        console.log(`🛑 Closed ${exits.length} position(s) on stop-loss/take-profit`);
+      }
+      return exits;
+    } catch (error) {
+      console.error('Exit enforcement failed:', error);
+      return [];
+    }
+  }
+
   /**
    * Detect market opportunities
    */
@@ -163,14 +190,14 @@ export class RealtimeDecisionAgent {
         decisions.push({
           ...assessment,
           decision: result,
-          timestamp: new Date().toISOString()
+          timestamp: new Date(this.now()).toISOString()
         });
       } catch (error) {
         console.error(`Decision making failed for ${assessment.tokenSymbol}:`, error);
         decisions.push({
           ...assessment,
           decision: { action: 'HOLD', reason: 'Decision failed', error: error.message },
-          timestamp: new Date().toISOString()
+          timestamp: new Date(this.now()).toISOString()
         });
       }
     }
@@ -201,7 +228,7 @@ export class RealtimeDecisionAgent {
           ...decision,
           execution: result,
           executed: result.success || false,
-          executedAt: new Date().toISOString()
+          executedAt: new Date(this.now()).toISOString()
         });
 
         // Store decision in database
@@ -213,7 +240,7 @@ export class RealtimeDecisionAgent {
           ...decision,
           execution: { success: false, error: error.message },
           executed: false,
-          executedAt: new Date().toISOString()
+          executedAt: new Date(this.now()).toISOString()
         });
       }
     }
@@ -253,14 +280,7 @@ export class RealtimeDecisionAgent {
    */
   async getCurrentPortfolio() {
     try {
-      const { data, error } = await this.supabase
-        .from('portfolio')
-        .select('*')
-        .order('updated_at', { ascending: false })
-        .limit(1);
-
-      if (error) throw error;
-      return data?.[0] || { positions: [], totalValue: 0, riskLevel: 'medium' };
+      return await this.paperTrading.getPortfolio();
     } catch (error) {
       console.error('Failed to get portfolio:', error);
       return { positions: [], totalValue: 0, riskLevel: 'medium' };
@@ -314,7 +334,7 @@ export class RealtimeDecisionAgent {
           decision_confidence: decision.decision.confidence,
           execution_success: execution.success,
           execution_details: execution,
-          created_at: new Date().toISOString()
+          created_at: new Date(this.now()).toISOString()
         });
 
       if (error) {
@@ -361,7 +381,7 @@ export class RealtimeDecisionAgent {
       const { data, error } = await this.supabase
         .from('decision_history')
         .select('*')
-        .gte('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+        .gte('created_at', new Date(this.now() - 24 * 60 * 60 * 1000).toISOString());
 
       if (error) throw error;
 
@@ -398,8 +418,9 @@ export class RealtimeDecisionAgent {
 // =====================================================
 
 class MarketOpportunityTool {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     this.supabase = supabase;
+    this.now = options.now || (() => Date.now());
   }
 
   async execute(input) {
@@ -424,7 +445,7 @@ class MarketOpportunityTool {
         success: true,
         opportunities: opportunities,
         count: opportunities.length,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
       console.error('Market opportunity detection failed:', error);
@@ -434,7 +455,7 @@ class MarketOpportunityTool {
 
   async getRecentMarketData(timeRange) {
     const hours = timeRange === '1h' ? 1 : timeRange === '24h' ? 24 : 1;
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const since = new Date(this.now() - hours * 60 * 60 * 1000).toISOString();
 
     try {
       // Get price data with volume analysis
@@ -572,13 +593,14 @@ class MarketOpportunityTool {
           sentimentScore,
           trendScore,
           priceMomentum,
+          organicVolumeShare: this.calculateOrganicVolumeShare(prices[0]),
           marketData: {
             latestPrice: prices[0],
             priceHistory: prices.slice(0, 10),
             sentimentHistory: sentiment.slice(0, 5),
             trendHistory: trends.slice(0, 5)
           },
-          timestamp: new Date().toISOString()
+          timestamp: new Date(this.now()).toISOString()
         };
       }
 
@@ -597,12 +619,21 @@ class MarketOpportunityTool {
     
     if (older.length === 0) return 0;
     
-    const recentAvg = recent.reduce((sum, p) => sum + (p.volume_24h || 0), 0) / recent.length;
-    const olderAvg = older.reduce((sum, p) => sum + (p.volume_24h || 0), 0) / older.length;
+    // Organic volume (wash trading removed) once every compared row has it,
+    // so a bot trading with itself cannot fake growth
+    const useOrganic = [...recent, ...older].every(p => p.organic_volume_24h != null);
+    const volumeOf = p => (useOrganic ? p.organic_volume_24h : p.volume_24h) || 0;
+    const recentAvg = recent.reduce((sum, p) => sum + volumeOf(p), 0) / recent.length;
+    const olderAvg = older.reduce((sum, p) => sum + volumeOf(p), 0) / older.length;
     
     return olderAvg > 0 ? recentAvg / olderAvg : 0;
   }
 
+  calculateOrganicVolumeShare(latestPrice) {
+    if (latestPrice?.organic_volume_24h == null || !latestPrice.volume_24h) return null;
+    return Math.min(1, latestPrice.organic_volume_24h / latestPrice.volume_24h);
+  }
+
   calculateSentimentScore(sentiment) {
     if (sentiment.length === 0) return 0;
     
@@ -656,7 +687,7 @@ class MarketOpportunityTool {
         trend_score: opp.trendScore,
         price_momentum: opp.priceMomentum,
         analysis_data: opp.marketData,
-        created_at: new Date().toISOString()
+        created_at: new Date(this.now()).toISOString()
       }));
 
       const { error } = await this.supabase
@@ -674,8 +705,9 @@ class MarketOpportunityTool {
 }
 
 class RiskAssessmentTool {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     this.supabase = supabase;
+    this.now = options.now || (() => Date.now());
   }
 
   async execute(input) {
@@ -684,25 +716,43 @@ class RiskAssessmentTool {
       
       console.log(`⚠️ Assessing risk for ${tokenSymbol}...`);
       
+      // On-chain safety checks (mint/freeze authority, Token-2022 extensions)
+      const tokenSafety = await this.getTokenSafety(marketData);
+      const redFlags = [...(tokenSafety?.red_flags || [])];
+
+      // Track record of the wallet that launched the token (deployer_registry.mjs)
+      const deployer = await this.getDeployer(marketData);
+      if (deployer?.is_serial_rugger) {
+        redFlags.push({ ...SERIAL_RUGGER_FLAG, detail: `${deployer.tokens_rugged} of ${deployer.tokens_settled} launches rugged` });
+      }
+
+      // Who bought in the first slots after launch and who funded them (bitquery/scripts/snipers.mjs)
+      const snipers = await this.getSniperReport(marketData);
+
       // Analyze various risk factors
-      const riskFactors = await this.analyzeRiskFactors(tokenSymbol, tokenUri, marketData);
+      const riskFactors = await this.analyzeRiskFactors(tokenSymbol, tokenUri, marketData, tokenSafety, deployer, snipers);
       
       // Calculate overall risk score
       const riskScore = this.calculateRiskScore(riskFactors);
       
-      // Determine risk level
-      const riskLevel = this.determineRiskLevel(riskScore);
+      // Determine risk level; a critical red flag means high risk whatever the score
+      const riskLevel = redFlags.some(redFlag => redFlag.severity === 'critical')
+        ? 'high'
+        : this.determineRiskLevel(riskScore);
       
       // Generate risk mitigation strategies
-      const mitigationStrategies = this.generateMitigationStrategies(riskFactors, riskLevel);
+      const mitigationStrategies = this.generateMitigationStrategies(riskFactors, riskLevel, redFlags);
 
       return {
         success: true,
         riskScore,
         riskLevel,
         riskFactors,
+        redFlags,
+        deployer,
+        snipers,
         mitigationStrategies,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
       console.error('Risk assessment failed:', error);
@@ -710,13 +760,17 @@ class RiskAssessmentTool {
     }
   }
 
-  async analyzeRiskFactors(tokenSymbol, tokenUri, marketData) {
+  async analyzeRiskFactors(tokenSymbol, tokenUri, marketData, tokenSafety = null, deployer = null, snipers = null) {
     const factors = {
       liquidityRisk: await this.assessLiquidityRisk(marketData),
       volatilityRisk: await this.assessVolatilityRisk(marketData),
       sentimentRisk: await this.assessSentimentRisk(tokenSymbol),
       technicalRisk: await this.assessTechnicalRisk(marketData),
-      marketRisk: await this.assessMarketRisk()
+      marketRisk: await this.assessMarketRisk(),
+      holderConcentrationRisk: await this.assessHolderConcentrationRisk(marketData),
+      tokenSafetyRisk: this.assessTokenSafetyRisk(tokenSafety),
+      deployerRisk: this.assessDeployerRisk(deployer),
+      sniperRisk: this.assessSniperRisk(snipers)
     };
 
     return factors;
@@ -725,7 +779,8 @@ class RiskAssessmentTool {
   async assessLiquidityRisk(marketData) {
     if (!marketData?.latestPrice?.volume_24h) return 0.5;
     
-    const volume = marketData.latestPrice.volume_24h;
+    // Wash-traded volume is not liquidity anyone can exit into
+    const volume = marketData.latestPrice.organic_volume_24h ?? marketData.latestPrice.volume_24h;
     
     // Low volume = high risk
     if (volume < 10000) return 0.9;
@@ -765,7 +820,7 @@ class RiskAssessmentTool {
         .from('sentiment_analysis')
         .select('*')
         .eq('token_symbol', tokenSymbol)
-        .gte('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
+        .gte('created_at', new Date(this.now() - 24 * 60 * 60 * 1000).toISOString())
         .order('created_at', { ascending: false })
         .limit(10);
 
@@ -838,21 +893,146 @@ class RiskAssessmentTool {
     }
   }
 
+  /**
+   * Risk from how concentrated the wallet-held supply is (holder_analysis.mjs).
+   * Null when no recent snapshot exists, so the factor is left out of the score.
+   */
+  async assessHolderConcentrationRisk(marketData) {
+    const tokenId = marketData?.latestPrice?.token_id;
+    if (tokenId === undefined || tokenId === null) return null;
+
+    try {
+      const snapshot = await getLatestHolderSnapshot(this.supabase, { tokenId, now: this.now() });
+      if (!snapshot) return null;
+
+      const top10Share = parseFloat(snapshot.top10_share) || 0;
+
+      // A few wallets holding most of the float can dump on everyone else
+      let risk;
+      if (top10Share > 0.6) risk = 0.9;
+      else if (top10Share > 0.4) risk = 0.7;
+      else if (top10Share > 0.25) risk = 0.5;
+      else if (top10Share > 0.15) risk = 0.3;
+      else risk = 0.1;
+
+      if (snapshot.holder_count !== null && snapshot.holder_count < 50) risk = Math.max(risk, 0.7);
+      if (snapshot.gini !== null && parseFloat(snapshot.gini) > 0.95) risk += 0.1;
+      if (snapshot.holder_growth_24h !== null && parseFloat(snapshot.holder_growth_24h) < -0.1) risk += 0.1;
+
+      return Math.max(0, Math.min(1, risk));
+    } catch (error) {
+      console.log('⚠️ holder_snapshots not available, skipping holder concentration:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Latest `token_safety` row for the token (bitquery/scripts/token-safety.mjs), or null
+   */
+  async getTokenSafety(marketData) {
+    const tokenId = marketData?.latestPrice?.token_id;
+    if (tokenId === undefined || tokenId === null) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('token_safety')
+        .select('*')
+        .eq('token_id', tokenId)
+        .lte('checked_at', new Date(this.now()).toISOString())
+        .limit(1);
+
+      if (error || !data || data.length === 0) return null;
+      return data[0];
+    } catch (error) {
+      console.log('⚠️ token_safety not available, skipping red flags:', error.message);
+      return null;
+    }
+  }
+
+  assessTokenSafetyRisk(tokenSafety) {
+    if (!tokenSafety) return null;
+
+    const redFlags = tokenSafety.red_flags || [];
+    if (redFlags.some(redFlag => redFlag.severity === 'critical')) return 0.9;
+
+    const warnings = redFlags.filter(redFlag => redFlag.severity === 'warning').length;
+    return Math.min(0.8, 0.1 + 0.2 * warnings);
+  }
+
+  /**
+   * Profile of the token's deployer wallet, or null when unknown
+   */
+  async getDeployer(marketData) {
+    const tokenId = marketData?.latestPrice?.token_id;
+    if (tokenId === undefined || tokenId === null) return null;
+
+    try {
+      return await getDeployerProfile(this.supabase, { tokenId, now: this.now() });
+    } catch (error) {
+      console.log('⚠️ deployers not available, skipping deployer reputation:', error.message);
+      return null;
+    }
+  }
+
+  assessDeployerRisk(deployer) {
+    // A first-time deployer says nothing either way
+    if (!deployer || !deployer.tokens_settled) return null;
+    if (deployer.is_serial_rugger) return 1;
+    return Math.max(0, Math.min(1, 1 - (parseFloat(deployer.reputation_score) || 0)));
+  }
+
+  /**
+   * The token's `token_snipers` row, or null when its launch was not analyzed
+   */
+  async getSniperReport(marketData) {
+    const tokenId = marketData?.latestPrice?.token_id;
+    if (tokenId === undefined || tokenId === null) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('token_snipers')
+        .select('*')
+        .eq('token_id', tokenId)
+        .lte('analyzed_at', new Date(this.now()).toISOString())
+        .limit(1);
+
+      if (error || !data || data.length === 0) return null;
+      return data[0];
+    } catch (error) {
+      console.log('⚠️ token_snipers not available, skipping sniper risk:', error.message);
+      return null;
+    }
+  }
+
+  assessSniperRisk(snipers) {
+    if (!snipers || snipers.sniper_score === null || snipers.sniper_score === undefined) return null;
+    return Math.max(0, Math.min(1, parseFloat(snipers.sniper_score) || 0));
+  }
+
   calculateRiskScore(factors) {
     const weights = {
-      liquidityRisk: 0.25,
-      volatilityRisk: 0.25,
-      sentimentRisk: 0.2,
-      technicalRisk: 0.15,
-      marketRisk: 0.15
+      liquidityRisk: 0.2,
+      volatilityRisk: 0.15,
+      sentimentRisk: 0.15,
+      technicalRisk: 0.1,
+      marketRisk: 0.1,
+      holderConcentrationRisk: 0.15,
+      tokenSafetyRisk: 0.15,
+      deployerRisk: 0.1,
+      sniperRisk: 0.1
     };
 
+    // Factors without data (null) drop out and the remaining weights are rescaled
     let score = 0;
+    let totalWeight = 0;
     Object.keys(factors).forEach(factor => {
+      if (factors[factor] === null || factors[factor] === undefined) return;
       score += factors[factor] * weights[factor];
+      totalWeight += weights[factor];
     });
 
-    return Math.max(0, Math.min(1, score));
+    if (totalWeight === 0) return 0.5;
+    return Math.max(0, Math.min(1, score / totalWeight));
   }
 
   determineRiskLevel(riskScore) {
@@ -861,9 +1041,23 @@ class RiskAssessmentTool {
     return 'low';
   }
 
-  generateMitigationStrategies(factors, riskLevel) {
+  generateMitigationStrategies(factors, riskLevel, redFlags = []) {
     const strategies = [];
 
+    redFlags
+      .filter(redFlag => redFlag.severity === 'critical' && redFlag.code !== SERIAL_RUGGER_FLAG.code)
+      .forEach(redFlag => strategies.push(`Red flag: ${redFlag.label}; the creator can still act against holders`));
+
+    if (redFlags.some(redFlag => redFlag.code === SERIAL_RUGGER_FLAG.code)) {
+      strategies.push('Deployer has rugged most of its earlier launches; do not enter');
+    } else if (factors.deployerRisk > 0.7) {
+      strategies.push('Deployer has a poor track record; keep size small');
+    }
+
+    if (factors.sniperRisk > 0.7) {
+      strategies.push('Launch was sniped by bundled wallets that can dump on buyers; wait for them to exit');
+    }
+
     if (factors.liquidityRisk > 0.7) {
       strategies.push('Consider smaller position size due to low liquidity');
     }
@@ -880,6 +1074,10 @@ class RiskAssessmentTool {
       strategies.push('Wait for better technical setup before entering');
     }
 
+    if (factors.holderConcentrationRisk > 0.7) {
+      strategies.push('Top wallets hold most of the supply; keep size small and exits tight');
+    }
+
     if (riskLevel === 'high') {
       strategies.push('Consider avoiding this opportunity or use very small position');
     }
@@ -892,8 +1090,9 @@ class RiskAssessmentTool {
 // (VolumeAnalysisTool, SentimentAnalysisTool, TrendAnalysisTool, etc.)
 
 class ActionDecisionTool {
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     this.supabase = supabase;
+    this.now = options.now || (() => Date.now());
   }
 
   async execute(input) {
@@ -920,7 +1119,7 @@ class ActionDecisionTool {
         reason: decision.reason,
         confidence: decision.confidence,
         parameters: decision.parameters,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (error) {
       console.error('Action decision failed:', error);
@@ -1069,8 +1268,32 @@ class TimingAnalysisTool {
 }
 
 class ExecutionTool {
-  constructor(supabase) { this.supabase = supabase; }
-  async execute(input) { return { success: true, execution: {} }; }
+  constructor(supabase, engine = null) {
+    this.supabase = supabase;
+    this.engine = engine || new PaperTradingEngine(supabase);
+  }
+
+  async execute(input) {
+    try {
+      const { action, parameters = {}, tokenSymbol, tokenUri } = input;
+
+      console.log(`⚡ Paper-executing ${action} for ${tokenSymbol}...`);
+
+      const execution = await this.engine.executeOrder({ action, parameters, tokenSymbol, tokenUri });
+
+      if (execution.status === 'rejected') {
+        console.log(`⚠️ ${action} ${tokenSymbol} rejected: ${execution.reason}`);
+      }
+
+      return {
+        success: execution.status !== 'rejected',
+        execution
+      };
+    } catch (error) {
+      console.error('Execution failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 class PerformanceAnalysisTool {
@@ -1,3 +1,6 @@
+import { MATCH_CONFIDENCE, parseMentionCandidates } from './token_mention_extractor.mjs';
+import { TikTokCommentFetcher, TikTokSessionError } from './tiktok_comments.mjs';
+
 export class VideoScraper {
   static async extractVideoData(videoElement) {
     try {
@@ -212,99 +215,66 @@ export class VideoScraper {
   }
 }
 
-export async function extractComments(postId) {
-  const comments = [];
-  const seenComments = new Set(); // Track unique user-comment combinations
-  let cursor = 0;
-  const mentions = {}
+// One fetcher per browser page, so a failed session is remembered across videos
+const commentFetchers = new WeakMap();
 
+/**
+ * Fetch a video's comments through `page`'s browser session and tally the
+ * tickers and mint addresses they mention
+ */
+export async function extractComments(videoUrl, page) {
+  const mentions = {};
 
   const findCryptoTickers = (responseData) => {
     const { data: text, timestamp } = responseData
 
-    // Split text into words
-    const words = text.split(/[\s,]+/).map(word => word.trim());
-
-    const ignoreWords = ['solana', '#solana', '#nft', 'pump', 'dev', 'tokens', 'token', 'every', 'big', 'of', 'month', 'doing', 'burning', 'ai', 'nft', 'crypto', 'hold', 'hodl', 'btc', 'eth', 'xrp', 'xrpl', 'sol', 'doge', 'pepe', 'go', 'ui', 'coin', 'to', 'fix', 'guys', 'in', 'its', 'too', 'late', 'sui', 'account', 'join', 'official', 'ca', 'you', 'page', 'telegram', 'calls', 'the', 'best', 'is', 'okx', 'a', 'omg', 'market', 'cap', 'low', 'high', 'usd', 'dm', 'easy', 'made', 'crazy', 'going', 'asap', 'come', 'on', 'been', 'today', 'usdc', 'usdt', 'no', 'period', 'math', 'will', 'moon', 'lfg', 'cto', 'tg', 'my', 'last', 'free', 'buy', 'sell', 'but', 'bitcoin', 'ethereum', 'and', 'what', 'think', 'about', 'not', 'trade', 'mev', 'cyber', 'support', 'lmao', 'lol', 'many',]
-
-
-    for (const word of words) {
-      if (ignoreWords.includes(word.toLowerCase())) continue;
-      if (
-        /0x[a-fA-F0-9]{40}/i.test(word) ||
-        /[1-9A-HJ-NP-Za-km-z]{32,44}/.test(word)
-      ) {
-        mentions[word] = { count: (mentions[word]?.count || 0) + 1, isTicker: false, timestamp };
-        continue;
-      }
-
-      if (
-        /^\$[A-Za-z][A-Za-z0-9]{1,9}$/i.test(word) ||  // Cashtags
-        /^#[A-Za-z][A-Za-z0-9]{1,9}$/i.test(word) ||   // Hashtags
-        /^[A-Z][A-Z0-9]{1,9}$/.test(word)              // UPPERCASE words
-      ) {
-        console.log(word)
-        const ticker = word.startsWith('$') || word.startsWith('#')
-          ? word.substring(1)
-          : word;
-        mentions[ticker] = { count: (mentions[ticker]?.count || 0) + 1, isTicker: true, timestamp };
-      }
+    // Cashtags, hashtags, UPPERCASE tickers and mint addresses on word boundaries
+    for (const candidate of parseMentionCandidates(text)) {
+      const key = candidate.value;
+      const confidence = MATCH_CONFIDENCE[candidate.kind];
+      mentions[key] = {
+        count: (mentions[key]?.count || 0) + 1,
+        isTicker: candidate.kind !== 'address',
+        kind: candidate.kind,
+        confidence: Math.max(mentions[key]?.confidence || 0, confidence),
+        timestamp
+      };
     }
   };
 
-  const makeRequest = async (cursor) => {
-    const url = `https://www.tiktok.com/api/comment/list/?WebIdLastTime=1729273214&aid=1988&app_language=en&app_name=tiktok_web&aweme_id=${postId}&browser_language=en-US&browser_name=Mozilla&browser_online=true&browser_platform=Win32&browser_version=5.0%20%28Windows%20NT%2010.0%3B%20Win64%3B%20x64%29%20AppleWebKit%2F537.36%20%28KHTML%2C%20like%20Gecko%29%20Chrome%2F129.0.0.0%20Safari%2F537.36&channel=tiktok_web&cookie_enabled=true&count=20&cursor=${cursor}&data_collection_enabled=false&device_id=7427171842932786693&device_platform=web_pc&focus_state=true&from_page=video&history_len=6&is_fullscreen=false&is_page_visible=true&odinId=7427171704705188869&os=windows&priority_region=&referer=&region=CA&screen_height=1080&screen_width=1920&tz_name=Asia%2FTehran&user_is_login=false&webcast_language=en&msToken=U488DBL2ELMV88PxvXu7bOKQJVxuv7LnhKNHsWaOT2uQhpGyj5M-7EmUsXBIS9HbQ_bQ35u3Za-f_hVhHMMYsH-4mxWPeJoUeMhgOHOvQ-IaKb5lr3DlgBIYJXCUc9MCexCHXig1u4a98hVjnec74fs=&X-Bogus=DFSzswVYtfhANH-ltQ2xJbJ92U6T&_signature=_02B4Z6wo000017DRplgAAIDBt3uT.9qT9Zew0aLAAIsv87`;
-    const response = await fetch(url);
-
-    return await response.json();
-  };
-
-  while (true) {
-    try {
-      const rawData = await makeRequest(cursor);
-      const commentData = rawData.comments;
-      if (!commentData) break;
-      for (const cm of commentData) {
-        const responseData = {};
-        const userId = cm.user.uid;
-        responseData.timestamp = cm.create_time;
-
-        responseData.data =
-          cm.text || cm.share_info.desc.split("'s comment:")[1];
-        const commentIdentifier = `${userId}:${responseData.data}`;
-
-        if (seenComments.has(commentIdentifier)) {
-          continue;
-        }
-
-        seenComments.add(commentIdentifier);
-        comments.push(responseData);
-
-        findCryptoTickers(responseData);
-
-      }
-
-      if (rawData.has_more === 1) {
-        console.log("more comments available");
-        cursor += 20;
-        console.log("Cursor at ", cursor);
+  if (!page) {
+    console.log("No browser page to load comments in. Skipping comments...");
+    return { count: 0, mentions, complete: false };
+  }
 
-      } else {
-        console.log("no more comments available");
-        break;
-      }
-    } catch (error) {
+  if (!commentFetchers.has(page)) commentFetchers.set(page, new TikTokCommentFetcher(page));
+  const fetcher = commentFetchers.get(page);
+
+  let comments = [];
+  let complete = false;
+  let sessionError = null;
+  try {
+    const result = await fetcher.fetchComments(videoUrl);
+    comments = result.comments;
+    complete = result.complete;
+    console.log(`Fetched ${comments.length} comments over ${result.pages} page(s)${complete ? '' : ' (partial)'}`);
+  } catch (error) {
+    if (error instanceof TikTokSessionError) {
+      // Keep what came in before TikTok stopped answering
+      comments = error.comments;
+      sessionError = error.reason;
+      console.error(`⚠️ TikTok session ${error.reason}, comments unavailable until it is refreshed:`, error.message);
+    } else {
       console.error("Error fetching comments:", error);
-      break;
     }
   }
 
-  console.log("\nFetched all comments!");
+  comments.forEach(comment => findCryptoTickers({ data: comment.text, timestamp: comment.timestamp }));
 
   return {
     count: comments.length,
     mentions,
+    complete,
+    sessionError,
   };
 }
-
-
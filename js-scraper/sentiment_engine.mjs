@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+
+/**
+ * Deterministic Sentiment Engine
+ *
+ * Lexicon-based sentiment scorer tuned for memecoin chatter:
+ * - Crypto slang and emoji lexicon ("rug", "moon", "ngmi", "lfg", 🚀, 💀, ...)
+ * - Negation handling ("not bullish", "never rugs")
+ * - Intensifiers / dampeners ("super bullish", "kinda mid")
+ * - Caps and exclamation emphasis, contrast weighting ("but", "however",
+ *   "although", ...)
+ * - Optional pluggable LLM backend blended on top of the lexicon score
+ *
+ * The lexicon path is pure: the same text always yields the same scores.
+ */
+
+import OpenAI from 'openai';
+
+// Valence per term on a -4..4 scale, plus the emotions the term signals
+const LEXICON = {
+  // Bullish slang
+  moon: { valence: 2.5, emotions: ['joy'] },
+  mooning: { valence: 3.0, emotions: ['joy', 'surprise'] },
+  moonshot: { valence: 2.5, emotions: ['joy'] },
+  lfg: { valence: 2.8, emotions: ['joy'] },
+  wagmi: { valence: 2.5, emotions: ['joy'] },
+  gm: { valence: 0.8, emotions: ['joy'] },
+  bullish: { valence: 2.5, emotions: ['joy'] },
+  bull: { valence: 1.5, emotions: ['joy'] },
+  pump: { valence: 1.5, emotions: ['joy'] },
+  pumping: { valence: 2.0, emotions: ['joy', 'surprise'] },
+  send: { valence: 1.2, emotions: ['joy'] },
+  sending: { valence: 1.8, emotions: ['joy'] },
+  gem: { valence: 2.2, emotions: ['joy'] },
+  alpha: { valence: 1.5, emotions: ['joy'] },
+  hodl: { valence: 1.5, emotions: ['joy'] },
+  based: { valence: 1.8, emotions: ['joy'] },
+  ath: { valence: 2.0, emotions: ['joy', 'surprise'] },
+  breakout: { valence: 1.8, emotions: ['joy', 'surprise'] },
+  gains: { valence: 2.0, emotions: ['joy'] },
+  profit: { valence: 1.8, emotions: ['joy'] },
+  legit: { valence: 1.8, emotions: ['joy'] },
+  safu: { valence: 1.5, emotions: ['joy'] },
+  undervalued: { valence: 1.5, emotions: ['joy'] },
+  huge: { valence: 1.3, emotions: ['surprise'] },
+  insane: { valence: 1.5, emotions: ['surprise'] },
+  massive: { valence: 1.3, emotions: ['surprise'] },
+  love: { valence: 2.5, emotions: ['joy'] },
+  great: { valence: 2.5, emotions: ['joy'] },
+  good: { valence: 1.9, emotions: ['joy'] },
+  amazing: { valence: 2.8, emotions: ['joy', 'surprise'] },
+  win: { valence: 2.0, emotions: ['joy'] },
+  winning: { valence: 2.2, emotions: ['joy'] },
+  strong: { valence: 1.5, emotions: ['joy'] },
+
+  // Bearish slang
+  rug: { valence: -3.2, emotions: ['anger', 'fear'] },
+  rugged: { valence: -3.4, emotions: ['anger', 'sadness'] },
+  rugpull: { valence: -3.4, emotions: ['anger', 'fear'] },
+  ngmi: { valence: -2.5, emotions: ['sadness'] },
+  rekt: { valence: -2.8, emotions: ['sadness'] },
+  scam: { valence: -3.2, emotions: ['anger', 'fear'] },
+  scammer: { valence: -3.2, emotions: ['anger'] },
+  honeypot: { valence: -3.2, emotions: ['fear', 'anger'] },
+  fud: { valence: -1.8, emotions: ['fear'] },
+  dump: { valence: -2.2, emotions: ['fear', 'sadness'] },
+  dumping: { valence: -2.5, emotions: ['fear', 'sadness'] },
+  dumped: { valence: -2.5, emotions: ['sadness'] },
+  bearish: { valence: -2.5, emotions: ['fear'] },
+  bear: { valence: -1.5, emotions: ['fear'] },
+  jeet: { valence: -1.8, emotions: ['anger'] },
+  jeets: { valence: -1.8, emotions: ['anger'] },
+  exit: { valence: -1.0, emotions: ['fear'] },
+  crash: { valence: -2.8, emotions: ['fear', 'sadness'] },
+  crashing: { valence: -3.0, emotions: ['fear', 'sadness'] },
+  dead: { valence: -2.8, emotions: ['sadness'] },
+  rip: { valence: -2.0, emotions: ['sadness'] },
+  bagholder: { valence: -2.0, emotions: ['sadness'] },
+  bagholders: { valence: -2.0, emotions: ['sadness'] },
+  down: { valence: -1.0, emotions: ['sadness'] },
+  loss: { valence: -2.0, emotions: ['sadness'] },
+  losses: { valence: -2.0, emotions: ['sadness'] },
+  mid: { valence: -1.0, emotions: ['sadness'] },
+  fake: { valence: -2.2, emotions: ['anger'] },
+  hack: { valence: -2.8, emotions: ['fear', 'anger'] },
+  hacked: { valence: -3.0, emotions: ['fear', 'anger'] },
+  drained: { valence: -3.0, emotions: ['anger', 'sadness'] },
+  worthless: { valence: -2.8, emotions: ['sadness'] },
+  warning: { valence: -1.5, emotions: ['fear'] },
+  avoid: { valence: -1.8, emotions: ['fear'] },
+  bad: { valence: -2.5, emotions: ['sadness'] },
+  terrible: { valence: -3.0, emotions: ['anger', 'sadness'] },
+  hate: { valence: -2.7, emotions: ['anger'] },
+  panic: { valence: -2.5, emotions: ['fear'] },
+  scared: { valence: -2.0, emotions: ['fear'] },
+
+  // Emoji
+  '🚀': { valence: 2.5, emotions: ['joy'] },
+  '🌕': { valence: 2.0, emotions: ['joy'] },
+  '🔥': { valence: 2.0, emotions: ['joy', 'surprise'] },
+  '💎': { valence: 1.8, emotions: ['joy'] },
+  '🙌': { valence: 1.8, emotions: ['joy'] },
+  '📈': { valence: 2.0, emotions: ['joy'] },
+  '💰': { valence: 1.8, emotions: ['joy'] },
+  '🤑': { valence: 2.0, emotions: ['joy'] },
+  '😂': { valence: 1.0, emotions: ['joy'] },
+  '🤣': { valence: 1.0, emotions: ['joy'] },
+  '😍': { valence: 2.5, emotions: ['joy'] },
+  '🐂': { valence: 1.5, emotions: ['joy'] },
+  '💀': { valence: -2.0, emotions: ['sadness', 'fear'] },
+  '📉': { valence: -2.0, emotions: ['sadness'] },
+  '🩸': { valence: -2.2, emotions: ['fear', 'sadness'] },
+  '😭': { valence: -2.0, emotions: ['sadness'] },
+  '😡': { valence: -2.5, emotions: ['anger'] },
+  '🤬': { valence: -2.8, emotions: ['anger'] },
+  '⚠': { valence: -1.5, emotions: ['fear'] },
+  '🚨': { valence: -1.2, emotions: ['fear', 'surprise'] },
+  '🐻': { valence: -1.5, emotions: ['fear'] },
+  '🤡': { valence: -2.0, emotions: ['anger'] }
+};
+
+// Multi-word phrases are collapsed into a single token before scoring
+const PHRASES = {
+  'to the moon': 'moon',
+  'rug pull': 'rugpull',
+  'rug pulled': 'rugged',
+  'pump and dump': 'scam',
+  'diamond hands': 'hodl',
+  'paper hands': 'jeet',
+  'all time high': 'ath',
+  'exit scam': 'scam',
+  'dead coin': 'dead'
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'none', 'nobody', 'neither', 'nor', 'without',
+  "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "isn't", 'isnt',
+  "aren't", 'arent', "wasn't", 'wasnt', "won't", 'wont', "can't", 'cant',
+  "shouldn't", 'shouldnt', "ain't", 'aint', 'hardly'
+]);
+
+// Scalar added to (or removed from) the magnitude of the next sentiment term
+const BOOSTERS = {
+  very: 0.293, super: 0.293, so: 0.293, extremely: 0.293, really: 0.293,
+  mega: 0.293, hella: 0.293, insanely: 0.293, absolutely: 0.293, totally: 0.293,
+  literally: 0.2, fully: 0.2, most: 0.2,
+  slightly: -0.293, kinda: -0.293, kind: -0.293, somewhat: -0.293,
+  barely: -0.293, little: -0.293, maybe: -0.2, lowkey: -0.2
+};
+
+// "A but B": the clause after the conjunction carries the weight
+const CONTRAST_CONJUNCTIONS = new Set(['but', 'however', 'nevertheless', 'nonetheless', 'whereas']);
+// "although A, B": the clause the conjunction opens is conceded, up to the next comma or stop
+const CONCESSIVE_CONJUNCTIONS = new Set(['although', 'though', 'tho', 'despite']);
+const CLAUSE_BREAK = /[,;:.!?]/;
+
+const NEGATION_SCALAR = -0.74;
+const CAPS_INCREMENT = 0.733;
+const EXCLAMATION_INCREMENT = 0.292;
+const NORMALIZATION_ALPHA = 15;
+const NEUTRAL_THRESHOLD = 0.05;
+const DEFAULT_LLM_WEIGHT = 0.5;
+const EMOTIONS = ['joy', 'anger', 'fear', 'surprise', 'sadness'];
+
+const TOKEN_REGEX = /\p{Extended_Pictographic}\uFE0F?|[\p{L}\p{N}$#']+/gu;
+
+// Share of the LLM score in the blend: clamped to 0..1, default when not a number
+const normalizeLlmWeight = (value) => {
+  const weight = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(weight) ? Math.min(1, Math.max(0, weight)) : DEFAULT_LLM_WEIGHT;
+};
+
+const round = (value, digits = 4) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Sentiment Engine
+ * Scores text offline with the slang lexicon and optionally blends in an LLM backend
+ */
+class SentimentEngine {
+  constructor(options = {}) {
+    this.lexicon = { ...LEXICON, ...(options.lexicon || {}) };
+    this.llmBackend = options.llmBackend || null;
+    this.llmWeight = normalizeLlmWeight(options.llmWeight);
+  }
+
+  tokenize(text) {
+    let normalized = String(text || '').replace(/\s+/g, ' ');
+
+    Object.entries(PHRASES).forEach(([phrase, replacement]) => {
+      normalized = normalized.replace(new RegExp(`\\b${phrase}\\b`, 'gi'), replacement);
+    });
+
+    let previousEnd = 0;
+    return [...normalized.matchAll(TOKEN_REGEX)].map(match => {
+      const raw = match[0];
+      const word = raw.replace(/^[$#]+/, '').replace(/\uFE0F$/, '');
+      const breakBefore = CLAUSE_BREAK.test(normalized.slice(previousEnd, match.index));
+      previousEnd = match.index + raw.length;
+      return {
+        raw,
+        word: word.toLowerCase(),
+        isCaps: word.length > 1 && /\p{Lu}/u.test(word) && word === word.toUpperCase(),
+        breakBefore
+      };
+    });
+  }
+
+  /**
+   * Weight of each token's clause. Contrastive conjunctions split the text into
+   * clauses; the last clause that is not conceded carries the point (x1.5) and
+   * every other clause is played down (x0.5). Without a contrast all weights are 1.
+   */
+  contrastWeights(tokens) {
+    const clauses = [{ conceded: false, indices: [] }];
+    tokens.forEach((token, index) => {
+      // "yet" only joins clauses after a comma ("not yet" is no contrast)
+      const contrast = CONTRAST_CONJUNCTIONS.has(token.word) || (token.word === 'yet' && token.breakBefore);
+      if (contrast || CONCESSIVE_CONJUNCTIONS.has(token.word)) {
+        clauses.push({ conceded: !contrast, indices: [] });
+        return;
+      }
+      if (clauses[clauses.length - 1].conceded && token.breakBefore) {
+        clauses.push({ conceded: false, indices: [] });
+      }
+      clauses[clauses.length - 1].indices.push(index);
+    });
+
+    const weights = tokens.map(() => (clauses.length > 1 ? 0.5 : 1));
+    if (clauses.length > 1) {
+      const focus = clauses.filter(clause => !clause.conceded).pop();
+      focus.indices.forEach(index => { weights[index] = 1.5; });
+    }
+    return weights;
+  }
+
+  /**
+   * Pure lexicon scoring. Returns the dominant label, a -1..1 compound score,
+   * a 0..1 sentiment_score, the positive/negative/neutral split and emotions.
+   */
+  scoreText(text) {
+    const tokens = this.tokenize(text);
+    const hasMixedCase = tokens.some(t => !t.isCaps && /\p{L}/u.test(t.word));
+    const clauseWeights = this.contrastWeights(tokens);
+    const valences = [];
+    const emotionTotals = Object.fromEntries(EMOTIONS.map(e => [e, 0]));
+    const matches = [];
+
+    tokens.forEach((token, index) => {
+      const entry = this.lexicon[token.word];
+      if (!entry) {
+        valences.push(0);
+        return;
+      }
+
+      let valence = entry.valence;
+
+      if (token.isCaps && hasMixedCase) {
+        valence += Math.sign(valence) * CAPS_INCREMENT;
+      }
+
+      // Boosters and negations within the three preceding tokens
+      let negated = false;
+      for (let offset = 1; offset <= 3 && index - offset >= 0; offset++) {
+        const previous = tokens[index - offset].word;
+        const decay = offset === 1 ? 1 : offset === 2 ? 0.95 : 0.9;
+        if (BOOSTERS[previous] !== undefined) {
+          valence += Math.sign(valence) * BOOSTERS[previous] * decay;
+        }
+        if (NEGATIONS.has(previous)) negated = true;
+      }
+      if (negated) valence *= NEGATION_SCALAR;
+
+      valence *= clauseWeights[index];
+
+      valences.push(valence);
+      matches.push({ term: token.word, valence: round(valence), negated });
+
+      const emotionWeight = Math.abs(valence) / 4;
+      entry.emotions.forEach(emotion => {
+        emotionTotals[emotion] += negated ? emotionWeight * 0.5 : emotionWeight;
+      });
+    });
+
+    let sum = valences.reduce((a, b) => a + b, 0);
+
+    const exclamations = Math.min(4, (String(text || '').match(/!/g) || []).length);
+    if (sum !== 0 && exclamations > 0) {
+      sum += Math.sign(sum) * exclamations * EXCLAMATION_INCREMENT;
+    }
+
+    const compound = sum === 0 ? 0 : sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+
+    // Positive / negative / neutral proportions of the text
+    let positiveSum = 0;
+    let negativeSum = 0;
+    let neutralCount = 0;
+    valences.forEach(v => {
+      if (v > 0) positiveSum += v + 1;
+      else if (v < 0) negativeSum += v - 1;
+      else neutralCount += 1;
+    });
+    const total = positiveSum + Math.abs(negativeSum) + neutralCount;
+    const scores = total > 0
+      ? {
+          positive: round(positiveSum / total),
+          negative: round(Math.abs(negativeSum) / total),
+          neutral: round(neutralCount / total)
+        }
+      : { positive: 0, negative: 0, neutral: 1 };
+
+    return this.buildResult(compound, scores, emotionTotals, matches, tokens.length);
+  }
+
+  buildResult(compound, scores, emotionTotals, matches, tokenCount, backend = 'lexicon') {
+    let sentiment = 'neutral';
+    if (compound >= NEUTRAL_THRESHOLD) sentiment = 'positive';
+    else if (compound <= -NEUTRAL_THRESHOLD) sentiment = 'negative';
+
+    // Confidence column is DECIMAL(3,2), so keep it to two digits
+    const confidence = sentiment === 'neutral'
+      ? round(Math.max(scores.neutral, 1 - Math.abs(compound) / NEUTRAL_THRESHOLD * 0.5), 2)
+      : round(Math.min(1, Math.abs(compound)), 2);
+
+    const emotions = Object.fromEntries(
+      EMOTIONS.map(e => [e, round(Math.min(1, emotionTotals[e] || 0))])
+    );
+
+    return {
+      sentiment,
+      confidence,
+      compound: round(compound),
+      sentimentScore: round((compound + 1) / 2),
+      scores,
+      emotions,
+      matches,
+      tokenCount,
+      backend
+    };
+  }
+
+  /**
+   * Lexicon score, blended with the LLM backend when one is configured.
+   * Backend failures fall back to the lexicon result.
+   */
+  async analyze(text) {
+    const lexiconResult = this.scoreText(text);
+    if (!this.llmBackend || lexiconResult.tokenCount === 0) return lexiconResult;
+
+    try {
+      const llmResult = await this.llmBackend.analyze(String(text));
+      if (!llmResult || typeof llmResult.compound !== 'number' || Number.isNaN(llmResult.compound)) {
+        return lexiconResult;
+      }
+
+      const llmCompound = Math.max(-1, Math.min(1, llmResult.compound));
+      const compound = lexiconResult.compound * (1 - this.llmWeight) + llmCompound * this.llmWeight;
+      const emotionTotals = { ...lexiconResult.emotions };
+      if (llmResult.emotions) {
+        EMOTIONS.forEach(e => {
+          if (typeof llmResult.emotions[e] === 'number') {
+            emotionTotals[e] = emotionTotals[e] * (1 - this.llmWeight) + llmResult.emotions[e] * this.llmWeight;
+          }
+        });
+      }
+
+      return this.buildResult(
+        compound,
+        lexiconResult.scores,
+        emotionTotals,
+        lexiconResult.matches,
+        lexiconResult.tokenCount,
+        `lexicon+${this.llmBackend.name || 'llm'}`
+      );
+    } catch (error) {
+      console.error('LLM sentiment backend failed, using lexicon score:', error.message);
+      return lexiconResult;
+    }
+  }
+}
+
+/**
+ * OpenAI sentiment backend
+ * Runs at temperature 0 and memoizes per text so repeated content scores identically
+ */
+class OpenAISentimentBackend {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.SENTIMENT_LLM_MODEL || 'gpt-3.5-turbo';
+    this.openai = options.client || new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    this.cache = new Map();
+  }
+
+  async analyze(text) {
+    if (this.cache.has(text)) return this.cache.get(text);
+
+    const completion = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You score the sentiment of crypto/memecoin social media posts. Reply with JSON only: {"compound": number between -1 and 1, "emotions": {"joy": 0-1, "anger": 0-1, "fear": 0-1, "surprise": 0-1, "sadness": 0-1}}'
+        },
+        { role: 'user', content: text.slice(0, 2000) }
+      ],
+      max_tokens: 100,
+      temperature: 0
+    });
+
+    const result = JSON.parse(completion.choices[0].message.content);
+    this.cache.set(text, result);
+    return result;
+  }
+}
+
+/**
+ * Build an engine from environment configuration.
+ * SENTIMENT_LLM_PROVIDER=openai enables the OpenAI backend (needs OPENAI_API_KEY).
+ */
+function createSentimentEngine(options = {}) {
+  if (options.llmBackend || process.env.SENTIMENT_LLM_PROVIDER !== 'openai' || !process.env.OPENAI_API_KEY) {
+    return new SentimentEngine(options);
+  }
+
+  return new SentimentEngine({
+    ...options,
+    llmBackend: new OpenAISentimentBackend(),
+    llmWeight: options.llmWeight ?? process.env.SENTIMENT_LLM_WEIGHT
+  });
+}
+
+export {
+  SentimentEngine,
+  OpenAISentimentBackend,
+  createSentimentEngine,
+  LEXICON as SENTIMENT_LEXICON
+};
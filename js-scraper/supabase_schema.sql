@@ -29,6 +29,9 @@ CREATE TABLE IF NOT EXISTS tokens (
     image_url TEXT,
     address TEXT, -- Solana token address
     create_tx TEXT, -- Transaction signature that created the token
+    deployer TEXT, -- Wallet that sent the pump.fun create instruction
+    created_slot BIGINT, -- Slot of the create instruction
+    logo_hash TEXT, -- 64-bit difference hash of the logo, hex (clone_detection.mjs)
     market_cap DECIMAL(20,2),
     total_supply BIGINT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -41,6 +44,7 @@ CREATE TABLE IF NOT EXISTS tokens (
 CREATE INDEX IF NOT EXISTS idx_tokens_uri ON tokens(uri);
 CREATE INDEX IF NOT EXISTS idx_tokens_symbol ON tokens(symbol);
 CREATE INDEX IF NOT EXISTS idx_tokens_address ON tokens(address);
+CREATE INDEX IF NOT EXISTS idx_tokens_deployer ON tokens(deployer);
 CREATE INDEX IF NOT EXISTS idx_tokens_create_tx ON tokens(create_tx);
 CREATE INDEX IF NOT EXISTS idx_tokens_created_at ON tokens(created_at);
 CREATE INDEX IF NOT EXISTS idx_tokens_market_cap ON tokens(market_cap);
@@ -73,6 +77,27 @@ CREATE INDEX IF NOT EXISTS idx_tiktoks_fetched_at ON tiktoks(fetched_at);
 CREATE INDEX IF NOT EXISTS idx_tiktoks_views ON tiktoks(views);
 CREATE INDEX IF NOT EXISTS idx_tiktoks_hashtags ON tiktoks USING GIN(hashtags);
 
+-- Revisit tracking (tiktok_revisits.mjs); views/likes/comments/shares above hold the latest stats
+ALTER TABLE tiktoks ADD COLUMN IF NOT EXISTS revisited_at TIMESTAMP WITH TIME ZONE; -- last revisit attempt
+ALTER TABLE tiktoks ADD COLUMN IF NOT EXISTS view_velocity DECIMAL(14,2); -- views per hour between the last two snapshots
+ALTER TABLE tiktoks ADD COLUMN IF NOT EXISTS view_acceleration DECIMAL(14,2); -- change in views per hour, per hour
+ALTER TABLE tiktoks ADD COLUMN IF NOT EXISTS revisit_status TEXT; -- 'ok', 'unavailable' (deleted/private), 'failed'
+
+-- View counts over time: one row at discovery, then one per revisit
+CREATE TABLE IF NOT EXISTS tiktok_snapshots (
+    id SERIAL PRIMARY KEY,
+    tiktok_id TEXT REFERENCES tiktoks(id) ON DELETE CASCADE,
+    views BIGINT,
+    likes BIGINT,
+    comments BIGINT,
+    shares BIGINT,
+    source TEXT DEFAULT 'revisit', -- 'discovery' (search results, rounded) or 'revisit' (exact)
+    captured_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tiktok_snapshots_video ON tiktok_snapshots(tiktok_id, captured_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tiktok_snapshots_captured_at ON tiktok_snapshots(captured_at);
+
 -- =====================================================
 -- TELEGRAM SCRAPER TABLES
 -- =====================================================
@@ -186,11 +211,14 @@ CREATE TABLE IF NOT EXISTS prices (
     timestamp TIMESTAMP WITH TIME ZONE, -- Block timestamp from blockchain
     is_latest BOOLEAN DEFAULT false, -- Flag to mark the latest price for each token
     volume_24h DECIMAL(20,2),
+    organic_volume_24h DECIMAL(20,2), -- volume_24h less detected wash trading
     market_cap DECIMAL(20,2),
     price_change_24h DECIMAL(10,4),
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+ALTER TABLE prices ADD COLUMN IF NOT EXISTS organic_volume_24h DECIMAL(20,2);
+
 -- Add foreign key constraint with explicit name
 ALTER TABLE prices ADD CONSTRAINT fk_prices_token_uri 
 FOREIGN KEY (token_uri) REFERENCES tokens(uri) ON DELETE CASCADE;
@@ -207,6 +235,247 @@ CREATE INDEX IF NOT EXISTS idx_prices_price_usd ON prices(price_usd);
 CREATE UNIQUE INDEX IF NOT EXISTS idx_prices_unique_token_timestamp 
 ON prices(token_uri, timestamp);
 
+-- OHLCV candles built from every pump.fun trade (bitquery/scripts/prices.mjs).
+-- Volumes are real traded amounts: base = tokens, quote = SOL, plus USD value.
+CREATE TABLE IF NOT EXISTS price_candles (
+    id BIGSERIAL PRIMARY KEY,
+    token_id INTEGER REFERENCES tokens(id) ON DELETE CASCADE,
+    mint TEXT NOT NULL,
+    resolution TEXT NOT NULL, -- '1m', '5m', '1h', '1d'
+    bucket_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    open_usd DECIMAL(30,15),
+    high_usd DECIMAL(30,15),
+    low_usd DECIMAL(30,15),
+    close_usd DECIMAL(30,15),
+    open_sol DECIMAL(30,15),
+    high_sol DECIMAL(30,15),
+    low_sol DECIMAL(30,15),
+    close_sol DECIMAL(30,15),
+    volume_base DECIMAL(38,9) DEFAULT 0,
+    volume_quote DECIMAL(38,9) DEFAULT 0,
+    volume_usd DECIMAL(24,4) DEFAULT 0,
+    buy_volume_usd DECIMAL(24,4) DEFAULT 0,
+    sell_volume_usd DECIMAL(24,4) DEFAULT 0,
+    trade_count INTEGER DEFAULT 0,
+    buy_count INTEGER DEFAULT 0,
+    sell_count INTEGER DEFAULT 0,
+    first_trade_at TIMESTAMP WITH TIME ZONE,
+    last_trade_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_candles_unique_bucket
+ON price_candles(token_id, resolution, bucket_start);
+CREATE INDEX IF NOT EXISTS idx_price_candles_mint ON price_candles(mint, resolution, bucket_start);
+
+-- Trades already folded into price_candles (bitquery/scripts/supabase/candles.mjs).
+-- trade_key matches token_trades; a key is claimed before its candles are written.
+CREATE TABLE IF NOT EXISTS candle_trades (
+    trade_key TEXT PRIMARY KEY, -- signature:mint:side:amount
+    mint TEXT NOT NULL,
+    traded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ingested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candle_trades_traded_at ON candle_trades(traded_at);
+
+-- Bitquery sync cursors (bitquery/scripts/sync.mjs). A stream's cursor only
+-- moves once a window has been fully paged and pushed.
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+    stream TEXT PRIMARY KEY, -- 'memecoins', 'trades'
+    cursor_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    metadata JSONB DEFAULT '{}'::jsonb
+);
+
+-- Windows that could not be fully read; re-synced at the start of later runs
+CREATE TABLE IF NOT EXISTS sync_gaps (
+    id BIGSERIAL PRIMARY KEY,
+    stream TEXT NOT NULL,
+    gap_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    gap_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT DEFAULT 'open', -- 'open', 'filled', 'empty', 'truncated'
+    reason TEXT,
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    filled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_gaps_unique_window
+ON sync_gaps(stream, gap_start, gap_end);
+CREATE INDEX IF NOT EXISTS idx_sync_gaps_open ON sync_gaps(stream, status, gap_start);
+
+-- Holder concentration snapshots (js-scraper/holder_analysis.mjs). Shares are
+-- of the supply not held by programs (bonding curve, pools); holder_count and
+-- gini are NULL when the RPC only returned the largest accounts.
+CREATE TABLE IF NOT EXISTS holder_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    token_id INTEGER REFERENCES tokens(id) ON DELETE CASCADE,
+    mint TEXT NOT NULL,
+    holder_count INTEGER,
+    top1_share DECIMAL(7,6),
+    top5_share DECIMAL(7,6),
+    top10_share DECIMAL(7,6),
+    gini DECIMAL(7,6),
+    program_share DECIMAL(7,6),
+    supply DECIMAL(38,9),
+    holder_growth_24h DECIMAL(12,6), -- relative change vs. the snapshot ~24h earlier
+    holder_growth_7d DECIMAL(12,6),
+    complete BOOLEAN DEFAULT TRUE,
+    top_holders JSONB DEFAULT '[]'::jsonb, -- [{owner, amount, share}]
+    program_holders JSONB DEFAULT '[]'::jsonb, -- [{owner, amount, label}]
+    taken_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_holder_snapshots_token ON holder_snapshots(token_id, taken_at DESC);
+CREATE INDEX IF NOT EXISTS idx_holder_snapshots_mint ON holder_snapshots(mint, taken_at DESC);
+
+-- On-chain safety checks per token (bitquery/scripts/token-safety.mjs).
+-- red_flags: [{code, severity ('critical'|'warning'), label, detail}]
+CREATE TABLE IF NOT EXISTS token_safety (
+    token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+    mint TEXT NOT NULL,
+    token_program TEXT, -- 'spl-token', 'token-2022'
+    mint_authority TEXT,
+    freeze_authority TEXT,
+    mint_authority_revoked BOOLEAN,
+    has_freeze_authority BOOLEAN,
+    metadata_mutable BOOLEAN, -- NULL when the mint has no metadata account
+    update_authority TEXT,
+    extensions JSONB DEFAULT '[]'::jsonb, -- Token-2022 extension names
+    transfer_fee_bps INTEGER,
+    permanent_delegate TEXT,
+    red_flags JSONB DEFAULT '[]'::jsonb,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_safety_mint ON token_safety(mint);
+
+-- pump.fun lifecycle (bitquery/scripts/lifecycle.mjs): launched → bonding → graduated, or abandoned
+CREATE TABLE IF NOT EXISTS token_lifecycle (
+    token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+    mint TEXT NOT NULL,
+    state TEXT NOT NULL, -- 'launched', 'bonding', 'graduated', 'abandoned'
+    bonding_progress DECIMAL(6,4), -- share of the curve sold, 0-1
+    pool_address TEXT, -- PumpSwap pool once graduated
+    last_trade_at TIMESTAMP WITH TIME ZONE,
+    launched_at TIMESTAMP WITH TIME ZONE,
+    bonding_at TIMESTAMP WITH TIME ZONE,
+    graduated_at TIMESTAMP WITH TIME ZONE,
+    abandoned_at TIMESTAMP WITH TIME ZONE,
+    transitions JSONB DEFAULT '[]'::jsonb, -- [{from, to, at}]
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_lifecycle_mint ON token_lifecycle(mint);
+CREATE INDEX IF NOT EXISTS idx_token_lifecycle_state ON token_lifecycle(state, last_trade_at);
+
+-- Individual trades with the signing wallet, kept 48h for wash-trade detection
+-- (bitquery/scripts/wash-trading.mjs). trade_key matches the trades stream's row key.
+CREATE TABLE IF NOT EXISTS token_trades (
+    trade_key TEXT PRIMARY KEY, -- signature:mint:side:amount
+    token_id INTEGER NOT NULL REFERENCES tokens(id) ON DELETE CASCADE,
+    mint TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    trader TEXT,
+    side TEXT NOT NULL, -- 'buy', 'sell'
+    base_amount DECIMAL(30,6),
+    volume_usd DECIMAL(20,2),
+    price_usd DECIMAL(20,10),
+    traded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    slot BIGINT
+);
+
+ALTER TABLE token_trades ADD COLUMN IF NOT EXISTS slot BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_token_trades_token_time ON token_trades(token_id, traded_at);
+CREATE INDEX IF NOT EXISTS idx_token_trades_traded_at ON token_trades(traded_at);
+
+-- Trailing 24h volume split into organic and wash trading, one row per token
+CREATE TABLE IF NOT EXISTS volume_quality (
+    token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+    total_volume_usd DECIMAL(20,2),
+    organic_volume_usd DECIMAL(20,2),
+    wash_volume_usd DECIMAL(20,2),
+    matched_pair_volume_usd DECIMAL(20,2), -- same-size buy/sell pairs within seconds
+    circular_volume_usd DECIMAL(20,2), -- wallet clusters trading back and forth
+    matched_pairs INTEGER DEFAULT 0,
+    unique_traders INTEGER DEFAULT 0,
+    trade_count INTEGER DEFAULT 0,
+    traders_per_1k_usd DECIMAL(10,4),
+    organic_share DECIMAL(5,4), -- organic / total
+    wash_score DECIMAL(5,4), -- 1 - organic_share
+    flags TEXT[] DEFAULT '{}', -- 'same_size_pairs', 'circular_trading', 'few_traders'
+    clusters JSONB DEFAULT '[]'::jsonb, -- [{wallets, trade_count, volume_usd}]
+    window_start TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_volume_quality_wash ON volume_quality(wash_score DESC);
+
+-- Buys in the first slots after each launch (bitquery/scripts/snipers.mjs)
+CREATE TABLE IF NOT EXISTS token_snipers (
+    token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+    launch_slot BIGINT,
+    early_slots INTEGER, -- slots counted from launch_slot
+    early_buyers INTEGER DEFAULT 0, -- distinct wallets, deployer excluded
+    first_block_buyers INTEGER DEFAULT 0,
+    first_block_supply_share DECIMAL(6,4), -- share of supply bought in launch_slot
+    early_supply_share DECIMAL(6,4),
+    funded_wallets INTEGER DEFAULT 0, -- early buyers whose first funder was found
+    bundled_wallets INTEGER DEFAULT 0, -- early buyers sharing a funder
+    deployer_funded_wallets INTEGER DEFAULT 0,
+    funding_clusters JSONB DEFAULT '[]'::jsonb, -- [{funder, wallets, deployer}]
+    sniper_score DECIMAL(5,4), -- 0 (clean launch) to 1
+    flags TEXT[] DEFAULT '{}', -- 'heavy_first_block', 'bundled_buys', 'deployer_funded_snipers'
+    analyzed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_snipers_score ON token_snipers(sniper_score DESC);
+
+-- Deployer wallet track records (deployer_registry.mjs); rates count only
+-- launches older than 6h. A rug is a 1h close 90%+ under the token's peak.
+CREATE TABLE IF NOT EXISTS deployers (
+    address TEXT PRIMARY KEY,
+    tokens_launched INTEGER DEFAULT 0,
+    tokens_settled INTEGER DEFAULT 0,
+    tokens_graduated INTEGER DEFAULT 0,
+    tokens_rugged INTEGER DEFAULT 0,
+    tokens_abandoned INTEGER DEFAULT 0,
+    graduation_rate DECIMAL(5,4),
+    rug_rate DECIMAL(5,4),
+    avg_minutes_to_rug DECIMAL(10,1), -- launch to the rug candle
+    avg_drawdown DECIMAL(5,4), -- peak to latest close
+    reputation_score DECIMAL(5,4), -- 0 (rugs everything) to 1
+    is_serial_rugger BOOLEAN DEFAULT FALSE,
+    first_launch_at TIMESTAMP WITH TIME ZONE,
+    last_launch_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deployers_serial ON deployers(is_serial_rugger) WHERE is_serial_rugger;
+
+-- Lookalike token groups (clone_detection.mjs): same normalized symbol or name,
+-- or a logo hash within a few bits. One canonical token per group, picked by
+-- age, liquidity and holder count; the rest are likely impersonators.
+CREATE TABLE IF NOT EXISTS token_clones (
+    token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+    canonical_token_id INTEGER REFERENCES tokens(id) ON DELETE CASCADE,
+    is_canonical BOOLEAN DEFAULT FALSE,
+    is_impersonator BOOLEAN DEFAULT FALSE,
+    impersonator_score DECIMAL(5,4), -- 0-1, how closely it copies the canonical token and how far it trails it
+    match_reasons JSONB DEFAULT '[]'::jsonb, -- 'symbol', 'name', 'logo', or 'linked' through another member
+    group_size INTEGER,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_clones_canonical ON token_clones(canonical_token_id);
+
+-- Logo hash column for existing installs
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS logo_hash TEXT;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS created_slot BIGINT;
+
 -- =====================================================
 -- PATTERN ANALYSIS TABLES
 -- =====================================================
@@ -232,7 +501,10 @@ CREATE TABLE IF NOT EXISTS pattern_correlations (
     token_name TEXT,
     token_symbol TEXT,
     token_uri TEXT,
-    correlation_score DECIMAL(5,4), -- -1 to 1
+    correlation_score DECIMAL(5,4), -- -1 to 1, Pearson vs price returns at the strongest lag
+    spearman_score DECIMAL(5,4), -- -1 to 1, rank correlation at the same lag
+    lag_hours INTEGER, -- > 0: social activity leads price by this many hours
+    correlation_details JSONB DEFAULT '{}'::jsonb, -- Per-lag coefficients, volume correlation
     social_metrics JSONB DEFAULT '{}'::jsonb,
     trading_metrics JSONB DEFAULT '{}'::jsonb,
     risk_level TEXT, -- 'Low', 'Medium', 'High', 'Very High'
@@ -240,6 +512,11 @@ CREATE TABLE IF NOT EXISTS pattern_correlations (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Lagged correlation columns for existing installs
+ALTER TABLE pattern_correlations ADD COLUMN IF NOT EXISTS spearman_score DECIMAL(5,4);
+ALTER TABLE pattern_correlations ADD COLUMN IF NOT EXISTS lag_hours INTEGER;
+ALTER TABLE pattern_correlations ADD COLUMN IF NOT EXISTS correlation_details JSONB DEFAULT '{}'::jsonb;
+
 -- Trending keywords table
 CREATE TABLE IF NOT EXISTS trending_keywords (
     id SERIAL PRIMARY KEY,
@@ -380,6 +657,24 @@ CREATE TABLE IF NOT EXISTS subscriptions (
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+-- Subscription payments redeemed by the frontend (/api/supabase/add-sub).
+-- Rows are only written after the transaction signature was verified on-chain;
+-- the unique signature stops one payment from being redeemed twice.
+CREATE TABLE IF NOT EXISTS subs (
+    id SERIAL PRIMARY KEY,
+    address TEXT NOT NULL,
+    amount DECIMAL(20,0),
+    expires TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE subs ADD COLUMN IF NOT EXISTS tier TEXT; -- 'premium_7day', 'premium_30day'
+ALTER TABLE subs ADD COLUMN IF NOT EXISTS signature TEXT;
+ALTER TABLE subs ADD COLUMN IF NOT EXISTS slot BIGINT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subs_signature ON subs(signature);
+CREATE INDEX IF NOT EXISTS idx_subs_address_expires ON subs(address, expires DESC);
+
 -- Create indexes for user tables
 CREATE INDEX IF NOT EXISTS idx_users_wallet_address ON users(wallet_address);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
@@ -457,6 +752,9 @@ $$ language 'plpgsql';
 -- Enable RLS on sensitive tables
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+-- No policies: only the frontend's service-role client reads subs, and it
+-- inserts a row only after verifying the payment on-chain
+ALTER TABLE subs ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for users table
 CREATE POLICY "Users can view their own data" ON users
@@ -592,6 +890,34 @@ COMMENT ON TABLE workflow_sessions IS 'Stores ADK workflow session data for pers
 COMMENT ON TABLE workflow_executions IS 'Tracks individual workflow execution runs and their results';
 COMMENT ON TABLE agent_performance IS 'Stores performance metrics for individual ADK agents';
 
+-- =====================================================
+-- REALTIME (CHANGE DATA CAPTURE)
+-- =====================================================
+
+-- Tables streamed by the frontend event hub (/api/real-time/events).
+-- Skips tables that are missing or already published (e.g. pattern_detections
+-- only exists once pattern_recognition_schema.sql has been run).
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        RETURN;
+    END IF;
+
+    FOREACH t IN ARRAY ARRAY['tiktoks', 'prices', 'mentions', 'telegram_messages', 'pattern_detections'] LOOP
+        IF to_regclass('public.' || t) IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+        END IF;
+    END LOOP;
+END $$;
+
+-- Send the previous row on updates so view counts can be streamed as deltas
+ALTER TABLE tiktoks REPLICA IDENTITY FULL;
+
 -- =====================================================
 -- SCHEMA COMPLETION
 -- =====================================================
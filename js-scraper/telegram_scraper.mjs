@@ -6,25 +6,36 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import dotenv from 'dotenv';
 import cron from 'node-cron';
+import { TokenMentionExtractor } from './token_mention_extractor.mjs';
 
 // Load environment variables
 dotenv.config();
 
 class TelegramChannelScraper {
-  constructor() {
+  /**
+   * `dryRun: true` scrapes channels without Supabase; nothing can be stored
+   */
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
+
     // Validate required environment variables
-    this.validateEnv();
+    if (!dryRun) this.validateEnv();
 
     // Initialize Telegram Bot (optional - only if token provided)
     if (process.env.TELEGRAM_BOT_TOKEN) {
       this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
     }
 
-    // Initialize Supabase Client
-    this.supabase = createClient(
-      process.env.SUPABASE_URL, 
-      process.env.SUPABASE_KEY
-    );
+    if (!dryRun) {
+      // Initialize Supabase Client
+      this.supabase = createClient(
+        process.env.SUPABASE_URL, 
+        process.env.SUPABASE_KEY
+      );
+
+      // Shared token mention extraction (caches the tokens table)
+      this.mentionExtractor = new TokenMentionExtractor(this.supabase);
+    }
 
     // Media storage directory
     this.mediaDir = path.join(process.cwd(), 'telegram_media');
@@ -597,11 +608,16 @@ class TelegramChannelScraper {
     }
   }
 
+  /**
+   * Upsert a batch of messages and their token mentions
+   * The batch is one statement, so it is stored whole or not at all: returns
+   * true once the rows are in telegram_messages, false when the write failed
+   */
   async storeMessages(messages) {
     try {
-      if (messages.length === 0) return;
+      if (messages.length === 0) return true;
 
-      const { data, error } = await this.supabase
+      const { error } = await this.supabase
     .from('telegram_messages')
         .upsert(messages, {
           onConflict: 'channel_id,message_id',
@@ -611,12 +627,14 @@ class TelegramChannelScraper {
       if (error) throw error;
 
       console.log(`✅ Stored ${messages.length} messages`);
-      
-      // Extract and store token mentions from messages
-      await this.extractAndStoreTokenMentions(messages);
     } catch (error) {
       console.error('Error storing messages:', error);
+      return false;
     }
+
+    // Extract and store token mentions from messages
+    await this.extractAndStoreTokenMentions(messages);
+    return true;
   }
 
   /**
@@ -624,62 +642,12 @@ class TelegramChannelScraper {
    */
   async extractAndStoreTokenMentions(messages) {
     try {
-      // Get all tokens from database
-      const { data: tokens, error: tokensError } = await this.supabase
-        .from('tokens')
-        .select('id, symbol')
-        .order('id', { ascending: true });
-
-      if (tokensError) {
-        console.error('Error fetching tokens:', tokensError);
-        return;
-      }
-
-      // Create a map of symbol to token IDs
-      const symbolToTokens = new Map();
-      tokens.forEach((token) => {
-        if (!symbolToTokens.has(token.symbol)) {
-          symbolToTokens.set(token.symbol, []);
-        }
-        symbolToTokens.get(token.symbol).push(token.id);
-      });
-
-      const mentionsData = [];
-      const mentionAt = new Date().toISOString();
-
-      // Process each message for token mentions
-      for (const message of messages) {
-        if (!message.text) continue;
-
-        const messageText = message.text.toLowerCase();
-        
-        // Check for token symbols in the message
-        for (const [symbol, tokenIds] of symbolToTokens) {
-          const symbolLower = symbol.toLowerCase();
-          
-          // Simple keyword matching - you can enhance this with regex or NLP
-          if (messageText.includes(symbolLower) || 
-              messageText.includes(`#${symbolLower}`) ||
-              messageText.includes(`$${symbolLower}`)) {
-            
-            // Count occurrences
-            const count = (messageText.match(new RegExp(symbolLower, 'gi')) || []).length;
-            
-            // Add mention entry for each token ID associated with the symbol
-            for (const tokenId of tokenIds) {
-              mentionsData.push({
-                tiktok_id: null, // Telegram messages don't have TikTok IDs
-                token_id: tokenId,
-                count: count,
-                mention_at: mentionAt,
-                source: 'telegram',
-                channel_id: message.channel_id,
-                message_id: message.message_id
-              });
-            }
-          }
-        }
-      }
+      // Word-boundary cashtags/hashtags/tickers and mint addresses, resolved to token ids
+      const mentionsData = await this.mentionExtractor.buildMentionRows(messages, (message) => ({
+        source: 'telegram',
+        channel_id: message.channel_id,
+        message_id: message.message_id
+      }));
 
       if (mentionsData.length > 0) {
         // Store mentions in the mentions table
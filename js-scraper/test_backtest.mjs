@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the decision pipeline backtester
+ * Runs offline against synthetic data and temporary JSON snapshots
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Backtester, HistoricalDataStore, loadSnapshotData, parseDuration } from './backtest.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const START = Date.UTC(2025, 9, 1, 0, 0, 0);
+const URI = 'https://ipfs.io/ipfs/pump';
+
+/**
+ * Flat for 3h, a steady 1h run-up on accelerating volume, then a 30% crash
+ */
+function syntheticData() {
+  const prices = [];
+  let price = 1;
+  let volume = 600000;
+
+  for (let minute = 0; minute <= 6 * 60; minute += 5) {
+    if (minute > 180 && minute <= 240) {
+      price *= 1.037;
+      volume *= 1.2;
+    } else if (minute === 270) {
+      price *= 0.7;
+    }
+    prices.push({
+      token_id: 1,
+      token_uri: URI,
+      price_usd: price,
+      volume_24h: volume,
+      timestamp: new Date(START + minute * MINUTE_MS).toISOString()
+    });
+  }
+
+  const mentions = [];
+  for (let minute = 150; minute <= 6 * 60; minute += 10) {
+    mentions.push({
+      token_id: 1,
+      tiktok_id: `t${minute}`,
+      count: 1,
+      sentiment: 'positive',
+      confidence: 0.9,
+      source: 'tiktok',
+      mention_at: new Date(START + minute * MINUTE_MS).toISOString()
+    });
+  }
+
+  return {
+    tokens: [{ id: 1, uri: URI, name: 'Pump', symbol: 'PUMP', created_at: new Date(START - 60 * MINUTE_MS).toISOString() }],
+    prices,
+    mentions,
+    tiktoks: []
+  };
+}
+
+function truncate(data, cutoff) {
+  const visible = (time) => Date.parse(time) <= cutoff;
+  return {
+    ...data,
+    prices: data.prices.filter(price => visible(price.timestamp)),
+    mentions: data.mentions.filter(mention => visible(mention.mention_at))
+  };
+}
+
+function decisionLog(backtester) {
+  return (backtester.store.writes.decision_history || [])
+    .map(decision => `${decision.created_at} ${decision.token_symbol} ${decision.decision_action}`);
+}
+
+async function testBacktest() {
+  console.log('🧪 Testing Backtester...');
+
+  console.log('\n🗄️ Store only returns rows visible at the clock');
+  let clock = START + 60 * MINUTE_MS;
+  const store = new HistoricalDataStore(syntheticData(), { now: () => clock });
+  const { data: early } = await store.from('prices').select('*').order('timestamp', { ascending: false });
+  assert.equal(early.length, 13);
+  assert.equal(early[0].timestamp, new Date(clock).toISOString());
+  clock += 30 * MINUTE_MS;
+  const { data: later } = await store
+    .from('prices')
+    .select('*, tokens!fk_prices_token_uri ( name, symbol, uri )')
+    .gte('timestamp', new Date(clock - 10 * MINUTE_MS).toISOString())
+    .limit(2);
+  assert.equal(later.length, 2);
+  assert.equal(later[0].tokens.symbol, 'PUMP');
+
+  const undated = syntheticData();
+  undated.prices.push({ token_id: 1, token_uri: URI, price_usd: 99, volume_24h: 1 });
+  const { data: dated } = await new HistoricalDataStore(undated, { now: () => clock }).from('prices').select('*');
+  assert.ok(!dated.some(price => price.price_usd === 99), 'a row without a visibility time is never visible');
+  assert.throws(() => new HistoricalDataStore({ whale_alerts: [{ id: 1 }] }, { now: () => clock }), /whale_alerts/, 'tables without a visibility column are rejected');
+
+  const { error } = await store.from('decision_history').insert({ token_symbol: 'PUMP' });
+  assert.equal(error, null);
+  assert.equal(store.writes.decision_history.length, 1);
+
+  console.log('⏩ Replaying the decision pipeline');
+  const backtester = new Backtester(syntheticData(), { stepMs: parseDuration('5m'), horizonMs: parseDuration('30m') });
+  const report = await backtester.run();
+  console.log(`   ${report.trades.fills} fills, P&L $${report.pnl.totalPnl.toFixed(2)}, drawdown ${(report.pnl.maxDrawdown * 100).toFixed(2)}%`);
+
+  assert.equal(report.range.steps, 73);
+  assert.ok(report.actions.BUY.count > 0, 'pipeline decided to BUY on the run-up');
+  assert.ok(report.actions.BUY.executed > 0, 'BUY was paper-executed');
+  assert.equal(report.trades.exitReasons.stop_loss, 1, 'crash triggers the stop-loss');
+  assert.ok(report.trades.hitRate !== null);
+  assert.ok(report.pnl.maxDrawdown > 0 && report.pnl.maxDrawdown < 1);
+  assert.equal(report.equityCurve.length, report.range.steps);
+  close(report.pnl.finalValue, report.pnl.startingCash + report.pnl.totalPnl);
+
+  // Everything the pipeline writes is stamped with the replay clock, not wall-clock time
+  const stamps = Object.values(backtester.store.writes).flat()
+    .flatMap(row => [row.created_at, row.timestamp].filter(Boolean));
+  assert.ok(backtester.store.writes.opportunity_analysis?.length > 0);
+  assert.ok(stamps.every(stamp => Date.parse(stamp) >= START && Date.parse(stamp) <= START + 6 * 60 * MINUTE_MS), 'writes use the injected clock');
+
+  console.log('🔒 Future rows do not change past decisions');
+  const cutoff = START + 230 * MINUTE_MS;
+  const withFuture = new Backtester(syntheticData(), { to: cutoff, stepMs: parseDuration('5m') });
+  const withoutFuture = new Backtester(truncate(syntheticData(), cutoff), { to: cutoff, stepMs: parseDuration('5m') });
+  await withFuture.run();
+  await withoutFuture.run();
+  assert.ok(decisionLog(withFuture).length > 0);
+  assert.deepEqual(decisionLog(withFuture), decisionLog(withoutFuture));
+  assert.deepEqual(withFuture.engine.trades, withoutFuture.engine.trades);
+
+  console.log('🚩 A critical red flag stops the BUYs');
+  const flagged = syntheticData();
+  flagged.token_safety = [{
+    token_id: 1,
+    red_flags: [{ code: 'freeze_authority', severity: 'critical', label: 'Freeze authority' }],
+    checked_at: new Date(START).toISOString()
+  }];
+  const flaggedReport = await new Backtester(flagged, { stepMs: parseDuration('5m'), horizonMs: parseDuration('30m') }).run();
+  assert.equal(flaggedReport.actions.BUY?.count || 0, 0);
+  assert.ok(flaggedReport.actions.AVOID.count > 0);
+
+  console.log('📂 Loading JSON snapshots');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backtest-'));
+  try {
+    await fs.mkdir(path.join(dir, 'bitquery', 'memecoins'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'bitquery', 'prices'), { recursive: true });
+    const mint = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+    await fs.writeFile(path.join(dir, 'bitquery', 'memecoins', 'next-memecoins-1.json'), JSON.stringify({
+      data: { Solana: { Instructions: [{
+        Block: { Time: '2025-10-01T00:00:00Z' },
+        Instruction: { Program: { Arguments: [
+          { Value: { string: 'Pump' } }, { Value: { string: 'PUMP' } }, { Value: { string: URI } }, { Value: { address: mint } }
+        ] } },
+        Transaction: { Signature: 'sig' }
+      }] } }
+    }));
+    const trade = (time, usd) => ({
+      Trade: { Buy: { Price: usd / 200, PriceInUSD: usd, Currency: { Uri: URI, MintAddress: mint, Name: 'Pump', Symbol: 'PUMP' } } },
+      Block: { Time: time }
+    });
+    await fs.writeFile(path.join(dir, 'bitquery', 'prices', 'prices-1.json'), JSON.stringify({
+      data: { Solana: { DEXTrades: [trade('2025-10-02T00:00:00Z', 3), trade('2025-10-01T00:00:00Z', 1), trade('2025-10-01T12:00:00Z', 2)] } }
+    }));
+    await fs.writeFile(path.join(dir, 'bitquery', 'prices', 'metadata.json'), '{}');
+    await fs.writeFile(path.join(dir, 'combined_results_test.json'), JSON.stringify({
+      extraction_time: '2025-10-01T06:00:00.000Z',
+      results: [{ search: 'memecoin', videos: [{
+        video_url: 'https://www.tiktok.com/@a/video/123',
+        author: 'a',
+        views: '47.9K',
+        posted_timestamp: Date.parse('2025-09-30T00:00:00Z') / 1000,
+        extracted_time: '2025-10-01T06:00:00.000Z',
+        comments: { count: 2, mentions: {
+          PUMP: { count: 2, isTicker: true, timestamp: Date.parse('2025-10-01T01:00:00Z') / 1000 },
+          [`https://pump.fun/coin/${mint}`]: { count: 1, isTicker: false, timestamp: Date.parse('2025-10-01T02:00:00Z') / 1000 },
+          NOPE: { count: 1, isTicker: true, timestamp: 0 }
+        } }
+      }] }]
+    }));
+
+    const data = await loadSnapshotData({ bitqueryResultsDir: path.join(dir, 'bitquery'), scraperResultsDir: dir });
+    assert.equal(data.tokens.length, 1);
+    assert.deepEqual(data.prices.map(p => p.volume_24h), [1, 3, 5], 'trailing 24h volume uses only past trades');
+    assert.equal(data.tiktoks[0].views, 47900);
+    assert.equal(data.mentions.length, 2, 'ticker and mint mentions resolve, unknown ticker is dropped');
+    assert.ok(data.mentions.every(m => m.observed_at === '2025-10-01T06:00:00.000Z'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 Backtest test completed successfully!');
+}
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${expected}, got ${actual}`);
+}
+
+testBacktest().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
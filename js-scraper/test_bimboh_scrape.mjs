@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the bimboh-scrape CLI
+ * Runs offline: the browser and feed walker are fakes, Supabase is a
+ * HistoricalDataStore and all output goes to a temporary directory
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoricalDataStore } from './backtest.mjs';
+import { CliUsageError, ProcessedLedger, RecordWriter, csvValue, parseCliArgs, readRecords, runCli } from './bimboh_scrape.mjs';
+import { TelegramChannelScraper } from './telegram_scraper.mjs';
+import { TokenMentionExtractor } from './token_mention_extractor.mjs';
+
+const NOW = Date.UTC(2025, 9, 10, 12, 0, 0);
+const iso = time => new Date(time).toISOString();
+const videoUrl = id => `https://www.tiktok.com/@degen/video/${id}`;
+
+const video = (id, extra = {}) => ({
+  video_url: videoUrl(id),
+  author: 'degen',
+  views: '12.5K',
+  posted_timestamp: NOW / 1000 - 3600,
+  comments: { count: 2, mentions: {} },
+  ...extra
+});
+
+// Each feed serves its videos in order, like the real walker it honours processedUrls and maxResults
+function fakeFeeds(feeds) {
+  const calls = [];
+  const scrapeFeed = async (page, kind, keyword, { maxResults, processedUrls, onVideo }) => {
+    calls.push({ kind, keyword, maxResults });
+    let found = 0;
+    for (const item of feeds[`${kind}:${keyword}`] || []) {
+      if (found >= maxResults || processedUrls.has(item.video_url)) continue;
+      found++;
+      processedUrls.add(item.video_url);
+      await onVideo({ ...item, search: kind === 'hashtag' ? `#${keyword}` : keyword });
+    }
+    return found;
+  };
+  const browser = { closed: 0, newPage: async () => ({}), close: async () => { browser.closed++; } };
+  return { scrapeFeed, launchBrowser: async options => Object.assign(browser, { options }), browser, calls };
+}
+
+async function testBimbohScrape() {
+  console.log('🧪 Testing bimboh-scrape CLI...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bimboh-scrape-'));
+  const file = name => path.join(dir, name);
+  const lines = name => fs.readFileSync(file(name), 'utf8').split('\n').filter(Boolean);
+
+  try {
+    console.log('\n⚙️ Parsing flags');
+    const parsed = parseCliArgs(['tiktok', '--keywords', 'bonk, wif', '--hashtags', '', '--max-results', '5', '--no-headless', '--browser-path', '/opt/chrome', '--dry-run']);
+    assert.deepEqual([parsed.keywords, parsed.hashtags, parsed.maxResults], [['bonk', 'wif'], [], 5]);
+    assert.deepEqual([parsed.browser.headless, parsed.browser.executablePath], [false, '/opt/chrome']);
+    assert.deepEqual([parsed.out, parsed.format, parsed.state], [path.join('results', 'bimboh-scrape-tiktok.ndjson'), 'ndjson', path.join('results', 'bimboh-scrape-tiktok.ndjson.processed')]);
+    assert.equal(parseCliArgs(['telegram', '--out', 'x.csv']).format, 'csv', 'format follows the extension');
+    assert.equal(parseCliArgs(['outlight']).out, null, 'a live run writes no file unless asked');
+    assert.equal(parseCliArgs(['ingest-file']).state, path.join('results', 'bimboh-scrape-ingest-file.processed'));
+    assert.throws(() => parseCliArgs(['youtube']), CliUsageError);
+    assert.throws(() => parseCliArgs(['tiktok', '--max-results', '0']), CliUsageError);
+    assert.throws(() => parseCliArgs(['tiktok', 'extra.json']), CliUsageError);
+    assert.throws(() => parseCliArgs(['tiktok', '--bogus']), CliUsageError);
+
+    console.log('📝 Writers and ledger');
+    assert.equal(csvValue('say "gm", ser'), '"say ""gm"", ser"');
+    assert.equal(csvValue(['BONK', 'WIF']), 'BONK WIF');
+    assert.equal(csvValue(null), '');
+
+    const csv = new RecordWriter(file('out.csv'), { format: 'csv', now: () => NOW });
+    csv.write(video('1', { search: 'bonk', comments: { count: 2, mentions: { BONK: { count: 2 } } } }));
+    csv.write(video('nope', { video_url: 'https://www.tiktok.com/@degen' }));
+    new RecordWriter(file('out.csv'), { format: 'csv', append: true, now: () => NOW }).write(video('2'));
+    assert.deepEqual(lines('out.csv'), [
+      'id,url,username,search,views,comments,mentions,created_at,fetched_at',
+      `1,${videoUrl('1')},degen,bonk,12500,2,BONK,${iso(NOW - 3600 * 1000)},${iso(NOW)}`,
+      `2,${videoUrl('2')},degen,,12500,2,,${iso(NOW - 3600 * 1000)},${iso(NOW)}`
+    ], 'one header, rows without a video id are left out');
+
+    const ledger = new ProcessedLedger(file('nested/ledger'));
+    ledger.add('a');
+    ledger.add('a');
+    assert.deepEqual(lines('nested/ledger'), ['a']);
+    assert.ok(new ProcessedLedger(file('nested/ledger')).has('a'));
+
+    console.log('🎬 TikTok dry run and resume');
+    const feeds = fakeFeeds({
+      'search:bonk': [video('1'), video('2'), video('3')],
+      'hashtag:bonk': [video('2'), video('4')]
+    });
+    const deps = { ...feeds, sleep: async () => {}, now: () => NOW, supabase: () => assert.fail('a dry run must not connect') };
+    const args = ['tiktok', '--keywords', 'bonk', '--hashtags', 'bonk', '--dry-run', '--out', file('tiktok.ndjson')];
+
+    const first = await runCli([...args, '--max-results', '2'], deps);
+    assert.deepEqual([first.processed, first.stored, first.state], [3, 0, `${file('tiktok.ndjson')}.processed`]);
+    assert.deepEqual(lines('tiktok.ndjson').map(line => JSON.parse(line).search), ['bonk', 'bonk', '#bonk']);
+    assert.deepEqual(feeds.calls.map(call => call.maxResults), [2, 2]);
+    assert.equal(feeds.browser.options.headless, true);
+    assert.equal(feeds.browser.closed, 1);
+
+    const resumed = await runCli([...args, '--resume'], deps);
+    assert.equal(resumed.processed, 1, 'only the video the first run did not reach');
+    assert.deepEqual(lines('tiktok.ndjson').map(line => JSON.parse(line).video_url), [videoUrl('1'), videoUrl('2'), videoUrl('4'), videoUrl('3')], 'resume appends');
+    assert.deepEqual(feeds.calls.slice(2).map(call => call.maxResults), [100, 200], 'per-feed defaults');
+
+    const fresh = await runCli(args, deps);
+    assert.equal(fresh.processed, 4, 'without --resume everything is scraped again');
+    assert.equal(lines('tiktok.ndjson').length, 4, 'and the output starts over');
+
+    console.log('💾 Ingesting saved records');
+    const store = new HistoricalDataStore({
+      tokens: [{ id: 7, symbol: 'BONK', name: 'Bonk', address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', created_at: iso(NOW - 86400000) }]
+    }, { now: () => NOW });
+    fs.writeFileSync(file('combined_results_old.json'), JSON.stringify({
+      results: [{ search: 'bonk', videos: [video('1', { comments: { count: 4, mentions: { BONK: { count: 3 } } } }), video('5')] }]
+    }));
+
+    const ingested = await runCli(['ingest-file', file('combined_results_old.json'), file('tiktok.ndjson'), '--state', file('ingest.processed'), '--resume'], { supabase: store, now: () => NOW });
+    assert.deepEqual([ingested.processed, ingested.stored, ingested.skipped, ingested.mentions], [5, 5, 1, 1], 'video 1 is in both files');
+    assert.deepEqual(store.writes.tiktoks.map(row => row.id), ['1', '5', '2', '3', '4']);
+    assert.deepEqual(store.writes.tiktoks[0], {
+      operation: 'upsert', id: '1', username: 'degen', url: videoUrl('1'), thumbnail: '', created_at: iso(NOW - 3600 * 1000), fetched_at: iso(NOW), views: 12500, comments: 4
+    });
+    assert.equal(store.writes.tiktok_snapshots.length, 5);
+    assert.deepEqual([store.writes.mentions[0].token_id, store.writes.mentions[0].tiktok_id], [7, '1']);
+
+    const again = await runCli(['ingest-file', file('combined_results_old.json'), '--state', file('ingest.processed'), '--resume'], { supabase: store, now: () => NOW });
+    assert.deepEqual([again.processed, again.skipped], [0, 2]);
+
+    const messages = [
+      { channel_id: 'degens', message_id: 1, text: 'aping $BONK', date: NOW / 1000 },
+      { channel_id: 'degens', message_id: 2, text: 'gm', date: NOW / 1000 }
+    ];
+    fs.writeFileSync(file('telegram.ndjson'), messages.map(message => JSON.stringify(message)).join('\n'));
+    const converted = await runCli(['ingest-file', file('telegram.ndjson'), '--dry-run', '--out', file('telegram.csv'), '--keywords', 'bonk'], { now: () => NOW });
+    assert.equal(converted.processed, 1, '--keywords filters messages');
+    assert.deepEqual(lines('telegram.csv')[1].split(',').slice(0, 3), ['degens', '1', 'https://t.me/degens/1']);
+    assert.deepEqual(lines('telegram.csv.processed'), ['https://t.me/degens/1']);
+
+    console.log('🧯 A failed message write stays out of the ledger');
+    let failingWrites = 1;
+    const flaky = {
+      from: table => table === 'telegram_messages' && failingWrites-- > 0
+        ? { upsert: async () => ({ error: new Error('insert failed') }) }
+        : store.from(table)
+    };
+    // The real storeMessages, without the constructor's env checks and media directory
+    const TelegramScraper = function () {
+      return Object.assign(Object.create(TelegramChannelScraper.prototype), {
+        supabase: flaky,
+        mentionExtractor: new TokenMentionExtractor(flaky)
+      });
+    };
+    const telegramArgs = ['ingest-file', file('telegram.ndjson'), '--state', file('telegram.processed'), '--resume'];
+    const telegramDeps = { supabase: store, now: () => NOW, TelegramChannelScraper: async () => TelegramScraper };
+
+    const failed = await runCli(telegramArgs, telegramDeps);
+    assert.deepEqual([failed.processed, failed.stored, failed.failed], [0, 0, 2]);
+    assert.equal(fs.existsSync(file('telegram.processed')), false, 'nothing was stored, so nothing is ledgered');
+    assert.equal(store.writes.telegram_messages, undefined);
+
+    const retried = await runCli(telegramArgs, telegramDeps);
+    assert.deepEqual([retried.processed, retried.stored, retried.skipped, retried.failed], [2, 2, 0, 0], '--resume retries the failed batch');
+    assert.deepEqual(store.writes.telegram_messages.map(row => row.message_id), [1, 2]);
+    assert.equal(store.writes.mentions.at(-1).channel_id, 'degens');
+    assert.deepEqual(lines('telegram.processed'), ['https://t.me/degens/1', 'https://t.me/degens/2']);
+
+    assert.throws(() => readRecords(file('out.csv')), CliUsageError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n🎉 bimboh-scrape test completed successfully!');
+}
+
+testBimbohScrape().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for copycat token detection
+ * Runs offline: logos are generated in memory, metadata is served by a fake
+ * fetch and Supabase is a HistoricalDataStore
+ */
+
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { HistoricalDataStore } from './backtest.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+import {
+  CloneDetectionTool,
+  detectClones,
+  groupClones,
+  hammingDistance,
+  logoHash,
+  normalizeTokenName
+} from './clone_detection.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 10, 12, 0, 0);
+const iso = time => new Date(time).toISOString();
+
+// A 64x64 PNG whose brightness follows `shade(x, y)`
+function image(shade) {
+  const pixels = Buffer.alloc(64 * 64 * 3);
+  for (let y = 0; y < 64; y++) {
+    for (let x = 0; x < 64; x++) {
+      pixels.fill(Math.max(0, Math.min(255, Math.round(shade(x, y)))), (y * 64 + x) * 3, (y * 64 + x + 1) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width: 64, height: 64, channels: 3 } }).png().toBuffer();
+}
+
+const dog = (x, y) => 128 + 100 * Math.sin(x / 6) * Math.cos(y / 9);
+const cat = (x, y) => (x * 7 + y * 3) % 200;
+
+function fakeFetch(files) {
+  return async url => {
+    const body = files[url];
+    if (!body) return { ok: false, status: 404 };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => JSON.parse(body),
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+    };
+  };
+}
+
+async function testCloneDetection() {
+  console.log('🧪 Testing clone detection...');
+
+  console.log('\n🔤 Name normalization');
+  assert.equal(normalizeTokenName('The OFFICIAL Bönk Coin'), 'bonk');
+  assert.equal(normalizeTokenName('B0NK'), normalizeTokenName('$bonk'));
+  assert.equal(normalizeTokenName('WlF'), normalizeTokenName('WIF'), 'lowercase L passes for an I');
+  assert.equal(normalizeTokenName('Pеpe'), 'pepe', 'Cyrillic е');
+  assert.equal(normalizeTokenName('Dog Wif Hat'), normalizeTokenName('dogwifhat'));
+  assert.equal(normalizeTokenName('The Coin'), 'thecoin', 'filler words stay when they are the whole name');
+  assert.equal(normalizeTokenName(null), '');
+
+  console.log('🖼️ Logo hashes');
+  const dogLogo = await image(dog);
+  const dogHash = await logoHash(dogLogo);
+  assert.match(dogHash, /^[0-9a-f]{16}$/);
+  const reencoded = await sharp(dogLogo).resize(200, 200).jpeg({ quality: 60 }).toBuffer();
+  assert.ok(hammingDistance(dogHash, await logoHash(reencoded)) <= 2, 'resized JPEG copy hashes alike');
+  const brighter = await image((x, y) => dog(x, y) * 0.8 + 30);
+  assert.ok(hammingDistance(dogHash, await logoHash(brighter)) <= 6, 'recoloured copy hashes alike');
+  const catHash = await logoHash(await image(cat));
+  assert.ok(hammingDistance(dogHash, catHash) > 16, 'a different logo is far away');
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+
+  console.log('👯 Grouping');
+  const flipped = (BigInt(`0x${dogHash}`) ^ 0b1010001n).toString(16).padStart(16, '0');
+  const tokens = [
+    { id: 1, symbol: 'DOGE', name: 'Dog Coin', logo_hash: dogHash },
+    { id: 2, symbol: 'D0GE', name: 'Doge Killer' },
+    { id: 3, symbol: 'SHIB', name: 'The Real Dog', logo_hash: null },
+    { id: 4, symbol: 'PUP', name: 'Puppy', logo_hash: flipped },
+    { id: 5, symbol: 'CAT', name: 'Cat', logo_hash: catHash },
+    { id: 6, symbol: 'MEOW', name: 'Meow' }
+  ];
+  const groups = groupClones(tokens);
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].map(token => token.id), [1, 2, 3, 4], 'symbol, name and a 3-bit logo difference all link');
+
+  const rows = detectClones([
+    { id: 10, symbol: 'BONK', name: 'Bonk', created_at: iso(NOW - 90 * 24 * HOUR_MS), liquidity: 5000000, holder_count: 90000 },
+    { id: 11, symbol: 'B0NK', name: 'Bonk', created_at: iso(NOW - 2 * HOUR_MS), liquidity: 20000, holder_count: 40 },
+    { id: 12, symbol: 'BONK', name: 'Bonk 2', created_at: iso(NOW - HOUR_MS), liquidity: 9000000, holder_count: 50 }
+  ], NOW);
+  const byId = new Map(rows.map(row => [row.token_id, row]));
+  assert.equal(byId.get(10).is_canonical, true, 'age and holders outweigh a pumped copy');
+  assert.equal(byId.get(10).impersonator_score, 0);
+  assert.deepEqual(byId.get(11).match_reasons, ['symbol', 'name']);
+  assert.equal(byId.get(11).canonical_token_id, 10);
+  assert.ok(byId.get(11).impersonator_score > byId.get(12).impersonator_score, 'closer, smaller copies score higher');
+  assert.ok(rows.every(row => row.group_size === 3 && row.checked_at === iso(NOW)));
+
+  console.log('💾 Tool hashes logos and stores groups');
+  const files = {
+    'https://ipfs.io/ipfs/dog': Buffer.from(JSON.stringify({ image: 'ipfs://dog-logo' })),
+    'https://ipfs.io/ipfs/dog-logo': dogLogo,
+    'https://ipfs.io/ipfs/copy': Buffer.from(JSON.stringify({ image: 'https://cdn.example/copy.jpg' })),
+    'https://cdn.example/copy.jpg': reencoded
+  };
+  const store = new HistoricalDataStore({
+    tokens: [
+      { id: 1, uri: 'https://ipfs.io/ipfs/dog', symbol: 'DOGGO', name: 'Doggo', created_at: iso(NOW - 48 * HOUR_MS) },
+      { id: 2, uri: 'https://ipfs.io/ipfs/copy', symbol: 'WOOF', name: 'Woof', created_at: iso(NOW - 3 * HOUR_MS) },
+      { id: 3, uri: 'https://ipfs.io/ipfs/missing', symbol: 'CAT', name: 'Cat', created_at: iso(NOW - HOUR_MS) }
+    ],
+    prices: [
+      { token_id: 1, is_latest: true, volume_24h: 300000, timestamp: iso(NOW - HOUR_MS) },
+      { token_id: 2, is_latest: true, volume_24h: 900000, timestamp: iso(NOW - HOUR_MS) }
+    ],
+    holder_snapshots: [
+      { token_id: 1, holder_count: 1200, taken_at: iso(NOW - HOUR_MS) },
+      { token_id: 2, holder_count: 80, taken_at: iso(NOW - HOUR_MS) }
+    ]
+  }, { now: () => NOW });
+  const tool = new CloneDetectionTool(store, { now: () => NOW, fetchImpl: fakeFetch(files) });
+  const result = await tool.execute();
+  assert.equal(result.success, true);
+  assert.equal(result.hashed, 2, 'the token without metadata is skipped');
+  assert.equal(result.groups, 1);
+
+  const updates = store.writes.tokens.filter(write => write.operation === 'update');
+  assert.equal(updates.length, 2);
+  assert.equal(updates[0].logo_hash.length, 16);
+
+  const cloneRows = store.writes.token_clones.filter(row => row.operation === 'upsert');
+  assert.equal(cloneRows.length, 2);
+  assert.ok(cloneRows.every(row => row.canonical_token_id === 1));
+  assert.equal(store.writes.token_clones.at(-1).operation, 'delete', 'rows from earlier runs are cleared after the upsert');
+  const woof = cloneRows.find(row => row.token_id === 2);
+  assert.equal(woof.is_impersonator, true, 'the older token with more holders wins despite lower volume');
+  assert.deepEqual(woof.match_reasons, ['logo']);
+
+  console.log('🧹 Clone links that no longer hold are removed');
+  const cloneTables = {
+    tokens: [
+      { id: 1, symbol: 'DOGGO', name: 'Doggo', logo_hash: 'ffff0000ffff0000', created_at: iso(NOW - 48 * HOUR_MS) },
+      { id: 2, symbol: 'DOGGO', name: 'Doggo', logo_hash: '0000ffff0000ffff', created_at: iso(NOW - 3 * HOUR_MS) },
+      { id: 3, symbol: 'CAT', name: 'Cat', logo_hash: '0f0f0f0f0f0f0f0f', created_at: iso(NOW - HOUR_MS) }
+    ],
+    // Token 3 was a DOGGO copy until it renamed itself
+    token_clones: [{ token_id: 3, canonical_token_id: 1, is_impersonator: true, checked_at: iso(NOW - 24 * HOUR_MS) }]
+  };
+  const rescored = mockSupabase(cloneTables);
+  assert.equal((await new CloneDetectionTool(rescored, { now: () => NOW }).execute()).success, true);
+  assert.deepEqual(cloneTables.token_clones.map(row => row.token_id).sort(), [1, 2], 'the stale link for token 3 is gone');
+
+  console.log('📚 Holder snapshots are read past the first page');
+  const busy = mockSupabase({
+    holder_snapshots: [
+      ...Array.from({ length: 1000 }, (_, i) => ({ token_id: 1, holder_count: 1200, taken_at: iso(NOW - i * 60000) })),
+      { token_id: 2, holder_count: 80, taken_at: iso(NOW - 30 * 24 * HOUR_MS) }
+    ]
+  });
+  const members = [{ id: 1 }, { id: 2 }];
+  await new CloneDetectionTool(busy).attachMarketData(members);
+  assert.deepEqual(members.map(token => token.holder_count), [1200, 80]);
+
+  console.log('\n🎉 Clone detection test completed successfully!');
+}
+
+testCloneDetection().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
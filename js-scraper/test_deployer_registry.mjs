@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for deployer reputation and serial-rugger detection
+ * Runs offline: Supabase is a HistoricalDataStore with inline tokens, lifecycles and candles
+ */
+
+import assert from 'node:assert/strict';
+import { HistoricalDataStore } from './backtest.mjs';
+import {
+  DeployerRegistryTool,
+  buildDeployerProfile,
+  formatDeployerWarning,
+  summarizeTokenOutcome
+} from './deployer_registry.mjs';
+import { RealtimeDecisionAgent } from './realtime_decision_agent.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 8, 12, 0, 0);
+const RUGGER = 'RuggerWa11et1111111111111111111111111111111';
+const BUILDER = 'Bui1derWa11et111111111111111111111111111111';
+
+const iso = time => new Date(time).toISOString();
+
+// Hourly candles from a list of closes; the high of each hour is its close
+function candles(tokenId, launchedAt, closes) {
+  return closes.map((close, index) => ({
+    token_id: tokenId,
+    resolution: '1h',
+    bucket_start: iso(launchedAt + index * HOUR_MS),
+    high_usd: close,
+    close_usd: close
+  }));
+}
+
+function fixture() {
+  const tokens = [];
+  const lifecycles = [];
+  const priceCandles = [];
+
+  // Three old rugs and a fresh launch from the rugger, two graduations and a survivor from the builder
+  const launches = [
+    { id: 1, deployer: RUGGER, ageHours: 72, closes: [1, 4, 0.2], state: 'abandoned' },
+    { id: 2, deployer: RUGGER, ageHours: 48, closes: [1, 3, 0.1], state: 'abandoned' },
+    { id: 3, deployer: RUGGER, ageHours: 30, closes: [2, 0.05], state: 'abandoned' },
+    { id: 4, deployer: RUGGER, ageHours: 1, closes: [1], state: 'bonding' },
+    { id: 5, deployer: BUILDER, ageHours: 90, closes: [1, 2, 3], state: 'graduated' },
+    { id: 6, deployer: BUILDER, ageHours: 60, closes: [1, 2, 2.5], state: 'graduated' },
+    { id: 7, deployer: BUILDER, ageHours: 40, closes: [1, 2, 1.5], state: 'bonding' }
+  ];
+  for (const launch of launches) {
+    const launchedAt = NOW - launch.ageHours * HOUR_MS;
+    tokens.push({ id: launch.id, uri: `uri${launch.id}`, deployer: launch.deployer, created_at: iso(launchedAt) });
+    lifecycles.push({ token_id: launch.id, state: launch.state, launched_at: iso(launchedAt) });
+    priceCandles.push(...candles(launch.id, launchedAt, launch.closes));
+  }
+  return { tokens, token_lifecycle: lifecycles, price_candles: priceCandles };
+}
+
+async function testDeployerRegistry() {
+  console.log('🧪 Testing deployer registry...');
+
+  console.log('\n📉 Token outcomes');
+  const launchedAt = NOW - 10 * HOUR_MS;
+  const rug = summarizeTokenOutcome({
+    token: { id: 1, created_at: iso(launchedAt) },
+    candles: candles(1, launchedAt, [1, 5, 2, 0.4])
+  }, NOW);
+  assert.equal(rug.rugged, true);
+  assert.equal(rug.minutesToRug, 240, 'rug is dated to the end of the first close 90% under the peak');
+  assert.ok(Math.abs(rug.drawdown - 0.92) < 1e-9);
+  assert.equal(rug.settled, true);
+
+  const young = summarizeTokenOutcome({ token: { id: 2, created_at: iso(NOW - HOUR_MS) }, candles: [] }, NOW);
+  assert.equal(young.settled, false);
+  assert.equal(young.drawdown, null);
+
+  console.log('⭐ Reputation');
+  const fresh = buildDeployerProfile('Fresh', [young], NOW);
+  assert.equal(fresh.reputation_score, 0.5, 'no settled launches leaves the neutral prior');
+  assert.equal(fresh.is_serial_rugger, false);
+
+  console.log('💾 Profiles are built from stored data');
+  const store = new HistoricalDataStore(fixture(), { now: () => NOW });
+  const tool = new DeployerRegistryTool(store, { now: () => NOW });
+  const result = await tool.execute();
+  assert.equal(result.success, true);
+
+  const rugger = result.profiles.find(profile => profile.address === RUGGER);
+  assert.equal(rugger.tokens_launched, 4);
+  assert.equal(rugger.tokens_settled, 3, 'the one-hour-old launch is not judged yet');
+  assert.equal(rugger.tokens_rugged, 3);
+  assert.equal(rugger.is_serial_rugger, true);
+  assert.equal(rugger.reputation_score, 0.2, 'three rugs against the neutral prior');
+
+  const builder = result.profiles.find(profile => profile.address === BUILDER);
+  assert.equal(builder.tokens_graduated, 2);
+  assert.equal(builder.tokens_rugged, 0);
+  assert.equal(builder.is_serial_rugger, false);
+  assert.ok(builder.reputation_score > 0.7);
+
+  assert.equal(store.writes.deployers[0].operation, 'upsert');
+  assert.match(formatDeployerWarning(rugger), /^Serial rugger: deployer Rugg…1111 rugged 3 of 3 launches/);
+  assert.match(formatDeployerWarning(builder), /2 graduated, 0 rugged/);
+  assert.equal(formatDeployerWarning(null), null);
+
+  console.log('📚 Long candle histories are read past the first page');
+  const longLived = NOW - 1300 * HOUR_MS;
+  const paged = mockSupabase({
+    tokens: [{ id: 8, deployer: RUGGER, created_at: iso(longLived) }],
+    // Flat for 1100 hours, then a pump and a rug the first page would not show
+    price_candles: candles(8, longLived, [...Array(1100).fill(1), 10, 0.5])
+  });
+  const pagedResult = await new DeployerRegistryTool(paged, { now: () => NOW }).execute({ deployers: [RUGGER] });
+  assert.equal(pagedResult.success, true);
+  assert.equal(pagedResult.profiles[0].tokens_rugged, 1);
+
+  console.log('⚠️ Risk assessment flags new launches from serial ruggers');
+  const data = fixture();
+  const riskStore = new HistoricalDataStore({
+    ...data,
+    deployers: [
+      { ...rugger, updated_at: iso(NOW - HOUR_MS) },
+      { ...builder, updated_at: iso(NOW - HOUR_MS) }
+    ]
+  }, { now: () => NOW });
+  const agent = new RealtimeDecisionAgent(riskStore, { now: () => NOW, paperTrading: {} });
+  await agent.initialize();
+  const risk = agent.tools.riskAssessment;
+
+  const assess = tokenId => risk.execute({
+    tokenSymbol: `T${tokenId}`,
+    tokenUri: `uri${tokenId}`,
+    opportunityScore: 0.8,
+    marketData: { latestPrice: { token_id: tokenId, volume_24h: 1000000 }, priceHistory: [] }
+  });
+
+  const flagged = await assess(4);
+  assert.equal(flagged.riskLevel, 'high');
+  assert.equal(flagged.riskFactors.deployerRisk, 1);
+  assert.deepEqual(flagged.redFlags.map(redFlag => redFlag.code), ['serial_rugger']);
+  assert.equal(flagged.deployer.address, RUGGER);
+  assert.ok(flagged.mitigationStrategies.some(strategy => strategy.includes('rugged most of its earlier launches')));
+
+  const trusted = await assess(7);
+  assert.deepEqual(trusted.redFlags, []);
+  assert.ok(trusted.riskFactors.deployerRisk < 0.3);
+
+  const unknown = await assess(99);
+  assert.equal(unknown.riskFactors.deployerRisk, null, 'unknown deployers are left out of the score');
+  assert.equal(unknown.deployer, null);
+
+  console.log('\n🎉 Deployer registry test completed successfully!');
+}
+
+testDeployerRegistry().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for holder concentration analysis
+ * Runs offline: the Solana RPC is a canned fetch and Supabase is a HistoricalDataStore
+ */
+
+import assert from 'node:assert/strict';
+import { HistoricalDataStore } from './backtest.mjs';
+import {
+  HolderAnalysisTool,
+  TOKEN_PROGRAM_ID,
+  computeHolderMetrics,
+  fetchTokenHolders,
+  giniCoefficient,
+  holderGrowth
+} from './holder_analysis.mjs';
+import { RealtimeDecisionAgent } from './realtime_decision_agent.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 8, 12, 0, 0);
+const MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const PUMP_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const CURVE = 'BondingCurve1111111111111111111111111111111';
+
+// Token accounts: the bonding curve holds 60%, five wallets share the rest (whale split over two accounts)
+const ACCOUNTS = [
+  [CURVE, 600],
+  ['Whale', 150],
+  ['Whale', 50],
+  ['Wallet2', 100],
+  ['Wallet3', 50],
+  ['Wallet4', 30],
+  ['Wallet5', 20],
+  ['Dust', 0]
+];
+
+function tokenAccount([owner, millions], index) {
+  return {
+    pubkey: `acct${index}`,
+    account: {
+      data: {
+        parsed: {
+          info: { mint: MINT, owner, tokenAmount: { amount: String(millions * 1e6 * 1e6), decimals: 6 } }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * JSON-RPC stand-in; `fullScan: false` answers getProgramAccounts like a public endpoint does
+ */
+function fakeRpc({ fullScan = true } = {}) {
+  const calls = [];
+  const results = {
+    getTokenSupply: () => ({ value: { amount: String(1000 * 1e6 * 1e6), decimals: 6 } }),
+    getProgramAccounts: ([programId]) => {
+      if (!fullScan) return { error: { code: -32010, message: 'getProgramAccounts is not available' } };
+      return { result: programId === TOKEN_PROGRAM_ID ? ACCOUNTS.map(tokenAccount) : [] };
+    },
+    getTokenLargestAccounts: () => ({
+      value: ACCOUNTS.slice(0, 3).map(([, millions], index) => ({ address: `acct${index}`, amount: String(millions * 1e12) }))
+    }),
+    getMultipleAccounts: ([keys]) => ({
+      value: keys.map(key => {
+        if (key === CURVE) return { owner: PUMP_PROGRAM };
+        if (key.startsWith('acct')) return { data: { parsed: { info: { owner: ACCOUNTS[Number(key.slice(4))][0] } } } };
+        return { owner: '11111111111111111111111111111111' };
+      })
+    })
+  };
+
+  const fetchImpl = async (url, { body }) => {
+    const { id, method, params } = JSON.parse(body);
+    calls.push(method);
+    const answer = results[method](params);
+    const payload = answer && (answer.error || answer.result) ? answer : { result: answer };
+    return { ok: true, status: 200, json: async () => ({ jsonrpc: '2.0', id, ...payload }) };
+  };
+  return { fetchImpl, calls };
+}
+
+function close(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+async function testHolderAnalysis() {
+  console.log('🧪 Testing holder concentration analysis...');
+
+  console.log('\n📐 Gini coefficient');
+  close(giniCoefficient([5, 5, 5, 5]), 0, 'even split');
+  close(giniCoefficient([1, 2, 3, 4]), 0.25, 'textbook example');
+  close(giniCoefficient([7]), 0, 'single holder');
+
+  console.log('📡 Full scan through getProgramAccounts');
+  const { fetchImpl, calls } = fakeRpc();
+  const holders = await fetchTokenHolders(MINT, { fetchImpl, rpcUrl: 'http://rpc.test' });
+  assert.equal(holders.complete, true);
+  assert.equal(holders.supply, 1000000000);
+  assert.equal(holders.holders.length, 6, 'accounts folded per owner, empty accounts dropped');
+  assert.equal(holders.holders[1].owner, 'Whale');
+  assert.equal(holders.holders[1].amount, 200000000);
+  assert.ok(holders.holders[0].programOwned, 'bonding curve is program-owned');
+  assert.equal(holders.holders[0].label, PUMP_PROGRAM);
+  assert.equal(calls.filter(method => method === 'getProgramAccounts').length, 2, 'SPL Token and Token-2022');
+
+  console.log('📊 Metrics exclude program-held supply');
+  const metrics = computeHolderMetrics(holders);
+  assert.equal(metrics.holderCount, 5);
+  close(metrics.top1Share, 0.5, 'whale holds half the float');
+  close(metrics.top5Share, 1, 'five wallets hold everything');
+  close(metrics.programShare, 0.6, 'curve share of supply');
+  assert.ok(metrics.gini > 0.3 && metrics.gini < 0.5);
+  assert.equal(metrics.topHolders[0].owner, 'Whale');
+  assert.equal(metrics.programHolders[0].owner, CURVE);
+
+  console.log('🪂 Falls back to the largest accounts');
+  const partial = await fetchTokenHolders(MINT, { fetchImpl: fakeRpc({ fullScan: false }).fetchImpl });
+  assert.equal(partial.complete, false);
+  const partialMetrics = computeHolderMetrics(partial);
+  assert.equal(partialMetrics.holderCount, null);
+  assert.equal(partialMetrics.gini, null);
+  close(partialMetrics.top1Share, 0.5, 'both whale accounts are among the largest');
+
+  console.log('📈 Holder growth');
+  const growth = holderGrowth(150, [
+    { holder_count: 100, taken_at: new Date(NOW - 25 * HOUR_MS).toISOString() },
+    { holder_count: 140, taken_at: new Date(NOW - 2 * HOUR_MS).toISOString() },
+    { holder_count: 50, taken_at: new Date(NOW - 8 * 24 * HOUR_MS).toISOString() }
+  ], NOW);
+  close(growth['24h'], 0.5, '24h growth uses the newest snapshot older than a day');
+  close(growth['7d'], 2, '7d growth');
+  assert.equal(holderGrowth(150, [], NOW)['24h'], null);
+
+  console.log('💾 Snapshots are stored with growth');
+  const store = new HistoricalDataStore({
+    holder_snapshots: [{ token_id: 1, mint: MINT, holder_count: 4, taken_at: new Date(NOW - 30 * HOUR_MS).toISOString() }]
+  }, { now: () => NOW });
+  const tool = new HolderAnalysisTool(store, { fetchImpl, now: () => NOW });
+  const result = await tool.execute({ tokenId: 1, mint: MINT });
+  assert.equal(result.success, true);
+  close(result.snapshot.holder_growth_24h, 0.25, 'growth against the stored snapshot');
+  const written = store.writes.holder_snapshots[0];
+  assert.equal(written.operation, 'insert');
+  assert.equal(written.holder_count, 5);
+  assert.equal(written.top_holders.length, 5);
+
+  const failing = new HolderAnalysisTool(null, {
+    fetchImpl: async () => { throw new Error('connect ECONNREFUSED'); },
+    now: () => NOW
+  });
+  const failed = await failing.execute({ mint: MINT });
+  assert.equal(failed.success, false);
+
+  console.log('⚠️ Risk assessment reads the latest snapshot');
+  const riskStore = new HistoricalDataStore({
+    holder_snapshots: [
+      { token_id: 1, mint: MINT, holder_count: 40, top10_share: 0.82, gini: 0.9, taken_at: new Date(NOW - HOUR_MS).toISOString() },
+      { token_id: 1, mint: MINT, holder_count: 900, top10_share: 0.1, gini: 0.4, taken_at: new Date(NOW + HOUR_MS).toISOString() }
+    ]
+  }, { now: () => NOW });
+  const agent = new RealtimeDecisionAgent(riskStore, { now: () => NOW, paperTrading: {} });
+  await agent.initialize();
+  const risk = agent.tools.riskAssessment;
+
+  const marketData = { latestPrice: { token_id: 1, volume_24h: 1000000 }, priceHistory: [] };
+  const assessed = await risk.execute({ tokenSymbol: 'PUMP', tokenUri: 'uri', opportunityScore: 0.8, marketData });
+  assert.equal(assessed.riskFactors.holderConcentrationRisk, 0.9, 'future snapshot is not visible');
+  assert.ok(assessed.mitigationStrategies.some(strategy => strategy.includes('Top wallets')));
+
+  const unknown = await risk.execute({
+    tokenSymbol: 'NEW',
+    tokenUri: 'uri2',
+    opportunityScore: 0.8,
+    marketData: { latestPrice: { token_id: 2, volume_24h: 1000000 }, priceHistory: [] }
+  });
+  assert.equal(unknown.riskFactors.holderConcentrationRisk, null);
+  assert.ok(!Number.isNaN(unknown.riskScore), 'missing factor is left out of the score');
+  assert.ok(assessed.riskScore > unknown.riskScore, 'concentrated holders raise the score');
+
+  console.log('\n🎉 Holder analysis test completed successfully!');
+}
+
+testHolderAnalysis().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
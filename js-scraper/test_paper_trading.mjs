@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the paper trading engine
+ * Runs offline: prices come from an in-memory source and nothing is persisted
+ */
+
+import assert from 'node:assert/strict';
+import { PaperTradingEngine } from './paper_trading_engine.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const URI = 'https://ipfs.io/ipfs/test';
+
+function createEngine(options = {}) {
+  const market = { price: 1, volume24h: 1000000, time: Date.UTC(2025, 9, 1, 12, 0, 0) };
+  const engine = new PaperTradingEngine(null, {
+    persist: false,
+    startingCash: 10000,
+    feeRate: 0.01,
+    baseSlippage: 0.01,
+    impactCoefficient: 0,
+    now: () => market.time,
+    priceSource: {
+      getLatestPrice: async () => ({
+        price: market.price,
+        volume24h: market.volume24h,
+        timestamp: new Date(market.time).toISOString()
+      })
+    },
+    ...options
+  });
+  return { engine, market };
+}
+
+function close(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+async function testPaperTrading() {
+  console.log('🧪 Testing Paper Trading Engine...');
+
+  console.log('\n🟢 BUY fills with slippage and fees');
+  const { engine, market } = createEngine();
+  const buy = await engine.executeOrder({
+    action: 'BUY',
+    tokenSymbol: 'TEST',
+    tokenUri: URI,
+    parameters: { positionSize: 'medium', stopLoss: 0.1, takeProfit: 0.3 }
+  });
+  assert.equal(buy.status, 'filled');
+  close(buy.trade.notional, 500, 'medium size is 5% of equity');
+  close(buy.trade.fillPrice, 1.01, 'buy pays slippage');
+  close(buy.trade.fee, 5, 'fee on notional');
+  close(buy.position.quantity, 495 / 1.01, 'quantity after fee');
+  close(buy.position.stopLossPrice, 1.01 * 0.9, 'stop-loss from fill price');
+  close(buy.position.takeProfitPrice, 1.01 * 1.3, 'take-profit from fill price');
+  close(buy.portfolio.cash, 9500, 'cash debited');
+  assert.equal(buy.portfolio.positions.length, 1);
+
+  const duplicate = await engine.executeOrder({ action: 'BUY', tokenSymbol: 'TEST', tokenUri: URI, parameters: {} });
+  assert.equal(duplicate.status, 'rejected');
+
+  console.log('📈 Mark to market');
+  market.price = 1.1;
+  market.time += 5 * MINUTE_MS;
+  const hold = await engine.executeOrder({ action: 'HOLD', tokenSymbol: 'TEST', tokenUri: URI });
+  assert.equal(hold.status, 'no_trade');
+  close(hold.portfolio.unrealizedPnl, (495 / 1.01) * 1.1 - 500, 'unrealized P&L');
+  close(hold.portfolio.totalValue, 9500 + (495 / 1.01) * 1.1, 'equity');
+
+  console.log('🎯 Take-profit closes the position');
+  market.price = 1.5;
+  const exits = await engine.markToMarket();
+  assert.equal(exits.length, 1);
+  assert.equal(exits[0].trade.reason, 'take_profit');
+  const proceeds = (495 / 1.01) * 1.5 * 0.99;
+  close(exits[0].realizedPnl, proceeds * 0.99 - 500, 'realized P&L after slippage and fee');
+  const afterExit = await engine.getPortfolio();
+  assert.equal(afterExit.positions.length, 0);
+  close(afterExit.realizedPnl, exits[0].realizedPnl, 'realized P&L booked');
+  close(afterExit.unrealizedPnl, 0, 'nothing open');
+
+  console.log('🛑 Stop-loss closes the position');
+  const stopped = createEngine();
+  await stopped.engine.executeOrder({
+    action: 'BUY', tokenSymbol: 'TEST', tokenUri: URI, parameters: { positionSize: 'small', stopLoss: 0.1, takeProfit: 0.3 }
+  });
+  stopped.market.price = 0.95;
+  assert.equal((await stopped.engine.markToMarket()).length, 0);
+  stopped.market.price = 0.8;
+  const stopExits = await stopped.engine.markToMarket();
+  assert.equal(stopExits[0].trade.reason, 'stop_loss');
+  assert.ok(stopExits[0].realizedPnl < 0);
+
+  console.log('🔴 SELL signal closes, SELL without a position is rejected');
+  const sold = await engine.executeOrder({ action: 'SELL', tokenSymbol: 'TEST', tokenUri: URI });
+  assert.equal(sold.status, 'rejected');
+  await engine.executeOrder({ action: 'BUY', tokenSymbol: 'TEST', tokenUri: URI, parameters: { positionSize: 'small' } });
+  const signalSell = await engine.executeOrder({ action: 'SELL', tokenSymbol: 'TEST', tokenUri: URI });
+  assert.equal(signalSell.status, 'filled');
+  assert.equal(signalSell.trade.reason, 'signal');
+
+  console.log('💧 Slippage grows with size relative to volume');
+  const impact = new PaperTradingEngine(null, { persist: false });
+  assert.ok(impact.calculateSlippage(50000, 100000) > impact.calculateSlippage(500, 100000));
+  assert.equal(impact.calculateSlippage(1e12, 1), impact.options.maxSlippage);
+
+  console.log('⏰ Stale prices are rejected');
+  const stale = createEngine();
+  stale.engine.now = () => stale.market.time + 2 * 60 * MINUTE_MS;
+  const staleBuy = await stale.engine.executeOrder({ action: 'BUY', tokenSymbol: 'TEST', tokenUri: URI, parameters: {} });
+  assert.equal(staleBuy.status, 'rejected');
+
+  const staleExit = createEngine();
+  await staleExit.engine.executeOrder({
+    action: 'BUY', tokenSymbol: 'TEST', tokenUri: URI, parameters: { positionSize: 'small', stopLoss: 0.1 }
+  });
+  staleExit.market.price = 0.5;
+  staleExit.engine.now = () => staleExit.market.time + 2 * 60 * MINUTE_MS;
+  assert.deepEqual(await staleExit.engine.markToMarket(), [], 'a stale price does not trigger the stop-loss');
+  close((await staleExit.engine.getPortfolio()).positions[0].currentPrice, 0.5, 'but still marks the position');
+  const staleSell = await staleExit.engine.executeOrder({ action: 'SELL', tokenSymbol: 'TEST', tokenUri: URI });
+  assert.equal(staleSell.status, 'rejected');
+  assert.match(staleSell.reason, /120 minutes old/);
+  assert.equal(staleSell.portfolio.positions.length, 1);
+  close(staleSell.portfolio.realizedPnl, 0, 'no P&L booked on a stale price');
+
+  console.log('💾 Only a missing table or row starts a fresh portfolio');
+  const stored = { account: 'paper', cash_balance: '4200', starting_cash: '10000', positions: [], realized_pnl: '-800', fees_paid: '12' };
+  const portfolioDb = (read) => {
+    const upserts = [];
+    const query = {
+      select: () => query,
+      eq: () => query,
+      limit: async () => read(),
+      upsert: async (row) => { upserts.push(row); return { error: null }; },
+      insert: async () => ({ error: null })
+    };
+    return { from: () => query, upserts };
+  };
+  const persisted = db => new PaperTradingEngine(db, { startingCash: 10000, priceSource: { getLatestPrice: async () => null } });
+
+  const existing = portfolioDb(async () => ({ data: [stored], error: null }));
+  close((await persisted(existing).getPortfolio()).cash, 4200, 'the stored account is loaded');
+
+  let failures = 1;
+  const flaky = portfolioDb(async () => (failures-- > 0 ? { data: null, error: { code: '57014', message: 'statement timeout' } } : { data: [stored], error: null }));
+  const engineOnFlakyDb = persisted(flaky);
+  await assert.rejects(engineOnFlakyDb.executeOrder({ action: 'HOLD', tokenSymbol: 'TEST', tokenUri: URI }), error => error.code === '57014');
+  assert.equal(flaky.upserts.length, 0, 'a failed read never saves over the stored portfolio');
+  close((await engineOnFlakyDb.getPortfolio()).cash, 4200, 'the next call reads it again');
+
+  for (const read of [async () => ({ data: [], error: null }), async () => ({ data: null, error: { code: '42P01', message: 'relation "portfolio" does not exist' } })]) {
+    close((await persisted(portfolioDb(read)).getPortfolio()).cash, 10000, 'fresh portfolio');
+  }
+
+  console.log('\n🎉 Paper trading test completed successfully!');
+}
+
+testPaperTrading().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
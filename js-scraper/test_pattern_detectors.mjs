@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the pattern detectors in advanced_pattern_recognition.mjs
+ * Runs offline against synthetic price and mention series
+ */
+
+import assert from 'node:assert/strict';
+import {
+  PricePatternTool,
+  SocialPatternTool,
+  CorrelationPatternTool,
+  TrendPatternTool,
+  AnomalyPatternTool,
+  MomentumPatternTool,
+  ReversalPatternTool,
+  BreakoutPatternTool
+} from './advanced_pattern_recognition.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 1, 12, 0, 0);
+
+function priceSeries(closes, volumes = []) {
+  return {
+    tokenSymbol: 'TEST',
+    tokenUri: 'https://ipfs.io/ipfs/test',
+    prices: closes.map((price, i) => {
+      const time = NOW - (closes.length - 1 - i) * HOUR_MS - 30 * 1000;
+      return { timestamp: new Date(time).toISOString(), time, price, volume: volumes[i] || 0 };
+    })
+  };
+}
+
+function socialSeries(countsPerHour, source = 'tiktok') {
+  const events = [];
+  countsPerHour.forEach((count, i) => {
+    const time = NOW - (countsPerHour.length - 1 - i) * HOUR_MS - 60 * 1000;
+    for (let c = 0; c < count; c++) events.push({ time, source, count: 1, views: 1000 });
+  });
+  return { tokenSymbol: 'TEST', tokenUri: 'https://ipfs.io/ipfs/test', events };
+}
+
+function assertStorable(patterns) {
+  patterns.forEach(pattern => {
+    assert.ok(pattern.tokenSymbol, 'pattern has a token symbol');
+    assert.ok(pattern.name && pattern.type, 'pattern has a name and type');
+    assert.ok(pattern.strength >= 0 && pattern.strength <= 1, `strength in range: ${pattern.strength}`);
+    assert.ok(pattern.confidence >= 0 && pattern.confidence <= 1, `confidence in range: ${pattern.confidence}`);
+  });
+}
+
+async function testPatternDetectors() {
+  console.log('🧪 Testing pattern detectors...');
+
+  console.log('\n💰 Price patterns');
+  const price = new PricePatternTool(null);
+  const pump = price.analyzeTokenPricePatterns(priceSeries([1, 1.1, 1.2, 1.3, 1.5, 1.6]), 0.2);
+  assert.equal(pump[0].type, 'price_pump');
+  assertStorable(pump);
+  const drawdown = price.analyzeTokenPricePatterns(priceSeries([1, 2, 1.9, 1.4, 1.2]), 0.2);
+  assert.ok(drawdown.some(p => p.type === 'price_drawdown'));
+  assert.equal(price.analyzeTokenPricePatterns(priceSeries([1, 1.01, 1.02]), 0.2).length, 0);
+
+  console.log('🚀 Breakouts');
+  const breakout = new BreakoutPatternTool(null);
+  const flat = Array.from({ length: 12 }, (_, i) => 1 + (i % 2) * 0.02);
+  const up = breakout.analyzeTokenBreakouts(priceSeries([...flat, 1.2], [...flat.map(() => 100), 400]));
+  assert.equal(up[0].type, 'breakout_up');
+  assert.equal(up[0].data.volumeRatio, 4);
+  assertStorable(up);
+  const down = breakout.analyzeTokenBreakouts(priceSeries([...flat, 0.8]));
+  assert.equal(down[0].type, 'breakdown');
+  assert.equal(breakout.analyzeTokenBreakouts(priceSeries([...flat, 1.01])).length, 0);
+
+  console.log('⚡ Momentum');
+  const momentum = new MomentumPatternTool(null);
+  const rising = Array.from({ length: 20 }, (_, i) => 1 + i * 0.05 - (i % 4 === 0 ? 0.02 : 0));
+  const bullish = momentum.analyzeTokenMomentum(priceSeries(rising));
+  assert.equal(bullish[0].type, 'bullish_momentum');
+  assert.ok(bullish[0].data.rsi > 70);
+  const falling = rising.slice().reverse();
+  assert.equal(momentum.analyzeTokenMomentum(priceSeries(falling))[0].type, 'bearish_momentum');
+  assert.equal(momentum.analyzeTokenMomentum(priceSeries(rising.slice(0, 10))).length, 0);
+
+  console.log('🔄 Reversals');
+  const reversal = new ReversalPatternTool(null);
+  const vShape = reversal.analyzeTokenReversals(priceSeries([2, 1.8, 1.6, 1.4, 1.2, 1.0, 1.2, 1.4]));
+  assert.ok(vShape.some(p => p.type === 'bullish_reversal'));
+  assertStorable(vShape);
+  const top = reversal.analyzeTokenReversals(priceSeries([1, 1.2, 1.4, 1.6, 1.8, 2.0, 1.7, 1.5]));
+  assert.ok(top.some(p => p.type === 'bearish_reversal'));
+
+  console.log('🚨 Anomalies');
+  const anomaly = new AnomalyPatternTool(null);
+  const calm = Array.from({ length: 20 }, (_, i) => 1 + (i % 2) * 0.01);
+  const priceAnomalies = anomaly.analyzeTokenPriceAnomalies(priceSeries([...calm, 1.5]), 3);
+  assert.equal(priceAnomalies[0].type, 'price_anomaly');
+  assert.ok(priceAnomalies[0].data.zScore > 3);
+  const mentionAnomalies = anomaly.analyzeTokenSocialAnomalies(
+    socialSeries([...Array.from({ length: 23 }, (_, i) => i % 2), 15]), 3, { hours: 24, now: NOW }
+  );
+  assert.equal(mentionAnomalies[0].type, 'mention_anomaly');
+  assertStorable([...priceAnomalies, ...mentionAnomalies]);
+
+  console.log('📱 Social patterns');
+  const social = new SocialPatternTool(null);
+  const spike = social.analyzeTokenSocialPatterns(
+    socialSeries([...new Array(18).fill(1), 4, 4, 5, 5, 6, 6]), { minEngagementSpike: 2, hours: 24, now: NOW }
+  );
+  assert.equal(spike[0].type, 'social_spike');
+  const crossPlatform = socialSeries([2, 2]);
+  crossPlatform.events.push(...socialSeries([1, 2], 'telegram').events);
+  const buzz = social.analyzeTokenSocialPatterns(crossPlatform, { hours: 24, now: NOW });
+  assert.ok(buzz.some(p => p.type === 'cross_platform_buzz'));
+  assertStorable([...spike, ...buzz]);
+
+  console.log('📈 Trends');
+  const trend = new TrendPatternTool(null);
+  const quietPrice = priceSeries(new Array(24).fill(1));
+  const onset = trend.analyzeTokenTrend(quietPrice, socialSeries([...new Array(21).fill(0), 3, 4, 5]), { hours: 24, now: NOW });
+  assert.equal(onset[0].type, 'social_led_trend_onset');
+  const uptrend = trend.analyzeTokenTrend(priceSeries([1, 1.1, 1.2, 1.35, 1.5, 1.6, 1.8]), null, { hours: 24, now: NOW });
+  assert.equal(uptrend[0].type, 'price_uptrend');
+  assertStorable([...onset, ...uptrend]);
+
+  console.log('🔗 Correlation');
+  const correlation = new CorrelationPatternTool(null);
+  const mentionsPerHour = [0, 3, 0, 5, 1, 0, 4, 0, 2, 6, 0, 1, 0, 3, 0, 5, 1, 0, 4, 0, 2, 6, 0, 1];
+  const closes = [1];
+  for (let i = 1; i < 24; i++) closes.push(closes[i - 1] * (1 + mentionsPerHour[i - 2 >= 0 ? i - 2 : 0] * 0.01));
+  const correlated = correlation.analyzeTokenCorrelation(
+    priceSeries(closes), socialSeries(mentionsPerHour), { minCorrelation: 0.6, maxLagHours: 3, hours: 24, now: NOW }
+  );
+  assert.equal(correlated[0].type, 'positive_social_price_correlation');
+  assert.equal(correlated[0].data.lagHours, 2);
+  assertStorable(correlated);
+
+  console.log('\n🎉 Pattern detector test completed successfully!');
+}
+
+testPatternDetectors().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
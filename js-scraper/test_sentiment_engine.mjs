@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the deterministic sentiment engine
+ * Runs offline: pins lexicon scores so regressions show up as failures
+ */
+
+import assert from 'node:assert/strict';
+import { SentimentEngine } from './sentiment_engine.mjs';
+
+const engine = new SentimentEngine();
+
+const pinnedCases = [
+  {
+    content: 'LFG 🚀🚀 this is going to the moon',
+    sentiment: 'positive',
+    compound: 0.9436,
+    confidence: 0.94
+  },
+  {
+    content: 'total rug, dev dumped on us 💀 ngmi',
+    sentiment: 'negative',
+    compound: -0.9349,
+    confidence: 0.93
+  },
+  {
+    content: 'not bullish on this one',
+    sentiment: 'negative',
+    compound: -0.431,
+    confidence: 0.43
+  },
+  {
+    content: 'this is NOT a rug',
+    sentiment: 'positive',
+    compound: 0.5216,
+    confidence: 0.52
+  },
+  {
+    content: 'super bullish!!!',
+    sentiment: 'positive',
+    compound: 0.6877,
+    confidence: 0.69
+  },
+  {
+    content: 'kinda mid but the community is strong',
+    sentiment: 'positive',
+    compound: 0.4398,
+    confidence: 0.44
+  },
+  {
+    content: 'chart looks okay I guess',
+    sentiment: 'neutral',
+    compound: 0,
+    confidence: 1
+  }
+];
+
+async function testSentimentEngine() {
+  console.log('🧪 Testing Sentiment Engine...');
+
+  for (const testCase of pinnedCases) {
+    const result = engine.scoreText(testCase.content);
+    console.log(`\n📝 "${testCase.content}" → ${result.sentiment} (${result.compound})`);
+
+    assert.equal(result.sentiment, testCase.sentiment);
+    assert.equal(result.compound, testCase.compound);
+    assert.equal(result.confidence, testCase.confidence);
+    assert.equal(result.sentimentScore, Math.round(((testCase.compound + 1) / 2) * 10000) / 10000);
+  }
+
+  console.log('\n🔁 Checking determinism...');
+  const first = engine.scoreText('wagmi 🔥 but watch out for jeets');
+  for (let i = 0; i < 5; i++) {
+    assert.deepEqual(engine.scoreText('wagmi 🔥 but watch out for jeets'), first);
+  }
+
+  console.log('🔀 Checking intensifiers and negation...');
+  assert.ok(engine.scoreText('very bullish').compound > engine.scoreText('bullish').compound);
+  assert.ok(engine.scoreText('slightly bullish').compound < engine.scoreText('bullish').compound);
+  assert.ok(engine.scoreText("don't buy, it's a scam").compound < 0);
+  assert.ok(engine.scoreText('never going to dump').compound > 0);
+
+  console.log('⚖️ Checking contrastive clauses...');
+  const weightOf = (text, term) => engine.scoreText(text).matches.find(match => match.term === term).valence;
+  // Every later contrast moves the weight again; only the last clause is emphasised
+  assert.equal(weightOf('moon but rug but strong', 'rug'), -1.6);
+  assert.equal(weightOf('moon but rug but strong', 'strong'), 2.25);
+  assert.equal(weightOf('moon but rug but strong', 'moon'), 1.25);
+  assert.ok(engine.scoreText('looks like a scam, however the devs are legit').compound > 0);
+  assert.ok(engine.scoreText('although the chart is bullish, this is a rug').compound < 0);
+  assert.ok(engine.scoreText('this is a rug, although the chart is bullish').compound < 0, 'the conceded clause is played down wherever it sits');
+  assert.ok(engine.scoreText('ngmi, yet strong community').compound > 0);
+  assert.equal(weightOf('not moon yet', 'moon'), engine.scoreText('not moon').matches[0].valence, '"yet" without a comma is no contrast');
+
+  console.log('😶 Checking emotions...');
+  const fearful = engine.scoreText('honeypot warning, panic selling');
+  assert.ok(fearful.emotions.fear > fearful.emotions.joy);
+
+  console.log('🤖 Checking LLM backend blending and fallback...');
+  const blended = new SentimentEngine({
+    llmBackend: { name: 'stub', analyze: async () => ({ compound: -1 }) },
+    llmWeight: 0.5
+  });
+  const blendedResult = await blended.analyze('LFG 🚀🚀 this is going to the moon');
+  assert.equal(blendedResult.backend, 'lexicon+stub');
+  assert.equal(blendedResult.compound, Math.round(((0.9436 - 1) / 2) * 10000) / 10000);
+
+  for (const [weight, expected] of [['abc', 0.5], [Number.NaN, 0.5], [undefined, 0.5], ['2', 1], [-0.3, 0], ['0.25', 0.25]]) {
+    assert.equal(new SentimentEngine({ llmWeight: weight }).llmWeight, expected, `llmWeight ${weight}`);
+  }
+
+  const failing = new SentimentEngine({
+    llmBackend: { name: 'broken', analyze: async () => { throw new Error('offline'); } }
+  });
+  const fallback = await failing.analyze('total rug, dev dumped on us 💀 ngmi');
+  assert.equal(fallback.backend, 'lexicon');
+  assert.equal(fallback.compound, -0.9349);
+
+  console.log('\n🎉 Sentiment engine test completed successfully!');
+}
+
+testSentimentEngine().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
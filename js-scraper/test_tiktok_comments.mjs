@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the TikTok comment fetcher
+ * Runs offline: a fake Puppeteer browser replays network traffic saved as HAR
+ * files in fixtures/tiktok_comments, one comment list request per page load
+ * or scroll
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extractComments } from './scraper.mjs';
+import { TikTokCommentFetcher, TikTokSessionError, parseCommentResponse } from './tiktok_comments.mjs';
+
+const VIDEO_URL = 'https://www.tiktok.com/@solana.degen/video/7425139882745040133';
+const MINT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+const FAST = { responseTimeoutMs: 20 };
+
+const loadHar = name => JSON.parse(readFileSync(new URL(`./fixtures/tiktok_comments/${name}.har`, import.meta.url), 'utf8'));
+
+const harResponse = entry => ({
+  url: () => entry.request.url,
+  status: () => entry.response.status,
+  text: async () => entry.response.content.text ?? '',
+  request: () => ({ method: () => entry.request.method })
+});
+
+const isCommentList = entry => entry.request.method === 'GET' && new URL(entry.request.url).pathname === '/api/comment/list/';
+
+// Each tab replays the HAR from the start: loading the video emits everything
+// up to the first comment list request, every scroll up to the next one
+function harBrowser(har, { landingUrl = har.log.pages[0].title, captcha = false } = {}) {
+  const stats = { tabs: 0, closed: 0, scrolls: 0 };
+  const newPage = async () => {
+    stats.tabs++;
+    const listeners = new Set();
+    let next = 0;
+    let current = 'about:blank';
+    const replay = () => {
+      while (next < har.log.entries.length) {
+        const entry = har.log.entries[next++];
+        listeners.forEach(listener => listener(harResponse(entry)));
+        if (isCommentList(entry)) break;
+      }
+    };
+    return {
+      on: (event, listener) => listeners.add(listener),
+      off: (event, listener) => listeners.delete(listener),
+      goto: async () => {
+        current = landingUrl;
+        replay();
+      },
+      url: () => current,
+      evaluate: async script => {
+        if (script.includes('captcha')) return captcha;
+        stats.scrolls++;
+        replay();
+        return 'scrolled';
+      },
+      close: async () => { stats.closed++; }
+    };
+  };
+  return { page: { browser: () => ({ newPage }) }, stats };
+}
+
+async function rejectsWith(promise, reason) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof TikTokSessionError, `expected a session error, got ${error}`);
+    assert.equal(error.reason, reason);
+    return error;
+  }
+  assert.fail(`expected a ${reason} session error`);
+}
+
+async function testTikTokComments() {
+  console.log('🧪 Testing TikTok comment fetcher...');
+
+  console.log('\n📦 Parsing captured responses');
+  const url = 'https://www.tiktok.com/api/comment/list/?aweme_id=1&count=20&cursor=40';
+  const ok = parseCommentResponse({ url, status: 200, body: JSON.stringify({ status_code: 0, comments: [{ cid: '9', text: 'gm', user: { uid: '1' } }], cursor: 60, has_more: 1, total: 99 }) });
+  assert.deepEqual([ok.cursor, ok.nextCursor, ok.hasMore, ok.total, ok.comments.length], [40, 60, true, 99, 1]);
+  assert.throws(() => parseCommentResponse({ url, status: 429, body: '' }), { reason: 'rate_limited' });
+  assert.throws(() => parseCommentResponse({ url, status: 403, body: '' }), { reason: 'blocked' });
+  assert.throws(() => parseCommentResponse({ url, status: 200, body: '<html>verify</html>' }), { reason: 'blocked' });
+  assert.throws(() => parseCommentResponse({ url, status: 200, body: '{"status_code":2053,"status_msg":"Login expired"}' }), { reason: 'expired' });
+  assert.throws(() => parseCommentResponse({ url, status: 502, body: '' }), error => !(error instanceof TikTokSessionError), 'server errors are not session failures');
+
+  console.log('📜 Paginating by cursor');
+  const paginated = harBrowser(loadHar('paginated'));
+  const result = await new TikTokCommentFetcher(paginated.page, FAST).fetchComments(VIDEO_URL);
+  assert.equal(result.pages, 2);
+  assert.equal(result.complete, true);
+  assert.equal(result.total, 5);
+  assert.deepEqual(result.comments.map(comment => comment.id.slice(-1)), ['1', '2', '3', '4', '5'], 'a comment repeated on the next page is kept once');
+  assert.equal(result.comments[4].text, 'where do i buy $BONK', 'empty text falls back to the share description');
+  assert.ok(!result.comments.some(comment => comment.text.includes('$SCAM')), 'reply lists and preflights are ignored');
+  assert.equal(paginated.stats.scrolls, 1, 'one scroll per page after the first');
+  assert.equal(paginated.stats.closed, 1, 'the tab is closed afterwards');
+
+  const stalled = loadHar('paginated');
+  stalled.log.entries = stalled.log.entries.slice(0, 3);
+  const partial = await new TikTokCommentFetcher(harBrowser(stalled).page, { ...FAST, scrollAttempts: 2 }).fetchComments(VIDEO_URL);
+  assert.deepEqual([partial.comments.length, partial.pages, partial.complete], [3, 1, false], 'a panel that stops loading gives a partial list');
+
+  console.log('🔐 Expired and blocked sessions');
+  const expiredBrowser = harBrowser(loadHar('session_expired'));
+  const fetcher = new TikTokCommentFetcher(expiredBrowser.page, FAST);
+  const expired = await rejectsWith(fetcher.fetchComments(VIDEO_URL), 'expired');
+  assert.equal(expired.comments.length, 3, 'comments from before the failure are kept');
+  assert.match(expired.message, /Login expired/);
+  await rejectsWith(fetcher.fetchComments(VIDEO_URL), 'expired');
+  assert.equal(expiredBrowser.stats.tabs, 1, 'a dead session is not retried on every video');
+  fetcher.resetSession();
+  await rejectsWith(fetcher.fetchComments(VIDEO_URL), 'expired');
+  assert.equal(expiredBrowser.stats.tabs, 2);
+
+  await rejectsWith(new TikTokCommentFetcher(harBrowser(loadHar('signature_rejected')).page, FAST).fetchComments(VIDEO_URL), 'blocked');
+  await rejectsWith(new TikTokCommentFetcher(harBrowser(loadHar('paginated'), { landingUrl: 'https://www.tiktok.com/login?redirect_url=%2Fvideo' }).page, FAST).fetchComments(VIDEO_URL), 'login');
+  await rejectsWith(new TikTokCommentFetcher(harBrowser(loadHar('paginated'), { captcha: true }).page, FAST).fetchComments(VIDEO_URL), 'captcha');
+
+  console.log('🪙 extractComments tallies mentions');
+  const extracted = await extractComments(VIDEO_URL, harBrowser(loadHar('paginated')).page);
+  assert.equal(extracted.count, 5);
+  assert.equal(extracted.complete, true);
+  assert.equal(extracted.mentions.BONK.count, 3);
+  assert.equal(extracted.mentions.WIF.kind, 'hashtag');
+  assert.equal(extracted.mentions[MINT].kind, 'address');
+  assert.equal(extracted.mentions.SCAM, undefined);
+
+  const blocked = await extractComments(VIDEO_URL, harBrowser(loadHar('signature_rejected')).page);
+  assert.deepEqual([blocked.count, blocked.sessionError], [0, 'blocked'], 'a failed session is reported, not thrown');
+  assert.equal((await extractComments(VIDEO_URL)).count, 0, 'no page, no comments');
+
+  console.log('\n🎉 TikTok comment fetcher test completed successfully!');
+}
+
+testTikTokComments().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for TikTok view-velocity revisits
+ * Runs offline: video pages are served by a fake fetch and Supabase is a
+ * HistoricalDataStore
+ */
+
+import assert from 'node:assert/strict';
+import { HistoricalDataStore } from './backtest.mjs';
+import {
+  TikTokRevisitTool,
+  computeVelocity,
+  parseVideoStats,
+  recordDiscoverySnapshot,
+  revisitIntervalMs
+} from './tiktok_revisits.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const NOW = Date.UTC(2025, 9, 10, 12, 0, 0);
+const iso = time => new Date(time).toISOString();
+const url = id => `https://www.tiktok.com/@degen/video/${id}`;
+
+function universalPage(detail) {
+  const data = { __DEFAULT_SCOPE__: { 'webapp.app-context': {}, 'webapp.video-detail': detail } };
+  return `<html><head><script id="__UNIVERSAL_DATA_FOR_REHYDRATION__" type="application/json">${JSON.stringify(data)}</script></head></html>`;
+}
+
+const videoPage = stats => universalPage({
+  statusCode: 0,
+  itemInfo: { itemStruct: { id: '1', stats: { playCount: 0 }, statsV2: stats } }
+});
+
+function fakeFetch(pages) {
+  const requests = [];
+  const fetchImpl = async (target, init) => {
+    requests.push({ url: target, headers: init.headers });
+    const page = pages[target];
+    if (!page) return { ok: false, status: 404, text: async () => '' };
+    return { ok: true, status: 200, text: async () => page };
+  };
+  return { fetchImpl, requests };
+}
+
+async function testTikTokRevisits() {
+  console.log('🧪 Testing TikTok revisits...');
+
+  console.log('\n⏱️ Decaying schedule');
+  assert.equal(revisitIntervalMs(HOUR_MS), 30 * MINUTE_MS);
+  assert.equal(revisitIntervalMs(12 * HOUR_MS), 2 * HOUR_MS);
+  assert.equal(revisitIntervalMs(48 * HOUR_MS), 6 * HOUR_MS);
+  assert.equal(revisitIntervalMs(5 * 24 * HOUR_MS), 24 * HOUR_MS);
+  assert.equal(revisitIntervalMs(8 * 24 * HOUR_MS), null, 'older than a week is no longer tracked');
+
+  console.log('📄 Parsing video pages');
+  assert.deepEqual(
+    parseVideoStats(videoPage({ playCount: '3400000000', diggCount: '120', commentCount: '8', shareCount: '3' }), '1'),
+    { views: 3400000000, likes: 120, comments: 8, shares: 3 },
+    'string counters in statsV2 win over the numeric stats'
+  );
+  const sigi = `<script id="SIGI_STATE" type="application/json">${JSON.stringify({ ItemModule: { 42: { stats: { playCount: 900, diggCount: 50, commentCount: 4, shareCount: 1 } } } })}</script>`;
+  assert.deepEqual(parseVideoStats(sigi, '42'), { views: 900, likes: 50, comments: 4, shares: 1 });
+  assert.deepEqual(parseVideoStats(universalPage({ statusCode: 10204 }), '1'), { unavailable: true });
+  assert.equal(parseVideoStats('<html>Please verify you are human</html>', '1'), null);
+
+  console.log('📈 Velocity and acceleration');
+  const series = [
+    { views: 1000, captured_at: iso(NOW - 2 * HOUR_MS) },
+    { views: 7000, captured_at: iso(NOW) },
+    { views: 3000, captured_at: iso(NOW - HOUR_MS) }
+  ];
+  assert.deepEqual(computeVelocity(series), { velocity: 4000, acceleration: 2000 }, '2k/h then 4k/h, an hour apart');
+  assert.deepEqual(computeVelocity(series.slice(0, 1), { createdAt: iso(NOW - 4 * HOUR_MS) }), { velocity: 500, acceleration: null }, 'posting time counts as zero views');
+  assert.deepEqual(computeVelocity(series.slice(0, 1)), { velocity: null, acceleration: null });
+  assert.equal(computeVelocity([
+    { views: 47900, captured_at: iso(NOW - HOUR_MS) },
+    { views: 47850, captured_at: iso(NOW) }
+  ]).velocity, 0, 'a rounded search count above the exact one is not a drop');
+
+  console.log('🔁 Revisiting due videos');
+  const store = new HistoricalDataStore({
+    tiktoks: [
+      // Found an hour after posting, revisited an hour ago: due twice over
+      { id: 'rising', url: url('rising'), created_at: iso(NOW - 3 * HOUR_MS), fetched_at: iso(NOW - 2 * HOUR_MS), revisited_at: iso(NOW - HOUR_MS), revisit_status: 'ok' },
+      { id: 'fresh', url: url('fresh'), created_at: iso(NOW - 5 * HOUR_MS), fetched_at: iso(NOW - 50 * MINUTE_MS) },
+      { id: 'deleted', url: url('deleted'), created_at: iso(NOW - 30 * HOUR_MS), fetched_at: iso(NOW - 30 * HOUR_MS), revisited_at: iso(NOW - 7 * HOUR_MS) },
+      { id: 'settled', url: url('settled'), created_at: iso(NOW - 48 * HOUR_MS), fetched_at: iso(NOW - 48 * HOUR_MS), revisited_at: iso(NOW - HOUR_MS) },
+      { id: 'gone', url: url('gone'), created_at: iso(NOW - 20 * HOUR_MS), fetched_at: iso(NOW - 20 * HOUR_MS), revisit_status: 'unavailable' },
+      { id: 'old', url: url('old'), created_at: iso(NOW - 10 * 24 * HOUR_MS), fetched_at: iso(NOW - 10 * 24 * HOUR_MS) }
+    ],
+    tiktok_snapshots: [
+      { tiktok_id: 'rising', views: 5000, source: 'discovery', captured_at: iso(NOW - 2 * HOUR_MS) },
+      { tiktok_id: 'rising', views: 15000, source: 'revisit', captured_at: iso(NOW - HOUR_MS) },
+      { tiktok_id: 'fresh', views: 800, source: 'discovery', captured_at: iso(NOW - 50 * MINUTE_MS) }
+    ]
+  }, { now: () => NOW });
+
+  const { fetchImpl, requests } = fakeFetch({
+    [url('rising')]: videoPage({ playCount: '35000', diggCount: '2100', commentCount: '90', shareCount: '40' }),
+    [url('fresh')]: '<html>captcha</html>'
+  });
+  const sleeps = [];
+  const tool = new TikTokRevisitTool(store, { now: () => NOW, fetchImpl, sleep: async ms => sleeps.push(ms) });
+
+  const due = await tool.dueVideos();
+  assert.deepEqual(due.map(video => video.id), ['rising', 'fresh', 'deleted'], 'most overdue first; settled, unavailable and old videos are skipped');
+
+  const result = await tool.execute();
+  assert.equal(result.success, true);
+  assert.deepEqual([result.revisited, result.unavailable, result.failed], [1, 1, 1]);
+  assert.deepEqual(requests.map(request => request.url), [url('rising'), url('fresh'), url('deleted')]);
+  assert.match(requests[0].headers['User-Agent'], /Mozilla/);
+  assert.deepEqual(sleeps, [1500, 1500], 'pauses between fetches only');
+
+  const snapshots = store.writes.tiktok_snapshots;
+  assert.equal(snapshots.length, 1, 'only the successful revisit is stored');
+  assert.deepEqual(snapshots[0], { operation: 'insert', tiktok_id: 'rising', views: 35000, likes: 2100, comments: 90, shares: 40, source: 'revisit', captured_at: iso(NOW) });
+
+  const [rising, fresh, deleted] = store.writes.tiktoks;
+  assert.equal(rising.views, 35000);
+  assert.equal(rising.view_velocity, 20000, '15k to 35k in the last hour');
+  assert.equal(rising.view_acceleration, 10000, 'up from 10k/h the hour before');
+  assert.equal(rising.revisit_status, 'ok');
+  assert.deepEqual(fresh, { operation: 'update', revisited_at: iso(NOW), revisit_status: 'failed' }, 'a blocked page keeps the old stats');
+  assert.equal(deleted.revisit_status, 'unavailable');
+
+  const limited = await new TikTokRevisitTool(store, { now: () => NOW, fetchImpl, sleep: async () => {} }).execute({ limit: 1 });
+  assert.equal(limited.due, 3);
+  assert.equal(limited.revisited + limited.failed + limited.unavailable, 1);
+
+  console.log('💾 Discovery snapshot');
+  await recordDiscoverySnapshot(store, { id: 'new', views: 47900, comments: 12, fetched_at: iso(NOW) });
+  assert.deepEqual(store.writes.tiktok_snapshots.at(-1), {
+    operation: 'insert', tiktok_id: 'new', views: 47900, likes: null, comments: 12, shares: null, source: 'discovery', captured_at: iso(NOW)
+  });
+
+  console.log('\n🎉 TikTok revisit test completed successfully!');
+}
+
+testTikTokRevisits().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for time-series correlation and MemecoinPatternAnalyzer.calculateCorrelationCoefficient
+ * Runs offline against synthetic social and price series
+ */
+
+import assert from 'node:assert/strict';
+import {
+  pearsonCorrelation,
+  spearmanCorrelation,
+  rankValues,
+  bucketTimeSeries,
+  percentChanges,
+  laggedCrossCorrelation
+} from './time_series_correlation.mjs';
+
+// The analyzer builds a Supabase client on construction; no requests are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+const { MemecoinPatternAnalyzer } = await import('./pattern_analysis.mjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 9, 1, 12, 0, 0);
+
+async function testTimeSeriesCorrelation() {
+  console.log('🧪 Testing time-series correlation...');
+
+  console.log('\n📐 Coefficients');
+  assert.equal(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8]), 1);
+  assert.equal(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  assert.equal(pearsonCorrelation([1, 1, 1], [1, 2, 3]), 0, 'flat series has no correlation');
+  assert.deepEqual(rankValues([10, 20, 20, 5]), [2, 3.5, 3.5, 1]);
+  // Monotonic but non-linear: Spearman is perfect, Pearson is not
+  const x = [1, 2, 3, 4, 5, 6];
+  const y = x.map(v => Math.exp(v));
+  assert.equal(Math.round(spearmanCorrelation(x, y) * 1e9) / 1e9, 1);
+  assert.ok(pearsonCorrelation(x, y) < 0.95);
+
+  console.log('🪣 Bucketing');
+  const events = [
+    { time: 0, value: 5 },
+    { time: 30, value: 1 },
+    { time: 150, value: 2 },
+    { time: 350, value: 9 }
+  ];
+  assert.deepEqual(bucketTimeSeries(events, { start: 0, end: 300, intervalMs: 100 }), [6, 2, 0]);
+  assert.deepEqual(bucketTimeSeries(events, { start: 0, end: 300, intervalMs: 100, aggregate: 'count' }), [2, 1, 0]);
+  assert.deepEqual(bucketTimeSeries(events, { start: 100, end: 400, intervalMs: 100, aggregate: 'last' }), [2, 2, 9]);
+  assert.deepEqual(percentChanges([1, 2, 2, 1]), [1, 0, -0.5]);
+
+  console.log('⏱️ Lagged cross-correlation');
+  const social = [0, 5, 1, 0, 8, 2, 0, 3, 9, 1, 0, 4, 7, 0, 2, 6];
+  const followers = [0, 0, ...social.slice(0, -2)]; // follows social by 2 buckets
+  const lagged = laggedCrossCorrelation(social, followers, { maxLag: 4, minPairs: 5 });
+  assert.equal(lagged.best.lag, 2);
+  assert.ok(lagged.best.pearson > 0.99);
+  assert.ok(Math.abs(lagged.zeroLag.pearson) < lagged.best.pearson);
+  const reversed = laggedCrossCorrelation(followers, social, { maxLag: 4, minPairs: 5 });
+  assert.equal(reversed.best.lag, -2, 'leader swapped → negative lag');
+
+  console.log('🔗 MemecoinPatternAnalyzer.calculateCorrelationCoefficient');
+  const analyzer = new MemecoinPatternAnalyzer();
+  const hourly = [0, 2, 0, 5, 1, 0, 4, 0, 2, 6, 0, 1, 0, 3, 0, 5, 1, 0, 4, 0, 2, 6, 0, 1];
+  const start = NOW - 24 * HOUR_MS;
+  const videos = hourly.map((views, i) => ({
+    views: views * 1000,
+    created_at: new Date(start + i * HOUR_MS + 5 * 60 * 1000).toISOString()
+  }));
+
+  // Price reacts 3 hours after views: return in hour t is 1% per 1000 views at t-3
+  const prices = [];
+  let price = 1;
+  for (let i = -1; i < 24; i++) {
+    if (i >= 3) price *= 1 + hourly[i - 3] * 0.01;
+    prices.push({ price_usd: price, timestamp: new Date(start + i * HOUR_MS + 50 * 60 * 1000).toISOString() });
+  }
+
+  const analysis = analyzer.calculateCorrelationCoefficient(videos, prices, { now: NOW });
+  assert.equal(analysis.buckets, 24);
+  assert.equal(analysis.lagHours, 3);
+  assert.equal(analysis.leader, 'social');
+  assert.ok(analysis.coefficient > 0.95, `coefficient ${analysis.coefficient}`);
+  assert.ok(analysis.coefficient >= -1 && analysis.coefficient <= 1);
+  assert.ok(Math.abs(analysis.pearson) < analysis.coefficient, 'zero-lag correlation is weaker');
+  assert.ok(analysis.lags.some(entry => entry.lagHours === -3));
+  assert.ok(analysis.volume, 'trading activity correlation is reported');
+
+  const telegram = [{ channel_id: 'c', text: 'hi', date: Math.floor((start + HOUR_MS) / 1000) }];
+  const sparse = analyzer.calculateCorrelationCoefficient(telegram, [], { now: NOW });
+  assert.equal(sparse.coefficient, 0, 'no price data → no correlation');
+
+  console.log('\n🎉 Time-series correlation test completed successfully!');
+}
+
+testTimeSeriesCorrelation().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
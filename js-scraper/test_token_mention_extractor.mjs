@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shared token mention extractor
+ * Runs offline against an in-memory token list
+ */
+
+import assert from 'node:assert/strict';
+import {
+  TokenIndex,
+  TokenMentionExtractor,
+  isValidSolanaAddress,
+  parseMentionCandidates,
+  resolveMentions
+} from './token_mention_extractor.mjs';
+import { mockSupabase } from './test_helpers.mjs';
+
+const WIF_MINT = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const BONK_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const BONK_COPY_MINT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+
+const TOKENS = [
+  { id: 1, symbol: 'WIF', name: 'dogwifhat', address: WIF_MINT, market_cap: 2000000, created_at: '2025-01-01T00:00:00Z' },
+  { id: 2, symbol: 'BONK', name: 'Bonk', address: BONK_MINT, market_cap: 5000000, created_at: '2025-01-01T00:00:00Z' },
+  { id: 3, symbol: 'bonk', name: 'Bonk Copy', address: BONK_COPY_MINT, market_cap: 1000, created_at: '2025-06-01T00:00:00Z' },
+  { id: 4, symbol: 'SAID', name: 'Said', address: null, market_cap: 0, created_at: '2025-02-01T00:00:00Z' }
+];
+
+async function testTokenMentionExtractor() {
+  console.log('🧪 Testing Token Mention Extractor...');
+
+  console.log('\n🔑 Base58 mint validation');
+  assert.equal(isValidSolanaAddress(WIF_MINT), true);
+  assert.equal(isValidSolanaAddress('11111111111111111111111111111111'), true, 'system program decodes to 32 zero bytes');
+  assert.equal(isValidSolanaAddress(WIF_MINT.slice(0, -2)), false, 'too short to be 32 bytes');
+  assert.equal(isValidSolanaAddress(WIF_MINT.replace('K', '0')), false, '0 is not in the base58 alphabet');
+
+  console.log('🏷️ Word-boundary tags and tickers');
+  const candidates = parseMentionCandidates(`He said $wif is sending, #BONK too. wifey$WIF no. CA https://pump.fun/coin/${BONK_MINT} BTC MOODENG`);
+  assert.deepEqual(candidates.map(c => `${c.kind}:${c.value}`), [
+    'cashtag:WIF',
+    'hashtag:BONK',
+    `address:${BONK_MINT}`,
+    'ticker:MOODENG'
+  ]);
+  assert.deepEqual(parseMentionCandidates('#solana #NFT SOL PEPE'), [], 'stop words are not tickers');
+  assert.deepEqual(parseMentionCandidates('It said so'), [], 'substrings never match');
+  assert.deepEqual(
+    parseMentionCandidates('$WIF WIF', { allowBareTickers: false }).map(c => c.kind),
+    ['cashtag'],
+    'bare tickers can be disabled'
+  );
+
+  console.log('🔗 Resolution and confidence');
+  const index = new TokenIndex(TOKENS);
+  const text = `$WIF to the moon, ${WIF_MINT}`;
+  const { mentions } = resolveMentions(parseMentionCandidates(text), index, { text });
+  assert.equal(mentions.length, 1, 'cashtag and address of the same token merge');
+  assert.equal(mentions[0].tokenId, 1);
+  assert.equal(mentions[0].count, 2);
+  assert.equal(mentions[0].confidence, 1);
+  assert.equal(mentions[0].matchType, 'address');
+
+  const unknown = resolveMentions(parseMentionCandidates(`$NOPE ${BONK_COPY_MINT.replace('7', '8')}`), new TokenIndex([]));
+  assert.equal(unknown.mentions.length, 0);
+  assert.equal(unknown.unresolved.length, 2);
+
+  const bare = resolveMentions(parseMentionCandidates('WIF'), index, { text: 'WIF' }).mentions[0];
+  const bareWithContext = resolveMentions(parseMentionCandidates('aped WIF'), index, { text: 'aped WIF' }).mentions[0];
+  assert.ok(bare.confidence < bareWithContext.confidence, 'crypto context raises bare ticker confidence');
+  assert.ok(bareWithContext.confidence < 0.9, 'bare ticker stays below a cashtag');
+
+  console.log('👯 Ambiguous symbols');
+  const best = resolveMentions(parseMentionCandidates('$BONK'), index).mentions;
+  assert.equal(best.length, 1);
+  assert.equal(best[0].tokenId, 2, 'largest market cap wins');
+  assert.equal(best[0].ambiguous, true);
+  assert.deepEqual(best[0].candidates, [2, 3]);
+  assert.ok(best[0].confidence < 0.9);
+
+  const pinnedText = `$BONK ${BONK_COPY_MINT}`;
+  const pinned = resolveMentions(parseMentionCandidates(pinnedText), index, { text: pinnedText }).mentions;
+  assert.equal(pinned.length, 1);
+  assert.equal(pinned[0].tokenId, 3, 'address in the same text disambiguates');
+  assert.equal(pinned[0].ambiguous, false);
+
+  const all = resolveMentions(parseMentionCandidates('$BONK'), index, { ambiguity: 'all' }).mentions;
+  assert.deepEqual(all.map(m => m.tokenId), [2, 3]);
+  assert.equal(all[0].confidence, 0.45, 'confidence is split between candidates');
+
+  const skipped = resolveMentions(parseMentionCandidates('$BONK'), index, { ambiguity: 'skip' });
+  assert.equal(skipped.mentions.length, 0);
+  assert.deepEqual(skipped.unresolved[0].candidates, [2, 3]);
+
+  console.log('🪞 Impersonators rank behind their canonical token');
+  // The copy pumped its market cap past the original
+  const cloneIndex = new TokenIndex([
+    TOKENS[1],
+    { ...TOKENS[2], market_cap: 9000000, canonical_token_id: 2, is_impersonator: true }
+  ]);
+  const canonical = resolveMentions(parseMentionCandidates('$BONK'), cloneIndex, { ambiguity: 'skip' }).mentions;
+  assert.equal(canonical.length, 1, 'the canonical pick is not ambiguous');
+  assert.equal(canonical[0].tokenId, 2);
+  assert.equal(canonical[0].ambiguous, false);
+  assert.equal(canonical[0].confidence, 0.9);
+  assert.deepEqual(canonical[0].candidates, [2, 3]);
+  const copy = resolveMentions(parseMentionCandidates(BONK_COPY_MINT), cloneIndex).mentions;
+  assert.equal(copy[0].impersonator, true, 'the copy is still reachable by its mint, flagged');
+
+  console.log('🗄️ Mention rows for Telegram messages and TikTok comment maps');
+  const supabase = mockSupabase({
+    tokens: TOKENS,
+    token_clones: [{ token_id: 3, canonical_token_id: 2, is_impersonator: true }]
+  });
+  const extractor = new TokenMentionExtractor(supabase);
+  const rows = await extractor.buildMentionRows([
+    { channel_id: 'alpha', message_id: 7, text: 'He said $WIF is back' },
+    { channel_id: 'alpha', message_id: 8, text: null }
+  ], message => ({ source: 'telegram', channel_id: message.channel_id, message_id: message.message_id }), {
+    mentionAt: '2025-10-01T00:00:00.000Z'
+  });
+  assert.equal(rows.length, 1, '"said" does not match the SAID token');
+  assert.equal(rows[0].token_id, 1);
+  assert.equal(rows[0].source, 'telegram');
+  assert.equal(rows[0].message_id, 7);
+  assert.equal(rows[0].confidence, 0.9);
+  assert.equal(rows[0].metadata.match_type, 'cashtag');
+
+  const mapRows = await extractor.buildMentionMapRows({
+    WIF: { count: 3, isTicker: true, kind: 'cashtag' },
+    [`https://pump.fun/coin/${WIF_MINT}`]: { count: 1, isTicker: false },
+    ZZZ: { count: 5, isTicker: true }
+  }, { tiktok_id: '123' });
+  assert.equal(mapRows.length, 1);
+  assert.equal(mapRows[0].count, 4, 'ticker and legacy address keys add up');
+  assert.equal(mapRows[0].confidence, 1);
+  assert.equal(mapRows[0].tiktok_id, '123');
+  assert.equal(supabase.calls.filter(call => call.table === 'tokens').length, 1, 'token list is cached between calls');
+
+  const [cloneRow] = await extractor.buildMentionRows([{ text: `$BONK ${BONK_COPY_MINT}` }], () => ({ source: 'telegram' }));
+  assert.equal(cloneRow.token_id, 3);
+  assert.equal(cloneRow.metadata.impersonator, true, 'clone flags are loaded with the token list');
+
+  console.log('\n🎉 Token mention extractor test completed successfully!');
+}
+
+testTokenMentionExtractor().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,238 @@
+/**
+ * TikTok Comment Fetcher
+ *
+ * TikTok signs every comment API call (msToken, X-Bogus, _signature) inside
+ * the browser, so a request URL copied out of devtools stops working within
+ * hours. Instead of replaying one, this module lets the page do the signing:
+ * - The video opens in a new tab of the scraper's own Puppeteer browser, so
+ *   it shares the search session's cookies
+ * - `/api/comment/list/` responses are read off the tab's network traffic
+ * - Scrolling the comment panel makes the page request the next cursor; pages
+ *   are taken strictly in cursor order until `has_more` is 0
+ * Expired or blocked sessions (login redirects, captchas, rejected signatures,
+ * non-zero status codes) raise a TikTokSessionError instead of passing for a
+ * video without comments. After one, the fetcher refuses further videos until
+ * `resetSession()` is called, since every later request would fail the same way.
+ */
+
+export const DEFAULT_OPTIONS = {
+  maxPages: 50, // comment pages per video (TikTok sends 20 per page)
+  responseTimeoutMs: 10000, // wait for the page to request a cursor
+  scrollAttempts: 3, // extra scrolls per cursor before settling for a partial list
+  navigationTimeoutMs: 45000
+};
+
+const COMMENT_LIST_PATH = '/api/comment/list/';
+
+// Brings the next page of comments into view, opening the panel if it is closed
+const SCROLL_COMMENTS_SCRIPT = `(() => {
+  const items = document.querySelectorAll('[data-e2e="comment-level-1"], [class*="DivCommentItemContainer"]');
+  if (items.length > 0) {
+    items[items.length - 1].scrollIntoView({ block: 'end' });
+    return 'scrolled';
+  }
+  const icon = document.querySelector('[data-e2e="comment-icon"], [data-e2e="browse-comment-icon"]');
+  if (icon) {
+    icon.click();
+    return 'opened';
+  }
+  window.scrollTo(0, document.documentElement.scrollHeight);
+  return 'page';
+})()`;
+
+const CAPTCHA_SCRIPT = `Boolean(document.querySelector('#captcha-verify-image, #captcha_container, .captcha_verify_container, [class*="captcha-verify"]'))`;
+
+export class TikTokSessionError extends Error {
+  constructor(message, { reason, status = null } = {}) {
+    super(message);
+    this.name = 'TikTokSessionError';
+    this.reason = reason; // 'expired', 'blocked', 'rate_limited', 'captcha' or 'login'
+    this.status = status;
+    this.comments = []; // what was collected before the session failed
+  }
+}
+
+const isCommentListUrl = url => {
+  try {
+    return new URL(url).pathname === COMMENT_LIST_PATH;
+  } catch {
+    return false;
+  }
+};
+
+function normalizeComment(comment) {
+  return {
+    id: comment.cid ?? null,
+    userId: comment.user?.uid ?? null,
+    username: comment.user?.unique_id ?? null,
+    text: comment.text || comment.share_info?.desc?.split("'s comment:")[1]?.trim() || '',
+    timestamp: comment.create_time ?? null,
+    likes: comment.digg_count ?? 0,
+    replies: comment.reply_comment_total ?? 0
+  };
+}
+
+/**
+ * Turn one captured comment list response into a page of comments.
+ * Throws TikTokSessionError when the response shows the session is no longer
+ * accepted, and a plain Error for anything that may pass on a retry.
+ */
+export function parseCommentResponse({ url, status, body }) {
+  const cursor = Number(new URL(url).searchParams.get('cursor') || 0);
+
+  if (status === 429) throw new TikTokSessionError('Comment API rate limited', { reason: 'rate_limited', status });
+  if (status === 401 || status === 403) throw new TikTokSessionError(`Comment API refused the session (HTTP ${status})`, { reason: 'blocked', status });
+  if (status >= 400) throw new Error(`Comment API returned HTTP ${status}`);
+
+  // A rejected signature comes back as 200 with nothing in it
+  if (!body || !body.trim()) throw new TikTokSessionError('Comment API returned an empty body (request signature rejected)', { reason: 'blocked', status });
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new TikTokSessionError('Comment API returned a non-JSON page (challenge or block page)', { reason: 'blocked', status });
+  }
+
+  if (data.status_code !== undefined && data.status_code !== 0) {
+    throw new TikTokSessionError(`Comment API status ${data.status_code}: ${data.status_msg || 'session not accepted'}`, { reason: 'expired', status });
+  }
+
+  return {
+    cursor,
+    nextCursor: Number(data.cursor ?? cursor),
+    hasMore: data.has_more === 1 || data.has_more === true,
+    total: data.total ?? null,
+    comments: (data.comments || []).map(normalizeComment)
+  };
+}
+
+/**
+ * Comment list responses in the order the tab received them
+ */
+class ResponseQueue {
+  constructor() {
+    this.entries = [];
+    this.waiting = null;
+  }
+
+  push(entry) {
+    this.entries.push(entry);
+    if (this.waiting) this.waiting();
+  }
+
+  // Next response, or null when none arrives within `timeoutMs`
+  async next(timeoutMs) {
+    if (this.entries.length === 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(done, timeoutMs);
+        function done() {
+          clearTimeout(timer);
+          resolve();
+        }
+        this.waiting = done;
+      });
+      this.waiting = null;
+    }
+    return this.entries.length > 0 ? this.entries.shift() : null;
+  }
+}
+
+export class TikTokCommentFetcher {
+  constructor(page, options = {}) {
+    this.page = page;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sessionError = null;
+  }
+
+  resetSession() {
+    this.sessionError = null;
+  }
+
+  /**
+   * All top-level comments of a video, deduplicated by comment id.
+   * Returns { comments, pages, total, complete }; `complete` is false when the
+   * page stopped requesting more before `has_more` said it was done.
+   */
+  async fetchComments(videoUrl) {
+    if (this.sessionError) {
+      throw new TikTokSessionError(`Session unusable since: ${this.sessionError.message}`, { reason: this.sessionError.reason });
+    }
+
+    const tab = await this.page.browser().newPage();
+    const queue = new ResponseQueue();
+    const onResponse = response => {
+      if (!isCommentListUrl(response.url()) || response.request().method() !== 'GET') return;
+      queue.push(response.text()
+        .catch(() => '')
+        .then(body => ({ url: response.url(), status: response.status(), body })));
+    };
+    tab.on('response', onResponse);
+
+    const comments = new Map();
+    try {
+      await tab.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: this.options.navigationTimeoutMs });
+      await this.checkSession(tab);
+
+      let cursor = 0;
+      let pages = 0;
+      let total = null;
+      let complete = false;
+      while (pages < this.options.maxPages) {
+        const page = await this.nextPage(tab, queue, cursor);
+        if (!page) break;
+
+        pages++;
+        total = page.total ?? total;
+        page.comments.forEach(comment => {
+          const key = comment.id ?? `${comment.userId}:${comment.text}`;
+          if (!comments.has(key)) comments.set(key, comment);
+        });
+
+        // A cursor that does not move would request the same page forever
+        if (!page.hasMore || page.nextCursor <= cursor) {
+          complete = !page.hasMore;
+          break;
+        }
+        cursor = page.nextCursor;
+      }
+
+      return { comments: [...comments.values()], pages, total, complete };
+    } catch (error) {
+      if (error instanceof TikTokSessionError) {
+        this.sessionError = error;
+        error.comments = [...comments.values()];
+      }
+      throw error;
+    } finally {
+      tab.off('response', onResponse);
+      await tab.close().catch(() => {});
+    }
+  }
+
+  // The response for `cursor`, scrolling the panel until the page asks for it
+  async nextPage(tab, queue, cursor) {
+    for (let attempt = 0; attempt <= this.options.scrollAttempts; attempt++) {
+      // The first page loads with the video; later ones need a scroll
+      if (cursor > 0 || attempt > 0) await tab.evaluate(SCROLL_COMMENTS_SCRIPT);
+
+      let captured;
+      while ((captured = await queue.next(this.options.responseTimeoutMs))) {
+        const page = parseCommentResponse(await captured);
+        // The panel sometimes re-requests a page it already has
+        if (page.cursor === cursor) return page;
+      }
+      await this.checkSession(tab);
+    }
+    return null;
+  }
+
+  async checkSession(tab) {
+    if (/\/login\b/.test(tab.url())) {
+      throw new TikTokSessionError('Redirected to the login page', { reason: 'login' });
+    }
+    if (await tab.evaluate(CAPTCHA_SCRIPT)) {
+      throw new TikTokSessionError('Captcha challenge shown', { reason: 'captcha' });
+    }
+  }
+}
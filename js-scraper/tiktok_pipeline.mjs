@@ -0,0 +1,246 @@
+/**
+ * TikTok Pipeline
+ *
+ * The pieces every TikTok entry point used to carry its own copy of: launching
+ * or attaching to Chrome, walking a search or hashtag feed, turning a scraped
+ * video into a `tiktoks` row and storing it with its discovery snapshot and
+ * token mentions. `bimboh_scrape.mjs` drives them; nothing here reads the
+ * environment or connects to Supabase on import.
+ */
+
+import puppeteer from 'puppeteer';
+import { extractComments, VideoScraper } from './scraper.mjs';
+import { recordDiscoverySnapshot } from './tiktok_revisits.mjs';
+import { TokenMentionExtractor } from './token_mention_extractor.mjs';
+
+export const DEFAULT_SEARCH_TERMS = ['memecoin', 'pumpfun', 'solana', 'crypto', 'meme', 'bags', 'bonk'];
+export const DEFAULT_HASHTAG_TERMS = ['memecoin', 'solana', 'crypto', 'pumpfun', 'meme', 'bags', 'bonk'];
+
+const SCROLL_PAUSE_MS = 2000;
+const EMPTY_FEED_RETRIES = 3; // waits for a feed that has not rendered any videos yet
+
+// Search results and hashtag pages render videos in different containers
+const FEEDS = {
+  search: {
+    url: keyword => `https://www.tiktok.com/search?q=${encodeURIComponent(keyword)}`,
+    selector: 'div[class*="DivItemContainerForSearch"]',
+    label: keyword => keyword
+  },
+  hashtag: {
+    url: keyword => `https://www.tiktok.com/tag/${encodeURIComponent(keyword)}`,
+    selector: 'div[class*="DivItemContainerV2"]',
+    label: keyword => `#${keyword}`
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to sanitize strings
+export const sanitize = (str) => (str ? str.replace(/\u0000/g, "") : "");
+
+// "47.9K" -> 47900
+export function formatViews(views) {
+  if (!views) return 0;
+
+  const unitMultiplier = { k: 1_000, m: 1_000_000, b: 1_000_000_000 };
+  const unit = views.slice(-1).toLowerCase();
+  if (unit in unitMultiplier) {
+    return Math.floor(parseFloat(views.slice(0, -1)) * unitMultiplier[unit]);
+  }
+  return Math.floor(parseFloat(views)) || 0;
+}
+
+export function getTiktokId(url) {
+  if (!url) return null;
+  const match = url.match(/\/video\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * `tiktoks` row for a scraped video, or null when the URL has no video id
+ */
+export function buildTikTokRecord(video, now = new Date()) {
+  const id = getTiktokId(video.video_url);
+  if (!id) return null;
+
+  return {
+    id,
+    username: sanitize(video.author || ''),
+    url: sanitize(video.video_url),
+    thumbnail: sanitize(video.thumbnail_url || ''),
+    created_at: video.posted_timestamp ? new Date(video.posted_timestamp * 1000).toISOString() : now.toISOString(),
+    fetched_at: now.toISOString(),
+    views: formatViews(video.views?.toString() || "0"),
+    comments: video.comments?.count || 0
+  };
+}
+
+/**
+ * Launch Chrome, or attach to one already running when `browserWSEndpoint`
+ * is given (e.g. a logged-in profile started with --remote-debugging-port).
+ * `stealth` loads puppeteer-extra's stealth plugin, which is not a dependency
+ * of this package and has to be installed separately.
+ */
+export async function launchBrowser({ headless = true, executablePath, userDataDir, browserWSEndpoint, stealth = false } = {}) {
+  let driver = puppeteer;
+  if (stealth) {
+    try {
+      const { default: puppeteerExtra } = await import('puppeteer-extra');
+      const { default: StealthPlugin } = await import('puppeteer-extra-plugin-stealth');
+      puppeteerExtra.use(StealthPlugin());
+      driver = puppeteerExtra;
+    } catch (error) {
+      throw new Error(`--stealth needs puppeteer-extra and puppeteer-extra-plugin-stealth installed (${error.message})`);
+    }
+  }
+
+  if (browserWSEndpoint) {
+    return driver.connect({ browserWSEndpoint, defaultViewport: null });
+  }
+
+  return driver.launch({
+    headless,
+    executablePath: executablePath || undefined,
+    userDataDir: userDataDir || undefined,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage'
+    ]
+  });
+}
+
+export async function verifyPageLoaded(page, url, timeout = 60000) {
+  try {
+    console.log(`Loading ${url}...`);
+    await page.goto(url, { waitUntil: "networkidle0", timeout });
+    await page.waitForSelector("body");
+    await sleep(5000);
+    return true;
+  } catch (e) {
+    console.error(`Error loading page: ${e}`);
+    return false;
+  }
+}
+
+/**
+ * Walk a search (`kind` "search") or hashtag (`kind` "hashtag") feed, scrolling
+ * until `maxResults` new videos were handed to `onVideo` or the feed ends.
+ * URLs in `processedUrls` are skipped and every new one is added to it.
+ */
+export async function scrapeFeed(page, kind, keyword, { maxResults = 50, processedUrls = new Set(), onVideo, withComments = true } = {}) {
+  const feed = FEEDS[kind];
+  const label = feed.label(keyword);
+  let found = 0;
+
+  try {
+    console.log(`\n🔍 Processing ${kind} term: ${label}`);
+    if (!(await verifyPageLoaded(page, feed.url(keyword)))) return found;
+
+    let emptyWaits = 0;
+    while (found < maxResults) {
+      const videoElements = await page.$$(feed.selector);
+      if (!videoElements.length) {
+        if (++emptyWaits > EMPTY_FEED_RETRIES) {
+          console.log(`No videos rendered for '${label}'`);
+          break;
+        }
+        console.log("No video elements found. Waiting...");
+        await sleep(5000);
+        continue;
+      }
+
+      for (const element of videoElements) {
+        if (found >= maxResults) break;
+
+        const videoData = await VideoScraper.extractVideoData(element).catch(() => null);
+        if (!videoData?.video_url || processedUrls.has(videoData.video_url)) continue;
+
+        found++;
+        console.log(`Found video ${found}/${maxResults}: ${videoData.video_url}`);
+        if (withComments) {
+          videoData.comments = await extractComments(videoData.video_url, page);
+          console.log(`Found ${videoData.comments.count} comments`);
+        }
+
+        processedUrls.add(videoData.video_url);
+        await onVideo({ ...videoData, search: label });
+      }
+
+      if (found >= maxResults) {
+        console.log(`\nReached target number of videos for '${label}'`);
+        break;
+      }
+
+      const previousHeight = await page.evaluate("document.documentElement.scrollHeight");
+      await page.evaluate("window.scrollTo(0, document.documentElement.scrollHeight)");
+      await sleep(SCROLL_PAUSE_MS);
+      const newHeight = await page.evaluate("document.documentElement.scrollHeight");
+      if (newHeight === previousHeight) {
+        console.log(`\nReached end of feed for '${label}'`);
+        break;
+      }
+    }
+  } catch (e) {
+    console.error(`\nError processing ${kind} term '${label}': ${e}`);
+  }
+
+  return found;
+}
+
+/**
+ * Writes scraped videos to `tiktoks`, `tiktok_snapshots` and `mentions`
+ */
+export class TikTokStore {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.mentionExtractor = options.mentionExtractor || new TokenMentionExtractor(supabase);
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Returns { stored, mentions } for one video; stored is false when the URL
+   * had no video id or the upsert failed
+   */
+  async storeVideo(video) {
+    const record = buildTikTokRecord(video, new Date(this.now()));
+    if (!record) {
+      console.log('Skipping: Invalid TikTok URL');
+      return { stored: false, mentions: 0 };
+    }
+
+    const { error } = await this.supabase.from('tiktoks').upsert(record, { onConflict: 'id' });
+    if (error) {
+      console.error('Error storing TikTok:', error);
+      return { stored: false, mentions: 0 };
+    }
+
+    // Starting point of the view-count series that tiktok_revisits.mjs extends
+    await recordDiscoverySnapshot(this.supabase, record);
+    console.log(`✅ Stored TikTok: ${record.id} (${record.username})`);
+
+    const mentions = await this.storeMentions(record.id, video.comments);
+    return { stored: true, mentions };
+  }
+
+  async storeMentions(tiktokId, comments) {
+    if (!comments?.mentions) return 0;
+
+    try {
+      // Resolve the extracted tickers/addresses to token ids via the shared extractor
+      const mentionsData = await this.mentionExtractor.buildMentionMapRows(comments.mentions, { tiktok_id: tiktokId });
+      if (mentionsData.length === 0) return 0;
+
+      const { error } = await this.supabase.from('mentions').insert(mentionsData);
+      if (error) {
+        console.error('Error inserting mentions:', error);
+        return 0;
+      }
+      console.log(`🔗 Stored ${mentionsData.length} mentions for TikTok ${tiktokId}`);
+      return mentionsData.length;
+    } catch (error) {
+      console.error('Error storing token mentions:', error);
+      return 0;
+    }
+  }
+}
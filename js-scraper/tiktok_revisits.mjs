@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * TikTok Revisits
+ *
+ * The search scraper sees a video once and stores whatever view count the
+ * results grid showed at that moment. This module goes back to videos younger
+ * than a week on a decaying schedule (every 30 minutes while fresh, daily near
+ * the end), reads the exact counters from the video page and keeps each
+ * reading in `tiktok_snapshots`. From the last snapshots it derives:
+ * - view velocity: views per hour between the two latest readings
+ * - view acceleration: how much that rate changed per hour
+ * Both are written back onto `tiktoks` so rankings can prefer videos that are
+ * taking off over old videos that merely have a large total.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+// Load environment variables
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+export const DEFAULT_OPTIONS = {
+  maxAgeDays: 7, // stop revisiting once a video is this old
+  // Revisit every `everyMs` while the video is younger than `maxAgeMs`
+  schedule: [
+    { maxAgeMs: 6 * HOUR_MS, everyMs: 30 * 60 * 1000 },
+    { maxAgeMs: 24 * HOUR_MS, everyMs: 2 * HOUR_MS },
+    { maxAgeMs: 72 * HOUR_MS, everyMs: 6 * HOUR_MS },
+    { maxAgeMs: Infinity, everyMs: 24 * HOUR_MS }
+  ],
+  limit: 100, // videos per run, most overdue first
+  delayMs: 1500, // pause between page fetches
+  timeoutMs: 15000,
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
+};
+
+// statusCode values TikTok puts in the page for removed or private videos
+const UNAVAILABLE_STATUS_CODES = new Set([10204, 10216, 10222]);
+
+/**
+ * How long to wait between revisits of a video this old, or null once it is
+ * past `maxAgeDays` and no longer tracked
+ */
+export function revisitIntervalMs(ageMs, options = DEFAULT_OPTIONS) {
+  if (!Number.isFinite(ageMs) || ageMs > options.maxAgeDays * 24 * HOUR_MS) return null;
+  return options.schedule.find(step => Math.max(ageMs, 0) < step.maxAgeMs).everyMs;
+}
+
+/**
+ * Share of the revisit interval that has passed since the last reading;
+ * 1 or more means the video is due
+ */
+export function revisitUrgency(video, now, options = DEFAULT_OPTIONS) {
+  const postedAt = Date.parse(video.created_at || video.fetched_at);
+  const interval = revisitIntervalMs(now - postedAt, options);
+  if (interval === null) return 0;
+  const lastSeen = Date.parse(video.revisited_at || video.fetched_at) || postedAt;
+  return (now - lastSeen) / interval;
+}
+
+function readScript(html, id) {
+  const match = html.match(new RegExp(`<script[^>]*id="${id}"[^>]*>([\\s\\S]*?)</script>`));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+const toCount = value => {
+  const count = Number(value);
+  return Number.isFinite(count) ? count : null;
+};
+
+/**
+ * Read the counters out of a TikTok video page. Current pages embed them in
+ * `__UNIVERSAL_DATA_FOR_REHYDRATION__`, older ones in `SIGI_STATE`.
+ * Returns { views, likes, comments, shares }, { unavailable: true } for
+ * removed or private videos, or null when the page has neither.
+ */
+export function parseVideoStats(html, videoId) {
+  if (typeof html !== 'string') return null;
+
+  let stats = null;
+  const universal = readScript(html, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+  const detail = universal?.__DEFAULT_SCOPE__?.['webapp.video-detail'];
+  if (detail) {
+    if (UNAVAILABLE_STATUS_CODES.has(detail.statusCode)) return { unavailable: true };
+    const item = detail.itemInfo?.itemStruct;
+    // statsV2 carries the counters as strings so they survive past 2^31
+    stats = item?.statsV2 || item?.stats;
+  }
+
+  if (!stats) {
+    const sigi = readScript(html, 'SIGI_STATE');
+    stats = sigi?.ItemModule?.[videoId]?.stats;
+  }
+
+  if (!stats || toCount(stats.playCount) === null) return null;
+  return {
+    views: toCount(stats.playCount),
+    likes: toCount(stats.diggCount),
+    comments: toCount(stats.commentCount),
+    shares: toCount(stats.shareCount)
+  };
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Views per hour between the last two snapshots and the change in that rate
+ * per hour across the last three. `createdAt` counts as a zero-view reading
+ * at posting time, so a single snapshot already gives an average velocity.
+ * View counts never go down; the rounded counts from search results can, so
+ * drops are treated as no growth.
+ */
+export function computeVelocity(snapshots, { createdAt } = {}) {
+  const points = snapshots
+    .map(snapshot => ({ views: toCount(snapshot.views), time: Date.parse(snapshot.captured_at) }))
+    .filter(point => point.views !== null && Number.isFinite(point.time))
+    .sort((a, b) => a.time - b.time);
+
+  const postedAt = Date.parse(createdAt);
+  if (Number.isFinite(postedAt) && points.length > 0 && postedAt < points[0].time) {
+    points.unshift({ views: 0, time: postedAt });
+  }
+
+  const rate = (from, to) => Math.max(to.views - from.views, 0) / ((to.time - from.time) / HOUR_MS);
+  const [a, b, c] = points.slice(-3);
+  if (points.length < 2) return { velocity: null, acceleration: null };
+  if (points.length === 2) return { velocity: round2(rate(a, b)), acceleration: null };
+
+  const previous = rate(a, b);
+  const latest = rate(b, c);
+  // The two rates are measured at the midpoints of their intervals
+  const acceleration = (latest - previous) / ((c.time - a.time) / 2 / HOUR_MS);
+  return { velocity: round2(latest), acceleration: round2(acceleration) };
+}
+
+/**
+ * First snapshot of a video, taken from the search result it was found in
+ */
+export async function recordDiscoverySnapshot(supabase, tiktok) {
+  const { error } = await supabase.from('tiktok_snapshots').insert({
+    tiktok_id: tiktok.id,
+    views: tiktok.views ?? null,
+    likes: tiktok.likes ?? null,
+    comments: tiktok.comments ?? null,
+    shares: tiktok.shares ?? null,
+    source: 'discovery',
+    captured_at: tiktok.fetched_at
+  });
+  if (error) console.log('⚠️ tiktok_snapshots not available, skipping:', error.message);
+}
+
+export class TikTokRevisitTool {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = options.now || (() => Date.now());
+    this.fetchImpl = options.fetchImpl || fetch;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Revisit up to `limit` due videos and store a snapshot for each
+   */
+  async execute({ limit = this.options.limit } = {}) {
+    try {
+      const due = await this.dueVideos();
+      const batch = due.slice(0, limit);
+      console.log(`🔁 ${due.length} TikTok(s) due for a revisit, checking ${batch.length}...`);
+
+      const counts = { revisited: 0, unavailable: 0, failed: 0 };
+      const results = [];
+      for (let i = 0; i < batch.length; i++) {
+        if (i > 0) await this.sleep(this.options.delayMs);
+        const result = await this.revisit(batch[i]);
+        counts[result.status === 'ok' ? 'revisited' : result.status]++;
+        results.push(result);
+      }
+
+      console.log(`✅ ${counts.revisited} revisited, ${counts.unavailable} unavailable, ${counts.failed} failed`);
+      return { success: true, due: due.length, ...counts, results };
+    } catch (error) {
+      console.error('TikTok revisits failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async dueVideos() {
+    const now = this.now();
+    const cutoff = new Date(now - this.options.maxAgeDays * 24 * HOUR_MS).toISOString();
+    const videos = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('tiktoks')
+        .select('id, url, created_at, fetched_at, revisited_at, revisit_status')
+        .gte('created_at', cutoff)
+        .order('created_at', { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      videos.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return videos
+      .filter(video => video.url && video.revisit_status !== 'unavailable')
+      .map(video => ({ ...video, urgency: revisitUrgency(video, now, this.options) }))
+      .filter(video => video.urgency >= 1)
+      .sort((a, b) => b.urgency - a.urgency);
+  }
+
+  async revisit(video) {
+    const revisitedAt = new Date(this.now()).toISOString();
+    let stats;
+    try {
+      stats = await this.fetchStats(video);
+    } catch (error) {
+      console.log(`⚠️ Could not revisit TikTok ${video.id}:`, error.message);
+      await this.updateVideo(video.id, { revisited_at: revisitedAt, revisit_status: 'failed' });
+      return { id: video.id, status: 'failed', error: error.message };
+    }
+
+    if (stats.unavailable) {
+      await this.updateVideo(video.id, { revisited_at: revisitedAt, revisit_status: 'unavailable' });
+      return { id: video.id, status: 'unavailable' };
+    }
+
+    const history = await this.recentSnapshots(video.id);
+    const snapshot = { tiktok_id: video.id, ...stats, source: 'revisit', captured_at: revisitedAt };
+    const { error } = await this.supabase.from('tiktok_snapshots').insert(snapshot);
+    if (error) throw error;
+
+    const { velocity, acceleration } = computeVelocity([...history, snapshot], { createdAt: video.created_at });
+    await this.updateVideo(video.id, {
+      ...stats,
+      view_velocity: velocity,
+      view_acceleration: acceleration,
+      revisited_at: revisitedAt,
+      revisit_status: 'ok'
+    });
+    return { id: video.id, status: 'ok', ...stats, view_velocity: velocity, view_acceleration: acceleration };
+  }
+
+  async fetchStats(video) {
+    const response = await this.fetchImpl(video.url, {
+      headers: { 'User-Agent': this.options.userAgent, 'Accept-Language': 'en-US,en;q=0.9' },
+      signal: AbortSignal.timeout(this.options.timeoutMs)
+    });
+    if (response.status === 404) return { unavailable: true };
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const stats = parseVideoStats(await response.text(), video.id);
+    if (!stats) throw new Error('no stats in page (blocked or layout changed)');
+    return stats;
+  }
+
+  // The two readings before this one are all computeVelocity needs
+  async recentSnapshots(videoId) {
+    const { data, error } = await this.supabase
+      .from('tiktok_snapshots')
+      .select('views, captured_at')
+      .eq('tiktok_id', videoId)
+      .order('captured_at', { ascending: false })
+      .limit(2);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async updateVideo(videoId, fields) {
+    const { error } = await this.supabase.from('tiktoks').update(fields).eq('id', videoId);
+    if (error) throw error;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      limit: { type: 'string', default: String(DEFAULT_OPTIONS.limit) },
+      'max-age-days': { type: 'string', default: String(DEFAULT_OPTIONS.maxAgeDays) },
+      watch: { type: 'boolean', default: false },
+      'every-minutes': { type: 'string', default: '15' }
+    }
+  });
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_KEY must be set');
+    process.exit(1);
+  }
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  const tool = new TikTokRevisitTool(supabase, { maxAgeDays: parseFloat(values['max-age-days']) });
+  const limit = parseInt(values.limit, 10);
+
+  if (!values.watch) {
+    const result = await tool.execute({ limit });
+    if (!result.success) process.exit(1);
+    return;
+  }
+
+  // Each pass only picks up videos whose interval has elapsed, so polling often is cheap
+  const everyMs = parseFloat(values['every-minutes']) * 60 * 1000;
+  console.log(`👀 Revisiting TikToks every ${values['every-minutes']} minute(s)`);
+  for (;;) {
+    await tool.execute({ limit });
+    await tool.sleep(everyMs);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ TikTok revisits failed:', error);
+    process.exit(1);
+  });
+}
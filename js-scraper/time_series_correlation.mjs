@@ -0,0 +1,151 @@
+/**
+ * Time-Series Correlation
+ *
+ * Pearson and Spearman coefficients, interval bucketing and lagged
+ * cross-correlation for comparing social activity with price/volume series.
+ * Shared by MemecoinPatternAnalyzer and the advanced pattern detectors; the
+ * frontend reads the analyzer's stored pattern_correlations rows.
+ */
+
+/**
+ * Pearson product-moment correlation, 0 when either series is flat or too short
+ */
+export function pearsonCorrelation(x, y) {
+  const n = Math.min(x.length, y.length);
+  if (n < 3) return 0;
+
+  let xMean = 0;
+  let yMean = 0;
+  for (let i = 0; i < n; i++) {
+    xMean += x[i] / n;
+    yMean += y[i] / n;
+  }
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - xMean) * (y[i] - yMean);
+    sxx += Math.pow(x[i] - xMean, 2);
+    syy += Math.pow(y[i] - yMean, 2);
+  }
+
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+/**
+ * 1-based ranks, ties share their average rank
+ */
+export function rankValues(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation (Pearson over tie-averaged ranks)
+ */
+export function spearmanCorrelation(x, y) {
+  const n = Math.min(x.length, y.length);
+  return pearsonCorrelation(rankValues(x.slice(0, n)), rankValues(y.slice(0, n)));
+}
+
+/**
+ * Bucket `{ time, value }` events into fixed intervals between start and end.
+ * `sum` adds values per bucket, `count` counts events, `last` keeps the latest
+ * value and forward-fills empty buckets (for price levels).
+ */
+export function bucketTimeSeries(events, { start, end, intervalMs, aggregate = 'sum' }) {
+  const bucketCount = Math.max(0, Math.ceil((end - start) / intervalMs));
+  const buckets = new Array(bucketCount).fill(aggregate === 'last' ? null : 0);
+  const bucketTimes = new Array(bucketCount).fill(-Infinity);
+
+  events.forEach(({ time, value }) => {
+    if (!Number.isFinite(time) || time < start || time >= end) return;
+    const index = Math.floor((time - start) / intervalMs);
+
+    if (aggregate === 'count') {
+      buckets[index] += 1;
+    } else if (aggregate === 'last') {
+      if (time >= bucketTimes[index]) {
+        buckets[index] = value;
+        bucketTimes[index] = time;
+      }
+    } else {
+      buckets[index] += value || 0;
+    }
+  });
+
+  if (aggregate === 'last') {
+    // Seed with the latest value before the window so the first buckets are not empty
+    const prior = events
+      .filter(({ time }) => time < start)
+      .sort((a, b) => b.time - a.time)[0];
+    let carry = prior ? prior.value : null;
+    for (let i = 0; i < bucketCount; i++) {
+      if (buckets[i] === null) buckets[i] = carry;
+      else carry = buckets[i];
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Interval-over-interval percentage change of a level series; 0 where undefined
+ */
+export function percentChanges(levels) {
+  return levels.slice(1).map((level, i) => {
+    const previous = levels[i];
+    return previous && level !== null ? (level - previous) / previous : 0;
+  });
+}
+
+/**
+ * Correlate `leader[t]` with `follower[t + lag]` for lag in [-maxLag, maxLag].
+ * A positive best lag means the leader series moves first by that many buckets.
+ */
+export function laggedCrossCorrelation(leader, follower, { maxLag = 6, minPairs = 5 } = {}) {
+  const n = Math.min(leader.length, follower.length);
+  const lags = [];
+
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const x = [];
+    const y = [];
+    for (let t = Math.max(0, -lag); t + lag < n && t < n; t++) {
+      x.push(leader[t]);
+      y.push(follower[t + lag]);
+    }
+    if (x.length < minPairs) continue;
+
+    lags.push({
+      lag,
+      pearson: pearsonCorrelation(x, y),
+      spearman: spearmanCorrelation(x, y),
+      pairs: x.length
+    });
+  }
+
+  const best = lags.reduce((current, candidate) => {
+    if (!current) return candidate;
+    const strength = Math.abs(candidate.pearson) - Math.abs(current.pearson);
+    if (strength > 1e-9) return candidate;
+    if (Math.abs(strength) <= 1e-9 && Math.abs(candidate.lag) < Math.abs(current.lag)) return candidate;
+    return current;
+  }, null);
+
+  return {
+    lags,
+    best,
+    zeroLag: lags.find(entry => entry.lag === 0) || null
+  };
+}
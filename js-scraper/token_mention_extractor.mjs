@@ -0,0 +1,428 @@
+/**
+ * Token Mention Extractor
+ *
+ * Finds token references in free text (Telegram messages, Outlight posts,
+ * TikTok comments) and resolves them against the `tokens` table:
+ * - $CASHTAGS and #hashtags on word boundaries (no substring matches)
+ * - bare UPPERCASE tickers, filtered through a stop-word list
+ * - Solana mint addresses, validated as 32-byte base58 keys
+ * Every resolved mention carries a 0-1 confidence and, when several tokens
+ * share a symbol, the candidate list plus the pick that was made. Tokens that
+ * clone_detection.mjs marked as impersonators rank behind their canonical token.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_CHARS = '1-9A-HJ-NP-Za-km-z';
+
+const ADDRESS_PATTERN = new RegExp(`(?<![${BASE58_CHARS}])[${BASE58_CHARS}]{32,44}(?![${BASE58_CHARS}])`, 'g');
+const CASHTAG_PATTERN = /(?<![\w$#])\$([A-Za-z][A-Za-z0-9]{1,9})(?![\w$])/g;
+const HASHTAG_PATTERN = /(?<![\w$#])#([A-Za-z][A-Za-z0-9]{1,9})(?![\w#])/g;
+const BARE_TICKER_PATTERN = /(?<![\w$#])([A-Z][A-Z0-9]{1,9})(?![\w$#])/g;
+
+// Words that look like tickers but are chatter, chains or majors rather than memecoins
+export const NON_TOKEN_WORDS = new Set([
+  'SOLANA', 'NFT', 'PUMP', 'DEV', 'TOKENS', 'TOKEN', 'EVERY', 'THIS', 'THEIR', 'RELEASED', 'PAYMENT', 'NEW',
+  'JUST', 'TRADES', 'NFA', 'DYOR', 'BIG', 'OF', 'MONTH', 'DOING', 'BURNING', 'AI', 'CRYPTO', 'HOLD', 'HODL',
+  'BTC', 'ETH', 'XRP', 'XRPL', 'SOL', 'DOGE', 'PEPE', 'GO', 'UI', 'COIN', 'TO', 'FIX', 'GUYS', 'IN', 'ITS', 'TOO', 'LATE',
+  'SUI', 'ACCOUNT', 'JOIN', 'OFFICIAL', 'CA', 'YOU', 'PAGE', 'TELEGRAM', 'CALLS', 'THE', 'BEST', 'IS', 'OKX',
+  'OMG', 'MARKET', 'CAP', 'LOW', 'HIGH', 'USD', 'DM', 'EASY', 'MADE', 'CRAZY', 'GOING', 'ASAP', 'COME', 'ON',
+  'BEEN', 'TODAY', 'USDC', 'USDT', 'NO', 'PERIOD', 'MATH', 'WILL', 'MOON', 'LFG', 'CTO', 'TG', 'MY', 'LAST',
+  'FREE', 'BUY', 'SELL', 'BUT', 'BITCOIN', 'ETHEREUM', 'AND', 'WHAT', 'THINK', 'ABOUT', 'NOT', 'TRADE', 'MEV',
+  'CYBER', 'SUPPORT', 'LMAO', 'LOL', 'MANY', 'NOW', 'ATH', 'ATL', 'MC', 'FDV', 'DEX', 'CEX', 'APY', 'ROI',
+  'USA', 'UK', 'EU', 'OK', 'WTF', 'IMO', 'FOMO', 'FUD', 'GM', 'GN', 'WAGMI', 'NGMI', 'RT', 'PM', 'AM', 'TV'
+]);
+
+// Words that make a nearby bare ticker more likely to be a token reference
+const CRYPTO_CONTEXT_PATTERN = /\b(ca|contract|mint|pump\.?fun|raydium|dexscreener|chart|mc|mcap|market cap|ape|aped|buy|bought|sell|sold|bag|bags|moon|launch|launched|holders|liquidity|lp)\b/i;
+
+// Base confidence per match type before resolution adjustments
+export const MATCH_CONFIDENCE = {
+  address: 1.0,
+  cashtag: 0.9,
+  hashtag: 0.6,
+  ticker: 0.45
+};
+
+const UNKNOWN_ADDRESS_CONFIDENCE = 0.5;
+const CONTEXT_BOOST = 0.1;
+const AMBIGUITY_PENALTY = 0.6;
+
+/**
+ * Decode a base58 string, null when it contains characters outside the alphabet
+ */
+export function decodeBase58(value) {
+  if (typeof value !== 'string' || value.length === 0) return null;
+
+  const bytes = [];
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1's encode leading zero bytes
+  for (let i = 0; i < value.length && value[i] === '1'; i++) bytes.push(0);
+
+  return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * True when the string is a base58-encoded 32-byte Solana public key
+ */
+export function isValidSolanaAddress(value) {
+  if (typeof value !== 'string' || value.length < 32 || value.length > 44) return false;
+  const bytes = decodeBase58(value);
+  return bytes !== null && bytes.length === 32;
+}
+
+/**
+ * Find every token-like reference in a piece of text.
+ * Returns candidates in text order: { kind, value, index, raw }, where value is
+ * an upper-cased symbol for tags/tickers and the address for mints.
+ */
+export function parseMentionCandidates(text, { allowBareTickers = true, stopWords = NON_TOKEN_WORDS } = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const candidates = [];
+  const claimed = [];
+  const overlaps = (start, end) => claimed.some(([s, e]) => start < e && end > s);
+  const claim = (kind, value, match) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (overlaps(start, end)) return;
+    claimed.push([start, end]);
+    candidates.push({ kind, value, index: start, raw: match[0] });
+  };
+
+  for (const match of text.matchAll(ADDRESS_PATTERN)) {
+    if (isValidSolanaAddress(match[0])) claim('address', match[0], match);
+  }
+  for (const match of text.matchAll(CASHTAG_PATTERN)) {
+    claim('cashtag', match[1].toUpperCase(), match);
+  }
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const symbol = match[1].toUpperCase();
+    if (!stopWords.has(symbol)) claim('hashtag', symbol, match);
+  }
+  if (allowBareTickers) {
+    for (const match of text.matchAll(BARE_TICKER_PATTERN)) {
+      if (!stopWords.has(match[1])) claim('ticker', match[1], match);
+    }
+  }
+
+  return candidates.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * In-memory lookup of `tokens` rows by symbol and mint address
+ */
+export class TokenIndex {
+  constructor(tokens = []) {
+    this.bySymbol = new Map();
+    this.byAddress = new Map();
+    this.size = 0;
+
+    tokens.forEach(token => {
+      if (!token || token.id === undefined || token.id === null) return;
+      this.size++;
+      if (token.address) this.byAddress.set(token.address, token);
+      const symbol = token.symbol?.trim().toUpperCase();
+      if (symbol) {
+        if (!this.bySymbol.has(symbol)) this.bySymbol.set(symbol, []);
+        this.bySymbol.get(symbol).push(token);
+      }
+    });
+
+    // Most established token first: canonical before impersonators, then larger
+    // market cap, then older, then lower id
+    this.bySymbol.forEach(list => list.sort(compareTokenRank));
+  }
+
+  findByAddress(address) {
+    return this.byAddress.get(address) || null;
+  }
+
+  findBySymbol(symbol) {
+    return this.bySymbol.get(symbol?.toUpperCase()) || [];
+  }
+}
+
+function compareTokenRank(a, b) {
+  if (Boolean(a.is_impersonator) !== Boolean(b.is_impersonator)) return a.is_impersonator ? 1 : -1;
+
+  const capA = Number(a.market_cap) || 0;
+  const capB = Number(b.market_cap) || 0;
+  if (capA !== capB) return capB - capA;
+
+  const createdA = Date.parse(a.created_at) || Infinity;
+  const createdB = Date.parse(b.created_at) || Infinity;
+  if (createdA !== createdB) return createdA - createdB;
+
+  return Number(a.id) - Number(b.id);
+}
+
+/**
+ * Resolve parsed candidates against a TokenIndex.
+ * Returns one entry per token: { tokenId, symbol, address, count, confidence,
+ * matchType, ambiguous, candidates }, plus the candidates that did not resolve.
+ *
+ * Ambiguity modes when a symbol maps to several tokens:
+ * - 'best' (default): keep the top-ranked token, or the one whose address also
+ *   appears in the same text, with reduced confidence unless disambiguated
+ * - 'all': emit every candidate, confidence split between them
+ * - 'skip': drop the mention
+ * A symbol whose other tokens are all impersonators of the top-ranked one is
+ * not ambiguous: the canonical token gets the full confidence in every mode.
+ */
+export function resolveMentions(candidates, index, { text = '', ambiguity = 'best' } = {}) {
+  const resolved = new Map();
+  const unresolved = [];
+  const hasContext = CRYPTO_CONTEXT_PATTERN.test(text);
+
+  const addressesInText = new Set(candidates.filter(c => c.kind === 'address').map(c => c.value));
+
+  const record = (token, matchType, confidence, details = {}) => {
+    const existing = resolved.get(token.id);
+    if (existing) {
+      existing.count++;
+      if (confidence > existing.confidence) {
+        existing.confidence = confidence;
+        existing.matchType = matchType;
+      }
+      existing.ambiguous = existing.ambiguous && details.ambiguous;
+      return;
+    }
+    resolved.set(token.id, {
+      tokenId: token.id,
+      symbol: token.symbol,
+      address: token.address || null,
+      count: 1,
+      confidence,
+      matchType,
+      ambiguous: Boolean(details.ambiguous),
+      candidates: details.candidates || [token.id],
+      impersonator: Boolean(token.is_impersonator)
+    });
+  };
+
+  for (const candidate of candidates) {
+    if (candidate.kind === 'address') {
+      const token = index.findByAddress(candidate.value);
+      if (token) record(token, 'address', MATCH_CONFIDENCE.address);
+      else unresolved.push({ ...candidate, confidence: UNKNOWN_ADDRESS_CONFIDENCE });
+      continue;
+    }
+
+    const matches = index.findBySymbol(candidate.value);
+    if (matches.length === 0) {
+      unresolved.push({ ...candidate, confidence: 0 });
+      continue;
+    }
+
+    let confidence = MATCH_CONFIDENCE[candidate.kind] ?? MATCH_CONFIDENCE.ticker;
+    if (candidate.kind !== 'cashtag' && hasContext) confidence += CONTEXT_BOOST;
+
+    if (matches.length === 1) {
+      record(matches[0], candidate.kind, round(Math.min(1, confidence)));
+      continue;
+    }
+
+    const candidateIds = matches.map(token => token.id);
+    const pinned = matches.find(token => token.address && addressesInText.has(token.address));
+    const canonical = matches.slice(1).every(token => token.is_impersonator && token.canonical_token_id === matches[0].id)
+      ? matches[0]
+      : null;
+    if (pinned || canonical) {
+      record(pinned || canonical, candidate.kind, round(Math.min(1, confidence)), { ambiguous: false, candidates: candidateIds });
+    } else if (ambiguity === 'all') {
+      matches.forEach(token => record(token, candidate.kind, round(Math.min(1, confidence) / matches.length), {
+        ambiguous: true,
+        candidates: candidateIds
+      }));
+    } else if (ambiguity === 'best') {
+      record(matches[0], candidate.kind, round(Math.min(1, confidence) * AMBIGUITY_PENALTY), {
+        ambiguous: true,
+        candidates: candidateIds
+      });
+    } else {
+      unresolved.push({ ...candidate, confidence: 0, candidates: candidateIds });
+    }
+  }
+
+  return { mentions: [...resolved.values()], unresolved };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Loads the token list from Supabase (cached) and extracts resolved mentions
+ * from text. Shared by the Telegram, Outlight and TikTok pipelines.
+ */
+export class TokenMentionExtractor {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.options = {
+      ambiguity: 'best',
+      minConfidence: 0.25,
+      allowBareTickers: true,
+      cacheTtlMs: 5 * 60 * 1000,
+      ...options
+    };
+    this.index = options.tokens ? new TokenIndex(options.tokens) : null;
+    this.loadedAt = options.tokens ? Date.now() : 0;
+  }
+
+  /**
+   * Fetch tokens into the index, reusing the cached copy while it is fresh
+   */
+  async loadTokens(force = false) {
+    if (!force && this.index && (!this.supabase || Date.now() - this.loadedAt < this.options.cacheTtlMs)) {
+      return this.index;
+    }
+
+    const tokens = [];
+    const pageSize = 1000;
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('tokens')
+        .select('id, symbol, name, address, market_cap, created_at')
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      tokens.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+
+    const clones = await this.loadClones(pageSize);
+    tokens.forEach(token => Object.assign(token, clones.get(token.id)));
+
+    this.index = new TokenIndex(tokens);
+    this.loadedAt = Date.now();
+    return this.index;
+  }
+
+  // Impersonator flags from clone_detection.mjs; symbols resolve by market cap without them
+  async loadClones(pageSize) {
+    const clones = new Map();
+    try {
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await this.supabase
+          .from('token_clones')
+          .select('token_id, canonical_token_id, is_impersonator')
+          .order('token_id', { ascending: true })
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+        (data || []).forEach(row => clones.set(row.token_id, {
+          canonical_token_id: row.canonical_token_id,
+          is_impersonator: row.is_impersonator
+        }));
+        if (!data || data.length < pageSize) break;
+      }
+    } catch (error) {
+      console.log('⚠️ token_clones not available, skipping:', error.message);
+      return new Map();
+    }
+    return clones;
+  }
+
+  /**
+   * Extract resolved mentions from one piece of text
+   */
+  async extract(text) {
+    const index = await this.loadTokens();
+    return this.extractWithIndex(text, index);
+  }
+
+  extractWithIndex(text, index = this.index) {
+    const candidates = parseMentionCandidates(text, { allowBareTickers: this.options.allowBareTickers });
+    const { mentions, unresolved } = resolveMentions(candidates, index || new TokenIndex(), {
+      text,
+      ambiguity: this.options.ambiguity
+    });
+
+    return {
+      mentions: mentions.filter(mention => mention.confidence >= this.options.minConfidence),
+      unresolved
+    };
+  }
+
+  /**
+   * Build `mentions` table rows for a batch of messages.
+   * `toRow(message)` supplies the source-specific columns (source, channel_id, ...).
+   */
+  async buildMentionRows(messages, toRow, { mentionAt = new Date().toISOString() } = {}) {
+    await this.loadTokens();
+
+    const rows = [];
+    for (const message of messages) {
+      if (!message.text) continue;
+
+      const { mentions } = this.extractWithIndex(message.text);
+      mentions.forEach(mention => rows.push({ ...toMentionRow(mention, mentionAt), ...toRow(message) }));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Build `mentions` rows from the aggregated map produced by extractComments
+   * ({ [symbolOrAddress]: { count, isTicker, kind } }); `columns` are merged into each row.
+   */
+  async buildMentionMapRows(mentionMap, columns = {}, { mentionAt = new Date().toISOString() } = {}) {
+    const index = await this.loadTokens();
+    const totals = new Map();
+
+    for (const [key, entry] of Object.entries(mentionMap || {})) {
+      // Older scrapes stored raw words (e.g. pump.fun links) for non-ticker keys
+      const candidates = entry.isTicker === false
+        ? parseMentionCandidates(key, { allowBareTickers: false }).filter(candidate => candidate.kind === 'address')
+        : [{ kind: entry.kind || 'ticker', value: key.toUpperCase(), index: 0, raw: key }];
+
+      const { mentions } = resolveMentions(candidates, index, { ambiguity: this.options.ambiguity });
+      mentions
+        .filter(mention => mention.confidence >= this.options.minConfidence)
+        .forEach(mention => {
+          const count = entry.count || 1;
+          const existing = totals.get(mention.tokenId);
+          if (existing) {
+            existing.count += count;
+            existing.confidence = Math.max(existing.confidence, mention.confidence);
+          } else {
+            totals.set(mention.tokenId, { ...mention, count });
+          }
+        });
+    }
+
+    return [...totals.values()].map(mention => ({ ...toMentionRow(mention, mentionAt), ...columns }));
+  }
+}
+
+function toMentionRow(mention, mentionAt) {
+  return {
+    tiktok_id: null,
+    token_id: mention.tokenId,
+    count: mention.count,
+    mention_at: mentionAt,
+    confidence: mention.confidence,
+    metadata: {
+      match_type: mention.matchType,
+      ambiguous: mention.ambiguous,
+      candidate_token_ids: mention.candidates,
+      impersonator: mention.impersonator
+    }
+  };
+}